@@ -1,18 +1,38 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.13;
 
+/// @notice Checkpointed voting token, e.g. OpenZeppelin `ERC20Votes` / `ERC721Votes` or the mocks in `src/mocks`
+interface IVotesToken {
+    /// @notice Voting units of `account` at the end of block `timepoint`
+    function getPastVotes(address account, uint256 timepoint) external view returns(uint256);
+}
+
 /// @title Simple On-Chain Voting with Proposer Allowlist
 /// @author 
 /// @notice This contract allows approved proposers to create proposals that tokenless users can vote on.
-/// @dev Uses timestamps for proposal deadlines and simple majority to approve.
+/// @dev Uses timestamps for proposal deadlines. Each proposal sets a quorum and an approval threshold at creation
+/// (the two-argument `createProposal` keeps the original rules: no quorum, simple majority).
+/// @dev Proposals are either yes/no with an optional abstain, or multiple-choice between labeled options where the
+/// option with the most votes wins.
+/// @dev A proposal can weight votes by a token balance or limit voting to NFT holders. Holdings are read at the
+/// block before creation, so tokens acquired or moved afterwards do not add votes.
+/// @dev Voters can delegate, globally or per proposal. A delegate's vote also casts a ballot for each delegator that
+/// has not voted, weighted by the delegator's own voting power; a delegator voting later replaces that ballot.
+/// @dev Until the deadline a voter can change or retract its own vote; ballots its vote cast for delegators follow.
+/// @dev The proposer or the owner can cancel an open proposal, and the owner can pause proposal creation and voting
+/// during an incident.
 /// @dev Security considerations:
 /// - Anyone can vote and anyone can close a proposal after the deadline; gate these if needed.
-/// - One-vote-per-address enforced via `hasVoted` mapping; does not prevent Sybil voting.
-/// - No reentrancy risk as there are no external calls; all state changes are local.
+/// - One-vote-per-address enforced via `hasVoted` mapping; does not prevent Sybil voting unless the proposal is
+///   token-weighted or NFT-gated.
+/// - `voteBySig` lets anyone relay an EIP-712 signed ballot; signatures are single-use (nonce) and expire (deadline).
+/// - No reentrancy risk: the only external calls are `view` reads of the voting token (STATICCALL); all state
+///   changes are local. A weighted proposal trusts its token's `getPastVotes`.
 /// @custom:invariants
 /// - proposal.endTime is set at creation and never increases.
 /// - proposal.active is true on creation and permanently false after close.
 /// - proposal.approved is set only upon close and never reverts to false when set to true.
+/// - proposal.cancelled and proposal.approved are never both true.
 contract VotingContract {
 
     /// @notice Represents a proposal and its voting state
@@ -22,46 +42,254 @@ contract VotingContract {
     /// @param active Whether the proposal is currently open for voting
     /// @param endTime UNIX timestamp after which votes are no longer accepted
     /// @param approved Whether the proposal passed (set when closed)
+    /// @param proposer Address that created the proposal
+    /// @param quorum Minimum number of votes cast for the proposal to be able to pass (0 = no quorum)
+    /// @param thresholdBps Share of yes votes, in basis points of all yes/no votes, that must be exceeded to pass
+    /// @param kind Yes/no or multiple-choice
+    /// @param abstainVotes Total number of abstentions (yes/no proposals only)
+    /// @param options Option labels (multiple-choice proposals only)
+    /// @param optionVotes Votes per option, same order as `options`
+    /// @param winningOption Index of the winning option once closed, or `NO_WINNER`
+    /// @param weighting How much each voter's vote counts
+    /// @param token Voting token of a weighted or gated proposal; `address(0)` otherwise
+    /// @param snapshotBlock Block whose token holdings are used
+    /// @param cancelled Whether the proposal was withdrawn before it was closed
     struct Proposal{
         string description;        // Proposal description
         uint256 yesVotes;          // Count of yes votes
         uint256 noVotes;           // Count of no votes
         bool active;               // Is voting active
         uint256 endTime;           // Voting deadline
-        bool approved;             // Did yes > no when closed
+        bool approved;             // Did it meet quorum and threshold when closed
+        address proposer;          // Who created the proposal
+        uint256 quorum;            // Minimum total votes
+        uint256 thresholdBps;      // Yes share to exceed, in basis points
+        ProposalKind kind;         // Yes/no or multiple-choice
+        uint256 abstainVotes;      // Count of abstentions
+        string[] options;          // Option labels
+        uint256[] optionVotes;     // Count of votes per option
+        uint8 winningOption;       // Option that won when closed
+        Weighting weighting;       // Vote weight source
+        address token;             // Voting token, if any
+        uint256 snapshotBlock;     // Holdings read at this block
+        bool cancelled;            // Withdrawn by its proposer or the owner
+    }
+
+    /// @notice How much a vote counts
+    /// @dev `OnePerAddress`: 1 each. `TokenBalance`: the voter's token units at the snapshot (ERC-20 balance or
+    /// ERC-721 count). `NftHolder`: 1 for anyone holding at least one unit at the snapshot. Tallies and the quorum
+    /// are in these units; voters without any weight cannot vote.
+    enum Weighting { OnePerAddress, TokenBalance, NftHolder }
+
+    /// @notice How a proposal is voted on
+    /// @dev `Binary` takes `CHOICE_NO`, `CHOICE_YES` or `CHOICE_ABSTAIN`; `MultipleChoice` takes an option index
+    enum ProposalKind { Binary, MultipleChoice }
+
+    /// @notice Choices on a yes/no proposal
+    uint8 public constant CHOICE_NO = 0;
+    uint8 public constant CHOICE_YES = 1;
+    uint8 public constant CHOICE_ABSTAIN = 2;
+
+    /// @notice Most options a multiple-choice proposal can have
+    uint8 public constant MAX_OPTIONS = 10;
+
+    /// @notice `winningOption` of proposals without a winner (yes/no, still open, tied or below quorum)
+    uint8 public constant NO_WINNER = type(uint8).max;
+
+    /// @notice Threshold of the two-argument `createProposal`: more yes than no votes
+    uint256 public constant SIMPLE_MAJORITY_BPS = 5000;
+
+    /// @notice Denominator of `thresholdBps`
+    uint256 public constant BPS = 10000;
+
+    /// @notice A voter's recorded ballot
+    /// @param choice The choice the ballot counts for
+    /// @param weight How much the ballot added to the tally
+    /// @param castBy The voter, or the delegate whose vote cast it
+    struct Receipt{
+        uint8 choice;
+        uint256 weight;
+        address castBy;
     }
 
+    /// @notice Most delegators one delegate can carry per list (global, or on one proposal)
+    /// @dev Bounds the gas of a delegate's vote, which casts a ballot for each of them. A delegate whose list is
+    /// filled with unwanted addresses frees the slots with `removeDelegators`.
+    uint256 public constant MAX_DELEGATORS = 100;
+
     /// @notice Storage of all proposals by index (proposalId)
-    /// @dev Solidity auto-generates a `proposals(uint256)` getter that returns a single `Proposal` by id
-    Proposal[] public proposals;
+    /// @dev Internal: an auto-generated getter for this many fields would not fit on the stack. Read proposals
+    /// through `getProposals`, `getProposalsRange` and `getOptions`.
+    Proposal[] internal proposals;
 
     /// @notice Tracks whether an address has voted on a specific proposalId
-    /// @dev hasVoted[proposalId][voter] => true if already voted (enforces one vote per address)
+    /// @dev hasVoted[proposalId][voter] => true once a ballot is recorded for the voter, by itself or by its delegate
+    /// until it is retracted (enforces one vote per address; see `receipts` for who cast it)
     mapping(uint256 => mapping(address => bool)) public hasVoted;
 
+    /// @notice Ballot behind each `hasVoted` flag
+    /// @dev receipts[proposalId][voter]; `castBy` is the zero address until a ballot is recorded
+    mapping(uint256 => mapping(address => Receipt)) public receipts;
+
+    /// @notice Delegate each address hands its vote to on every proposal
+    /// @dev Zero when not delegating. A `proposalDelegates` entry takes precedence on that proposal.
+    mapping(address => address) public delegates;
+
+    /// @notice Per-proposal delegate of each address
+    /// @dev proposalDelegates[proposalId][delegator]; zero falls back to `delegates`
+    mapping(uint256 => mapping(address => address)) public proposalDelegates;
+
+    /// @notice Addresses that delegated globally to each delegate
+    /// @dev Unordered (swap-and-pop); `delegatorIndex` holds each delegator's position offset by one
+    mapping(address => address[]) internal delegators;
+    mapping(address => uint256) internal delegatorIndex;
+
+    /// @notice Addresses that delegated a single proposal to each delegate
+    /// @dev Same layout as `delegators`, keyed by proposal id first
+    mapping(uint256 => mapping(address => address[])) internal proposalDelegators;
+    mapping(uint256 => mapping(address => uint256)) internal proposalDelegatorIndex;
+
+    /// @notice Delegators a delegate has turned away; they cannot delegate to it again until it unblocks them
+    /// @dev blockedDelegators[delegate][delegator]; applies to global and per-proposal delegation
+    mapping(address => mapping(address => bool)) public blockedDelegators;
+
     /// @notice Allowlist of addresses permitted to create proposals
     /// @dev Managed by the `owner`; used by the `onlyApprovedProposer` modifier
     mapping(address => bool) public isApprovedProposer;
 
+    /// @notice Enumerable copy of the proposer allowlist
+    /// @dev Kept in sync with `isApprovedProposer`; order is not stable because removals swap-and-pop
+    address[] internal approvedProposers;
+
+    /// @notice Position of each approved proposer in `approvedProposers`, offset by one
+    /// @dev 0 means "not in the list", so a stored value `i` refers to `approvedProposers[i - 1]`
+    mapping(address => uint256) internal approvedProposerIndex;
+
+    /// @notice Next nonce expected in a signed ballot from each voter
+    /// @dev Incremented by every accepted `voteBySig`, which makes each signature single-use
+    mapping(address => uint256) public nonces;
+
+    /// @notice EIP-712 type hash of a signed ballot
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,bool support,address voter,uint256 nonce,uint256 deadline)");
+
+    /// @dev EIP-712 domain type hash and the name/version the domain separator is built from
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    string internal constant EIP712_NAME = "VotingContract";
+    string internal constant EIP712_VERSION = "1";
+
     /// @notice The owner address with permission to manage the proposer allowlist
     /// @dev Set once in the constructor; no ownership transfer in this minimal example
     address public owner;
 
+    /// @notice Whether the owner has paused proposal creation and voting
+    /// @dev Closing, cancelling, delegating and allowlist changes still work while paused
+    bool public paused;
+
     /// @notice Emitted when a proposal is created
     /// @param proposalId Index of the proposal in `proposals`
+    /// @param proposer The address that created the proposal
     /// @param description The proposal description
     /// @param endTime UNIX timestamp when voting ends (inclusive-exclusive window: voting allowed while block.timestamp < endTime)
-    event ProposalCreated(uint256 proposalId, string description, uint256 endTime);
+    /// @param quorum Minimum number of votes cast for the proposal to pass
+    /// @param thresholdBps Share of yes votes (basis points of yes + no) that must be exceeded to pass (0 for multiple-choice)
+    /// @param options Option labels of a multiple-choice proposal; empty for yes/no
+    event ProposalCreated(
+        uint256 proposalId,
+        address proposer,
+        string description,
+        uint256 endTime,
+        uint256 quorum,
+        uint256 thresholdBps,
+        string[] options
+    );
 
     /// @notice Emitted when an address casts a vote
     /// @param proposalId The proposal voted on
     /// @param voter The address that cast the vote
-    event VoteCast(uint256 proposalId, address voter);
+    /// @param choice `CHOICE_NO`, `CHOICE_YES` or `CHOICE_ABSTAIN` on a yes/no proposal; the option index otherwise
+    /// @param weight How much the vote counted (1 unless the proposal is token-weighted)
+    event VoteCast(uint256 proposalId, address voter, uint8 choice, uint256 weight);
 
     /// @notice Emitted when a proposal is closed
     /// @param proposalId The proposal that was closed
-    /// @param approved Whether the proposal passed
-    event ProposalClosed(uint256 proposalId, bool approved);
+    /// @param approved Whether the proposal passed (for multiple-choice: whether an option won)
+    /// @param winningOption Index of the winning option, or `NO_WINNER`
+    event ProposalClosed(uint256 proposalId, bool approved, uint8 winningOption);
+
+    /// @notice Emitted right after `ProposalCreated` for proposals that are not one vote per address
+    /// @param proposalId The weighted proposal
+    /// @param weighting `Weighting.TokenBalance` or `Weighting.NftHolder`
+    /// @param token The voting token
+    /// @param snapshotBlock Block whose holdings determine voting power
+    event ProposalWeighted(uint256 proposalId, Weighting weighting, address token, uint256 snapshotBlock);
+
+    /// @notice Emitted when an address sets, changes or clears its delegate for all proposals
+    /// @param delegator The address handing over its vote
+    /// @param fromDelegate The previous delegate; zero if there was none
+    /// @param toDelegate The new delegate; zero when undelegating
+    event DelegateChanged(address delegator, address fromDelegate, address toDelegate);
+
+    /// @notice Emitted when an address sets, changes or clears its delegate for a single proposal
+    /// @param proposalId The proposal the delegation applies to
+    /// @param delegator The address handing over its vote
+    /// @param fromDelegate The previous per-proposal delegate; zero if there was none
+    /// @param toDelegate The new per-proposal delegate; zero when falling back to the global delegate
+    event ProposalDelegateChanged(uint256 proposalId, address delegator, address fromDelegate, address toDelegate);
+
+    /// @notice Emitted when a delegate blocks or unblocks an address from delegating to it
+    /// @param delegate The delegate
+    /// @param delegator The address blocked or unblocked
+    /// @param blocked True when blocked
+    event DelegatorBlocked(address delegate, address delegator, bool blocked);
+
+    /// @notice Emitted for each delegator a delegate's vote cast a ballot for
+    /// @param proposalId The proposal voted on
+    /// @param delegate The address whose vote cast the ballot
+    /// @param delegator The address the ballot is recorded for
+    /// @param choice Same as the delegate's choice
+    /// @param weight The delegator's voting power
+    event DelegatedVoteCast(uint256 proposalId, address delegate, address delegator, uint8 choice, uint256 weight);
+
+    /// @notice Emitted when a delegator votes itself and its delegate's ballot is taken out of the tally
+    /// @dev Followed by the delegator's own `VoteCast`
+    /// @param proposalId The proposal voted on
+    /// @param delegate The address whose vote had cast the ballot
+    /// @param delegator The address now voting itself
+    /// @param choice The replaced ballot's choice
+    /// @param weight The replaced ballot's weight
+    event DelegatedVoteOverridden(uint256 proposalId, address delegate, address delegator, uint8 choice, uint256 weight);
+
+    /// @notice Emitted when a ballot is switched to another choice before the deadline
+    /// @dev Also emitted for each delegator whose delegated ballot follows its delegate's change
+    /// @param proposalId The proposal voted on
+    /// @param voter The address the ballot is recorded for
+    /// @param fromChoice The previous choice
+    /// @param toChoice The new choice
+    /// @param weight The ballot's weight, unchanged
+    event VoteChanged(uint256 proposalId, address voter, uint8 fromChoice, uint8 toChoice, uint256 weight);
+
+    /// @notice Emitted when a ballot is withdrawn before the deadline; the voter can vote again
+    /// @dev Also emitted for each delegator whose delegated ballot is withdrawn with its delegate's
+    /// @param proposalId The proposal voted on
+    /// @param voter The address the ballot was recorded for
+    /// @param choice The withdrawn choice
+    /// @param weight The withdrawn weight
+    event VoteRetracted(uint256 proposalId, address voter, uint8 choice, uint256 weight);
+
+    /// @notice Emitted when a proposal is cancelled; it is closed without an outcome
+    /// @param proposalId The cancelled proposal
+    /// @param cancelledBy The proposer or the owner
+    event ProposalCancelled(uint256 proposalId, address cancelledBy);
+
+    /// @notice Emitted when the owner pauses proposal creation and voting
+    /// @param account The owner
+    event Paused(address account);
+
+    /// @notice Emitted when the owner lifts a pause
+    /// @param account The owner
+    event Unpaused(address account);
 
     /// @notice Emitted when an address is approved to create proposals
     /// @param proposer The newly-approved proposer address
@@ -75,7 +303,7 @@ contract VotingContract {
     /// @dev Sets the deployer as the immutable `owner` and also as an approved proposer
     constructor(){
         owner = msg.sender;                     // Set contract owner
-        isApprovedProposer[owner] = true;       // Owner is an approved proposer by default
+        _addProposer(owner);                    // Owner is an approved proposer by default
     }
 
     /// @notice Restricts function to contract owner
@@ -85,6 +313,13 @@ contract VotingContract {
         _;
     }
 
+    /// @notice Blocks the function while the contract is paused
+    /// @dev Reverts with "Paused"
+    modifier whenNotPaused{
+        require(!paused, "Paused");
+        _;
+    }
+
     /// @notice Restricts function to approved proposers
     /// @dev Reverts when `msg.sender` is not in `isApprovedProposer`
     modifier onlyApprovedProposer{
@@ -96,7 +331,7 @@ contract VotingContract {
     /// @dev Access controlled by `onlyOwner`. Idempotent: calling twice keeps the flag true.
     /// @param _proposer The address to approve
     function approveProposal(address _proposer) public onlyOwner{
-        isApprovedProposer[_proposer] = true;
+        _addProposer(_proposer);
         emit ProposalApproved(_proposer);
     }
 
@@ -104,74 +339,725 @@ contract VotingContract {
     /// @dev Access controlled by `onlyOwner`. Idempotent: calling twice keeps the flag false.
     /// @param _proposer The address to remove
     function removeProposal(address _proposer) public onlyOwner{
-        isApprovedProposer[_proposer] = false;
+        _removeProposer(_proposer);
         emit ProposalRemoved(_proposer);
     }
 
-    /// @notice Create a new proposal
+    /// @notice Owner can approve several addresses in one transaction
+    /// @dev Same semantics as calling `approveProposal` for each entry; emits one `ProposalApproved` per address
+    /// @param _proposers The addresses to approve
+    function approveProposals(address[] calldata _proposers) public onlyOwner{
+        for(uint256 i = 0; i < _proposers.length; i++){
+            _addProposer(_proposers[i]);
+            emit ProposalApproved(_proposers[i]);
+        }
+    }
+
+    /// @notice Owner can remove several addresses in one transaction
+    /// @dev Same semantics as calling `removeProposal` for each entry; emits one `ProposalRemoved` per address
+    /// @param _proposers The addresses to remove
+    function removeProposals(address[] calldata _proposers) public onlyOwner{
+        for(uint256 i = 0; i < _proposers.length; i++){
+            _removeProposer(_proposers[i]);
+            emit ProposalRemoved(_proposers[i]);
+        }
+    }
+
+    /// @notice List every address currently allowed to create proposals
+    /// @dev Unordered; intended for off-chain reads, gas grows with the allowlist size
+    /// @return The approved proposer addresses
+    function getApprovedProposers() public view returns(address[] memory){
+        return approvedProposers;
+    }
+
+    /// @dev Adds `_proposer` to the allowlist and its enumerable copy; no-op if already approved
+    function _addProposer(address _proposer) internal{
+        if(approvedProposerIndex[_proposer] != 0){
+            return;
+        }
+        isApprovedProposer[_proposer] = true;
+        approvedProposers.push(_proposer);
+        approvedProposerIndex[_proposer] = approvedProposers.length;
+    }
+
+    /// @dev Removes `_proposer` from the allowlist by swapping the last entry into its slot; no-op if absent
+    function _removeProposer(address _proposer) internal{
+        uint256 index = approvedProposerIndex[_proposer];
+        if(index == 0){
+            return;
+        }
+        address last = approvedProposers[approvedProposers.length - 1];
+        approvedProposers[index - 1] = last;
+        approvedProposerIndex[last] = index;
+        approvedProposers.pop();
+        delete approvedProposerIndex[_proposer];
+        isApprovedProposer[_proposer] = false;
+    }
+
+    /// @notice Hand your vote on every proposal to `_delegate`
+    /// @dev When `_delegate` votes, a ballot with the same choice is cast for you, weighted by your own voting power,
+    /// unless you already voted. You can still vote yourself afterwards, which replaces that ballot. Delegation is
+    /// not transitive: your delegate's delegate does not vote for you.
+    /// @param _delegate The address to vote for you; not yourself or the zero address (see `undelegate`)
+    function delegate(address _delegate) public{
+        require(_delegate != address(0) && _delegate != msg.sender, "Invalid delegate");
+        require(!blockedDelegators[_delegate][msg.sender], "Delegator blocked");
+        address previous = delegates[msg.sender];
+        if(previous != address(0)){
+            _removeDelegator(delegators[previous], delegatorIndex, msg.sender);
+        }
+        _addDelegator(delegators[_delegate], delegatorIndex, msg.sender);
+        delegates[msg.sender] = _delegate;
+        emit DelegateChanged(msg.sender, previous, _delegate);
+    }
+
+    /// @notice Stop delegating your vote on every proposal
+    /// @dev Ballots your delegate already cast for you stay counted
+    function undelegate() public{
+        address previous = delegates[msg.sender];
+        require(previous != address(0), "Not delegated");
+        _removeDelegator(delegators[previous], delegatorIndex, msg.sender);
+        delete delegates[msg.sender];
+        emit DelegateChanged(msg.sender, previous, address(0));
+    }
+
+    /// @notice Hand your vote on one open proposal to `_delegate`, overriding your global delegate there
+    /// @param _proposalId The id of the proposal
+    /// @param _delegate The address to vote for you; not yourself or the zero address (see `undelegate`)
+    function delegate(uint256 _proposalId, address _delegate) public{
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        require(proposals[_proposalId].active, "Proposal is not active");
+        require(block.timestamp < proposals[_proposalId].endTime, "Proposal has ended");
+        require(_delegate != address(0) && _delegate != msg.sender, "Invalid delegate");
+        require(!blockedDelegators[_delegate][msg.sender], "Delegator blocked");
+        address previous = proposalDelegates[_proposalId][msg.sender];
+        if(previous != address(0)){
+            _removeDelegator(proposalDelegators[_proposalId][previous], proposalDelegatorIndex[_proposalId], msg.sender);
+        }
+        _addDelegator(proposalDelegators[_proposalId][_delegate], proposalDelegatorIndex[_proposalId], msg.sender);
+        proposalDelegates[_proposalId][msg.sender] = _delegate;
+        emit ProposalDelegateChanged(_proposalId, msg.sender, previous, _delegate);
+    }
+
+    /// @notice Drop your per-proposal delegate; your global delegate, if any, applies again
+    /// @param _proposalId The id of the proposal
+    function undelegate(uint256 _proposalId) public{
+        address previous = proposalDelegates[_proposalId][msg.sender];
+        require(previous != address(0), "Not delegated");
+        _removeDelegator(proposalDelegators[_proposalId][previous], proposalDelegatorIndex[_proposalId], msg.sender);
+        delete proposalDelegates[_proposalId][msg.sender];
+        emit ProposalDelegateChanged(_proposalId, msg.sender, previous, address(0));
+    }
+
+    /// @notice Drop addresses that delegated to you globally and block them from delegating to you again
+    /// @dev Each delegation is cleared as if the delegator had called `undelegate`; ballots you already cast for it
+    /// stay counted. Addresses in `_delegators` that do not delegate to you are only blocked.
+    /// @param _delegators The addresses to remove
+    function removeDelegators(address[] calldata _delegators) public{
+        for(uint256 i = 0; i < _delegators.length; i++){
+            address delegator = _delegators[i];
+            if(delegates[delegator] == msg.sender){
+                _removeDelegator(delegators[msg.sender], delegatorIndex, delegator);
+                delete delegates[delegator];
+                emit DelegateChanged(delegator, msg.sender, address(0));
+            }
+            _blockDelegator(delegator, true);
+        }
+    }
+
+    /// @notice The same as `removeDelegators(address[])` for addresses that delegated proposal `_proposalId` to you
+    /// @param _proposalId The id of the proposal
+    /// @param _delegators The addresses to remove
+    function removeDelegators(uint256 _proposalId, address[] calldata _delegators) public{
+        for(uint256 i = 0; i < _delegators.length; i++){
+            address delegator = _delegators[i];
+            if(proposalDelegates[_proposalId][delegator] == msg.sender){
+                _removeDelegator(proposalDelegators[_proposalId][msg.sender], proposalDelegatorIndex[_proposalId], delegator);
+                delete proposalDelegates[_proposalId][delegator];
+                emit ProposalDelegateChanged(_proposalId, delegator, msg.sender, address(0));
+            }
+            _blockDelegator(delegator, true);
+        }
+    }
+
+    /// @notice Let an address you removed delegate to you again
+    /// @param _delegator The blocked address
+    function unblockDelegator(address _delegator) public{
+        require(blockedDelegators[msg.sender][_delegator], "Not blocked");
+        _blockDelegator(_delegator, false);
+    }
+
+    /// @dev Sets whether `_delegator` may delegate to the caller, emitting only on a change
+    function _blockDelegator(address _delegator, bool _blocked) internal{
+        if(blockedDelegators[msg.sender][_delegator] == _blocked){
+            return;
+        }
+        blockedDelegators[msg.sender][_delegator] = _blocked;
+        emit DelegatorBlocked(msg.sender, _delegator, _blocked);
+    }
+
+    /// @notice The delegate whose vote counts for `_account` on a proposal
+    /// @param _proposalId The id of the proposal
+    /// @param _account The delegator
+    /// @return The per-proposal delegate if set, else the global delegate; zero if `_account` does not delegate
+    function delegateOf(uint256 _proposalId, address _account) public view returns(address){
+        address perProposal = proposalDelegates[_proposalId][_account];
+        return perProposal != address(0) ? perProposal : delegates[_account];
+    }
+
+    /// @notice Everyone who delegated globally to `_delegate`
+    /// @dev Unordered. Includes delegators that picked someone else on a particular proposal.
+    /// @param _delegate The delegate
+    /// @return The delegator addresses
+    function getDelegators(address _delegate) public view returns(address[] memory){
+        return delegators[_delegate];
+    }
+
+    /// @notice Everyone who delegated proposal `_proposalId` to `_delegate`
+    /// @param _proposalId The id of the proposal
+    /// @param _delegate The delegate
+    /// @return The delegator addresses (unordered)
+    function getProposalDelegators(uint256 _proposalId, address _delegate) public view returns(address[] memory){
+        return proposalDelegators[_proposalId][_delegate];
+    }
+
+    /// @dev Appends `_delegator` to a delegator list, recording its position in `_index` offset by one
+    function _addDelegator(address[] storage _list, mapping(address => uint256) storage _index, address _delegator) internal{
+        require(_list.length < MAX_DELEGATORS, "Too many delegators");
+        _list.push(_delegator);
+        _index[_delegator] = _list.length;
+    }
+
+    /// @dev Removes `_delegator` from a delegator list by swapping the last entry into its slot
+    function _removeDelegator(address[] storage _list, mapping(address => uint256) storage _index, address _delegator) internal{
+        uint256 index = _index[_delegator];
+        address last = _list[_list.length - 1];
+        _list[index - 1] = last;
+        _index[last] = index;
+        _list.pop();
+        delete _index[_delegator];
+    }
+
+    /// @notice Create a new proposal that passes on a simple majority with no quorum
     /// @dev The proposal is immediately active and can be voted on until `endTime`.
     /// @dev The returned `proposalId` is the index into the `proposals` array.
     /// @param _description Human-readable summary of the proposal
     /// @param _duration Duration in seconds that the proposal should remain open
     /// @return proposalId The newly created proposal's id
-    function createProposal(string memory _description, uint256 _duration) public onlyApprovedProposer returns(uint256 proposalId){
+    function createProposal(string memory _description, uint256 _duration) public whenNotPaused onlyApprovedProposer returns(uint256 proposalId){
+        return _createProposal(_description, _duration, 0, SIMPLE_MAJORITY_BPS, new string[](0));
+    }
+
+    /// @notice Create a new proposal with its own quorum and approval threshold
+    /// @dev Passes on close when `yes + no >= _quorum` and `yes * BPS > _thresholdBps * (yes + no)`.
+    /// Common thresholds: 5000 (simple majority), 6000 (more than 60%), 6666 (two-thirds).
+    /// @param _description Human-readable summary of the proposal
+    /// @param _duration Duration in seconds that the proposal should remain open
+    /// @param _quorum Minimum number of votes cast (0 for none)
+    /// @param _thresholdBps Yes share to exceed, in basis points; between 5000 and 9999
+    /// @return proposalId The newly created proposal's id
+    function createProposal(
+        string memory _description,
+        uint256 _duration,
+        uint256 _quorum,
+        uint256 _thresholdBps
+    ) public whenNotPaused onlyApprovedProposer returns(uint256 proposalId){
+        return _createProposal(_description, _duration, _quorum, _thresholdBps, new string[](0));
+    }
+
+    /// @notice Create a proposal where voters pick one of several labeled options
+    /// @dev On close, the option with the most votes wins if at least `_quorum` votes were cast; a tie for the
+    /// most votes has no winner. There is no approval threshold.
+    /// @param _description Human-readable summary of the proposal
+    /// @param _duration Duration in seconds that the proposal should remain open
+    /// @param _options Option labels; between 2 and `MAX_OPTIONS`, none empty
+    /// @param _quorum Minimum number of votes cast (0 for none)
+    /// @return proposalId The newly created proposal's id
+    function createMultipleChoiceProposal(
+        string memory _description,
+        uint256 _duration,
+        string[] memory _options,
+        uint256 _quorum
+    ) public whenNotPaused onlyApprovedProposer returns(uint256 proposalId){
+        _validateOptions(_options);
+        return _createProposal(_description, _duration, _quorum, 0, _options);
+    }
+
+    /// @notice Create a yes/no proposal whose votes are weighted by, or limited to holders of, `_token`
+    /// @dev Same rules as the four-argument `createProposal`, with the quorum in voting units
+    /// @param _description Human-readable summary of the proposal
+    /// @param _duration Duration in seconds that the proposal should remain open
+    /// @param _quorum Minimum voting units cast (0 for none)
+    /// @param _thresholdBps Yes share to exceed, in basis points; between 5000 and 9999
+    /// @param _weighting `Weighting.TokenBalance` or `Weighting.NftHolder` (`OnePerAddress` ignores `_token`)
+    /// @param _token Checkpointed voting token implementing `getPastVotes`
+    /// @return proposalId The newly created proposal's id
+    function createProposal(
+        string memory _description,
+        uint256 _duration,
+        uint256 _quorum,
+        uint256 _thresholdBps,
+        Weighting _weighting,
+        address _token
+    ) public whenNotPaused onlyApprovedProposer returns(uint256 proposalId){
+        proposalId = _createProposal(_description, _duration, _quorum, _thresholdBps, new string[](0));
+        _setWeighting(proposalId, _weighting, _token);
+    }
+
+    /// @notice Create a multiple-choice proposal whose votes are weighted by, or limited to holders of, `_token`
+    /// @param _description Human-readable summary of the proposal
+    /// @param _duration Duration in seconds that the proposal should remain open
+    /// @param _options Option labels; between 2 and `MAX_OPTIONS`, none empty
+    /// @param _quorum Minimum voting units cast (0 for none)
+    /// @param _weighting `Weighting.TokenBalance` or `Weighting.NftHolder` (`OnePerAddress` ignores `_token`)
+    /// @param _token Checkpointed voting token implementing `getPastVotes`
+    /// @return proposalId The newly created proposal's id
+    function createMultipleChoiceProposal(
+        string memory _description,
+        uint256 _duration,
+        string[] memory _options,
+        uint256 _quorum,
+        Weighting _weighting,
+        address _token
+    ) public whenNotPaused onlyApprovedProposer returns(uint256 proposalId){
+        _validateOptions(_options);
+        proposalId = _createProposal(_description, _duration, _quorum, 0, _options);
+        _setWeighting(proposalId, _weighting, _token);
+    }
+
+    /// @dev Requires between 2 and `MAX_OPTIONS` options, none of them empty
+    function _validateOptions(string[] memory _options) internal pure{
+        require(_options.length >= 2 && _options.length <= MAX_OPTIONS, "Invalid options");
+        for(uint256 i = 0; i < _options.length; i++){
+            require(bytes(_options[i]).length > 0, "Invalid options");
+        }
+    }
+
+    /// @dev Makes a just-created proposal weighted, snapshotting holdings at the previous block (the current
+    /// block's holdings can still change within it)
+    function _setWeighting(uint256 _proposalId, Weighting _weighting, address _token) internal{
+        if(_weighting == Weighting.OnePerAddress){
+            return;
+        }
+        require(_token.code.length > 0, "Invalid token");
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.weighting = _weighting;
+        proposal.token = _token;
+        proposal.snapshotBlock = block.number - 1;
+        emit ProposalWeighted(_proposalId, _weighting, _token, proposal.snapshotBlock);
+    }
+
+    /// @dev Validates the settings, stores the proposal and emits `ProposalCreated`. An empty `_options` makes a
+    /// yes/no proposal.
+    function _createProposal(
+        string memory _description,
+        uint256 _duration,
+        uint256 _quorum,
+        uint256 _thresholdBps,
+        string[] memory _options
+    ) internal returns(uint256 proposalId){
         require(_duration > 0, "Duration must be > 0");
-        uint256 _endTime = block.timestamp + _duration;
-        Proposal memory newProposal = Proposal({
-            description: _description,
-            yesVotes: 0,
-            noVotes: 0,
-            active: true,
-            endTime: _endTime,
-            approved: false
-        });
-
-        proposals.push(newProposal);
+        if(_options.length == 0){
+            // Below 50% a proposal could pass with more no than yes votes; at 100% it could never pass
+            require(_thresholdBps >= SIMPLE_MAJORITY_BPS && _thresholdBps < BPS, "Invalid threshold");
+        }
+
+        // Built in place: the option arrays cannot be copied from memory into storage in one go
+        Proposal storage proposal = proposals.push();
+        proposal.description = _description;
+        proposal.active = true;
+        proposal.endTime = block.timestamp + _duration;
+        proposal.proposer = msg.sender;
+        proposal.quorum = _quorum;
+        proposal.thresholdBps = _thresholdBps;
+        proposal.winningOption = NO_WINNER;
+        if(_options.length > 0){
+            proposal.kind = ProposalKind.MultipleChoice;
+            for(uint256 i = 0; i < _options.length; i++){
+                proposal.options.push(_options[i]);
+                proposal.optionVotes.push(0);
+            }
+        }
 
         proposalId = proposals.length - 1;
-        emit ProposalCreated(proposalId, _description, _endTime);
+        emit ProposalCreated(proposalId, msg.sender, _description, proposal.endTime, _quorum, _thresholdBps, _options);
         return proposalId;
     }
 
-    /// @notice Cast a vote on a proposal
+    /// @notice Cast a yes or no vote on a yes/no proposal
     /// @dev One vote per address is enforced; function is open to all callers
     /// @param _proposalId The id of the proposal
     /// @param _vote true for yes, false for no
-    function vote(uint256 _proposalId, bool _vote) public {
+    function vote(uint256 _proposalId, bool _vote) public whenNotPaused{
+        _castYesNo(_proposalId, msg.sender, _vote);
+    }
+
+    /// @notice Cast a vote with an explicit choice: yes, no or abstain, or an option of a multiple-choice proposal
+    /// @dev Abstentions count toward the quorum but not toward the approval threshold
+    /// @param _proposalId The id of the proposal
+    /// @param _choice `CHOICE_NO`, `CHOICE_YES` or `CHOICE_ABSTAIN` for yes/no proposals; an option index otherwise
+    function vote(uint256 _proposalId, uint8 _choice) public whenNotPaused{
+        _castVote(_proposalId, msg.sender, _choice);
+    }
+
+    /// @notice Switch your vote to another choice while the proposal is open
+    /// @dev Only a ballot you cast yourself can be changed; over a delegate's ballot use `vote`. Ballots your vote
+    /// cast for your current delegators follow, and delegators that have not voted get one.
+    /// @param _proposalId The id of the proposal
+    /// @param _choice The new choice, as for `vote(uint256,uint8)`
+    function changeVote(uint256 _proposalId, uint8 _choice) public whenNotPaused{
+        Proposal storage proposal = _ownBallot(_proposalId, msg.sender);
+        _validateChoice(proposal, _choice);
+        require(_choice != receipts[_proposalId][msg.sender].choice, "Same choice");
+
+        _changeBallot(_proposalId, proposal, msg.sender, _choice);
+        _updateDelegatedVotes(_proposalId, proposal, msg.sender, _choice, false);
+    }
+
+    /// @notice Withdraw your vote while the proposal is open; you can vote again afterwards
+    /// @dev Ballots your vote cast for your current delegators are withdrawn too
+    /// @param _proposalId The id of the proposal
+    function retractVote(uint256 _proposalId) public whenNotPaused{
+        Proposal storage proposal = _ownBallot(_proposalId, msg.sender);
+
+        _retractBallot(_proposalId, proposal, msg.sender);
+        _updateDelegatedVotes(_proposalId, proposal, msg.sender, 0, true);
+    }
+
+    /// @notice Cast a vote on behalf of `_voter` using their EIP-712 signed ballot
+    /// @dev Lets a relayer pay the gas. The signature covers the voter's current nonce, which is consumed here,
+    /// so a ballot can be submitted at most once. All `vote` rules (one vote per address, deadline) still apply.
+    /// @param _proposalId The id of the proposal
+    /// @param _support true for yes, false for no
+    /// @param _voter The address that signed the ballot
+    /// @param _deadline UNIX timestamp after which the signature is no longer accepted
+    /// @param v Signature recovery id
+    /// @param r Signature r value
+    /// @param s Signature s value
+    function voteBySig(
+        uint256 _proposalId,
+        bool _support,
+        address _voter,
+        uint256 _deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public whenNotPaused{
+        require(block.timestamp <= _deadline, "Signature expired");
+        // Reject malleable (high-s) signatures
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, _proposalId, _support, _voter, nonces[_voter], _deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == _voter, "Invalid signature");
+
+        nonces[_voter] += 1;
+        _castYesNo(_proposalId, _voter, _support);
+    }
+
+    /// @notice EIP-712 domain separator for signed ballots
+    /// @dev Computed on every call so it stays correct if the chain id changes (e.g. after a fork)
+    /// @return The domain separator for name "VotingContract", version "1", this chain and this contract
+    function DOMAIN_SEPARATOR() public view returns(bytes32){
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes(EIP712_NAME)),
+                keccak256(bytes(EIP712_VERSION)),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /// @dev Yes/no entry point shared by `vote(uint256,bool)` and `voteBySig`; rejects multiple-choice proposals
+    function _castYesNo(uint256 _proposalId, address _voter, bool _support) internal {
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        require(proposals[_proposalId].kind == ProposalKind.Binary, "Not a yes/no proposal");
+        _castVote(_proposalId, _voter, _support ? CHOICE_YES : CHOICE_NO);
+    }
+
+    /// @dev Shared vote logic for every vote entry point; `_voter` is the account the vote is recorded for.
+    /// Also casts ballots for `_voter`'s delegators.
+    function _castVote(uint256 _proposalId, address _voter, uint8 _choice) internal {
         require(_proposalId < proposals.length, "Proposal does not exist");
         Proposal storage proposal = proposals[_proposalId]; // Load proposal into storage for updates
         require(proposal.active, "Proposal is not active"); // Must be open
-        require(!hasVoted[_proposalId][msg.sender], "Already voted"); // 1 vote per address
+        Receipt storage receipt = receipts[_proposalId][_voter];
+        // 1 vote per address, except that a ballot cast by a delegate can be replaced
+        require(!hasVoted[_proposalId][_voter] || receipt.castBy != _voter, "Already voted");
         require(block.timestamp < proposal.endTime, "Proposal has ended"); // Enforce deadline
+        _validateChoice(proposal, _choice);
+
+        uint256 weight;
+        if(hasVoted[_proposalId][_voter]){
+            // Take the delegate's ballot back out; the weight is the same
+            weight = receipt.weight;
+            _uncount(proposal, receipt.choice, weight);
+            emit DelegatedVoteOverridden(_proposalId, receipt.castBy, _voter, receipt.choice, weight);
+        }else{
+            weight = _votingPower(proposal, _voter);
+            // Nothing at the snapshot. A delegate still votes for its delegators, with a ballot of weight 0 that
+            // it can change or retract like any other.
+            require(weight > 0 || _hasDelegators(_proposalId, _voter), "No voting power");
+        }
+        _recordBallot(_proposalId, proposal, _voter, _choice, weight, _voter);
+        emit VoteCast(_proposalId, _voter, _choice, weight);
+
+        _updateDelegatedVotes(_proposalId, proposal, _voter, _choice, false);
+    }
+
+    /// @dev Whether anyone delegates its vote on this proposal to `_delegate`, globally or on the proposal alone
+    function _hasDelegators(uint256 _proposalId, address _delegate) internal view returns(bool){
+        return delegators[_delegate].length > 0 || proposalDelegators[_proposalId][_delegate].length > 0;
+    }
+
+    /// @dev Checks shared by `changeVote` and `retractVote`: `_voter` cast its own ballot on an open proposal
+    function _ownBallot(uint256 _proposalId, address _voter) internal view returns(Proposal storage proposal){
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        proposal = proposals[_proposalId];
+        require(proposal.active, "Proposal is not active");
+        require(hasVoted[_proposalId][_voter] && receipts[_proposalId][_voter].castBy == _voter, "Not voted");
+        require(block.timestamp < proposal.endTime, "Proposal has ended");
+    }
+
+    /// @dev Reverts unless `_choice` is yes/no/abstain on a yes/no proposal, or an option index otherwise
+    function _validateChoice(Proposal storage _proposal, uint8 _choice) internal view{
+        if(_proposal.kind == ProposalKind.MultipleChoice){
+            require(_choice < _proposal.options.length, "Invalid choice");
+        }else{
+            require(_choice <= CHOICE_ABSTAIN, "Invalid choice");
+        }
+    }
+
+    /// @dev Brings the ballots of everyone whose vote on this proposal is delegated to `_delegate` in line with its
+    /// vote: `_choice` is cast for those who have not voted, ballots the delegate cast are changed to `_choice` or,
+    /// with `_retract`, withdrawn. Global delegators with a different per-proposal delegate are skipped.
+    function _updateDelegatedVotes(
+        uint256 _proposalId,
+        Proposal storage _proposal,
+        address _delegate,
+        uint8 _choice,
+        bool _retract
+    ) internal{
+        address[] storage global = delegators[_delegate];
+        for(uint256 i = 0; i < global.length; i++){
+            if(proposalDelegates[_proposalId][global[i]] == address(0)){
+                _updateDelegatedVote(_proposalId, _proposal, _delegate, global[i], _choice, _retract);
+            }
+        }
+        address[] storage local = proposalDelegators[_proposalId][_delegate];
+        for(uint256 i = 0; i < local.length; i++){
+            _updateDelegatedVote(_proposalId, _proposal, _delegate, local[i], _choice, _retract);
+        }
+    }
+
+    /// @dev One delegator's ballot. Delegators that voted themselves (or through an earlier delegate) and those
+    /// without voting power are left alone.
+    function _updateDelegatedVote(
+        uint256 _proposalId,
+        Proposal storage _proposal,
+        address _delegate,
+        address _delegator,
+        uint8 _choice,
+        bool _retract
+    ) internal{
+        if(hasVoted[_proposalId][_delegator]){
+            if(receipts[_proposalId][_delegator].castBy != _delegate){
+                return;
+            }
+            if(_retract){
+                _retractBallot(_proposalId, _proposal, _delegator);
+            }else if(receipts[_proposalId][_delegator].choice != _choice){
+                _changeBallot(_proposalId, _proposal, _delegator, _choice);
+            }
+            return;
+        }
+        if(_retract){
+            return;
+        }
+        uint256 weight = _votingPower(_proposal, _delegator);
+        if(weight == 0){
+            return;
+        }
+        _recordBallot(_proposalId, _proposal, _delegator, _choice, weight, _delegate);
+        emit DelegatedVoteCast(_proposalId, _delegate, _delegator, _choice, weight);
+    }
 
-        // Tally the vote
-        if(_vote){
-            proposal.yesVotes += 1; // Count a yes
+    /// @dev Tallies a ballot and records it in `hasVoted` and `receipts`; `_choice` must already be valid
+    function _recordBallot(
+        uint256 _proposalId,
+        Proposal storage _proposal,
+        address _voter,
+        uint8 _choice,
+        uint256 _weight,
+        address _castBy
+    ) internal{
+        if(_proposal.kind == ProposalKind.MultipleChoice){
+            _proposal.optionVotes[_choice] += _weight; // Count for the option
+        }else if(_choice == CHOICE_YES){
+            _proposal.yesVotes += _weight; // Count a yes
+        }else if(_choice == CHOICE_NO){
+            _proposal.noVotes += _weight; // Count a no
         }else{
-            proposal.noVotes += 1; // Count a no
+            _proposal.abstainVotes += _weight; // Count an abstention
         }
+        hasVoted[_proposalId][_voter] = true;
+        receipts[_proposalId][_voter] = Receipt(_choice, _weight, _castBy);
+    }
+
+    /// @dev Moves `_voter`'s recorded ballot to `_choice`, keeping its weight and who cast it
+    function _changeBallot(uint256 _proposalId, Proposal storage _proposal, address _voter, uint8 _choice) internal{
+        Receipt memory receipt = receipts[_proposalId][_voter];
+        _uncount(_proposal, receipt.choice, receipt.weight);
+        _recordBallot(_proposalId, _proposal, _voter, _choice, receipt.weight, receipt.castBy);
+        emit VoteChanged(_proposalId, _voter, receipt.choice, _choice, receipt.weight);
+    }
+
+    /// @dev Takes `_voter`'s recorded ballot out of the tally and clears it, so the voter can vote again
+    function _retractBallot(uint256 _proposalId, Proposal storage _proposal, address _voter) internal{
+        Receipt memory receipt = receipts[_proposalId][_voter];
+        _uncount(_proposal, receipt.choice, receipt.weight);
+        hasVoted[_proposalId][_voter] = false;
+        delete receipts[_proposalId][_voter];
+        emit VoteRetracted(_proposalId, _voter, receipt.choice, receipt.weight);
+    }
+
+    /// @dev Removes a recorded ballot's weight from the tally
+    function _uncount(Proposal storage _proposal, uint8 _choice, uint256 _weight) internal{
+        if(_proposal.kind == ProposalKind.MultipleChoice){
+            _proposal.optionVotes[_choice] -= _weight;
+        }else if(_choice == CHOICE_YES){
+            _proposal.yesVotes -= _weight;
+        }else if(_choice == CHOICE_NO){
+            _proposal.noVotes -= _weight;
+        }else{
+            _proposal.abstainVotes -= _weight;
+        }
+    }
+
+    /// @dev Weight of `_account`'s vote on `_proposal` according to its `weighting`
+    function _votingPower(Proposal storage _proposal, address _account) internal view returns(uint256){
+        if(_proposal.weighting == Weighting.OnePerAddress){
+            return 1;
+        }
+        uint256 units = IVotesToken(_proposal.token).getPastVotes(_account, _proposal.snapshotBlock);
+        if(_proposal.weighting == Weighting.NftHolder){
+            return units > 0 ? 1 : 0;
+        }
+        return units;
+    }
+
+    /// @notice How much a vote by `_account` would count on a proposal
+    /// @dev Based on holdings at the proposal's snapshot; does not check whether `_account` already voted
+    /// @param _proposalId The id of the proposal
+    /// @param _account The prospective voter
+    /// @return The vote weight; 0 means the account cannot vote on this proposal
+    function getVotingPower(uint256 _proposalId, address _account) public view returns(uint256){
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        return _votingPower(proposals[_proposalId], _account);
+    }
+
+    /// @notice Withdraw an open proposal, e.g. one with a mistake or a harmful description
+    /// @dev Only its proposer or the owner, and only before the deadline, so nobody can undo a vote that already
+    /// ended. A cancelled proposal is closed, never approved and has no winner.
+    /// @param _proposalId The id of the proposal to cancel
+    function cancelProposal(uint256 _proposalId) public{
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        Proposal storage proposal = proposals[_proposalId];
+        require(proposal.active, "Proposal is not active");
+        require(msg.sender == owner || msg.sender == proposal.proposer, "Not proposer or owner");
+        require(block.timestamp < proposal.endTime, "Proposal has ended");
+
+        proposal.active = false;
+        proposal.cancelled = true;
+        emit ProposalCancelled(_proposalId, msg.sender);
+    }
+
+    /// @notice Stop proposal creation and voting (including signed ballots and vote changes)
+    function pause() public onlyOwner{
+        require(!paused, "Paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
 
-        // Mark the sender as having voted for this proposal id
-        hasVoted[_proposalId][msg.sender] = true;
-        emit VoteCast(_proposalId, msg.sender);
+    /// @notice Allow proposal creation and voting again
+    function unpause() public onlyOwner{
+        require(paused, "Not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
     }
 
     /// @notice Close a proposal after its voting deadline and finalize approval state
-    /// @dev Anyone can call this after the deadline; sets `approved` if yesVotes > noVotes
+    /// @dev Anyone can call this after the deadline. A yes/no proposal is approved if the quorum is met (abstentions
+    /// included) and the yes share of yes + no votes exceeds its threshold. A multiple-choice proposal is approved,
+    /// with `winningOption` set, if the quorum is met and a single option has the most votes.
     /// @param _proposalId The id of the proposal to close
     function closeProposal(uint256 _proposalId) public{
         require(_proposalId < proposals.length, "Proposal does not exist");
         Proposal storage proposal = proposals[_proposalId]; // Operate on storage
         require(proposal.active, "Proposal is not active"); // Only close once
         require(block.timestamp > proposal.endTime, "Proposal has not ended"); // Must be past deadline
+        _close(_proposalId, proposal);
+    }
 
-        // Mark proposal closed and set approved if a simple majority of yes votes
-        proposal.active = false;
-        // Note: ties result in approved=false (no change), as the condition is strict '>'
-        if(proposal.yesVotes > proposal.noVotes){
-            proposal.approved = true;
+    /// @notice Close every proposal in `_proposalIds` that can be closed, in one transaction
+    /// @dev Ids that do not exist, are already closed or cancelled, or have not passed their deadline are skipped
+    /// instead of reverting, so a batch still goes through when another caller closed one of them first
+    /// @param _proposalIds The ids to close; duplicates are skipped after the first
+    /// @return closed How many proposals this call closed
+    function closeProposals(uint256[] calldata _proposalIds) public returns(uint256 closed){
+        for(uint256 i = 0; i < _proposalIds.length; i++){
+            uint256 id = _proposalIds[i];
+            if(id >= proposals.length){
+                continue;
+            }
+            Proposal storage proposal = proposals[id];
+            if(!proposal.active || block.timestamp <= proposal.endTime){
+                continue;
+            }
+            _close(id, proposal);
+            closed++;
+        }
+    }
+
+    /// @dev Marks an open, expired proposal closed and sets its outcome (see `closeProposal`)
+    function _close(uint256 _proposalId, Proposal storage _proposal) internal{
+        // Mark proposal closed and set approved if quorum and threshold are met
+        _proposal.active = false;
+        if(_proposal.kind == ProposalKind.MultipleChoice){
+            (uint8 leader, uint256 total) = _leadingOption(_proposal);
+            if(leader != NO_WINNER && total >= _proposal.quorum){
+                _proposal.approved = true;
+                _proposal.winningOption = leader;
+            }
+        }else{
+            // Note: the threshold comparison is strict, so with 5000 bps a tie is not approved
+            uint256 decisive = _proposal.yesVotes + _proposal.noVotes;
+            if(decisive + _proposal.abstainVotes >= _proposal.quorum && _proposal.yesVotes * BPS > _proposal.thresholdBps * decisive){
+                _proposal.approved = true;
+            }
+        }
+        emit ProposalClosed(_proposalId, _proposal.approved, _proposal.winningOption);
+    }
+
+    /// @dev The option with the most votes (`NO_WINNER` on a tie for first or with no votes) and the total cast
+    function _leadingOption(Proposal storage _proposal) internal view returns(uint8 leader, uint256 total){
+        leader = NO_WINNER;
+        uint256 most = 0;
+        for(uint256 i = 0; i < _proposal.optionVotes.length; i++){
+            uint256 votes = _proposal.optionVotes[i];
+            total += votes;
+            if(votes > most){
+                most = votes;
+                leader = uint8(i);
+            }else if(votes == most){
+                leader = NO_WINNER;
+            }
         }
-        emit ProposalClosed(_proposalId, proposal.approved);
     }
 
     /// @notice Get full details of a single proposal by id
@@ -183,24 +1069,42 @@ contract VotingContract {
     /// @return active Whether the proposal is still open for voting
     /// @return endTime UNIX timestamp when voting ends
     /// @return approved Whether the proposal passed (computed when closed)
+    /// @return proposer Address that created the proposal
+    /// @return quorum Minimum number of votes cast for the proposal to pass
+    /// @return thresholdBps Share of yes votes (basis points of yes + no) that must be exceeded to pass
     function getProposals(uint256 _proposalId) public view returns( 
         string memory description, // Proposal description
         uint256 yesVotes,          // Count of yes votes
         uint256 noVotes,           // Count of no votes
         bool active,               // Is voting active
         uint256 endTime,           // Voting deadline
-        bool approved){             
+        bool approved,             // Outcome once closed
+        address proposer,          // Who created the proposal
+        uint256 quorum,            // Minimum total votes
+        uint256 thresholdBps){     // Yes share to exceed
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        // Read straight from storage; a memory copy of the whole struct would not fit on the stack
+        Proposal storage proposal = proposals[_proposalId];
+        description = proposal.description;
+        yesVotes = proposal.yesVotes;
+        noVotes = proposal.noVotes;
+        active = proposal.active;
+        endTime = proposal.endTime;
+        approved = proposal.approved;
+        proposer = proposal.proposer;
+        quorum = proposal.quorum;
+        thresholdBps = proposal.thresholdBps;
+    }
+
+    /// @notice Get the options of a proposal and the votes for each
+    /// @dev Both arrays are empty for yes/no proposals; abstentions and the kind are in `getProposalsRange`
+    /// @param _proposalId The id of the proposal
+    /// @return labels Option labels, in option index order
+    /// @return votes Votes per option, same order as `labels`
+    function getOptions(uint256 _proposalId) public view returns(string[] memory labels, uint256[] memory votes){
         require(_proposalId < proposals.length, "Proposal does not exist");
-        // Copy from storage to memory for cheaper repeated reads of the same fields
-        Proposal memory proposal = proposals[_proposalId];
-        return (
-            description = proposal.description,
-            yesVotes = proposal.yesVotes,
-            noVotes = proposal.noVotes,
-            active = proposal.active,
-            endTime = proposal.endTime,
-            approved = proposal.approved
-            );
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.options, proposal.optionVotes);
     }
 
     /// @notice Get the total number of proposals created
@@ -210,4 +1114,26 @@ contract VotingContract {
         return proposals.length;
     }
 
+    /// @notice Get a contiguous page of proposals in a single call
+    /// @dev Ids run from `_start` (inclusive) to `_end` (exclusive); `_end` is clamped to the proposal count,
+    /// so a range past the last proposal returns a shorter (possibly empty) page. Element `i` has id `_start + i`.
+    /// @param _start First proposal id to return
+    /// @param _end Proposal id to stop before
+    /// @return page The proposals in the range, in id order
+    function getProposalsRange(uint256 _start, uint256 _end) public view returns(Proposal[] memory page){
+        require(_start <= _end, "Invalid range");
+        if(_end > proposals.length){
+            _end = proposals.length;
+        }
+        if(_start >= _end){
+            return new Proposal[](0);
+        }
+
+        page = new Proposal[](_end - _start);
+        for(uint256 i = _start; i < _end; i++){
+            page[i - _start] = proposals[i];
+        }
+        return page;
+    }
+
 }
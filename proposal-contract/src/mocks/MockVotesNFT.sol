@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.13;
+
+import {VotesCheckpoints} from "./VotesCheckpoints.sol";
+
+/// @title Mock ERC-721 membership NFT
+/// @notice ERC-721 with ownership checkpoints, for trying NFT-gated proposals on a local chain
+/// @dev Anyone can mint. Each token is one voting unit; there is no delegation and no `safeTransferFrom`.
+/// Not for production use.
+contract MockVotesNFT is VotesCheckpoints {
+
+    string public name;
+    string public symbol;
+    uint256 public totalSupply;
+
+    mapping(uint256 => address) public ownerOf;
+    mapping(address => uint256) public balanceOf;
+    mapping(uint256 => address) public getApproved;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    /// @param _name Collection name
+    /// @param _symbol Collection symbol
+    constructor(string memory _name, string memory _symbol){
+        name = _name;
+        symbol = _symbol;
+    }
+
+    /// @notice Mint the next token id to `_to`; open to anyone
+    /// @param _to Recipient
+    /// @return tokenId The minted token id (ids start at 0)
+    function mint(address _to) public returns(uint256 tokenId){
+        require(_to != address(0), "Invalid recipient");
+        tokenId = totalSupply++;
+        ownerOf[tokenId] = _to;
+        balanceOf[_to] += 1;
+        _moveVotes(address(0), _to, 1);
+        emit Transfer(address(0), _to, tokenId);
+    }
+
+    function approve(address _spender, uint256 _tokenId) public{
+        address owner = ownerOf[_tokenId];
+        require(msg.sender == owner || isApprovedForAll[owner][msg.sender], "Not authorized");
+        getApproved[_tokenId] = _spender;
+        emit Approval(owner, _spender, _tokenId);
+    }
+
+    function setApprovalForAll(address _operator, bool _approved) public{
+        isApprovedForAll[msg.sender][_operator] = _approved;
+        emit ApprovalForAll(msg.sender, _operator, _approved);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _tokenId) public{
+        require(ownerOf[_tokenId] == _from && _from != address(0), "Not the owner");
+        require(_to != address(0), "Invalid recipient");
+        require(
+            msg.sender == _from || getApproved[_tokenId] == msg.sender || isApprovedForAll[_from][msg.sender],
+            "Not authorized"
+        );
+        delete getApproved[_tokenId];
+        ownerOf[_tokenId] = _to;
+        balanceOf[_from] -= 1;
+        balanceOf[_to] += 1;
+        _moveVotes(_from, _to, 1);
+        emit Transfer(_from, _to, _tokenId);
+    }
+}
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.13;
+
+import {VotesCheckpoints} from "./VotesCheckpoints.sol";
+
+/// @title Mock ERC-20 voting token
+/// @notice ERC-20 with balance checkpoints, for trying token-weighted proposals on a local chain
+/// @dev Anyone can mint. Voting power equals the balance; there is no delegation. Not for production use.
+contract MockVotesToken is VotesCheckpoints {
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    /// @param _name Token name
+    /// @param _symbol Token symbol
+    constructor(string memory _name, string memory _symbol){
+        name = _name;
+        symbol = _symbol;
+    }
+
+    /// @notice Mint `_amount` tokens to `_to`; open to anyone
+    /// @param _to Recipient
+    /// @param _amount Amount in base units
+    function mint(address _to, uint256 _amount) public{
+        totalSupply += _amount;
+        _update(address(0), _to, _amount);
+    }
+
+    function transfer(address _to, uint256 _amount) public returns(bool){
+        _update(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _amount) public returns(bool){
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) public returns(bool){
+        uint256 allowed = allowance[_from][msg.sender];
+        if(allowed != type(uint256).max){
+            require(allowed >= _amount, "Insufficient allowance");
+            allowance[_from][msg.sender] = allowed - _amount;
+        }
+        _update(_from, _to, _amount);
+        return true;
+    }
+
+    /// @dev Moves balance and voting units together; `address(0)` as `_from` mints
+    function _update(address _from, address _to, uint256 _amount) internal{
+        require(_to != address(0), "Invalid recipient");
+        if(_from != address(0)){
+            require(balanceOf[_from] >= _amount, "Insufficient balance");
+            balanceOf[_from] -= _amount;
+        }
+        balanceOf[_to] += _amount;
+        _moveVotes(_from, _to, _amount);
+        emit Transfer(_from, _to, _amount);
+    }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.13;
+
+/// @title Per-account vote checkpoints for the mock tokens
+/// @notice Records every holder's voting units at each block they change, so balances can be read as of a past block
+/// @dev A small stand-in for OpenZeppelin's `Votes`: holders are counted automatically, without delegation.
+/// Not for production use.
+abstract contract VotesCheckpoints {
+
+    /// @notice Voting units of an account from `fromBlock` on
+    struct Checkpoint{
+        uint256 fromBlock;
+        uint256 votes;
+    }
+
+    /// @dev Checkpoints per account, in increasing `fromBlock` order
+    mapping(address => Checkpoint[]) internal checkpoints;
+
+    /// @notice Current voting units of `_account`
+    /// @param _account The holder to look up
+    /// @return The account's units as of the latest checkpoint
+    function getVotes(address _account) public view returns(uint256){
+        Checkpoint[] storage history = checkpoints[_account];
+        return history.length == 0 ? 0 : history[history.length - 1].votes;
+    }
+
+    /// @notice Voting units of `_account` at the end of block `_blockNumber`
+    /// @dev Same signature as OpenZeppelin's `IVotes.getPastVotes`; only past blocks can be read
+    /// @param _account The holder to look up
+    /// @param _blockNumber A block before the current one
+    /// @return The account's units at that block
+    function getPastVotes(address _account, uint256 _blockNumber) public view returns(uint256){
+        require(_blockNumber < block.number, "Future lookup");
+        Checkpoint[] storage history = checkpoints[_account];
+        // Binary search for the last checkpoint at or before `_blockNumber`
+        uint256 low = 0;
+        uint256 high = history.length;
+        while(low < high){
+            uint256 mid = (low + high) / 2;
+            if(history[mid].fromBlock > _blockNumber){
+                high = mid;
+            }else{
+                low = mid + 1;
+            }
+        }
+        return low == 0 ? 0 : history[low - 1].votes;
+    }
+
+    /// @dev Moves `_amount` units between accounts; `address(0)` stands for minting or burning
+    function _moveVotes(address _from, address _to, uint256 _amount) internal{
+        if(_from == _to || _amount == 0){
+            return;
+        }
+        if(_from != address(0)){
+            _writeCheckpoint(_from, getVotes(_from) - _amount);
+        }
+        if(_to != address(0)){
+            _writeCheckpoint(_to, getVotes(_to) + _amount);
+        }
+    }
+
+    /// @dev Updates the account's checkpoint for the current block, or appends one
+    function _writeCheckpoint(address _account, uint256 _votes) private{
+        Checkpoint[] storage history = checkpoints[_account];
+        if(history.length > 0 && history[history.length - 1].fromBlock == block.number){
+            history[history.length - 1].votes = _votes;
+        }else{
+            history.push(Checkpoint({fromBlock: block.number, votes: _votes}));
+        }
+    }
+}
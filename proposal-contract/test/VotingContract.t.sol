@@ -3,6 +3,8 @@ pragma solidity ^0.8.13;
 
 import "forge-std/Test.sol";
 import {VotingContract} from "src/VotingContract.sol";
+import {MockVotesToken} from "src/mocks/MockVotesToken.sol";
+import {MockVotesNFT} from "src/mocks/MockVotesNFT.sol";
 
 /// @title VotingContract Foundry tests
 /// @notice Covers constructor, modifiers, functions, events, and edge cases
@@ -15,9 +17,34 @@ contract VotingContractTest is Test {
     address internal alice = address(0xA11CE);
     address internal bob = address(0xB0B);
 
-    event ProposalCreated(uint256 proposalId, string description, uint256 endTime);
-    event VoteCast(uint256 proposalId, address voter);
-    event ProposalClosed(uint256 proposalId, bool approved);
+    // Mirrors of the contract's constants; reading them from `voting` inside a prank would consume the prank
+    uint8 internal constant NO = 0;
+    uint8 internal constant YES = 1;
+    uint8 internal constant ABSTAIN = 2;
+    uint8 internal constant NO_WINNER = type(uint8).max;
+
+    event ProposalCreated(
+        uint256 proposalId,
+        address proposer,
+        string description,
+        uint256 endTime,
+        uint256 quorum,
+        uint256 thresholdBps,
+        string[] options
+    );
+    event VoteCast(uint256 proposalId, address voter, uint8 choice, uint256 weight);
+    event ProposalWeighted(uint256 proposalId, VotingContract.Weighting weighting, address token, uint256 snapshotBlock);
+    event ProposalClosed(uint256 proposalId, bool approved, uint8 winningOption);
+    event DelegateChanged(address delegator, address fromDelegate, address toDelegate);
+    event ProposalDelegateChanged(uint256 proposalId, address delegator, address fromDelegate, address toDelegate);
+    event DelegatorBlocked(address delegate, address delegator, bool blocked);
+    event DelegatedVoteCast(uint256 proposalId, address delegate, address delegator, uint8 choice, uint256 weight);
+    event DelegatedVoteOverridden(uint256 proposalId, address delegate, address delegator, uint8 choice, uint256 weight);
+    event VoteChanged(uint256 proposalId, address voter, uint8 fromChoice, uint8 toChoice, uint256 weight);
+    event VoteRetracted(uint256 proposalId, address voter, uint8 choice, uint256 weight);
+    event ProposalCancelled(uint256 proposalId, address cancelledBy);
+    event Paused(address account);
+    event Unpaused(address account);
     event ProposalApproved(address proposer);
     event ProposalRemoved(address proposer);
 
@@ -80,7 +107,7 @@ contract VotingContractTest is Test {
         string memory desc = "Add feature X";
 
         vm.expectEmit(true, true, true, true);
-        emit ProposalCreated(0, desc, tsBefore + duration);
+        emit ProposalCreated(0, owner, desc, tsBefore + duration, 0, 5000, new string[](0));
         uint256 proposalId = voting.createProposal(desc, duration);
 
         assertEq(proposalId, 0);
@@ -91,7 +118,10 @@ contract VotingContractTest is Test {
             uint256 noVotes,
             bool active,
             uint256 endTime,
-            bool approved
+            bool approved,
+            address rProposer,
+            uint256 quorum,
+            uint256 thresholdBps
         ) = voting.getProposals(proposalId);
 
         assertEq(rDesc, desc);
@@ -100,6 +130,9 @@ contract VotingContractTest is Test {
         assertTrue(active);
         assertEq(endTime, tsBefore + duration);
         assertFalse(approved);
+        assertEq(rProposer, owner);
+        assertEq(quorum, 0);
+        assertEq(thresholdBps, voting.SIMPLE_MAJORITY_BPS());
         assertEq(voting.getProposalCount(), 1);
     }
 
@@ -118,10 +151,10 @@ contract VotingContractTest is Test {
         uint256 id = _createBasicProposal();
         vm.prank(alice);
         vm.expectEmit(true, true, true, true);
-        emit VoteCast(id, alice);
+        emit VoteCast(id, alice, YES, 1);
         voting.vote(id, true);
 
-        ( , uint256 y, uint256 n, , , ) = voting.getProposals(id);
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
         assertEq(y, 1);
         assertEq(n, 0);
         assertTrue(voting.hasVoted(id, alice));
@@ -131,10 +164,10 @@ contract VotingContractTest is Test {
         uint256 id = _createBasicProposal();
         vm.prank(bob);
         vm.expectEmit(true, true, true, true);
-        emit VoteCast(id, bob);
+        emit VoteCast(id, bob, NO, 1);
         voting.vote(id, false);
 
-        ( , uint256 y, uint256 n, , , ) = voting.getProposals(id);
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
         assertEq(y, 0);
         assertEq(n, 1);
     }
@@ -157,7 +190,7 @@ contract VotingContractTest is Test {
     function test_revert_vote_afterDeadline() public {
         uint256 id = _createBasicProposal();
         // Move time to end
-        (, , , , uint256 endTime, ) = voting.getProposals(id);
+        (, , , , uint256 endTime, , , , ) = voting.getProposals(id);
         vm.warp(endTime);
         vm.prank(alice);
         vm.expectRevert(bytes("Proposal has ended"));
@@ -167,7 +200,7 @@ contract VotingContractTest is Test {
     function test_revert_vote_whenInactive() public {
         uint256 id = _createBasicProposal();
         // Fast-forward and close first
-        (, , , , uint256 endTime, ) = voting.getProposals(id);
+        (, , , , uint256 endTime, , , , ) = voting.getProposals(id);
         vm.warp(endTime + 1);
         voting.closeProposal(id);
         vm.prank(alice);
@@ -188,14 +221,14 @@ contract VotingContractTest is Test {
         vm.prank(carol);
         voting.vote(id, true);
 
-        (, , , , uint256 endTime, ) = voting.getProposals(id);
+        (, , , , uint256 endTime, , , , ) = voting.getProposals(id);
         vm.warp(endTime + 1);
 
         vm.expectEmit(true, true, true, true);
-        emit ProposalClosed(id, true);
+        emit ProposalClosed(id, true, NO_WINNER);
         voting.closeProposal(id);
 
-        (, , , bool active, , bool approved) = voting.getProposals(id);
+        (, , , bool active, , bool approved, , , ) = voting.getProposals(id);
         assertFalse(active);
         assertTrue(approved);
     }
@@ -207,14 +240,14 @@ contract VotingContractTest is Test {
         vm.prank(bob);
         voting.vote(id, false); // no=1
 
-        (, , , , uint256 endTime, ) = voting.getProposals(id);
+        (, , , , uint256 endTime, , , , ) = voting.getProposals(id);
         vm.warp(endTime + 1);
 
         vm.expectEmit(true, true, true, true);
-        emit ProposalClosed(id, false);
+        emit ProposalClosed(id, false, NO_WINNER);
         voting.closeProposal(id);
 
-        (, , , bool active, , bool approved) = voting.getProposals(id);
+        (, , , bool active, , bool approved, , , ) = voting.getProposals(id);
         assertFalse(active);
         assertFalse(approved);
     }
@@ -232,7 +265,7 @@ contract VotingContractTest is Test {
 
     function test_revert_closeProposal_whenAlreadyClosed() public {
         uint256 id = _createBasicProposal();
-        (, , , , uint256 endTime, ) = voting.getProposals(id);
+        (, , , , uint256 endTime, , , , ) = voting.getProposals(id);
         vm.warp(endTime + 1);
         voting.closeProposal(id);
         vm.expectRevert(bytes("Proposal is not active"));
@@ -249,7 +282,9 @@ contract VotingContractTest is Test {
             uint256 n,
             bool a,
             uint256 e,
-            bool ap
+            bool ap,
+            address p,
+            ,
         ) = voting.getProposals(id);
         assertEq(d, "P");
         assertEq(y, 0);
@@ -257,6 +292,7 @@ contract VotingContractTest is Test {
         assertTrue(a);
         assertGt(e, block.timestamp);
         assertFalse(ap);
+        assertEq(p, owner);
     }
 
     function test_revert_getProposals_outOfRange() public {
@@ -271,6 +307,203 @@ contract VotingContractTest is Test {
         assertEq(voting.getProposalCount(), 2);
     }
 
+    // --- Signed ballots (voteBySig) ---
+
+    uint256 internal constant VOTER_KEY = 0xA11CE5;
+
+    function _signBallot(uint256 key, uint256 id, bool support, address voter, uint256 nonce, uint256 deadline)
+        internal
+        view
+        returns (uint8 v, bytes32 r, bytes32 s)
+    {
+        bytes32 structHash = keccak256(abi.encode(voting.BALLOT_TYPEHASH(), id, support, voter, nonce, deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", voting.DOMAIN_SEPARATOR(), structHash));
+        return vm.sign(key, digest);
+    }
+
+    function test_voteBySig_countsVoteForSigner_andConsumesNonce() public {
+        uint256 id = _createBasicProposal();
+        address voter = vm.addr(VOTER_KEY);
+        uint256 deadline = block.timestamp + 10 minutes;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(VOTER_KEY, id, true, voter, 0, deadline);
+
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, voter, YES, 1);
+        vm.prank(other); // relayer pays the gas
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
+        assertEq(y, 1);
+        assertEq(n, 0);
+        assertTrue(voting.hasVoted(id, voter));
+        assertFalse(voting.hasVoted(id, other));
+        assertEq(voting.nonces(voter), 1);
+    }
+
+    function test_revert_voteBySig_replay() public {
+        uint256 id = _createBasicProposal();
+        uint256 id2 = voting.createProposal("Q", 1 hours);
+        address voter = vm.addr(VOTER_KEY);
+        uint256 deadline = block.timestamp + 10 minutes;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(VOTER_KEY, id, true, voter, 0, deadline);
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+
+        // Same signature again: the nonce moved on, so it no longer recovers to the voter
+        vm.expectRevert(bytes("Invalid signature"));
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+
+        // A fresh ballot for another proposal signed with the next nonce works
+        (v, r, s) = _signBallot(VOTER_KEY, id2, false, voter, 1, deadline);
+        voting.voteBySig(id2, false, voter, deadline, v, r, s);
+        assertTrue(voting.hasVoted(id2, voter));
+    }
+
+    function test_revert_voteBySig_expired() public {
+        uint256 id = _createBasicProposal();
+        address voter = vm.addr(VOTER_KEY);
+        uint256 deadline = block.timestamp + 1 minutes;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(VOTER_KEY, id, true, voter, 0, deadline);
+        vm.warp(deadline + 1);
+        vm.expectRevert(bytes("Signature expired"));
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+    }
+
+    function test_revert_voteBySig_tamperedOrWrongSigner() public {
+        uint256 id = _createBasicProposal();
+        address voter = vm.addr(VOTER_KEY);
+        uint256 deadline = block.timestamp + 10 minutes;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(VOTER_KEY, id, true, voter, 0, deadline);
+
+        // Flipped choice
+        vm.expectRevert(bytes("Invalid signature"));
+        voting.voteBySig(id, false, voter, deadline, v, r, s);
+
+        // Claimed voter differs from the signer
+        vm.expectRevert(bytes("Invalid signature"));
+        voting.voteBySig(id, true, alice, deadline, v, r, s);
+    }
+
+    function test_revert_voteBySig_afterDirectVote() public {
+        uint256 id = _createBasicProposal();
+        address voter = vm.addr(VOTER_KEY);
+        vm.prank(voter);
+        voting.vote(id, false);
+
+        uint256 deadline = block.timestamp + 10 minutes;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(VOTER_KEY, id, true, voter, 0, deadline);
+        vm.expectRevert(bytes("Already voted"));
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+    }
+
+    // --- Ranged view ---
+
+    function test_getProposalsRange_returnsPageInIdOrder() public {
+        voting.createProposal("a", 10);
+        voting.createProposal("b", 20);
+        voting.createProposal("c", 30);
+        vm.prank(alice);
+        voting.vote(1, true);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(1, 3);
+        assertEq(page.length, 2);
+        assertEq(page[0].description, "b");
+        assertEq(page[0].yesVotes, 1);
+        assertEq(page[1].description, "c");
+        assertEq(page[1].endTime, block.timestamp + 30);
+        assertTrue(page[1].active);
+        assertEq(page[1].proposer, owner);
+    }
+
+    function test_getProposalsRange_clampsEndToCount() public {
+        voting.createProposal("a", 10);
+        voting.createProposal("b", 20);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(0, 100);
+        assertEq(page.length, 2);
+        assertEq(page[1].description, "b");
+
+        assertEq(voting.getProposalsRange(2, 10).length, 0);
+        assertEq(voting.getProposalsRange(5, 10).length, 0);
+        assertEq(voting.getProposalsRange(1, 1).length, 0);
+    }
+
+    function test_revert_getProposalsRange_startAfterEnd() public {
+        vm.expectRevert(bytes("Invalid range"));
+        voting.getProposalsRange(2, 1);
+    }
+
+    // --- Enumerable allowlist ---
+
+    function test_getApprovedProposers_startsWithOwner() public {
+        address[] memory list = voting.getApprovedProposers();
+        assertEq(list.length, 1);
+        assertEq(list[0], owner);
+    }
+
+    function test_getApprovedProposers_tracksApproveAndRemove() public {
+        voting.approveProposal(proposer);
+        voting.approveProposal(alice);
+        voting.approveProposal(proposer); // idempotent, no duplicate entry
+
+        address[] memory list = voting.getApprovedProposers();
+        assertEq(list.length, 3);
+
+        voting.removeProposal(owner); // swaps the last entry into slot 0
+        list = voting.getApprovedProposers();
+        assertEq(list.length, 2);
+        assertEq(list[0], alice);
+        assertEq(list[1], proposer);
+        assertFalse(voting.isApprovedProposer(owner));
+
+        voting.removeProposal(owner); // idempotent
+        assertEq(voting.getApprovedProposers().length, 2);
+
+        voting.approveProposal(owner);
+        list = voting.getApprovedProposers();
+        assertEq(list.length, 3);
+        assertEq(list[2], owner);
+        assertTrue(voting.isApprovedProposer(owner));
+    }
+
+    function test_approveProposals_bulk_emitsPerAddress() public {
+        address[] memory batch = new address[](2);
+        batch[0] = alice;
+        batch[1] = bob;
+
+        vm.expectEmit(true, true, true, true);
+        emit ProposalApproved(alice);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalApproved(bob);
+        voting.approveProposals(batch);
+
+        assertTrue(voting.isApprovedProposer(alice));
+        assertTrue(voting.isApprovedProposer(bob));
+        assertEq(voting.getApprovedProposers().length, 3);
+
+        vm.expectEmit(true, true, true, true);
+        emit ProposalRemoved(alice);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalRemoved(bob);
+        voting.removeProposals(batch);
+
+        assertFalse(voting.isApprovedProposer(alice));
+        assertFalse(voting.isApprovedProposer(bob));
+        assertEq(voting.getApprovedProposers().length, 1);
+    }
+
+    function test_revert_nonOwner_cannotBulkApproveOrRemove() public {
+        address[] memory batch = new address[](1);
+        batch[0] = alice;
+
+        vm.prank(other);
+        vm.expectRevert(bytes("Not authorized"));
+        voting.approveProposals(batch);
+
+        vm.prank(other);
+        vm.expectRevert(bytes("Not authorized"));
+        voting.removeProposals(batch);
+    }
+
     // --- Allowlist flow ---
     function test_approvedProposer_canCreate_afterOwnerApproval() public {
         vm.prank(other);
@@ -279,7 +512,1295 @@ contract VotingContractTest is Test {
 
         voting.approveProposal(other);
         vm.prank(other);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalCreated(0, other, "ok", block.timestamp + 10, 0, 5000, new string[](0));
         uint256 id = voting.createProposal("ok", 10);
         assertEq(id, voting.getProposalCount() - 1);
+        ( , , , , , , address p, , ) = voting.getProposals(id);
+        assertEq(p, other);
+    }
+
+    // --- Quorum and approval thresholds ---
+
+    /// @dev Creates a proposal with the given rules, casts `yes` yes and `no` no votes, then closes it
+    function _closeWithVotes(uint256 quorum, uint256 thresholdBps, uint256 yes, uint256 no) internal returns (bool approved) {
+        uint256 id = voting.createProposal("Q", 1 hours, quorum, thresholdBps);
+        for (uint256 i = 0; i < yes + no; i++) {
+            vm.prank(address(uint160(0x1000 + i)));
+            voting.vote(id, i < yes);
+        }
+        vm.warp(block.timestamp + 1 hours + 1);
+        voting.closeProposal(id);
+        (, , , , , approved, , , ) = voting.getProposals(id);
+    }
+
+    function test_createProposal_withRules_storesAndEmits() public {
+        vm.expectEmit(true, true, true, true);
+        emit ProposalCreated(0, owner, "Q", block.timestamp + 1 hours, 3, 6666, new string[](0));
+        uint256 id = voting.createProposal("Q", 1 hours, 3, 6666);
+
+        (, , , , , , , uint256 quorum, uint256 thresholdBps) = voting.getProposals(id);
+        assertEq(quorum, 3);
+        assertEq(thresholdBps, 6666);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(0, 1);
+        assertEq(page[0].quorum, 3);
+        assertEq(page[0].thresholdBps, 6666);
+    }
+
+    function test_revert_createProposal_invalidThreshold() public {
+        vm.expectRevert(bytes("Invalid threshold"));
+        voting.createProposal("low", 1 hours, 0, 4999);
+        vm.expectRevert(bytes("Invalid threshold"));
+        voting.createProposal("unreachable", 1 hours, 0, 10000);
+    }
+
+    function test_revert_createProposal_withRules_nonApprovedProposer() public {
+        vm.prank(other);
+        vm.expectRevert(bytes("Not an approved proposer"));
+        voting.createProposal("x", 1 hours, 0, 5000);
+    }
+
+    function test_closeProposal_quorumNotMet_isNotApproved() public {
+        // Unanimous yes, but one vote short of quorum
+        assertFalse(_closeWithVotes(3, 5000, 2, 0));
+    }
+
+    function test_closeProposal_quorumMetExactly_isApproved() public {
+        assertTrue(_closeWithVotes(3, 5000, 2, 1));
+    }
+
+    function test_closeProposal_sixtyPercent_requiresMoreThanSixty() public {
+        assertFalse(_closeWithVotes(0, 6000, 3, 2)); // exactly 60%
+        assertTrue(_closeWithVotes(0, 6000, 2, 1)); // 66.7%
+    }
+
+    function test_closeProposal_twoThirds_passesAtTwoThirds() public {
+        assertTrue(_closeWithVotes(0, 6666, 2, 1)); // exactly two-thirds
+        assertFalse(_closeWithVotes(0, 6666, 3, 2)); // 60%
+    }
+
+    function test_closeProposal_noVotes_isNotApproved() public {
+        assertFalse(_closeWithVotes(0, 5000, 0, 0));
+    }
+
+    // --- Abstain and multiple choice ---
+
+    function _options(string memory a, string memory b, string memory c) internal pure returns (string[] memory options) {
+        options = new string[](3);
+        options[0] = a;
+        options[1] = b;
+        options[2] = c;
+    }
+
+    function _createPoll(uint256 quorum) internal returns (uint256) {
+        return voting.createMultipleChoiceProposal("Poll", 1 hours, _options("Red", "Green", "Blue"), quorum);
+    }
+
+    /// @dev Casts `choice` from a fresh address per vote
+    function _castMany(uint256 id, uint8 choice, uint256 count, uint256 salt) internal {
+        for (uint256 i = 0; i < count; i++) {
+            vm.prank(address(uint160(0x2000 + salt * 100 + i)));
+            voting.vote(id, choice);
+        }
+    }
+
+    function _closeAfterDeadline(uint256 id) internal {
+        vm.warp(block.timestamp + 1 hours + 1);
+        voting.closeProposal(id);
+    }
+
+    function test_vote_abstain_countsSeparately_andEmits() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, alice, ABSTAIN, 1);
+        voting.vote(id, ABSTAIN);
+
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
+        assertEq(y + n, 0);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(page[0].abstainVotes, 1);
+        assertTrue(voting.hasVoted(id, alice));
+    }
+
+    function test_vote_choiceOverload_yesAndNo() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, YES);
+        vm.prank(bob);
+        voting.vote(id, NO);
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
+        assertEq(y, 1);
+        assertEq(n, 1);
+    }
+
+    function test_revert_vote_invalidBinaryChoice() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid choice"));
+        voting.vote(id, uint8(3));
+    }
+
+    function test_closeProposal_abstainCountsTowardQuorumNotThreshold() public {
+        uint256 id = voting.createProposal("Q", 1 hours, 3, 5000);
+        _castMany(id, YES, 1, 0);
+        _castMany(id, ABSTAIN, 2, 1);
+        _closeAfterDeadline(id);
+        ( , , , , , bool approved, , , ) = voting.getProposals(id);
+        assertTrue(approved); // 3 votes meet quorum; 1 yes of 1 decisive vote
+    }
+
+    function test_closeProposal_onlyAbstentions_isNotApproved() public {
+        uint256 id = _createBasicProposal();
+        _castMany(id, ABSTAIN, 3, 0);
+        _closeAfterDeadline(id);
+        ( , , , , , bool approved, , , ) = voting.getProposals(id);
+        assertFalse(approved);
+    }
+
+    function test_createMultipleChoiceProposal_storesOptions_andEmits() public {
+        string[] memory options = _options("Red", "Green", "Blue");
+        vm.expectEmit(true, true, true, true);
+        emit ProposalCreated(0, owner, "Poll", block.timestamp + 1 hours, 2, 0, options);
+        uint256 id = voting.createMultipleChoiceProposal("Poll", 1 hours, options, 2);
+
+        (string[] memory labels, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(labels.length, 3);
+        assertEq(labels[1], "Green");
+        assertEq(votes.length, 3);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(uint8(page[0].kind), uint8(VotingContract.ProposalKind.MultipleChoice));
+        assertEq(page[0].options[2], "Blue");
+        assertEq(page[0].quorum, 2);
+        assertEq(page[0].winningOption, NO_WINNER);
+    }
+
+    function test_getOptions_emptyForYesNo() public {
+        uint256 id = _createBasicProposal();
+        (string[] memory labels, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(labels.length, 0);
+        assertEq(votes.length, 0);
+    }
+
+    function test_revert_createMultipleChoiceProposal_invalidOptions() public {
+        string[] memory one = new string[](1);
+        one[0] = "Only";
+        vm.expectRevert(bytes("Invalid options"));
+        voting.createMultipleChoiceProposal("x", 1 hours, one, 0);
+
+        string[] memory tooMany = new string[](11);
+        for (uint256 i = 0; i < tooMany.length; i++) tooMany[i] = "o";
+        vm.expectRevert(bytes("Invalid options"));
+        voting.createMultipleChoiceProposal("x", 1 hours, tooMany, 0);
+
+        vm.expectRevert(bytes("Invalid options"));
+        voting.createMultipleChoiceProposal("x", 1 hours, _options("a", "", "c"), 0);
+    }
+
+    function test_revert_createMultipleChoiceProposal_nonApprovedProposer() public {
+        vm.prank(other);
+        vm.expectRevert(bytes("Not an approved proposer"));
+        voting.createMultipleChoiceProposal("x", 1 hours, _options("a", "b", "c"), 0);
+    }
+
+    function test_vote_option_tallies_andEmits() public {
+        uint256 id = _createPoll(0);
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, alice, 2, 1);
+        voting.vote(id, uint8(2));
+        _castMany(id, 0, 2, 0);
+
+        (, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(votes[0], 2);
+        assertEq(votes[1], 0);
+        assertEq(votes[2], 1);
+    }
+
+    function test_revert_vote_optionOutOfRange() public {
+        uint256 id = _createPoll(0);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid choice"));
+        voting.vote(id, uint8(3));
+    }
+
+    function test_revert_vote_yesNoOnMultipleChoice() public {
+        uint256 id = _createPoll(0);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not a yes/no proposal"));
+        voting.vote(id, true);
+    }
+
+    function test_revert_vote_option_twice() public {
+        uint256 id = _createPoll(0);
+        vm.startPrank(alice);
+        voting.vote(id, uint8(0));
+        vm.expectRevert(bytes("Already voted"));
+        voting.vote(id, uint8(1));
+        vm.stopPrank();
+    }
+
+    function test_closeProposal_multipleChoice_pluralityWins() public {
+        uint256 id = _createPoll(0);
+        _castMany(id, 0, 2, 0);
+        _castMany(id, 1, 3, 1);
+        _castMany(id, 2, 1, 2);
+
+        vm.warp(block.timestamp + 1 hours + 1);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalClosed(id, true, 1);
+        voting.closeProposal(id);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertTrue(page[0].approved);
+        assertEq(page[0].winningOption, 1);
+    }
+
+    function test_closeProposal_multipleChoice_tieHasNoWinner() public {
+        uint256 id = _createPoll(0);
+        _castMany(id, 0, 2, 0);
+        _castMany(id, 2, 2, 1);
+        _castMany(id, 1, 1, 2);
+
+        vm.warp(block.timestamp + 1 hours + 1);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalClosed(id, false, NO_WINNER);
+        voting.closeProposal(id);
+    }
+
+    function test_closeProposal_multipleChoice_laterLeaderBreaksEarlierTie() public {
+        uint256 id = _createPoll(0);
+        _castMany(id, 0, 2, 0);
+        _castMany(id, 1, 2, 1);
+        _castMany(id, 2, 3, 2);
+        _closeAfterDeadline(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(page[0].winningOption, 2);
+    }
+
+    function test_closeProposal_multipleChoice_quorumNotMet() public {
+        uint256 id = _createPoll(4);
+        _castMany(id, 0, 3, 0);
+        _closeAfterDeadline(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertFalse(page[0].approved);
+        assertEq(page[0].winningOption, NO_WINNER);
+    }
+
+    function test_closeProposal_multipleChoice_noVotes() public {
+        uint256 id = _createPoll(0);
+        _closeAfterDeadline(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertFalse(page[0].approved);
+        assertEq(page[0].winningOption, NO_WINNER);
+    }
+
+    // --- Token-weighted and NFT-gated voting ---
+
+    function _weightedProposal(address token, VotingContract.Weighting weighting) internal returns (uint256) {
+        return voting.createProposal("W", 1 hours, 0, 5000, weighting, token);
+    }
+
+    function test_createProposal_weighted_snapshotsPreviousBlock_andEmits() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        vm.roll(10);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalWeighted(0, VotingContract.Weighting.TokenBalance, address(token), 9);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(uint8(page[0].weighting), uint8(VotingContract.Weighting.TokenBalance));
+        assertEq(page[0].token, address(token));
+        assertEq(page[0].snapshotBlock, 9);
+    }
+
+    function test_revert_createProposal_weighted_tokenWithoutCode() public {
+        vm.expectRevert(bytes("Invalid token"));
+        _weightedProposal(address(0), VotingContract.Weighting.TokenBalance);
+        vm.expectRevert(bytes("Invalid token"));
+        _weightedProposal(alice, VotingContract.Weighting.NftHolder);
+    }
+
+    function test_createProposal_onePerAddress_ignoresToken() public {
+        uint256 id = _weightedProposal(address(0), VotingContract.Weighting.OnePerAddress);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(page[0].token, address(0));
+        assertEq(voting.getVotingPower(id, alice), 1);
+    }
+
+    function test_vote_tokenWeighted_countsSnapshotBalance() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 30 ether);
+        token.mint(bob, 20 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+
+        assertEq(voting.getVotingPower(id, alice), 30 ether);
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, alice, YES, 30 ether);
+        voting.vote(id, true);
+        vm.prank(bob);
+        voting.vote(id, false);
+
+        ( , uint256 y, uint256 n, , , , , , ) = voting.getProposals(id);
+        assertEq(y, 30 ether);
+        assertEq(n, 20 ether);
+    }
+
+    function test_vote_tokenWeighted_transfersAfterCreationDoNotCount() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 10 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+
+        // Alice votes, then passes her tokens on; the new holder and a fresh mint get no weight
+        vm.prank(alice);
+        voting.vote(id, true);
+        vm.prank(alice);
+        token.transfer(bob, 10 ether);
+        token.mint(other, 100 ether);
+        vm.roll(block.number + 1);
+
+        assertEq(voting.getVotingPower(id, bob), 0);
+        vm.prank(bob);
+        vm.expectRevert(bytes("No voting power"));
+        voting.vote(id, false);
+        vm.prank(other);
+        vm.expectRevert(bytes("No voting power"));
+        voting.vote(id, false);
+    }
+
+    function test_vote_tokenWeighted_sameBlockBalanceIsNotSnapshotted() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 5 ether); // Same block as creation, after the snapshot block
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+        assertEq(voting.getVotingPower(id, alice), 0);
+    }
+
+    function test_closeProposal_tokenWeighted_quorumAndThresholdInUnits() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 60);
+        token.mint(bob, 40);
+        vm.roll(block.number + 1);
+        uint256 id = voting.createProposal("W", 1 hours, 100, 5000, VotingContract.Weighting.TokenBalance, address(token));
+        vm.prank(alice);
+        voting.vote(id, true);
+        vm.prank(bob);
+        voting.vote(id, false);
+        vm.warp(block.timestamp + 1 hours + 1);
+        voting.closeProposal(id);
+        ( , , , , , bool approved, , , ) = voting.getProposals(id);
+        assertTrue(approved); // 100 units meet quorum; 60% yes
+    }
+
+    function test_vote_nftGated_onePerHolder() public {
+        MockVotesNFT nft = new MockVotesNFT("Members", "MEM");
+        nft.mint(alice);
+        nft.mint(alice);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(nft), VotingContract.Weighting.NftHolder);
+
+        assertEq(voting.getVotingPower(id, alice), 1);
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, alice, YES, 1);
+        voting.vote(id, true);
+
+        vm.prank(bob);
+        vm.expectRevert(bytes("No voting power"));
+        voting.vote(id, true);
+    }
+
+    function test_vote_nftBalanceWeighted_countsTokens() public {
+        MockVotesNFT nft = new MockVotesNFT("Members", "MEM");
+        nft.mint(alice);
+        nft.mint(alice);
+        nft.mint(bob);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(nft), VotingContract.Weighting.TokenBalance);
+        assertEq(voting.getVotingPower(id, alice), 2);
+        assertEq(voting.getVotingPower(id, bob), 1);
+    }
+
+    function test_createMultipleChoiceProposal_weighted_tallies() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 3);
+        token.mint(bob, 5);
+        vm.roll(block.number + 1);
+        uint256 id = voting.createMultipleChoiceProposal(
+            "Poll", 1 hours, _options("Red", "Green", "Blue"), 0, VotingContract.Weighting.TokenBalance, address(token)
+        );
+        vm.prank(alice);
+        voting.vote(id, uint8(0));
+        vm.prank(bob);
+        voting.vote(id, uint8(2));
+        (, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(votes[0], 3);
+        assertEq(votes[2], 5);
+
+        vm.warp(block.timestamp + 1 hours + 1);
+        voting.closeProposal(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(page[0].winningOption, 2);
+    }
+
+    function test_revert_createMultipleChoiceProposal_weighted_nonApprovedProposer() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        vm.prank(other);
+        vm.expectRevert(bytes("Not an approved proposer"));
+        voting.createMultipleChoiceProposal(
+            "Poll", 1 hours, _options("a", "b", "c"), 0, VotingContract.Weighting.TokenBalance, address(token)
+        );
+    }
+
+    function test_revert_getVotingPower_nonexistent() public {
+        vm.expectRevert(bytes("Proposal does not exist"));
+        voting.getVotingPower(0, alice);
+    }
+
+    // --- Delegation ---
+
+    function _delegate(address from, address to) internal {
+        vm.prank(from);
+        voting.delegate(to);
+    }
+
+    function _tally(uint256 id) internal view returns (uint256 yes, uint256 no) {
+        ( , yes, no, , , , , , ) = voting.getProposals(id);
+    }
+
+    function test_delegate_setsDelegate_andEmits() public {
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit DelegateChanged(alice, address(0), bob);
+        voting.delegate(bob);
+
+        assertEq(voting.delegates(alice), bob);
+        address[] memory list = voting.getDelegators(bob);
+        assertEq(list.length, 1);
+        assertEq(list[0], alice);
+    }
+
+    function test_delegate_again_movesBetweenDelegates() public {
+        _delegate(alice, bob);
+        _delegate(other, bob);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit DelegateChanged(alice, bob, other);
+        voting.delegate(other);
+
+        address[] memory bobs = voting.getDelegators(bob);
+        assertEq(bobs.length, 1);
+        assertEq(bobs[0], other);
+        assertEq(voting.getDelegators(other)[0], alice);
+    }
+
+    function test_undelegate_clearsDelegate_andEmits() public {
+        _delegate(alice, bob);
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit DelegateChanged(alice, bob, address(0));
+        voting.undelegate();
+
+        assertEq(voting.delegates(alice), address(0));
+        assertEq(voting.getDelegators(bob).length, 0);
+    }
+
+    function test_revert_delegate_invalidOrNotDelegated() public {
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid delegate"));
+        voting.delegate(alice);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid delegate"));
+        voting.delegate(address(0));
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not delegated"));
+        voting.undelegate();
+
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not delegated"));
+        voting.undelegate(id);
+    }
+
+    function test_vote_delegate_castsForDelegators_andEmits() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        _delegate(other, bob);
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, bob, YES, 1);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, alice, YES, 1);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, other, YES, 1);
+        voting.vote(id, true);
+
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 3);
+        assertTrue(voting.hasVoted(id, alice));
+        (uint8 choice, uint256 weight, address castBy) = voting.receipts(id, alice);
+        assertEq(choice, YES);
+        assertEq(weight, 1);
+        assertEq(castBy, bob);
+    }
+
+    function test_vote_delegateWithoutPower_castsForWeightedDelegators() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 30 ether);
+        token.mint(other, 20 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+        _delegate(alice, bob);
+        _delegate(other, bob);
+        assertEq(voting.getVotingPower(id, bob), 0);
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, bob, YES, 0);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, alice, YES, 30 ether);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, other, YES, 20 ether);
+        voting.vote(id, true);
+
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 50 ether);
+        (, uint256 weight, address castBy) = voting.receipts(id, bob);
+        assertEq(weight, 0);
+        assertEq(castBy, bob);
+
+        // The zero-weight ballot is the delegate's own, so it can still move its delegators' ballots
+        vm.prank(bob);
+        voting.changeVote(id, NO);
+        (uint256 yesAfter, uint256 noAfter) = _tally(id);
+        assertEq(yesAfter, 0);
+        assertEq(noAfter, 50 ether);
+    }
+
+    function test_revert_vote_withoutPowerOrDelegators() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 1 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+        _delegate(alice, bob);
+        vm.prank(alice);
+        voting.undelegate();
+
+        vm.prank(bob);
+        vm.expectRevert(bytes("No voting power"));
+        voting.vote(id, true);
+    }
+
+    function test_vote_delegate_skipsDelegatorsWhoVoted() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        vm.prank(alice);
+        voting.vote(id, false);
+        vm.prank(bob);
+        voting.vote(id, true);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 1);
+        assertEq(no, 1);
+        (uint8 choice, , address castBy) = voting.receipts(id, alice);
+        assertEq(choice, NO);
+        assertEq(castBy, alice);
+    }
+
+    function test_vote_delegator_overridesDelegateBallotOnce() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        vm.prank(bob);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteOverridden(id, bob, alice, YES, 1);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, alice, NO, 1);
+        voting.vote(id, false);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 1);
+        assertEq(no, 1);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Already voted"));
+        voting.vote(id, true);
+    }
+
+    function test_vote_delegatorOverride_isCheckedBeforeTallying() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        vm.prank(bob);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid choice"));
+        voting.vote(id, uint8(7));
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 2);
+    }
+
+    function test_delegate_perProposal_overridesGlobal() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalDelegateChanged(id, alice, address(0), other);
+        voting.delegate(id, other);
+        assertEq(voting.delegateOf(id, alice), other);
+        assertEq(voting.getProposalDelegators(id, other)[0], alice);
+
+        // Bob's global delegation does not reach alice on this proposal; other's per-proposal one does
+        vm.prank(bob);
+        voting.vote(id, true);
+        assertFalse(voting.hasVoted(id, alice));
+        vm.prank(other);
+        voting.vote(id, false);
+        (, , address castBy) = voting.receipts(id, alice);
+        assertEq(castBy, other);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 1);
+        assertEq(no, 2);
+    }
+
+    function test_undelegate_perProposal_fallsBackToGlobal() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        vm.prank(alice);
+        voting.delegate(id, other);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalDelegateChanged(id, alice, other, address(0));
+        voting.undelegate(id);
+        assertEq(voting.delegateOf(id, alice), bob);
+        assertEq(voting.getProposalDelegators(id, other).length, 0);
+
+        vm.prank(bob);
+        voting.vote(id, true);
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 2);
+    }
+
+    function test_revert_delegate_perProposal_onlyWhileOpen() public {
+        vm.prank(alice);
+        vm.expectRevert(bytes("Proposal does not exist"));
+        voting.delegate(0, bob);
+
+        uint256 id = _createBasicProposal();
+        vm.warp(block.timestamp + 1 hours);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Proposal has ended"));
+        voting.delegate(id, bob);
+
+        vm.warp(block.timestamp + 1);
+        voting.closeProposal(id);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.delegate(id, bob);
+    }
+
+    function test_delegation_isNotTransitive() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        _delegate(bob, other);
+
+        vm.prank(other);
+        voting.vote(id, true);
+        assertTrue(voting.hasVoted(id, bob));
+        assertFalse(voting.hasVoted(id, alice));
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 2);
+    }
+
+    function test_vote_delegate_carriesTokenWeight() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 30 ether);
+        token.mint(bob, 20 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+        _delegate(alice, bob);
+        _delegate(other, bob); // holds nothing, so no ballot is cast for it
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit VoteCast(id, bob, YES, 20 ether);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, alice, YES, 30 ether);
+        voting.vote(id, true);
+
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 50 ether);
+        assertFalse(voting.hasVoted(id, other));
+    }
+
+    function test_vote_delegate_multipleChoice() public {
+        uint256 id = _createPoll(0);
+        _delegate(alice, bob);
+        vm.prank(bob);
+        voting.vote(id, uint8(2));
+
+        (, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(votes[2], 2);
+    }
+
+    function test_revert_delegate_tooManyDelegators() public {
+        uint256 max = voting.MAX_DELEGATORS();
+        for (uint256 i = 0; i < max; i++) {
+            _delegate(address(uint160(0x3000 + i)), bob);
+        }
+        vm.prank(alice);
+        vm.expectRevert(bytes("Too many delegators"));
+        voting.delegate(bob);
+    }
+
+    function test_removeDelegators_fullList_freesSlots_andBlocks() public {
+        uint256 max = voting.MAX_DELEGATORS();
+        address[] memory spam = new address[](max);
+        for (uint256 i = 0; i < max; i++) {
+            spam[i] = address(uint160(0x3000 + i));
+            _delegate(spam[i], bob);
+        }
+        vm.prank(alice);
+        vm.expectRevert(bytes("Too many delegators"));
+        voting.delegate(bob);
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit DelegateChanged(spam[0], bob, address(0));
+        vm.expectEmit(true, true, true, true);
+        emit DelegatorBlocked(bob, spam[0], true);
+        voting.removeDelegators(spam);
+        assertEq(voting.getDelegators(bob).length, 0);
+        assertEq(voting.delegates(spam[0]), address(0));
+        assertTrue(voting.blockedDelegators(bob, spam[max - 1]));
+
+        _delegate(alice, bob);
+        assertEq(voting.getDelegators(bob).length, 1);
+
+        // Removed addresses cannot take the slots back, globally or on a proposal
+        uint256 id = _createBasicProposal();
+        vm.startPrank(spam[0]);
+        vm.expectRevert(bytes("Delegator blocked"));
+        voting.delegate(bob);
+        vm.expectRevert(bytes("Delegator blocked"));
+        voting.delegate(id, bob);
+        vm.stopPrank();
+    }
+
+    function test_removeDelegators_proposal_removesOnlyThatProposal() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        vm.prank(other);
+        voting.delegate(id, bob);
+
+        address[] memory list = new address[](1);
+        list[0] = other;
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalDelegateChanged(id, other, bob, address(0));
+        voting.removeDelegators(id, list);
+
+        assertEq(voting.getProposalDelegators(id, bob).length, 0);
+        assertEq(voting.delegateOf(id, other), address(0));
+        assertEq(voting.getDelegators(bob).length, 1); // Alice's global delegation is untouched
+
+        vm.prank(bob);
+        voting.vote(id, true);
+        assertFalse(voting.hasVoted(id, other));
+        assertTrue(voting.hasVoted(id, alice));
+    }
+
+    function test_unblockDelegator_allowsDelegatingAgain() public {
+        _delegate(alice, bob);
+        address[] memory list = new address[](1);
+        list[0] = alice;
+        vm.prank(bob);
+        voting.removeDelegators(list);
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatorBlocked(bob, alice, false);
+        voting.unblockDelegator(alice);
+        _delegate(alice, bob);
+        assertEq(voting.delegates(alice), bob);
+
+        vm.prank(bob);
+        vm.expectRevert(bytes("Not blocked"));
+        voting.unblockDelegator(alice);
+    }
+
+    // --- Changing and retracting votes ---
+
+    function test_changeVote_movesTally_andEmits() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteChanged(id, alice, YES, NO, 1);
+        voting.changeVote(id, NO);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 0);
+        assertEq(no, 1);
+        (uint8 choice, uint256 weight, address castBy) = voting.receipts(id, alice);
+        assertEq(choice, NO);
+        assertEq(weight, 1);
+        assertEq(castBy, alice);
+
+        vm.prank(alice);
+        voting.changeVote(id, ABSTAIN);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertEq(page[0].noVotes, 0);
+        assertEq(page[0].abstainVotes, 1);
+    }
+
+    function test_retractVote_clearsBallot_andAllowsVotingAgain() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteRetracted(id, alice, YES, 1);
+        voting.retractVote(id);
+
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 0);
+        assertFalse(voting.hasVoted(id, alice));
+        (, , address castBy) = voting.receipts(id, alice);
+        assertEq(castBy, address(0));
+
+        vm.prank(alice);
+        voting.vote(id, false);
+        (, uint256 no) = _tally(id);
+        assertEq(no, 1);
+    }
+
+    function test_revert_changeOrRetract_withoutOwnVote() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not voted"));
+        voting.changeVote(id, YES);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not voted"));
+        voting.retractVote(id);
+
+        // A ballot the delegate cast is replaced with `vote`, not changed
+        _delegate(alice, bob);
+        vm.prank(bob);
+        voting.vote(id, true);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not voted"));
+        voting.changeVote(id, NO);
+
+        vm.expectRevert(bytes("Proposal does not exist"));
+        voting.retractVote(99);
+    }
+
+    function test_revert_changeVote_sameOrInvalidChoice() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Same choice"));
+        voting.changeVote(id, YES);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid choice"));
+        voting.changeVote(id, uint8(3));
+    }
+
+    function test_revert_changeOrRetract_afterDeadlineOrClose() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+        vm.warp(block.timestamp + 1 days + 1);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Proposal has ended"));
+        voting.changeVote(id, NO);
+
+        voting.closeProposal(id);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.retractVote(id);
+    }
+
+    function test_changeVote_multipleChoice_movesOptionVotes() public {
+        uint256 id = _createPoll(0);
+        vm.prank(alice);
+        voting.vote(id, uint8(0));
+        vm.prank(alice);
+        voting.changeVote(id, uint8(2));
+
+        (, uint256[] memory votes) = voting.getOptions(id);
+        assertEq(votes[0], 0);
+        assertEq(votes[2], 1);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Invalid choice"));
+        voting.changeVote(id, uint8(3));
+    }
+
+    function test_changeVote_keepsTokenWeight() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 30 ether);
+        vm.roll(block.number + 1);
+        uint256 id = _weightedProposal(address(token), VotingContract.Weighting.TokenBalance);
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.prank(alice);
+        vm.expectEmit(true, true, true, true);
+        emit VoteChanged(id, alice, YES, NO, 30 ether);
+        voting.changeVote(id, NO);
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 0);
+        assertEq(no, 30 ether);
+    }
+
+    function test_changeVote_delegate_movesDelegatedBallots() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        _delegate(other, bob);
+        vm.prank(bob);
+        voting.vote(id, true);
+        vm.prank(other);
+        voting.vote(id, true); // replaces the delegated ballot, so it no longer follows bob
+        _delegate(proposer, bob); // delegated after bob voted
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit VoteChanged(id, bob, YES, NO, 1);
+        vm.expectEmit(true, true, true, true);
+        emit VoteChanged(id, alice, YES, NO, 1);
+        vm.expectEmit(true, true, true, true);
+        emit DelegatedVoteCast(id, bob, proposer, NO, 1);
+        voting.changeVote(id, NO);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 1);
+        assertEq(no, 3);
+        (uint8 choice, , address castBy) = voting.receipts(id, alice);
+        assertEq(choice, NO);
+        assertEq(castBy, bob);
+    }
+
+    function test_retractVote_delegate_withdrawsDelegatedBallots() public {
+        uint256 id = _createBasicProposal();
+        _delegate(alice, bob);
+        _delegate(other, bob);
+        vm.prank(bob);
+        voting.vote(id, true);
+        vm.prank(other);
+        voting.vote(id, false);
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit VoteRetracted(id, bob, YES, 1);
+        vm.expectEmit(true, true, true, true);
+        emit VoteRetracted(id, alice, YES, 1);
+        voting.retractVote(id);
+
+        (uint256 yes, uint256 no) = _tally(id);
+        assertEq(yes, 0);
+        assertEq(no, 1);
+        assertFalse(voting.hasVoted(id, alice));
+        assertTrue(voting.hasVoted(id, other));
+
+        // Voting again casts for the delegator again
+        vm.prank(bob);
+        voting.vote(id, false);
+        (, no) = _tally(id);
+        assertEq(no, 3);
+    }
+
+    // --- Cancellation and pause ---
+
+    function _createAs(address who) internal returns (uint256 id) {
+        voting.approveProposal(who);
+        vm.prank(who);
+        id = voting.createProposal("By proposer", 1 days);
+    }
+
+    function test_cancelProposal_byProposer_closesWithoutOutcome_andEmits() public {
+        uint256 id = _createAs(proposer);
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.prank(proposer);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalCancelled(id, proposer);
+        voting.cancelProposal(id);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertTrue(page[0].cancelled);
+        assertFalse(page[0].active);
+        assertFalse(page[0].approved);
+        assertEq(page[0].winningOption, NO_WINNER);
+
+        vm.prank(bob);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.vote(id, true);
+        vm.warp(block.timestamp + 1 days + 1);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.closeProposal(id);
+    }
+
+    function test_cancelProposal_byOwner_beforeDeadline() public {
+        uint256 id = _createAs(proposer);
+
+        vm.expectEmit(true, true, true, true);
+        emit ProposalCancelled(id, owner);
+        voting.cancelProposal(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertTrue(page[0].cancelled);
+    }
+
+    function test_revert_cancelProposal_afterDeadline_evenByOwner() public {
+        uint256 id = _createAs(proposer);
+        vm.warp(block.timestamp + 1 days + 1);
+
+        vm.prank(proposer);
+        vm.expectRevert(bytes("Proposal has ended"));
+        voting.cancelProposal(id);
+
+        vm.expectRevert(bytes("Proposal has ended"));
+        voting.cancelProposal(id);
+
+        // Still open for closing with its result
+        voting.closeProposal(id);
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(id, id + 1);
+        assertFalse(page[0].cancelled);
+    }
+
+    function test_revert_cancelProposal_unauthorizedOrClosed() public {
+        uint256 id = _createAs(proposer);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not proposer or owner"));
+        voting.cancelProposal(id);
+
+        vm.expectRevert(bytes("Proposal does not exist"));
+        voting.cancelProposal(99);
+
+        voting.cancelProposal(id);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.cancelProposal(id);
+
+        uint256 closed = _createBasicProposal();
+        _closeAfterDeadline(closed);
+        vm.expectRevert(bytes("Proposal is not active"));
+        voting.cancelProposal(closed);
+    }
+
+    function test_pause_blocksCreateAndVote_andEmits() public {
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+
+        vm.expectEmit(true, true, true, true);
+        emit Paused(owner);
+        voting.pause();
+        assertTrue(voting.paused());
+
+        vm.expectRevert(bytes("Paused"));
+        voting.createProposal("Blocked", 1 days);
+        vm.expectRevert(bytes("Paused"));
+        voting.createMultipleChoiceProposal("Blocked", 1 days, _options("A", "B", "C"), 0);
+        vm.prank(bob);
+        vm.expectRevert(bytes("Paused"));
+        voting.vote(id, true);
+        vm.prank(bob);
+        vm.expectRevert(bytes("Paused"));
+        voting.vote(id, ABSTAIN);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Paused"));
+        voting.changeVote(id, NO);
+        vm.prank(alice);
+        vm.expectRevert(bytes("Paused"));
+        voting.retractVote(id);
+    }
+
+    function test_pause_blocksSignedBallots() public {
+        uint256 id = _createBasicProposal();
+        uint256 key = 0xA11CE5;
+        address voter = vm.addr(key);
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signBallot(key, id, true, voter, 0, deadline);
+        voting.pause();
+
+        vm.expectRevert(bytes("Paused"));
+        voting.voteBySig(id, true, voter, deadline, v, r, s);
+        assertEq(voting.nonces(voter), 0);
+    }
+
+    function test_pause_stillAllowsCloseAndCancel() public {
+        uint256 open = _createBasicProposal();
+        uint256 ended = _createBasicProposal();
+        voting.pause();
+
+        voting.cancelProposal(open);
+        vm.warp(block.timestamp + 1 days + 1);
+        voting.closeProposal(ended);
+        (, , , bool active, , , , , ) = voting.getProposals(ended);
+        assertFalse(active);
+    }
+
+    function test_unpause_resumes_andEmits() public {
+        voting.pause();
+        vm.expectEmit(true, true, true, true);
+        emit Unpaused(owner);
+        voting.unpause();
+        assertFalse(voting.paused());
+
+        uint256 id = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(id, true);
+        (uint256 yes, ) = _tally(id);
+        assertEq(yes, 1);
+    }
+
+    function test_revert_pause_nonOwnerOrRepeated() public {
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not authorized"));
+        voting.pause();
+
+        vm.expectRevert(bytes("Not paused"));
+        voting.unpause();
+
+        voting.pause();
+        vm.expectRevert(bytes("Paused"));
+        voting.pause();
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not authorized"));
+        voting.unpause();
+    }
+
+    // --- Batch close ---
+
+    function test_closeProposals_closesExpired_skipsTheRest() public {
+        uint256 passed = _createBasicProposal();
+        uint256 failed = _createBasicProposal();
+        uint256 closed = _createBasicProposal();
+        uint256 cancelled = _createBasicProposal();
+        vm.prank(alice);
+        voting.vote(passed, true);
+        voting.cancelProposal(cancelled);
+        vm.warp(block.timestamp + 1 hours + 1);
+        uint256 open = _createBasicProposal();
+        voting.closeProposal(closed);
+
+        uint256[] memory ids = new uint256[](7);
+        ids[0] = passed;
+        ids[1] = open;
+        ids[2] = failed;
+        ids[3] = closed;
+        ids[4] = cancelled;
+        ids[5] = 99; // does not exist
+        ids[6] = passed; // duplicate
+
+        vm.prank(bob);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalClosed(passed, true, NO_WINNER);
+        vm.expectEmit(true, true, true, true);
+        emit ProposalClosed(failed, false, NO_WINNER);
+        assertEq(voting.closeProposals(ids), 2);
+
+        VotingContract.Proposal[] memory page = voting.getProposalsRange(0, voting.getProposalCount());
+        assertFalse(page[passed].active);
+        assertTrue(page[passed].approved);
+        assertFalse(page[failed].active);
+        assertFalse(page[failed].approved);
+        assertTrue(page[open].active);
+        assertTrue(page[cancelled].cancelled);
+    }
+
+    function test_closeProposals_nothingToClose_returnsZero() public {
+        uint256 id = _createBasicProposal();
+        uint256[] memory ids = new uint256[](1);
+        ids[0] = id;
+        vm.recordLogs();
+        assertEq(voting.closeProposals(ids), 0);
+        assertEq(vm.getRecordedLogs().length, 0);
+        assertEq(voting.closeProposals(new uint256[](0)), 0);
+    }
+
+    function test_closeProposals_worksWhilePaused() public {
+        uint256 id = _createBasicProposal();
+        voting.pause();
+        vm.warp(block.timestamp + 1 hours + 1);
+        uint256[] memory ids = new uint256[](1);
+        ids[0] = id;
+        assertEq(voting.closeProposals(ids), 1);
+    }
+
+    // --- Mock voting tokens ---
+
+    function test_mockToken_checkpointsBalances() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        vm.roll(5);
+        token.mint(alice, 10);
+        vm.roll(6);
+        vm.prank(alice);
+        token.transfer(bob, 4);
+        vm.roll(7);
+
+        assertEq(token.getPastVotes(alice, 4), 0);
+        assertEq(token.getPastVotes(alice, 5), 10);
+        assertEq(token.getPastVotes(alice, 6), 6);
+        assertEq(token.getPastVotes(bob, 6), 4);
+        assertEq(token.getVotes(alice), 6);
+        vm.expectRevert(bytes("Future lookup"));
+        token.getPastVotes(alice, 7);
+    }
+
+    function test_mockToken_transferFrom_usesAllowance() public {
+        MockVotesToken token = new MockVotesToken("Gov", "GOV");
+        token.mint(alice, 10);
+        vm.prank(alice);
+        token.approve(bob, 3);
+        vm.startPrank(bob);
+        token.transferFrom(alice, bob, 3);
+        vm.expectRevert(bytes("Insufficient allowance"));
+        token.transferFrom(alice, bob, 1);
+        vm.stopPrank();
+        assertEq(token.getVotes(bob), 3);
+    }
+
+    function test_mockNFT_checkpointsOwnership() public {
+        MockVotesNFT nft = new MockVotesNFT("Members", "MEM");
+        vm.roll(5);
+        uint256 tokenId = nft.mint(alice);
+        vm.roll(6);
+        vm.prank(alice);
+        nft.transferFrom(alice, bob, tokenId);
+        vm.roll(7);
+
+        assertEq(nft.getPastVotes(alice, 5), 1);
+        assertEq(nft.getPastVotes(alice, 6), 0);
+        assertEq(nft.getPastVotes(bob, 6), 1);
+        assertEq(nft.ownerOf(tokenId), bob);
+
+        vm.prank(alice);
+        vm.expectRevert(bytes("Not the owner"));
+        nft.transferFrom(alice, bob, tokenId);
     }
 }
@@ -0,0 +1,488 @@
+// Command-line client for VotingContract.
+//
+// Reads go through any RPC; writes are signed with PRIVATE_KEY or an encrypted V3 keystore.
+//
+//   RPC_URL=http://127.0.0.1:8545 CONTRACT_ADDRESS=0x… npm run cli -- proposals list
+//
+// Without RPC_URL / CONTRACT_ADDRESS (or --rpc / --contract) the app's VITE_* variables pick the
+// deployment, e.g. `node --env-file=.env scripts/cli.js …`. Run with --help for every command.
+import { readFile } from 'node:fs/promises'
+import { Writable } from 'node:stream'
+import { createInterface } from 'node:readline'
+import { parseArgs } from 'node:util'
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  createPublicClient,
+  createWalletClient,
+  defineChain,
+  getAddress,
+  http as httpTransport,
+  isAddress,
+  parseEventLogs,
+} from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { ACTIVE_CHAIN, CHAIN_REGISTRY, LOG_CHUNK_SIZE, shortAddress } from '../src/lib/chain.js'
+import { connectContract } from '../src/lib/contract.js'
+import { decodeProposalContent, encodeProposalContent, validateProposalContent } from '../src/lib/proposalContent.js'
+import { matchesStatus, STATUS_FILTERS } from '../src/lib/proposalFilters.js'
+import {
+  CHOICE_ABSTAIN,
+  CHOICE_NO,
+  CHOICE_YES,
+  SIMPLE_MAJORITY_BPS,
+  WEIGHTING_NFT_HOLDER,
+  WEIGHTING_ONE_PER_ADDRESS,
+  WEIGHTING_TOKEN_BALANCE,
+  choiceLabel,
+  formatThreshold,
+  isMultipleChoice,
+  outcomeOf,
+  tallySummary,
+  winnerLabel,
+} from '../src/lib/outcome.js'
+import { buildReport, PROPOSAL_COLUMNS, proposalsCsv, reportJson, VOTE_COLUMNS, votesCsv } from '../src/lib/audit.js'
+import { readKeystore } from './keystore.js'
+
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+Commands:
+  proposals list [--status <s>] [--limit <n>]   Newest first; --status as in the app: all, active, ending-soon,
+                                               awaiting-close, approved, rejected or cancelled
+  proposal show <id>                           Every field, the tally and where it stands
+  create <title> --duration <d> [--body <text> | --body-file <path>] [--option <label> …]
+         [--quorum <n>] [--threshold <bps>] [--weighting token|nft --token <address>]
+                                               Duration in seconds or with s/m/h/d; two or more --option make a poll
+  vote <id> <choice>                           yes, no, abstain, an option label or its index; changes an earlier vote
+  close <id> [<id> …]                          Several ids are closed in one transaction, skipping ones not yet due
+  allowlist list
+  allowlist add <address> [<address> …]
+  allowlist remove <address> [<address> …]
+  events tail [--from <block> | --blocks <n>] [--once]
+                                               Past events (default: the last 1000 blocks), then new ones as they arrive
+  export proposals|votes [--from-block <n>]    Every proposal, or every vote event, as a table, CSV or JSON
+  export report [--from-block <n>]             Proposals, votes and verification results as one JSON document
+  verify [--from-block <n>]                    Rebuild every tally from events and compare it with the contract;
+                                               exits with status 2 when anything differs
+
+Options:
+  --rpc <url>            RPC endpoint (env RPC_URL)
+  --contract <address>   VotingContract address (env CONTRACT_ADDRESS)
+  --format table|json|csv
+                         Output format (default table; csv for export only); --json is short for --format json
+  --keystore <path>      Sign with a V3 keystore (env KEYSTORE_PATH) instead of PRIVATE_KEY
+  --password-file <path> Keystore password (env KEYSTORE_PASSWORD; otherwise prompted)
+`
+
+class CliError extends Error {}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    rpc: { type: 'string' },
+    contract: { type: 'string' },
+    format: { type: 'string', default: 'table' },
+    json: { type: 'boolean', default: false },
+    keystore: { type: 'string' },
+    'password-file': { type: 'string' },
+    status: { type: 'string', default: 'all' },
+    limit: { type: 'string' },
+    duration: { type: 'string' },
+    body: { type: 'string' },
+    'body-file': { type: 'string' },
+    option: { type: 'string', multiple: true, default: [] },
+    quorum: { type: 'string', default: '0' },
+    threshold: { type: 'string', default: String(SIMPLE_MAJORITY_BPS) },
+    weighting: { type: 'string' },
+    token: { type: 'string' },
+    from: { type: 'string' },
+    blocks: { type: 'string', default: '1000' },
+    once: { type: 'boolean', default: false },
+    'from-block': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+})
+
+const FORMAT = options.json ? 'json' : options.format
+
+// --- Output ---
+
+const bigintAsString = (_, value) => (typeof value === 'bigint' ? value.toString() : value)
+
+/** Rows of objects as aligned columns; `columns` is `[[key, heading], …]`. */
+function printTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(([key]) => String(row[key] ?? '')))
+  const widths = columns.map(([, heading], i) => Math.max(heading.length, ...cells.map((c) => c[i].length)))
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd()
+  console.log(line(columns.map(([, heading]) => heading)))
+  cells.forEach((c) => console.log(line(c)))
+}
+
+function printFields(fields) {
+  const width = Math.max(...Object.keys(fields).map((k) => k.length))
+  Object.entries(fields).forEach(([key, value]) => console.log(`${key.padEnd(width)}  ${value}`))
+}
+
+function output(data, table, csv) {
+  if (FORMAT === 'csv' && !csv) throw new CliError('CSV output is only available for export.')
+  if (FORMAT === 'json') console.log(JSON.stringify(data, bigintAsString, 2))
+  else if (FORMAT === 'csv') process.stdout.write(csv(data))
+  else table(data)
+}
+
+// --- Connection and signing ---
+
+async function connect() {
+  const rpcUrl = options.rpc || process.env.RPC_URL || ACTIVE_CHAIN.rpcUrl
+  const chainId = await createPublicClient({ transport: httpTransport(rpcUrl) }).getChainId()
+  const known = CHAIN_REGISTRY[chainId]
+  // Any RPC works; chains the app does not know get a bare definition
+  const chain =
+    known?.chain ??
+    defineChain({ id: chainId, name: `Chain ${chainId}`, nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, rpcUrls: { default: { http: [rpcUrl] } } })
+  const address = options.contract || process.env.CONTRACT_ADDRESS || known?.contractAddress
+  if (!isAddress(address || '')) throw new CliError(`No contract address for chain ${chainId}; pass --contract or set CONTRACT_ADDRESS.`)
+  // The configured deployment block only applies to the configured contract
+  const deploymentBlock = known?.contractAddress && address.toLowerCase() === known.contractAddress.toLowerCase() ? known.deploymentBlock : 0n
+  return { ...connectContract({ chain, address, rpcUrl }), chain, rpcUrl, deploymentBlock }
+}
+
+async function promptPassword(question) {
+  if (!process.stdin.isTTY) throw new CliError('Set KEYSTORE_PASSWORD or --password-file to unlock the keystore.')
+  let muted = false
+  const output = new Writable({
+    write(chunk, _, done) {
+      if (!muted) process.stderr.write(chunk)
+      done()
+    },
+  })
+  const rl = createInterface({ input: process.stdin, output, terminal: true })
+  const answer = new Promise((resolve) => rl.question(question, resolve))
+  muted = true
+  const password = await answer
+  rl.close()
+  process.stderr.write('\n')
+  return password
+}
+
+let signer // one keystore prompt per run
+
+async function unlockAccount() {
+  const path = options.keystore || (!process.env.PRIVATE_KEY && process.env.KEYSTORE_PATH)
+  if (!path) {
+    if (!process.env.PRIVATE_KEY) throw new CliError('Set PRIVATE_KEY, or pass --keystore (or KEYSTORE_PATH), to send transactions.')
+    return privateKeyToAccount(process.env.PRIVATE_KEY)
+  }
+  const password = options['password-file']
+    ? (await readFile(options['password-file'], 'utf8')).replace(/\r?\n$/, '')
+    : process.env.KEYSTORE_PASSWORD ?? (await promptPassword(`Password for ${path}: `))
+  return privateKeyToAccount(await readKeystore(path, password))
+}
+
+const loadAccount = () => (signer ??= unlockAccount())
+
+/** Simulate, send and wait for the receipt; reverts surface as the contract's message. */
+async function transact(conn, functionName, args) {
+  const account = await loadAccount()
+  const walletClient = createWalletClient({ account, chain: conn.chain, transport: httpTransport(conn.rpcUrl) })
+  const { request } = await conn.publicClient.simulateContract({ ...conn.contract, account, functionName, args })
+  const hash = await walletClient.writeContract(request)
+  const receipt = await conn.publicClient.waitForTransactionReceipt({ hash })
+  if (receipt.status !== 'success') throw new CliError(`Transaction ${hash} reverted`)
+  return { receipt, logs: parseEventLogs({ abi: conn.contract.abi, logs: receipt.logs }) }
+}
+
+function describeTx({ receipt }, extra = {}) {
+  return { ...extra, hash: receipt.transactionHash, block: receipt.blockNumber, gasUsed: receipt.gasUsed }
+}
+
+// --- Proposals ---
+
+const parseId = (value) => {
+  if (!/^\d+$/.test(value ?? '')) throw new CliError(`"${value ?? ''}" is not a proposal id.`)
+  return BigInt(value)
+}
+
+// Chain time decides the phase, like the app's `proposalPhase`
+function statusOf(proposal, now) {
+  if (proposal.cancelled) return 'cancelled'
+  if (!proposal.active) return proposal.approved ? 'approved' : 'rejected'
+  if (now < proposal.endTime) return 'voting'
+  return now > proposal.endTime ? 'ready to close' : 'ending'
+}
+
+function describeProposal(id, proposal, now) {
+  const { title, body, links } = decodeProposalContent(proposal.description)
+  return { id, title, body, links, status: statusOf(proposal, now), ...proposal }
+}
+
+async function readProposals(conn, ids) {
+  const { timestamp } = await conn.publicClient.getBlock()
+  const pages = await Promise.all(
+    ids.map((id) => conn.publicClient.readContract({ ...conn.contract, functionName: 'getProposalsRange', args: [id, id + 1n] }))
+  )
+  return pages.map((page, i) => {
+    if (page.length === 0) throw new CliError(`Proposal #${ids[i]} does not exist.`)
+    return describeProposal(ids[i], page[0], timestamp)
+  })
+}
+
+async function listProposals(conn) {
+  if (!STATUS_FILTERS.some((f) => f.value === options.status)) {
+    throw new CliError(`--status must be one of ${STATUS_FILTERS.map((f) => f.value).join(', ')}.`)
+  }
+  const [count, { timestamp }] = await Promise.all([
+    conn.publicClient.readContract({ ...conn.contract, functionName: 'getProposalCount' }),
+    conn.publicClient.getBlock(),
+  ])
+  const PAGE = 100n
+  const pages = []
+  for (let start = 0n; start < count; start += PAGE) {
+    pages.push(conn.publicClient.readContract({ ...conn.contract, functionName: 'getProposalsRange', args: [start, start + PAGE] }))
+  }
+  const proposals = (await Promise.all(pages)).flat().map((p, i) => describeProposal(BigInt(i), p, timestamp))
+  const limit = options.limit ? Number(options.limit) : Infinity
+  const rows = proposals.reverse().filter((p) => matchesStatus(p, options.status, Number(timestamp))).slice(0, limit)
+
+  output(rows, (list) =>
+    list.length === 0
+      ? console.log('No proposals.')
+      : printTable(
+          list.map((p) => ({
+            ...p,
+            id: `#${p.id}`,
+            title: p.title.length > 48 ? `${p.title.slice(0, 47)}…` : p.title,
+            tally: tallySummary(p),
+            ends: new Date(Number(p.endTime) * 1000).toISOString().replace('.000Z', 'Z'),
+            proposer: shortAddress(p.proposer),
+          })),
+          [['id', 'ID'], ['status', 'STATUS'], ['title', 'TITLE'], ['tally', 'VOTES'], ['ends', 'ENDS (UTC)'], ['proposer', 'PROPOSER']]
+        )
+  )
+}
+
+const WEIGHTING_NAMES = { [WEIGHTING_ONE_PER_ADDRESS]: 'one per address', [WEIGHTING_TOKEN_BALANCE]: 'token balance', [WEIGHTING_NFT_HOLDER]: 'NFT holders' }
+
+async function showProposal(conn, id) {
+  const [proposal] = await readProposals(conn, [parseId(id)])
+  const outcome = outcomeOf(proposal)
+  const data = { ...proposal, outcome }
+  output(data, (p) => {
+    const fields = {
+      Proposal: `#${p.id} ${p.title}`,
+      Status: p.status + (winnerLabel(p) ? ` (${winnerLabel(p)} won)` : ''),
+      Proposer: p.proposer,
+      Ends: `${new Date(Number(p.endTime) * 1000).toISOString()} (unix ${p.endTime})`,
+      Votes: tallySummary(p),
+      Quorum: `${p.quorum} (${outcome.quorumMet ? 'met' : `${outcome.votesToQuorum} more needed`})`,
+    }
+    if (!isMultipleChoice(p)) fields.Threshold = `${formatThreshold(p.thresholdBps)} yes (${outcome.thresholdMet ? 'met' : 'not met'})`
+    fields.Weighting = WEIGHTING_NAMES[Number(p.weighting)]
+    if (Number(p.weighting) !== WEIGHTING_ONE_PER_ADDRESS) fields.Token = `${p.token} (snapshot block ${p.snapshotBlock})`
+    if (p.active) fields['If closed now'] = outcome.approved ? 'approved' : 'not approved'
+    printFields(fields)
+    if (p.body) console.log(`\n${p.body}`)
+    if (p.links.length) console.log(`\n${p.links.map((l) => `- ${l.label || l.url}: ${l.url}`).join('\n')}`)
+  })
+}
+
+// "90", "90s", "15m", "2h", "7d"
+function parseDuration(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(value ?? '')
+  if (!match) throw new CliError('--duration must be seconds or a number with s, m, h or d (e.g. 3d).')
+  const unit = { '': 1n, s: 1n, m: 60n, h: 3600n, d: 86400n }[match[2]]
+  return BigInt(match[1]) * unit
+}
+
+async function createProposal(conn, title) {
+  if (!title) throw new CliError('create needs a title.')
+  const duration = parseDuration(options.duration)
+  const body = options['body-file'] ? await readFile(options['body-file'], 'utf8') : options.body ?? ''
+  const description = encodeProposalContent({ title, body })
+  const problems = validateProposalContent({ title }, description)
+  if (problems.length) throw new CliError(problems.join(' '))
+
+  const quorum = BigInt(options.quorum)
+  const weighting = { undefined: undefined, token: WEIGHTING_TOKEN_BALANCE, nft: WEIGHTING_NFT_HOLDER }[options.weighting]
+  if (options.weighting && weighting === undefined) throw new CliError('--weighting must be token or nft.')
+  if (weighting !== undefined && !isAddress(options.token || '')) throw new CliError('--weighting needs --token <address>.')
+  const weighted = weighting !== undefined ? [weighting, getAddress(options.token)] : []
+
+  const poll = options.option.length > 0
+  const tx = poll
+    ? await transact(conn, 'createMultipleChoiceProposal', [description, duration, options.option, quorum, ...weighted])
+    : await transact(conn, 'createProposal', [description, duration, quorum, BigInt(options.threshold), ...weighted])
+  const created = tx.logs.find((l) => l.eventName === 'ProposalCreated')
+  output(describeTx(tx, { proposalId: created.args.proposalId, endTime: created.args.endTime }), printFields)
+}
+
+// yes / no / abstain on a yes/no proposal; an option's label or index on a poll
+function parseChoice(proposal, value = '') {
+  const text = value.trim().toLowerCase()
+  if (isMultipleChoice(proposal)) {
+    const byLabel = proposal.options.findIndex((o) => o.toLowerCase() === text)
+    const index = byLabel !== -1 ? byLabel : /^\d+$/.test(text) ? Number(text) : -1
+    if (index < 0 || index >= proposal.options.length) {
+      throw new CliError(`Choose one of: ${proposal.options.map((o, i) => `${i} (${o})`).join(', ')}.`)
+    }
+    return index
+  }
+  const choice = { yes: CHOICE_YES, no: CHOICE_NO, abstain: CHOICE_ABSTAIN }[text]
+  if (choice === undefined) throw new CliError('Choose yes, no or abstain.')
+  return choice
+}
+
+async function vote(conn, id, value) {
+  const [proposal] = await readProposals(conn, [parseId(id)])
+  const choice = parseChoice(proposal, value)
+  const account = await loadAccount()
+  // Our own earlier ballot is changed; one a delegate cast for us is replaced by a vote
+  const [, , castBy] = await conn.publicClient.readContract({ ...conn.contract, functionName: 'receipts', args: [proposal.id, account.address] })
+  const change = castBy.toLowerCase() === account.address.toLowerCase()
+  const tx = await transact(conn, change ? 'changeVote' : 'vote', [proposal.id, choice])
+  output(describeTx(tx, { proposalId: proposal.id, choice: choiceLabel(proposal, choice), changed: change }), printFields)
+}
+
+async function close(conn, ids) {
+  if (ids.length === 0) throw new CliError('close needs at least one proposal id.')
+  const parsed = ids.map(parseId)
+  const tx = parsed.length === 1 ? await transact(conn, 'closeProposal', parsed) : await transact(conn, 'closeProposals', [parsed])
+  const closed = tx.logs.filter((l) => l.eventName === 'ProposalClosed').map(({ args }) => ({ proposalId: args.proposalId, approved: args.approved }))
+  output(describeTx(tx, { closed }), (data) => {
+    printFields({ ...data, closed: closed.length ? closed.map((c) => `#${c.proposalId} ${c.approved ? 'approved' : 'not approved'}`).join(', ') : 'none' })
+  })
+}
+
+// --- Allowlist ---
+
+async function listAllowlist(conn) {
+  const proposers = await conn.publicClient.readContract({ ...conn.contract, functionName: 'getApprovedProposers' })
+  output(proposers, (list) => (list.length ? list.forEach((a) => console.log(a)) : console.log('No approved proposers.')))
+}
+
+async function allowlist(conn, action, addresses) {
+  if (addresses.length === 0) throw new CliError(`allowlist ${action} needs at least one address.`)
+  const invalid = addresses.filter((a) => !isAddress(a))
+  if (invalid.length) throw new CliError(`Not valid addresses: ${invalid.join(', ')}`)
+  const list = addresses.map((a) => getAddress(a))
+  // Like the admin console: one address uses the single call, several go out as one batch
+  const functionName = action === 'add' ? (list.length === 1 ? 'approveProposal' : 'approveProposals') : list.length === 1 ? 'removeProposal' : 'removeProposals'
+  const tx = await transact(conn, functionName, list.length === 1 ? list : [list])
+  output(describeTx(tx, { [action === 'add' ? 'approved' : 'removed']: list }), (data) => printFields({ ...data, [action === 'add' ? 'approved' : 'removed']: list.join(', ') }))
+}
+
+// --- Events ---
+
+function eventRow({ eventName, args, blockNumber, transactionHash }) {
+  // Structured descriptions are long JSON; the title says enough on one line
+  const shown = args.description !== undefined ? { ...args, description: decodeProposalContent(args.description).title } : args
+  const details = Object.entries(shown)
+    .filter(([key]) => key !== 'proposalId')
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('|') : String(value)}`)
+    .join(' ')
+  return { block: blockNumber, event: eventName, proposal: args.proposalId !== undefined ? `#${args.proposalId}` : '', details, tx: transactionHash }
+}
+
+// One line per event, as it arrives: aligned text, or a JSON object per line
+function printEvents(logs) {
+  logs.forEach((log) => {
+    if (FORMAT === 'json') {
+      console.log(JSON.stringify({ block: log.blockNumber, event: log.eventName, args: log.args, tx: log.transactionHash }, bigintAsString))
+    } else {
+      const row = eventRow(log)
+      console.log(`${String(row.block).padStart(8)}  ${row.event.padEnd(24)} ${row.proposal.padEnd(6)} ${row.details}`)
+    }
+  })
+}
+
+async function tailEvents(conn) {
+  const head = await conn.publicClient.getBlockNumber()
+  const from = options.from !== undefined ? BigInt(options.from) : head - BigInt(options.blocks) + 1n
+  for (let start = from > 0n ? from : 0n; start <= head; start += LOG_CHUNK_SIZE) {
+    const end = start + LOG_CHUNK_SIZE - 1n < head ? start + LOG_CHUNK_SIZE - 1n : head
+    printEvents(await conn.publicClient.getContractEvents({ ...conn.contract, fromBlock: start, toBlock: end }))
+  }
+  if (options.once) return
+  await new Promise(() => {
+    conn.publicClient.watchContractEvent({
+      ...conn.contract,
+      fromBlock: head + 1n,
+      onLogs: printEvents,
+      onError: (err) => console.error(err?.shortMessage || err?.message),
+    })
+  })
+}
+
+// --- Export and verification ---
+
+function report(conn) {
+  const fromBlock = options['from-block'] !== undefined ? BigInt(options['from-block']) : conn.deploymentBlock
+  return buildReport({ publicClient: conn.publicClient, contract: conn.contract, fromBlock, chunkSize: LOG_CHUNK_SIZE })
+}
+
+async function exportRecords(conn, kind) {
+  const data = await report(conn)
+  if (kind === 'report') return console.log(reportJson(data))
+  const [rows, columns, csv] = kind === 'proposals' ? [data.proposals, PROPOSAL_COLUMNS, proposalsCsv] : [data.votes, VOTE_COLUMNS, votesCsv]
+  output(rows, (list) => printTable(list, columns.map((c) => [c, c])), () => csv(data))
+}
+
+async function verify(conn) {
+  const { proposals, mismatches, blockNumber } = await report(conn)
+  output({ blockNumber, proposals: proposals.length, mismatches }, () => {
+    if (mismatches.length === 0) return console.log(`All ${proposals.length} proposals match their events (block ${blockNumber}).`)
+    printTable(mismatches.map((m) => ({ ...m, proposalId: `#${m.proposalId}` })), [
+      ['proposalId', 'PROPOSAL'],
+      ['field', 'FIELD'],
+      ['onchain', 'STORED'],
+      ['fromEvents', 'FROM EVENTS'],
+    ])
+  })
+  // Distinct from errors (1), so scripts can tell a failed check from a failed run
+  if (mismatches.length > 0) process.exit(2)
+}
+
+// --- Entry ---
+
+const COMMANDS = {
+  'proposals list': (conn) => listProposals(conn),
+  'proposal show': (conn, [id]) => showProposal(conn, id),
+  create: (conn, words) => createProposal(conn, words.join(' ')),
+  vote: (conn, [id, choice]) => vote(conn, id, choice),
+  close: (conn, ids) => close(conn, ids),
+  'allowlist list': (conn) => listAllowlist(conn),
+  'allowlist add': (conn, addresses) => allowlist(conn, 'add', addresses),
+  'allowlist remove': (conn, addresses) => allowlist(conn, 'remove', addresses),
+  'events tail': (conn) => tailEvents(conn),
+  'export proposals': (conn) => exportRecords(conn, 'proposals'),
+  'export votes': (conn) => exportRecords(conn, 'votes'),
+  'export report': (conn) => exportRecords(conn, 'report'),
+  verify: (conn) => verify(conn),
+}
+
+// Two-word commands ("proposals list") take precedence over one-word ones ("vote 3 yes")
+async function run(words) {
+  const name = [words.slice(0, 2).join(' '), words[0]].find((n) => COMMANDS[n])
+  if (!name) throw new CliError(words.length ? `Unknown command "${words.slice(0, 2).join(' ')}".\n\n${USAGE}` : USAGE)
+  return COMMANDS[name](await connect(), words.slice(name.split(' ').length))
+}
+
+if (options.help) {
+  console.log(USAGE)
+  process.exit(0)
+}
+if (!['table', 'json', 'csv'].includes(FORMAT)) {
+  console.error('--format must be table, json or csv.')
+  process.exit(1)
+}
+
+try {
+  await run(positionals)
+  process.exit(0)
+} catch (err) {
+  // Surface the contract's revert string ("Already voted", "Not authorized", …)
+  const revert = err instanceof BaseError ? err.walk((e) => e instanceof ContractFunctionRevertedError) : null
+  const message = err instanceof CliError ? err.message : revert?.reason || err?.shortMessage || err?.message
+  console.error(`error: ${message}`)
+  process.exit(1)
+}
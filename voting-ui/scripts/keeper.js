@@ -0,0 +1,183 @@
+// Proposal keeper.
+//
+// Watches the chain and closes proposals once their deadline has passed, batching every due
+// proposal into one `VotingContract.closeProposals` transaction paid from its own account.
+// Run with --help for the options.
+//
+// Deadlines are compared with block timestamps, so on anvil run it with `--block-time` (or mine)
+// for the keeper to see time pass.
+import { parseArgs } from 'node:util'
+import { createPublicClient, createWalletClient, http as httpTransport, isAddress, parseEventLogs } from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { votingAbi } from '../src/abi/votingAbi.js'
+
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545'
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS
+const PAGE_SIZE = 100n
+
+const USAGE = `Usage: KEEPER_PRIVATE_KEY=0x… CONTRACT_ADDRESS=0x… RPC_URL=http://127.0.0.1:8545 npm run keeper -- [options]
+
+Options:
+  --dry-run          Log (and estimate) what would be closed, send nothing; needs no key
+  --max-gas <units>  Gas limit per transaction; larger batches are split, proposals that
+                     cannot be closed within it on their own are skipped
+  --batch <n>        Most proposals per transaction (default 50)
+  --once             Close what is due at the latest block, then exit
+  -h, --help         Show this help
+`
+
+let options
+try {
+  ;({ values: options } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'max-gas': { type: 'string' },
+      batch: { type: 'string', default: '50' },
+      once: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  }))
+} catch (err) {
+  // Unknown flags, missing values, stray arguments
+  console.error(`${err.message}\n\n${USAGE}`)
+  process.exit(1)
+}
+if (options.help) {
+  console.log(USAGE)
+  process.exit(0)
+}
+if (options['max-gas'] !== undefined && !/^\d+$/.test(options['max-gas'])) {
+  console.error('--max-gas must be a positive number.')
+  process.exit(1)
+}
+const DRY_RUN = options['dry-run']
+const MAX_GAS = options['max-gas'] !== undefined ? BigInt(options['max-gas']) : undefined
+const BATCH = Number(options.batch)
+
+// Dry runs only read, so they do not need a key
+if ((!DRY_RUN && !process.env.KEEPER_PRIVATE_KEY) || !isAddress(CONTRACT_ADDRESS || '')) {
+  console.error('Set KEEPER_PRIVATE_KEY and CONTRACT_ADDRESS (and optionally RPC_URL).')
+  process.exit(1)
+}
+if (!(BATCH >= 1) || (MAX_GAS !== undefined && MAX_GAS <= 0n)) {
+  console.error('--batch and --max-gas must be positive numbers.')
+  process.exit(1)
+}
+
+const account = process.env.KEEPER_PRIVATE_KEY ? privateKeyToAccount(process.env.KEEPER_PRIVATE_KEY) : undefined
+const publicClient = createPublicClient({ transport: httpTransport(RPC_URL) })
+const walletClient = account && createWalletClient({ account, transport: httpTransport(RPC_URL) })
+const contract = { address: CONTRACT_ADDRESS, abi: votingAbi }
+
+const open = new Map() // id -> endTime of every proposal that is neither closed nor cancelled
+let synced // last block whose events are reflected in `open`
+
+// Every proposal once, then only the events that open, close or cancel one
+async function loadOpen(blockNumber) {
+  const count = await publicClient.readContract({ ...contract, functionName: 'getProposalCount', blockNumber })
+  for (let start = 0n; start < count; start += PAGE_SIZE) {
+    const page = await publicClient.readContract({
+      ...contract,
+      functionName: 'getProposalsRange',
+      args: [start, start + PAGE_SIZE],
+      blockNumber,
+    })
+    page.forEach((p, i) => {
+      if (p.active) open.set(start + BigInt(i), p.endTime)
+    })
+  }
+  synced = blockNumber
+}
+
+async function syncTo(blockNumber) {
+  if (blockNumber <= synced) return
+  const logs = await publicClient.getContractEvents({ ...contract, fromBlock: synced + 1n, toBlock: blockNumber })
+  logs.forEach(({ eventName, args }) => {
+    if (eventName === 'ProposalCreated') open.set(args.proposalId, args.endTime)
+    else if (eventName === 'ProposalClosed' || eventName === 'ProposalCancelled') open.delete(args.proposalId)
+  })
+  synced = blockNumber
+}
+
+const label = (ids) => ids.map((id) => `#${id}`).join(', ')
+
+// Split `ids` into transactions that each stay under --max-gas, halving batches that do not
+async function plan(ids) {
+  const batches = []
+  for (let i = 0; i < ids.length; i += BATCH) batches.push(ids.slice(i, i + BATCH))
+  const planned = []
+  while (batches.length > 0) {
+    const batch = batches.shift()
+    const gas = await publicClient.estimateContractGas({
+      ...contract,
+      account: account?.address,
+      functionName: 'closeProposals',
+      args: [batch],
+    })
+    if (MAX_GAS === undefined || gas <= MAX_GAS) {
+      planned.push({ ids: batch, gas })
+    } else if (batch.length === 1) {
+      console.warn(`skipping #${batch[0]} for good: closing it needs ${gas} gas, over --max-gas ${MAX_GAS}`)
+      open.delete(batch[0])
+    } else {
+      const half = Math.ceil(batch.length / 2)
+      batches.unshift(batch.slice(0, half), batch.slice(half))
+    }
+  }
+  return planned
+}
+
+async function closeDue(block) {
+  await syncTo(block.number)
+  const due = [...open].filter(([, endTime]) => block.timestamp > endTime).map(([id]) => id)
+  if (due.length === 0) return
+
+  for (const { ids, gas } of await plan(due)) {
+    if (DRY_RUN) {
+      console.log(`[dry run] would close ${label(ids)} (~${gas} gas)`)
+      continue
+    }
+    const { request } = await publicClient.simulateContract({ ...contract, account, functionName: 'closeProposals', args: [ids] })
+    const hash = await walletClient.writeContract({ ...request, chain: null, gas: MAX_GAS })
+    const receipt = await publicClient.waitForTransactionReceipt({ hash })
+    const closed = parseEventLogs({ abi: votingAbi, eventName: 'ProposalClosed', logs: receipt.logs })
+    closed.forEach(({ args }) => open.delete(args.proposalId))
+    console.log(
+      `closed ${closed.length ? label(closed.map((l) => l.args.proposalId)) : 'nothing'} in block ${receipt.blockNumber} ` +
+        `(${receipt.gasUsed} gas): ${hash}`
+    )
+  }
+  // Dry runs change nothing, so the same proposals stay due; only report them once
+  if (DRY_RUN) due.forEach((id) => open.delete(id))
+}
+
+const chainId = await publicClient.getChainId()
+const latest = await publicClient.getBlock()
+await loadOpen(latest.number)
+console.log(
+  `Keeper ${account?.address ?? '(read only)'} on chain ${chainId} for ${CONTRACT_ADDRESS}: ` +
+    `${open.size} open proposal(s)${DRY_RUN ? ', dry run' : ''}${MAX_GAS !== undefined ? `, max ${MAX_GAS} gas per tx` : ''}`
+)
+
+if (options.once) {
+  await closeDue(latest)
+  process.exit(0)
+}
+
+// Blocks can arrive while a batch is still being mined; those are skipped, the next block catches up
+let busy = false
+publicClient.watchBlocks({
+  emitMissed: false,
+  onBlock: async (block) => {
+    if (busy) return
+    busy = true
+    try {
+      await closeDue(block)
+    } catch (err) {
+      console.error(`block ${block.number}: ${err?.shortMessage || err?.message}`)
+    } finally {
+      busy = false
+    }
+  },
+  onError: (err) => console.error(err?.shortMessage || err?.message),
+})
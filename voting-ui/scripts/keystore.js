@@ -0,0 +1,38 @@
+// Decrypts Ethereum V3 keystore files (as written by geth, `cast wallet new` or MetaMask exports)
+// with node:crypto, so the CLI can sign without the key ever sitting in the environment.
+import { createDecipheriv, pbkdf2Sync, scryptSync } from 'node:crypto'
+import { readFile } from 'node:fs/promises'
+import { keccak256 } from 'viem'
+
+function deriveKey({ kdf, kdfparams: params }, password) {
+  const salt = Buffer.from(params.salt, 'hex')
+  if (kdf === 'scrypt') {
+    // Node caps scrypt memory at 32 MB by default; geth's standard N = 2^18 needs 256 MB
+    return scryptSync(password, salt, params.dklen, { N: params.n, r: params.r, p: params.p, maxmem: 256 * params.n * params.r })
+  }
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') throw new Error(`Unsupported keystore prf "${params.prf}"`)
+    return pbkdf2Sync(password, salt, params.c, params.dklen, 'sha256')
+  }
+  throw new Error(`Unsupported keystore kdf "${kdf}"`)
+}
+
+/** The 0x-prefixed private key in a V3 keystore; throws on a wrong password. */
+export function decryptKeystore(keystore, password) {
+  if (Number(keystore.version) !== 3) throw new Error('Only version 3 keystores are supported')
+  const crypto = keystore.crypto ?? keystore.Crypto
+  if (crypto.cipher !== 'aes-128-ctr') throw new Error(`Unsupported keystore cipher "${crypto.cipher}"`)
+
+  const derived = deriveKey(crypto, password)
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex')
+  // The MAC covers the second half of the derived key, so a wrong password is caught before decrypting
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext]))
+  if (mac.slice(2) !== crypto.mac.toLowerCase()) throw new Error('Wrong keystore password')
+
+  const decipher = createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'))
+  return `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`
+}
+
+export async function readKeystore(path, password) {
+  return decryptKeystore(JSON.parse(await readFile(path, 'utf8')), password)
+}
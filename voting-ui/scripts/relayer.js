@@ -0,0 +1,151 @@
+// Gasless voting relayer.
+//
+// Accepts EIP-712 signed ballots over HTTP and submits them to `VotingContract.voteBySig`,
+// paying the gas from its own account.
+//
+//   RELAYER_PRIVATE_KEY=0x… CONTRACT_ADDRESS=0x… RPC_URL=http://127.0.0.1:8545 npm run relayer
+//
+// Endpoints:
+//   GET  /health   -> { relayer, contract, chainId }
+//   POST /ballots  <- { proposalId, support, voter, deadline, signature }
+//                  -> 202 { hash } once the transaction is broadcast
+import http from 'node:http'
+import {
+  createPublicClient,
+  createWalletClient,
+  http as httpTransport,
+  isAddress,
+  parseSignature,
+  verifyTypedData,
+} from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { votingAbi } from '../src/abi/votingAbi.js'
+import { BALLOT_TYPES, ballotDomain } from '../src/lib/ballot.js'
+
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545'
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS
+const PORT = Number(process.env.PORT || 8787)
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'
+const MAX_BODY_BYTES = 10_000
+
+if (!process.env.RELAYER_PRIVATE_KEY || !isAddress(CONTRACT_ADDRESS || '')) {
+  console.error('Set RELAYER_PRIVATE_KEY and CONTRACT_ADDRESS (and optionally RPC_URL, PORT).')
+  process.exit(1)
+}
+
+const account = privateKeyToAccount(process.env.RELAYER_PRIVATE_KEY)
+const publicClient = createPublicClient({ transport: httpTransport(RPC_URL) })
+const walletClient = createWalletClient({ account, transport: httpTransport(RPC_URL) })
+const contract = { address: CONTRACT_ADDRESS, abi: votingAbi }
+const chainId = await publicClient.getChainId()
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+      if (body.length > MAX_BODY_BYTES) reject(new HttpError(413, 'Body too large'))
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch {
+        reject(new HttpError(400, 'Body must be JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function parseBallot(body) {
+  const { proposalId, support, voter, deadline, signature } = body || {}
+  if (!isAddress(voter || '')) throw new HttpError(400, 'Invalid voter address')
+  if (typeof support !== 'boolean') throw new HttpError(400, 'support must be a boolean')
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new HttpError(400, 'signature must be a 65-byte hex string')
+  }
+  try {
+    return { proposalId: BigInt(proposalId), support, voter, deadline: BigInt(deadline), signature }
+  } catch {
+    throw new HttpError(400, 'proposalId and deadline must be integers')
+  }
+}
+
+// Submissions go out one at a time so the relayer account never races its own nonce
+let queue = Promise.resolve()
+const serialize = (task) => {
+  const run = queue.then(task, task)
+  queue = run.catch(() => {})
+  return run
+}
+
+async function relay(ballot) {
+  // The contract checks the deadline against block.timestamp, which need not follow this machine's clock
+  const { timestamp } = await publicClient.getBlock()
+  if (ballot.deadline < timestamp) throw new HttpError(400, 'Signature expired')
+
+  const nonce = await publicClient.readContract({ ...contract, functionName: 'nonces', args: [ballot.voter] })
+  const valid = await verifyTypedData({
+    address: ballot.voter,
+    domain: ballotDomain(chainId, CONTRACT_ADDRESS),
+    types: BALLOT_TYPES,
+    primaryType: 'Ballot',
+    message: { proposalId: ballot.proposalId, support: ballot.support, voter: ballot.voter, nonce, deadline: ballot.deadline },
+    signature: ballot.signature,
+  }).catch(() => false) // malformed signatures throw instead of failing verification
+  if (!valid) throw new HttpError(400, 'Invalid signature')
+
+  const { r, s, v, yParity } = parseSignature(ballot.signature)
+  const args = [ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, Number(v ?? BigInt(yParity + 27)), r, s]
+
+  return serialize(async () => {
+    try {
+      const { request } = await publicClient.simulateContract({ ...contract, account, functionName: 'voteBySig', args })
+      return await walletClient.writeContract({ ...request, chain: null })
+    } catch (err) {
+      // Surface the contract's revert string ("Already voted", "Proposal has ended", …)
+      const reason = err?.cause?.reason || err?.shortMessage || err?.message
+      throw new HttpError(422, reason)
+    }
+  })
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN)
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  const send = (status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(payload))
+  }
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+    } else if (req.method === 'GET' && req.url === '/health') {
+      send(200, { relayer: account.address, contract: CONTRACT_ADDRESS, chainId })
+    } else if (req.method === 'POST' && req.url === '/ballots') {
+      const ballot = parseBallot(await readJson(req))
+      const hash = await relay(ballot)
+      console.log(`relayed vote on #${ballot.proposalId} for ${ballot.voter}: ${hash}`)
+      send(202, { hash })
+    } else {
+      send(404, { error: 'Not found' })
+    }
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err)
+    send(err instanceof HttpError ? err.status : 500, { error: err instanceof HttpError ? err.message : 'Internal error' })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Relayer ${account.address} on chain ${chainId} for ${CONTRACT_ADDRESS}, listening on :${PORT}`)
+})
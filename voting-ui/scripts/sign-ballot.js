@@ -0,0 +1,52 @@
+// Sign a ballot with a local key and hand it to the relayer — an end-to-end check of
+// gasless voting without a browser wallet.
+//
+//   VOTER_PRIVATE_KEY=0x… CONTRACT_ADDRESS=0x… node scripts/sign-ballot.js <proposalId> <yes|no>
+//
+// Optional: RPC_URL (default http://127.0.0.1:8545), RELAYER_URL (default http://127.0.0.1:8787).
+import { createPublicClient, http } from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { votingAbi } from '../src/abi/votingAbi.js'
+import { BALLOT_TTL_SECONDS, BALLOT_TYPES, ballotDomain, serializeBallot } from '../src/lib/ballot.js'
+
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545'
+const RELAYER_URL = process.env.RELAYER_URL || 'http://127.0.0.1:8787'
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS
+const [id, choice] = process.argv.slice(2)
+
+if (!process.env.VOTER_PRIVATE_KEY || !CONTRACT_ADDRESS || id === undefined || !['yes', 'no'].includes(choice)) {
+  console.error('Usage: VOTER_PRIVATE_KEY=0x… CONTRACT_ADDRESS=0x… node scripts/sign-ballot.js <proposalId> <yes|no>')
+  process.exit(1)
+}
+
+const account = privateKeyToAccount(process.env.VOTER_PRIVATE_KEY)
+const client = createPublicClient({ transport: http(RPC_URL) })
+
+const chainId = await client.getChainId()
+const { timestamp } = await client.getBlock()
+const nonce = await client.readContract({ address: CONTRACT_ADDRESS, abi: votingAbi, functionName: 'nonces', args: [account.address] })
+const ballot = {
+  proposalId: BigInt(id),
+  support: choice === 'yes',
+  voter: account.address,
+  deadline: timestamp + BigInt(BALLOT_TTL_SECONDS),
+}
+const signature = await account.signTypedData({
+  domain: ballotDomain(chainId, CONTRACT_ADDRESS),
+  types: BALLOT_TYPES,
+  primaryType: 'Ballot',
+  message: { ...ballot, nonce },
+})
+
+const res = await fetch(`${RELAYER_URL}/ballots`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: serializeBallot({ ...ballot, signature }),
+})
+const body = await res.json()
+if (!res.ok) {
+  console.error(`Relayer rejected the ballot (${res.status}): ${body.error}`)
+  process.exit(1)
+}
+const receipt = await client.waitForTransactionReceipt({ hash: body.hash })
+console.log(`Vote ${choice} on #${id} by ${account.address} relayed in ${body.hash} (${receipt.status})`)
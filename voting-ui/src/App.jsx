@@ -1,14 +1,33 @@
-import React from 'react'
+import React, { Suspense, lazy } from 'react'
 import { useAccount } from 'wagmi'
 import { WalletSection } from './components/WalletSection'
+import { DelegationPanel } from './components/DelegationPanel'
+import { Inbox } from './components/Inbox'
 import { CreateProposal } from './components/CreateProposal'
 import { ProposalList } from './components/ProposalList'
 import { EventFeed } from './components/EventFeed'
+import { ReportPanel } from './components/ReportPanel'
 import { ChainGuard } from './components/ChainGuard'
+import { PauseBanner } from './components/PauseBanner'
+import { AdminConsole } from './components/AdminConsole'
+import { NetworkSelector } from './components/NetworkSelector'
+import { TransactionTray } from './components/TransactionTray'
+import { ProposalDetail } from './components/ProposalDetail'
+import { ActivityDashboard } from './components/ActivityDashboard'
+import { Link } from './components/Link'
+import { useRoute } from './lib/router'
+import { useWatchlistNotifier } from './lib/watchlist'
+import { CHAIN, DEMO_MODE } from './lib/chain'
 
 import { Footer } from './components/Footer'
+
+// Demo mode only; loading it lazily keeps the in-page chain out of regular builds
+const DemoBar = lazy(() => import('./components/DemoBar').then((m) => ({ default: m.DemoBar })))
+
 export default function App() {
   const { isConnected } = useAccount()
+  const route = useRoute()
+  useWatchlistNotifier()
 
   return (
     <div className="min-h-screen flex flex-col">
@@ -17,29 +36,52 @@ export default function App() {
           <div className="flex items-center gap-3">
             <div className="h-9 w-9 rounded-xl bg-gradient-to-br from-base-500 to-blue-400 shadow-glow animate-float" />
             <div>
-              <h1 className="text-lg font-semibold tracking-tight">Base Voting dApp</h1>
+              <h1 className="text-lg font-semibold tracking-tight"><Link to="/">Base Voting dApp</Link></h1>
               <p className="text-xs text-neutral-400">Minimal. Futuristic. Onchain.</p>
             </div>
           </div>
-          <WalletSection />
+          <div className="flex items-center gap-3">
+            {isConnected && <Link to="/activity" className="text-sm text-neutral-300 hover:text-neutral-100">My activity</Link>}
+            <NetworkSelector />
+            <Inbox />
+            <DelegationPanel />
+            <WalletSection />
+          </div>
         </div>
       </header>
 
       <main className="container-max py-8 space-y-8 flex-1">
+        {DEMO_MODE && (
+          <Suspense fallback={null}>
+            <DemoBar />
+          </Suspense>
+        )}
         <ChainGuard />
-        {!isConnected ? (
+        <PauseBanner />
+        {route.name === 'proposal' ? (
+          // Proposal pages are readable without a wallet so links can be shared
+          <ProposalDetail id={route.id} />
+        ) : !isConnected ? (
           <div className="card p-6">
             <h2 className="text-xl font-medium mb-2">Connect a wallet to get started</h2>
-            <p className="text-neutral-400">Use MetaMask or Coinbase Wallet (Base account) to interact with proposals on Base Sepolia.</p>
+            <p className="text-neutral-400">
+              {DEMO_MODE
+                ? 'Connect the demo wallet to create proposals and vote as one of the test accounts.'
+                : `Use MetaMask or Coinbase Wallet (Base account) to interact with proposals on ${CHAIN.name}.`}
+            </p>
           </div>
+        ) : route.name === 'activity' ? (
+          <ActivityDashboard />
         ) : (
           <>
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               <div className="lg:col-span-2 space-y-6">
+                <AdminConsole />
                 <CreateProposal />
                 <ProposalList />
               </div>
-              <div className="lg:col-span-1">
+              <div className="lg:col-span-1 space-y-6">
+                <ReportPanel />
                 <EventFeed />
               </div>
             </div>
@@ -48,6 +90,7 @@ export default function App() {
       </main>
 
       <Footer />
+      <TransactionTray />
     </div>
   )
 }
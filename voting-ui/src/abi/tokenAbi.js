@@ -0,0 +1,18 @@
+// The parts of an ERC-20 / ERC-721 voting token the frontend reads (see proposal-contract/src/mocks).
+// `decimals` does not exist on ERC-721 tokens; a reverted read gives null decimals.
+export const tokenAbi = [
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'symbol',
+    inputs: [],
+    outputs: [{ name: '', type: 'string' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'decimals',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint8' }],
+  },
+];
@@ -7,8 +7,12 @@ export const votingAbi = [
     name: 'ProposalCreated',
     inputs: [
       { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'proposer', type: 'address' },
       { indexed: false, name: 'description', type: 'string' },
       { indexed: false, name: 'endTime', type: 'uint256' },
+      { indexed: false, name: 'quorum', type: 'uint256' },
+      { indexed: false, name: 'thresholdBps', type: 'uint256' },
+      { indexed: false, name: 'options', type: 'string[]' },
     ],
     anonymous: false,
   },
@@ -18,6 +22,8 @@ export const votingAbi = [
     inputs: [
       { indexed: false, name: 'proposalId', type: 'uint256' },
       { indexed: false, name: 'voter', type: 'address' },
+      { indexed: false, name: 'choice', type: 'uint8' },
+      { indexed: false, name: 'weight', type: 'uint256' },
     ],
     anonymous: false,
   },
@@ -27,6 +33,121 @@ export const votingAbi = [
     inputs: [
       { indexed: false, name: 'proposalId', type: 'uint256' },
       { indexed: false, name: 'approved', type: 'bool' },
+      { indexed: false, name: 'winningOption', type: 'uint8' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'ProposalWeighted',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'weighting', type: 'uint8' },
+      { indexed: false, name: 'token', type: 'address' },
+      { indexed: false, name: 'snapshotBlock', type: 'uint256' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'DelegateChanged',
+    inputs: [
+      { indexed: false, name: 'delegator', type: 'address' },
+      { indexed: false, name: 'fromDelegate', type: 'address' },
+      { indexed: false, name: 'toDelegate', type: 'address' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'ProposalDelegateChanged',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'delegator', type: 'address' },
+      { indexed: false, name: 'fromDelegate', type: 'address' },
+      { indexed: false, name: 'toDelegate', type: 'address' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'DelegatorBlocked',
+    inputs: [
+      { indexed: false, name: 'delegate', type: 'address' },
+      { indexed: false, name: 'delegator', type: 'address' },
+      { indexed: false, name: 'blocked', type: 'bool' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'DelegatedVoteCast',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'delegate', type: 'address' },
+      { indexed: false, name: 'delegator', type: 'address' },
+      { indexed: false, name: 'choice', type: 'uint8' },
+      { indexed: false, name: 'weight', type: 'uint256' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'DelegatedVoteOverridden',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'delegate', type: 'address' },
+      { indexed: false, name: 'delegator', type: 'address' },
+      { indexed: false, name: 'choice', type: 'uint8' },
+      { indexed: false, name: 'weight', type: 'uint256' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'VoteChanged',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'voter', type: 'address' },
+      { indexed: false, name: 'fromChoice', type: 'uint8' },
+      { indexed: false, name: 'toChoice', type: 'uint8' },
+      { indexed: false, name: 'weight', type: 'uint256' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'VoteRetracted',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'voter', type: 'address' },
+      { indexed: false, name: 'choice', type: 'uint8' },
+      { indexed: false, name: 'weight', type: 'uint256' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'ProposalCancelled',
+    inputs: [
+      { indexed: false, name: 'proposalId', type: 'uint256' },
+      { indexed: false, name: 'cancelledBy', type: 'address' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Paused',
+    inputs: [
+      { indexed: false, name: 'account', type: 'address' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Unpaused',
+    inputs: [
+      { indexed: false, name: 'account', type: 'address' },
     ],
     anonymous: false,
   },
@@ -66,8 +187,66 @@ export const votingAbi = [
       { name: 'active', type: 'bool' },
       { name: 'endTime', type: 'uint256' },
       { name: 'approved', type: 'bool' },
+      { name: 'proposer', type: 'address' },
+      { name: 'quorum', type: 'uint256' },
+      { name: 'thresholdBps', type: 'uint256' },
+    ],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getProposalsRange',
+    inputs: [
+      { name: '_start', type: 'uint256' },
+      { name: '_end', type: 'uint256' },
+    ],
+    outputs: [
+      {
+        name: 'page',
+        type: 'tuple[]',
+        components: [
+          { name: 'description', type: 'string' },
+          { name: 'yesVotes', type: 'uint256' },
+          { name: 'noVotes', type: 'uint256' },
+          { name: 'active', type: 'bool' },
+          { name: 'endTime', type: 'uint256' },
+          { name: 'approved', type: 'bool' },
+          { name: 'proposer', type: 'address' },
+          { name: 'quorum', type: 'uint256' },
+          { name: 'thresholdBps', type: 'uint256' },
+          { name: 'kind', type: 'uint8' },
+          { name: 'abstainVotes', type: 'uint256' },
+          { name: 'options', type: 'string[]' },
+          { name: 'optionVotes', type: 'uint256[]' },
+          { name: 'winningOption', type: 'uint8' },
+          { name: 'weighting', type: 'uint8' },
+          { name: 'token', type: 'address' },
+          { name: 'snapshotBlock', type: 'uint256' },
+          { name: 'cancelled', type: 'bool' },
+        ],
+      },
     ],
   },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getOptions',
+    inputs: [{ name: '_proposalId', type: 'uint256' }],
+    outputs: [
+      { name: 'labels', type: 'string[]' },
+      { name: 'votes', type: 'uint256[]' },
+    ],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getVotingPower',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_account', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
   {
     type: 'function',
     stateMutability: 'view',
@@ -78,6 +257,74 @@ export const votingAbi = [
     ],
     outputs: [{ name: '', type: 'bool' }],
   },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'receipts',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: 'voter', type: 'address' },
+    ],
+    outputs: [
+      { name: 'choice', type: 'uint8' },
+      { name: 'weight', type: 'uint256' },
+      { name: 'castBy', type: 'address' },
+    ],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'delegates',
+    inputs: [{ name: 'delegator', type: 'address' }],
+    outputs: [{ name: '', type: 'address' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'blockedDelegators',
+    inputs: [
+      { name: 'delegate', type: 'address' },
+      { name: 'delegator', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'bool' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'proposalDelegates',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: 'delegator', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'address' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'delegateOf',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_account', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'address' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getDelegators',
+    inputs: [{ name: '_delegate', type: 'address' }],
+    outputs: [{ name: '', type: 'address[]' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getProposalDelegators',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_delegate', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'address[]' }],
+  },
   {
     type: 'function',
     stateMutability: 'view',
@@ -85,7 +332,80 @@ export const votingAbi = [
     inputs: [{ name: 'addr', type: 'address' }],
     outputs: [{ name: '', type: 'bool' }],
   },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'getApprovedProposers',
+    inputs: [],
+    outputs: [{ name: '', type: 'address[]' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'nonces',
+    inputs: [{ name: '', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'DOMAIN_SEPARATOR',
+    inputs: [],
+    outputs: [{ name: '', type: 'bytes32' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'owner',
+    inputs: [],
+    outputs: [{ name: '', type: 'address' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'view',
+    name: 'paused',
+    inputs: [],
+    outputs: [{ name: '', type: 'bool' }],
+  },
   // Write functions
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'approveProposal',
+    inputs: [{ name: '_proposer', type: 'address' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'removeProposal',
+    inputs: [{ name: '_proposer', type: 'address' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'approveProposals',
+    inputs: [{ name: '_proposers', type: 'address[]' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'removeProposals',
+    inputs: [{ name: '_proposers', type: 'address[]' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'createProposal',
+    inputs: [
+      { name: '_description', type: 'string' },
+      { name: '_duration', type: 'uint256' },
+    ],
+    outputs: [{ name: 'proposalId', type: 'uint256' }],
+  },
   {
     type: 'function',
     stateMutability: 'nonpayable',
@@ -93,6 +413,48 @@ export const votingAbi = [
     inputs: [
       { name: '_description', type: 'string' },
       { name: '_duration', type: 'uint256' },
+      { name: '_quorum', type: 'uint256' },
+      { name: '_thresholdBps', type: 'uint256' },
+    ],
+    outputs: [{ name: 'proposalId', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'createProposal',
+    inputs: [
+      { name: '_description', type: 'string' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_quorum', type: 'uint256' },
+      { name: '_thresholdBps', type: 'uint256' },
+      { name: '_weighting', type: 'uint8' },
+      { name: '_token', type: 'address' },
+    ],
+    outputs: [{ name: 'proposalId', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'createMultipleChoiceProposal',
+    inputs: [
+      { name: '_description', type: 'string' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_options', type: 'string[]' },
+      { name: '_quorum', type: 'uint256' },
+    ],
+    outputs: [{ name: 'proposalId', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'createMultipleChoiceProposal',
+    inputs: [
+      { name: '_description', type: 'string' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_options', type: 'string[]' },
+      { name: '_quorum', type: 'uint256' },
+      { name: '_weighting', type: 'uint8' },
+      { name: '_token', type: 'address' },
     ],
     outputs: [{ name: 'proposalId', type: 'uint256' }],
   },
@@ -106,6 +468,48 @@ export const votingAbi = [
     ],
     outputs: [],
   },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'vote',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_choice', type: 'uint8' },
+    ],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'changeVote',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_choice', type: 'uint8' },
+    ],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'retractVote',
+    inputs: [{ name: '_proposalId', type: 'uint256' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'voteBySig',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_support', type: 'bool' },
+      { name: '_voter', type: 'address' },
+      { name: '_deadline', type: 'uint256' },
+      { name: 'v', type: 'uint8' },
+      { name: 'r', type: 'bytes32' },
+      { name: 's', type: 'bytes32' },
+    ],
+    outputs: [],
+  },
   {
     type: 'function',
     stateMutability: 'nonpayable',
@@ -113,4 +517,87 @@ export const votingAbi = [
     inputs: [{ name: '_proposalId', type: 'uint256' }],
     outputs: [],
   },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'closeProposals',
+    inputs: [{ name: '_proposalIds', type: 'uint256[]' }],
+    outputs: [{ name: 'closed', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'cancelProposal',
+    inputs: [{ name: '_proposalId', type: 'uint256' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'pause',
+    inputs: [],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'unpause',
+    inputs: [],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'delegate',
+    inputs: [{ name: '_delegate', type: 'address' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'delegate',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_delegate', type: 'address' },
+    ],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'undelegate',
+    inputs: [],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'undelegate',
+    inputs: [{ name: '_proposalId', type: 'uint256' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'removeDelegators',
+    inputs: [{ name: '_delegators', type: 'address[]' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'removeDelegators',
+    inputs: [
+      { name: '_proposalId', type: 'uint256' },
+      { name: '_delegators', type: 'address[]' },
+    ],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    stateMutability: 'nonpayable',
+    name: 'unblockDelegator',
+    inputs: [{ name: '_delegator', type: 'address' }],
+    outputs: [],
+  },
 ];
@@ -0,0 +1,225 @@
+import React from 'react'
+import { useAccount } from 'wagmi'
+import { ArrowLeft, CheckCheck, Loader2, ShieldCheck, ShieldOff } from 'lucide-react'
+import { useAccountActivity } from '../lib/activity'
+import { useIsOwner } from '../lib/admin'
+import { useProposalActions } from '../lib/proposalActions'
+import { useProposals } from '../lib/proposalStore'
+import { useBlockTimestamps } from '../lib/blockTimes'
+import { useDocumentTitle } from '../lib/meta'
+import { decodeProposalContent } from '../lib/proposalContent'
+import { navigateBack, proposalPath } from '../lib/router'
+import { explorerTxUrl, shortAddress } from '../lib/chain'
+import { proposalPhase, useChainNow } from '../lib/chainClock'
+import { choiceLabel, isWeighted, winnerLabel } from '../lib/outcome'
+import { useVoteFormat } from '../lib/votingPower'
+import { StatusBadge } from './ProposalStatus'
+import { Countdown } from './Countdown'
+import { Link } from './Link'
+
+/**
+ * The connected account's dashboard: proposer status, proposals waiting for its vote,
+ * proposals anyone can close, the proposals it created and every ballot it cast.
+ */
+export function ActivityDashboard() {
+  const { address } = useAccount()
+  const activity = useAccountActivity(address)
+  const isOwner = useIsOwner(address)
+  useDocumentTitle('My activity')
+
+  return (
+    <div className="space-y-6">
+      <button className="inline-flex items-center gap-1 text-sm text-neutral-400 hover:text-neutral-200" onClick={navigateBack}>
+        <ArrowLeft className="h-4 w-4"/> All proposals
+      </button>
+      <section className="card p-6 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-xl font-semibold">My activity</h2>
+          <code className="text-sm text-neutral-400" title={address}>{shortAddress(address)}</code>
+        </div>
+        <ProposerStatus isApproved={activity.isApproved} isOwner={isOwner} allowlist={activity.allowlist} />
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+          <Stat label="Created" value={activity.created.length} partial={!activity.historyComplete} />
+          <Stat label="Ballots cast" value={activity.votes.length} partial={!activity.historyComplete} />
+          <Stat label="Awaiting your vote" value={activity.awaitingVote.length} />
+          <Stat label="Ready to close" value={activity.closable.length} />
+        </div>
+        <HistoryStatus activity={activity} />
+      </section>
+      <AwaitingVote ids={activity.awaitingVote} ready={activity.ready} />
+      <Closable ids={activity.closable} />
+      <Created events={activity.created} complete={activity.historyComplete} />
+      <Ballots events={activity.votes} complete={activity.historyComplete} />
+    </div>
+  )
+}
+
+function Stat({ label, value, partial }) {
+  return (
+    <div className="rounded-xl border border-neutral-800 p-3">
+      <div className="text-lg font-semibold tabular-nums">{value}{partial && '+'}</div>
+      <div className="text-xs text-neutral-400">{label}</div>
+    </div>
+  )
+}
+
+function ProposerStatus({ isApproved, isOwner, allowlist }) {
+  const tx = allowlist && explorerTxUrl(allowlist.transactionHash)
+  const since = allowlist && (
+    <>
+      {' '}{isApproved ? 'since' : 'removed in'} block {String(allowlist.blockNumber)}
+      {tx && <> (<a className="underline hover:text-neutral-200" href={tx} target="_blank" rel="noreferrer">tx</a>)</>}
+    </>
+  )
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {isApproved === undefined ? (
+        <span className="inline-flex items-center gap-2 text-neutral-400"><Loader2 className="h-4 w-4 animate-spin"/> Checking proposer status…</span>
+      ) : isApproved ? (
+        <span className="inline-flex items-center gap-1 text-green-300"><ShieldCheck className="h-4 w-4"/> Approved proposer{since}</span>
+      ) : (
+        <span className="inline-flex items-center gap-1 text-neutral-400">
+          <ShieldOff className="h-4 w-4"/> Not on the proposer allowlist{allowlist && since}
+        </span>
+      )}
+      {isOwner && <span className="badge">Contract owner</span>}
+    </div>
+  )
+}
+
+// Created proposals and ballots come from the event history, which is filled in back to the deployment block
+function HistoryStatus({ activity }) {
+  if (activity.historyComplete) return null
+  if (activity.historyError) {
+    return (
+      <div className="text-xs text-red-400">
+        Could not scan older blocks.{' '}
+        <button className="underline hover:text-red-300" onClick={activity.loadFullHistory}>Retry</button>
+      </div>
+    )
+  }
+  return (
+    <div className="inline-flex items-center gap-2 text-xs text-neutral-400">
+      <Loader2 className="h-3 w-3 animate-spin"/>
+      Indexing contract events{activity.scannedFrom !== undefined && `, back to block ${String(activity.scannedFrom)}`}… Older activity appears as it is found.
+    </div>
+  )
+}
+
+function ProposalRow({ id, countdown, children }) {
+  const { proposals, pending } = useProposals()
+  const now = useChainNow()
+  const proposal = proposals[id]
+  if (!proposal) return null
+  return (
+    <li className="flex flex-wrap items-center gap-3 text-sm">
+      <Link to={proposalPath(id)} className="hover:underline underline-offset-4">#{id} • {decodeProposalContent(proposal.description).title}</Link>
+      <StatusBadge active={proposal.active} approved={proposal.approved} cancelled={proposal.cancelled} closing={pending[id]?.closing} phase={proposalPhase(proposal, now)} winner={winnerLabel(proposal)} />
+      {countdown && <span className="text-xs text-neutral-400"><Countdown proposal={proposal} /></span>}
+      {children}
+    </li>
+  )
+}
+
+function AwaitingVote({ ids, ready }) {
+  return (
+    <section className="card p-6 space-y-3">
+      <h3 className="text-base font-medium">Awaiting your vote</h3>
+      {!ready ? (
+        <div className="flex items-center gap-2 text-sm text-neutral-400"><Loader2 className="h-4 w-4 animate-spin"/> Loading…</div>
+      ) : ids.length === 0 ? (
+        <p className="text-sm text-neutral-500">You have voted on every open proposal.</p>
+      ) : (
+        <ul className="space-y-2">
+          {ids.map((id) => <ProposalRow key={id} id={id} countdown />)}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function Closable({ ids }) {
+  const { closeMany } = useProposalActions()
+  if (ids.length === 0) return null
+  return (
+    <section className="card p-6 space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-base font-medium">Ready to close</h3>
+        <button className="btn btn-primary" onClick={() => closeMany([...ids].sort((a, b) => a - b))}>
+          <CheckCheck className="h-4 w-4"/> Close {ids.length === 1 ? 'it' : `all ${ids.length}`}
+        </button>
+      </div>
+      <p className="text-xs text-neutral-400">Voting has ended on these; anyone can close them to record the result.</p>
+      <ul className="space-y-2">
+        {ids.map((id) => <ProposalRow key={id} id={id} />)}
+      </ul>
+    </section>
+  )
+}
+
+function TxLink({ hash }) {
+  const url = explorerTxUrl(hash)
+  if (!url) return null
+  return <a className="ml-auto text-xs text-neutral-500 underline hover:text-neutral-300" href={url} target="_blank" rel="noreferrer">View tx</a>
+}
+
+function Created({ events, complete }) {
+  return (
+    <section className="card p-6 space-y-3">
+      <h3 className="text-base font-medium">Created by you</h3>
+      {events.length === 0 ? (
+        <p className="text-sm text-neutral-500">{complete ? 'You have not created any proposals.' : 'None found yet.'}</p>
+      ) : (
+        <ul className="space-y-2">
+          {events.map((e) => (
+            <ProposalRow key={e.id} id={Number(e.args.proposalId)}>
+              <TxLink hash={e.transactionHash} />
+            </ProposalRow>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function Ballots({ events, complete }) {
+  const times = useBlockTimestamps(events.map((e) => e.blockNumber))
+  return (
+    <section className="card p-6 space-y-3">
+      <h3 className="text-base font-medium">Your votes</h3>
+      {events.length === 0 ? (
+        <p className="text-sm text-neutral-500">{complete ? 'You have not voted yet.' : 'None found yet.'}</p>
+      ) : (
+        <ul className="space-y-2">
+          {events.map((e) => <Ballot key={e.id} event={e} time={times[Number(e.blockNumber)]} />)}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function Ballot({ event, time }) {
+  const { proposals } = useProposals()
+  const id = Number(event.args.proposalId)
+  const proposal = proposals[id]
+  const format = useVoteFormat(proposal)
+  const { eventName, args } = event
+  const label = (choice) => (proposal ? choiceLabel(proposal, choice) : `choice ${choice}`)
+  const text = {
+    VoteCast: `Voted ${label(args.choice)}`,
+    VoteChanged: `Changed ${label(args.fromChoice)} → ${label(args.toChoice)}`,
+    VoteRetracted: `Withdrew ${label(args.choice)}`,
+    DelegatedVoteCast: `Voted ${label(args.choice)} for ${args.delegator && shortAddress(args.delegator)}`,
+  }[eventName]
+  return (
+    <li className="flex flex-wrap items-center gap-3 text-sm">
+      <Link to={proposalPath(id)} className="hover:underline underline-offset-4">
+        #{id}{proposal && ` • ${decodeProposalContent(proposal.description).title}`}
+      </Link>
+      <span className="text-neutral-300">{text}</span>
+      {proposal && isWeighted(proposal) && <span className="text-xs text-neutral-400">{format(args.weight, { symbol: true })}</span>}
+      {time && <span className="text-xs text-neutral-500">{new Date(time * 1000).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })}</span>}
+      <TxLink hash={event.transactionHash} />
+    </li>
+  )
+}
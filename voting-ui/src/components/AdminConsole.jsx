@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react'
+import { useAccount } from 'wagmi'
+import { Pause, Play, ShieldCheck, UserMinus, UserPlus, Loader2 } from 'lucide-react'
+import { useTransact } from '../lib/transactions'
+import { parseAddressList, useAllowlist } from '../lib/allowlist'
+import { useIsOwner, usePaused, usePauseActions } from '../lib/admin'
+import { explorerTxUrl, shortAddress } from '../lib/chain'
+
+export function AdminConsole() {
+  const { address } = useAccount()
+  const isOwner = useIsOwner(address)
+
+  if (!isOwner) return null
+  return (
+    <>
+      <PausePanel />
+      <AllowlistPanel />
+    </>
+  )
+}
+
+/** Emergency stop for proposal creation and voting. */
+function PausePanel() {
+  const { paused, isLoading } = usePaused()
+  const { pause, unpause } = usePauseActions()
+  const [status, setStatus] = useState('idle') // idle | pending | error
+  const [error, setError] = useState(null)
+
+  const run = async (action) => {
+    setStatus('pending')
+    setError(null)
+    try {
+      await action()
+      setStatus('idle')
+    } catch (err) {
+      setError(err.message)
+      setStatus('error')
+    }
+  }
+
+  return (
+    <section className={`card p-6 space-y-3 ${paused ? 'border-amber-700' : ''}`}>
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-medium">Emergency pause</h2>
+          <p className="text-sm text-neutral-400">
+            {paused
+              ? 'Proposal creation and voting are paused. Closing and cancelling proposals still work.'
+              : 'Pausing stops proposal creation and all voting until you resume.'}
+          </p>
+        </div>
+        <button
+          className={`btn ${paused ? 'btn-primary' : 'btn-outline'}`}
+          disabled={isLoading || status === 'pending'}
+          onClick={() => run(paused ? unpause : pause)}
+        >
+          {status === 'pending' ? <Loader2 className="h-4 w-4 animate-spin" /> : paused ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+      </div>
+      {status === 'error' && <div className="text-red-400 text-sm">{error}</div>}
+    </section>
+  )
+}
+
+function AllowlistPanel() {
+  const { entries, isLoading, historyComplete, historyLoading, loadFullHistory, refetch } = useAllowlist()
+  const { send: sendTx } = useTransact()
+  const [input, setInput] = useState('')
+  const [status, setStatus] = useState('idle') // idle | pending | success | error
+  const [error, setError] = useState(null)
+
+  const parsed = useMemo(() => parseAddressList(input), [input])
+  const listed = useMemo(() => new Set(entries.map((e) => e.address)), [entries])
+  const toAdd = parsed.valid.filter((a) => !listed.has(a))
+  const toRemove = parsed.valid.filter((a) => listed.has(a))
+
+  const send = async (functionName, addresses) => {
+    setStatus('pending')
+    setError(null)
+    try {
+      const single = addresses.length === 1
+      const verb = functionName === 'approveProposal' ? 'Approve' : 'Remove'
+      await sendTx({
+        label: `${verb} ${single ? shortAddress(addresses[0]) : `${addresses.length} proposers`}`,
+        functionName: single ? functionName : `${functionName}s`,
+        args: [single ? addresses[0] : addresses],
+      })
+      setStatus('success')
+      setInput('')
+      refetch()
+    } catch (err) {
+      setError(err.message)
+      setStatus('error')
+    }
+  }
+
+  return (
+    <section className="card p-6 space-y-5">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-medium inline-flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-purple-300" /> Proposer allowlist
+        </h2>
+        <span className="badge text-purple-300 border-purple-700 bg-purple-900/20">Owner</span>
+      </div>
+
+      <div className="space-y-2">
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-neutral-400 text-sm"><Loader2 className="h-4 w-4 animate-spin" /> Loading allowlist…</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs text-neutral-500">
+              <tr>
+                <th className="py-1 font-normal">Address</th>
+                <th className="py-1 font-normal">Added by</th>
+                <th className="py-1 font-normal">Added</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((e) => (
+                <tr key={e.address} className="border-t border-neutral-800">
+                  <td className="py-2"><code title={e.address}>{shortAddress(e.address)}</code></td>
+                  <td className="py-2 text-neutral-400">{e.addedBy ? <code title={e.addedBy}>{shortAddress(e.addedBy)}</code> : '—'}</td>
+                  <td className="py-2 text-neutral-400">
+                    {e.addedAt ? (
+                      explorerTxUrl(e.addedTx) ? (
+                        <a
+                          className="underline hover:text-neutral-200"
+                          href={explorerTxUrl(e.addedTx)}
+                          target="_blank" rel="noreferrer"
+                        >
+                          {new Date(e.addedAt * 1000).toLocaleString()}
+                        </a>
+                      ) : new Date(e.addedAt * 1000).toLocaleString()
+                    ) : '—'}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button className="btn btn-outline px-2 py-1" disabled={status === 'pending'} onClick={() => send('removeProposal', [e.address])}>
+                      <UserMinus className="h-4 w-4" /> Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {!historyComplete && (
+          <button className="text-xs text-neutral-400 underline hover:text-neutral-200" disabled={historyLoading} onClick={loadFullHistory}>
+            {historyLoading ? 'Scanning history…' : 'Some "added" details may be missing. Scan full history'}
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="label">Add or remove addresses (paste one or many, separated by spaces, commas or new lines)</label>
+        <textarea
+          className="input min-h-[88px] font-mono text-xs"
+          placeholder="0x…"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+        />
+        {parsed.invalid.length > 0 && (
+          <div className="text-xs text-red-400">
+            Invalid or bad checksum: {parsed.invalid.map((t) => <code key={t} className="mr-2">{t}</code>)}
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            className="btn btn-primary"
+            disabled={status === 'pending' || toAdd.length === 0 || parsed.invalid.length > 0}
+            onClick={() => send('approveProposal', toAdd)}
+          >
+            <UserPlus className="h-4 w-4" /> Approve {toAdd.length || ''}
+          </button>
+          <button
+            className="btn btn-outline"
+            disabled={status === 'pending' || toRemove.length === 0 || parsed.invalid.length > 0}
+            onClick={() => send('removeProposal', toRemove)}
+          >
+            <UserMinus className="h-4 w-4" /> Remove {toRemove.length || ''}
+          </button>
+          {status === 'pending' && <Loader2 className="h-4 w-4 animate-spin text-neutral-400" />}
+          {status === 'success' && <span className="text-green-300 text-sm">Allowlist updated</span>}
+          {status === 'error' && <span className="text-red-400 text-sm">{error}</span>}
+        </div>
+      </div>
+    </section>
+  )
+}
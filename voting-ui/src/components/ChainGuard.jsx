@@ -1,7 +1,7 @@
 import React from 'react'
 import { useAccount, useChainId, useSwitchChain } from 'wagmi'
-import { baseSepolia } from 'viem/chains'
 import { AlertTriangle } from 'lucide-react'
+import { CHAIN, CHAIN_REGISTRY, isSupportedChain, setActiveChain } from '../lib/chain'
 
 export function ChainGuard() {
   const chainId = useChainId()
@@ -9,7 +9,10 @@ export function ChainGuard() {
   const { switchChainAsync, isPending } = useSwitchChain()
 
   if (!isConnected) return null
-  if (chainId === baseSepolia.id) return null
+  if (chainId === CHAIN.id) return null
+
+  // The wallet is on another network we have a deployment for: follow it or switch back
+  const walletChain = isSupportedChain(chainId) ? CHAIN_REGISTRY[chainId].chain : null
 
   return (
     <div className="card p-4 border-amber-700">
@@ -17,17 +20,28 @@ export function ChainGuard() {
         <div className="flex items-center gap-3 text-amber-300">
           <AlertTriangle className="h-5 w-5" />
           <div>
-            <div className="font-medium">Wrong network</div>
-            <div className="text-sm text-amber-200/90">Please switch to Base Sepolia to continue.</div>
+            <div className="font-medium">{walletChain ? 'Network mismatch' : 'Wrong network'}</div>
+            <div className="text-sm text-amber-200/90">
+              {walletChain
+                ? `Your wallet is on ${walletChain.name} but the app is showing ${CHAIN.name}.`
+                : `Please switch to ${CHAIN.name} to continue.`}
+            </div>
           </div>
         </div>
-        <button
-          className="btn btn-primary"
-          disabled={isPending}
-          onClick={() => switchChainAsync({ chainId: baseSepolia.id })}
-        >
-          Switch Network
-        </button>
+        <div className="flex items-center gap-2">
+          {walletChain && (
+            <button className="btn btn-outline" onClick={() => setActiveChain(walletChain.id)}>
+              Use {walletChain.name}
+            </button>
+          )}
+          <button
+            className="btn btn-primary"
+            disabled={isPending}
+            onClick={() => switchChainAsync({ chainId: CHAIN.id })}
+          >
+            Switch Network
+          </button>
+        </div>
       </div>
     </div>
   )
@@ -0,0 +1,61 @@
+import React, { useSyncExternalStore } from 'react'
+import { ACTIVE_CHAIN, CHAIN } from '../lib/chain'
+import { chainClock, useChainNow } from '../lib/chainClock'
+import { endpointLabel, endpointsOf, useRpcHealth } from '../lib/rpc'
+
+// The head counts as lagging once it is this far behind the wall clock
+const MIN_LAG_SECONDS = 30
+
+const DOT = {
+  ok: 'bg-emerald-400',
+  degraded: 'bg-amber-400',
+  down: 'bg-red-500',
+  connecting: 'bg-neutral-500',
+}
+
+/**
+ * Live RPC status for the footer: the latest block, the active endpoint and its latency, and
+ * how far the head trails the wall clock. Amber means a fallback endpoint is serving or the
+ * head is lagging; red means no endpoint is reachable.
+ */
+export function ConnectionHealth() {
+  const health = useRpcHealth()
+  useChainNow() // re-render every second so the lag stays current
+  const latest = useSyncExternalStore(chainClock.subscribe, chainClock.latest)
+
+  const urls = endpointsOf(ACTIVE_CHAIN)
+  const active = health.active && health.endpoints[health.active]
+  const down = urls.every((url) => health.endpoints[url]?.ok === false)
+
+  // Local nodes and the demo chain only mine on demand, so an old head is expected there
+  const lagLimit = CHAIN.blockTime && !ACTIVE_CHAIN.demo ? Math.max(MIN_LAG_SECONDS, (3 * CHAIN.blockTime) / 1000) : null
+  const lag = latest ? Math.max(0, Math.floor(Date.now() / 1000) - latest.timestamp) : null
+  const lagging = lagLimit !== null && lag !== null && lag > lagLimit
+
+  const status = down ? 'down' : !active || !latest ? 'connecting' : health.active !== urls[0] || lagging ? 'degraded' : 'ok'
+
+  const details = urls
+    .map((url) => {
+      const e = health.endpoints[url]
+      const state = !e ? 'not tried' : e.ok ? `ok${e.latency !== null ? `, ${Math.round(e.latency)} ms` : ''}` : `failing: ${e.error}`
+      return `${url === health.active ? '▸ ' : ''}${endpointLabel(url)} — ${state}`
+    })
+    .join('\n')
+
+  return (
+    <div className="inline-flex flex-wrap items-center justify-center md:justify-end gap-x-3 gap-y-1 text-xs text-neutral-400" title={details}>
+      <span className="inline-flex items-center gap-1.5">
+        <span className={`h-2 w-2 rounded-full ${DOT[status]}`} />
+        {status === 'down' ? 'RPC unreachable' : status === 'connecting' ? 'Connecting…' : 'Connected'}
+      </span>
+      {latest && (
+        <span>
+          Block <span className="text-neutral-200 tabular-nums">{String(latest.number)}</span>
+        </span>
+      )}
+      {active?.latency != null && <span className="tabular-nums">{Math.round(active.latency)} ms</span>}
+      {health.active && <code className="text-neutral-300">{endpointLabel(health.active)}</code>}
+      {lagging && <span className="text-amber-300">{lag}s behind</span>}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import React from 'react'
+import { TimerReset } from 'lucide-react'
+import { formatDeadline, formatRemaining, proposalPhase, useChainNow } from '../lib/chainClock'
+
+const PHASE_TEXT = {
+  ending: 'Voting ended, closable next second',
+  'ready-to-close': 'Ended, ready to close',
+  closed: 'Ended',
+  cancelled: 'Cancelled',
+}
+
+/** Live per-second countdown to a proposal's deadline, following chain time. */
+export function Countdown({ proposal }) {
+  const now = useChainNow()
+  const phase = proposalPhase(proposal, now)
+  return (
+    <span className="inline-flex items-center gap-1 tabular-nums" title={formatDeadline(proposal.endTime)}>
+      <TimerReset className="h-4 w-4"/>
+      {phase === 'voting' ? `${formatRemaining(Number(proposal.endTime) - now)} left` : PHASE_TEXT[phase]}
+    </span>
+  )
+}
@@ -1,17 +1,76 @@
 import React, { useMemo, useState } from 'react'
-import { useAccount, useReadContract, useWriteContract } from 'wagmi'
+import { useAccount, useReadContract } from 'wagmi'
+import { isAddress, parseUnits } from 'viem'
 import { contract } from '../lib/contract'
-import { CheckCircle2, Loader2 } from 'lucide-react'
-import { publicClient } from '../lib/contract'
+import { useTransact } from '../lib/transactions'
+import { encodeProposalContent, validateProposalContent, MAX_CONTENT_BYTES, MAX_TITLE_LENGTH } from '../lib/proposalContent'
+import {
+  KIND_BINARY,
+  KIND_MULTIPLE_CHOICE,
+  MAX_OPTIONS,
+  MIN_OPTIONS,
+  SIMPLE_MAJORITY_BPS,
+  THRESHOLD_PRESETS,
+  WEIGHTING_NFT_HOLDER,
+  WEIGHTING_ONE_PER_ADDRESS,
+  WEIGHTING_TOKEN_BALANCE,
+} from '../lib/outcome'
+import { useTokenInfoResult } from '../lib/votingPower'
+import { usePaused } from '../lib/admin'
+import { Markdown } from './Markdown'
+import { CheckCircle2, Loader2, Plus, Trash2 } from 'lucide-react'
+
+const EMPTY_LINK = { label: '', url: '' }
+
+const INITIAL_OPTIONS = ['', '']
+
+const WEIGHTINGS = [
+  { value: WEIGHTING_ONE_PER_ADDRESS, label: 'One vote per address', quorum: 'Quorum (minimum votes)' },
+  { value: WEIGHTING_TOKEN_BALANCE, label: 'Token balance (ERC-20 votes)', quorum: 'Quorum (minimum tokens)' },
+  { value: WEIGHTING_NFT_HOLDER, label: 'NFT holders, one vote each', quorum: 'Quorum (minimum holders)' },
+]
+
+function optionProblems(options) {
+  const labels = options.map((o) => o.trim())
+  const problems = []
+  if (labels.some((l) => !l)) problems.push('Every option needs a label.')
+  if (new Set(labels.map((l) => l.toLowerCase())).size !== labels.length) problems.push('Option labels must be different.')
+  return problems
+}
 
 export function CreateProposal() {
   const { address } = useAccount()
-  const [desc, setDesc] = useState('')
+  const [title, setTitle] = useState('')
+  const [body, setBody] = useState('')
+  const [links, setLinks] = useState([])
   const [durationMinutes, setDurationMinutes] = useState(60)
-  const [txHash, setTxHash] = useState(null)
+  const [kind, setKind] = useState(KIND_BINARY)
+  const [options, setOptions] = useState(INITIAL_OPTIONS)
+  const [quorum, setQuorum] = useState(0)
+  const [thresholdBps, setThresholdBps] = useState(SIMPLE_MAJORITY_BPS)
+  const [weighting, setWeighting] = useState(WEIGHTING_ONE_PER_ADDRESS)
+  const [token, setToken] = useState('')
+  const [error, setError] = useState(null)
   const [status, setStatus] = useState('idle') // idle | pending | success | error
   const durationSeconds = useMemo(() => Math.max(1, Math.floor(Number(durationMinutes) * 60)), [durationMinutes])
 
+  const encoded = useMemo(() => encodeProposalContent({ title, body, links }), [title, body, links])
+  const size = useMemo(() => new TextEncoder().encode(encoded).length, [encoded])
+  const multipleChoice = kind === KIND_MULTIPLE_CHOICE
+  const weighted = weighting !== WEIGHTING_ONE_PER_ADDRESS
+  const byBalance = weighting === WEIGHTING_TOKEN_BALANCE
+  const tokenValid = isAddress(token.trim())
+  // Token quorums are entered in whole tokens and sent in base units
+  const { value: tokenInfo, error: tokenError, retry: retryTokenInfo } = useTokenInfoResult(byBalance && tokenValid ? token.trim() : null)
+  // Loading, or failed to load: either way the quorum cannot be converted yet
+  const decimalsUnknown = byBalance && tokenValid && tokenInfo === undefined
+  const problems = [
+    ...validateProposalContent({ title, links }, encoded),
+    ...(multipleChoice ? optionProblems(options) : []),
+    ...(weighted && !tokenValid ? ['Enter the voting token\'s contract address.'] : []),
+    ...(byBalance && tokenInfo?.decimals === null ? ['Could not read the token\'s decimals; check that the address is an ERC-20 token.'] : []),
+  ]
+
   const { data: isApproved } = useReadContract({
     ...contract,
     functionName: 'isApprovedProposer',
@@ -19,29 +78,48 @@ export function CreateProposal() {
     query: { enabled: Boolean(address) },
   })
 
-  const { writeContractAsync } = useWriteContract()
+  const { paused } = usePaused()
+  const { send } = useTransact()
+
+  const setLink = (i, patch) => setLinks((ls) => ls.map((l, j) => (j === i ? { ...l, ...patch } : l)))
+  const setOption = (i, label) => setOptions((os) => os.map((o, j) => (j === i ? label : o)))
 
   const onSubmit = async (e) => {
     e.preventDefault()
-    if (!desc.trim()) return
+    if (problems.length > 0 || decimalsUnknown || paused) return
     setStatus('pending')
+    setError(null)
     try {
-      const hash = await writeContractAsync({
-        ...contract,
-        functionName: 'createProposal',
-        args: [desc.trim(), BigInt(durationSeconds)],
-      })
-      setTxHash(hash)
-      const receipt = await publicClient.waitForTransactionReceipt({ hash })
-      if (receipt.status === 'success') {
-        setStatus('success')
-        setDesc('')
-        setDurationMinutes(60)
-      } else {
-        setStatus('error')
-      }
+      const minVotes = byBalance
+        ? parseUnits(String(quorum || 0), tokenInfo.decimals)
+        : BigInt(Math.max(0, Math.floor(Number(quorum) || 0)))
+      const weightingArgs = weighted ? [weighting, token.trim()] : []
+      await send(
+        multipleChoice
+          ? {
+              label: 'Create poll',
+              functionName: 'createMultipleChoiceProposal',
+              args: [encoded, BigInt(durationSeconds), options.map((o) => o.trim()), minVotes, ...weightingArgs],
+            }
+          : {
+              label: 'Create proposal',
+              functionName: 'createProposal',
+              args: [encoded, BigInt(durationSeconds), minVotes, BigInt(thresholdBps), ...weightingArgs],
+            }
+      )
+      setStatus('success')
+      setTitle('')
+      setBody('')
+      setLinks([])
+      setDurationMinutes(60)
+      setKind(KIND_BINARY)
+      setOptions(INITIAL_OPTIONS)
+      setQuorum(0)
+      setThresholdBps(SIMPLE_MAJORITY_BPS)
+      setWeighting(WEIGHTING_ONE_PER_ADDRESS)
+      setToken('')
     } catch (err) {
-      console.error(err)
+      setError(err.message)
       setStatus('error')
     }
   }
@@ -50,7 +128,9 @@ export function CreateProposal() {
     <section className="card p-6">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-lg font-medium">Create Proposal</h2>
-        {isApproved ? (
+        {paused ? (
+          <span className="badge text-amber-300 border-amber-700 bg-amber-900/20">Paused</span>
+        ) : isApproved ? (
           <span className="badge text-green-300 border-green-700 bg-green-900/20">Approved proposer</span>
         ) : (
           <span className="badge">Not approved</span>
@@ -58,27 +138,149 @@ export function CreateProposal() {
       </div>
       <form className="space-y-4" onSubmit={onSubmit}>
         <div>
-          <label className="label">Description</label>
+          <label className="label">Title</label>
           <input
             className="input"
             placeholder="What should the community vote on?"
-            value={desc}
-            onChange={(e) => setDesc(e.target.value)}
-            maxLength={200}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={MAX_TITLE_LENGTH}
           />
         </div>
         <div>
-          <label className="label">Duration (minutes)</label>
-          <input
-            type="number"
-            min={1}
-            className="input"
-            value={durationMinutes}
-            onChange={(e) => setDurationMinutes(e.target.value)}
-          />
+          <label className="label">Details (Markdown, optional)</label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <textarea
+              className="input min-h-[160px] font-mono text-xs"
+              placeholder={'## Motivation\n\nWhy this matters, what changes, how it will be measured…'}
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+            />
+            <div className="input min-h-[160px] overflow-auto" aria-label="Preview">
+              {body.trim() ? <Markdown source={body} /> : <span className="text-sm text-neutral-500">Preview appears here as you type.</span>}
+            </div>
+          </div>
+        </div>
+        <div className="space-y-2">
+          <label className="label">Links</label>
+          {links.map((l, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <input className="input w-1/3" placeholder="Label" value={l.label} onChange={(e) => setLink(i, { label: e.target.value })} />
+              <input className="input flex-1" placeholder="https://…" value={l.url} onChange={(e) => setLink(i, { url: e.target.value })} />
+              <button type="button" className="btn btn-outline px-2" onClick={() => setLinks((ls) => ls.filter((_, j) => j !== i))} aria-label="Remove link">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button type="button" className="text-xs text-neutral-400 underline hover:text-neutral-200 inline-flex items-center gap-1" onClick={() => setLinks((ls) => [...ls, EMPTY_LINK])}>
+            <Plus className="h-3 w-3" /> Add link
+          </button>
+        </div>
+        <div className="space-y-2">
+          <label className="label">Type</label>
+          <div className="flex items-center gap-4 text-sm">
+            <label className="inline-flex items-center gap-2 cursor-pointer">
+              <input type="radio" name="kind" checked={!multipleChoice} onChange={() => setKind(KIND_BINARY)} />
+              Yes / No / Abstain
+            </label>
+            <label className="inline-flex items-center gap-2 cursor-pointer">
+              <input type="radio" name="kind" checked={multipleChoice} onChange={() => setKind(KIND_MULTIPLE_CHOICE)} />
+              Multiple choice
+            </label>
+          </div>
+          {multipleChoice && (
+            <div className="space-y-2">
+              {options.map((o, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <span className="w-6 text-right text-xs text-neutral-500">{i + 1}.</span>
+                  <input className="input flex-1" placeholder={`Option ${i + 1}`} value={o} onChange={(e) => setOption(i, e.target.value)} />
+                  <button
+                    type="button"
+                    className="btn btn-outline px-2"
+                    disabled={options.length <= MIN_OPTIONS}
+                    onClick={() => setOptions((os) => os.filter((_, j) => j !== i))}
+                    aria-label="Remove option"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {options.length < MAX_OPTIONS && (
+                <button type="button" className="text-xs text-neutral-400 underline hover:text-neutral-200 inline-flex items-center gap-1" onClick={() => setOptions((os) => [...os, ''])}>
+                  <Plus className="h-3 w-3" /> Add option
+                </button>
+              )}
+              <p className="text-xs text-neutral-500">The option with the most votes wins; a tie for first has no winner.</p>
+            </div>
+          )}
+        </div>
+        <div className="space-y-2">
+          <label className="label">Voting power</label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <select className="input" value={weighting} onChange={(e) => setWeighting(Number(e.target.value))}>
+              {WEIGHTINGS.map((w) => <option key={w.value} value={w.value}>{w.label}</option>)}
+            </select>
+            {weighted && (
+              <input
+                className="input font-mono text-xs"
+                placeholder={byBalance ? 'Votes token address (0x…)' : 'NFT contract address (0x…)'}
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+              />
+            )}
+          </div>
+          {weighted && (
+            <p className="text-xs text-neutral-500">
+              Holdings are counted at the block before the proposal is created, so tokens bought or moved afterwards do not vote.
+              {byBalance && tokenInfo?.symbol && ` Votes are counted in ${tokenInfo.symbol}.`}
+              {decimalsUnknown && !tokenError && ' Reading the token\'s decimals…'}
+              {decimalsUnknown && tokenError && (
+                <>
+                  {' Could not read the token\'s decimals. '}
+                  <button type="button" className="underline hover:text-neutral-300" onClick={retryTokenInfo}>Try again</button>
+                </>
+              )}
+            </p>
+          )}
         </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="label">Duration (minutes)</label>
+            <input
+              type="number"
+              min={1}
+              className="input"
+              value={durationMinutes}
+              onChange={(e) => setDurationMinutes(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="label">{WEIGHTINGS.find((w) => w.value === weighting).quorum}</label>
+            <input
+              type="number"
+              min={0}
+              step={byBalance ? 'any' : 1}
+              className="input"
+              value={quorum}
+              onChange={(e) => setQuorum(e.target.value)}
+            />
+          </div>
+          {!multipleChoice && (
+            <div>
+              <label className="label">Approval threshold</label>
+              <select className="input" value={thresholdBps} onChange={(e) => setThresholdBps(Number(e.target.value))}>
+                {THRESHOLD_PRESETS.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+        {title.trim() && problems.length > 0 && (
+          <ul className="text-xs text-red-400 space-y-0.5">
+            {problems.map((p) => <li key={p}>{p}</li>)}
+          </ul>
+        )}
         <div className="flex items-center gap-3">
-          <button type="submit" className="btn btn-primary" disabled={status === 'pending' || !desc.trim()}>
+          <button type="submit" className="btn btn-primary" disabled={status === 'pending' || problems.length > 0 || decimalsUnknown || paused}>
             {status === 'pending' ? (
               <>
                 <Loader2 className="h-4 w-4 animate-spin" /> Submitting…
@@ -92,18 +294,15 @@ export function CreateProposal() {
               <CheckCircle2 className="h-4 w-4" /> Created
             </span>
           )}
-          {status === 'error' && (
-            <span className="text-red-400 text-sm">Failed. Ensure you are approved and on Base Sepolia.</span>
+          {paused && status !== 'pending' && (
+            <span className="text-amber-300 text-sm">Proposal creation is paused by the owner.</span>
           )}
-          {txHash && (
-            <a
-              className="text-xs text-neutral-400 underline hover:text-neutral-200"
-              href={`https://sepolia.basescan.org/tx/${txHash}`}
-              target="_blank" rel="noreferrer"
-            >
-              View tx
-            </a>
+          {status === 'error' && (
+            <span className="text-red-400 text-sm">{error}</span>
           )}
+          <span className={`ml-auto text-xs ${size > MAX_CONTENT_BYTES ? 'text-red-400' : 'text-neutral-500'}`}>
+            {size.toLocaleString()} bytes onchain
+          </span>
         </div>
       </form>
     </section>
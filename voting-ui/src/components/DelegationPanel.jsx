@@ -0,0 +1,169 @@
+import React, { useState } from 'react'
+import { useAccount } from 'wagmi'
+import { getAddress, isAddress, isAddressEqual } from 'viem'
+import { ChevronDown, Loader2, UserCheck, Users, X } from 'lucide-react'
+import { useDelegation, useDelegationActions, useProposalDelegate } from '../lib/delegation'
+import { useProposals } from '../lib/proposalStore'
+import { shortAddress } from '../lib/chain'
+
+/**
+ * Header dropdown for the connected account's vote delegation: who it delegates to, globally
+ * or on one proposal, and who delegates to it.
+ */
+export function DelegationPanel() {
+  const { address, isConnected } = useAccount()
+  const { delegate, delegators } = useDelegation(address)
+  const [open, setOpen] = useState(false)
+
+  if (!isConnected) return null
+
+  return (
+    <div className="relative">
+      <button className="btn btn-outline" onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        {delegate ? <UserCheck className="h-4 w-4" /> : <Users className="h-4 w-4" />}
+        {delegate ? `Delegating to ${shortAddress(delegate)}` : 'Delegate'}
+        {delegators.length > 0 && <span className="badge" title="Addresses delegating to you">{delegators.length}</span>}
+        <ChevronDown className="h-4 w-4" />
+      </button>
+      {open && (
+        <div className="card absolute right-0 mt-2 w-96 p-4 space-y-4 z-30 bg-neutral-900">
+          <div className="flex items-center justify-between">
+            <h2 className="text-base font-medium">Vote delegation</h2>
+            <button className="text-neutral-500 hover:text-neutral-300" onClick={() => setOpen(false)} aria-label="Close">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <p className="text-xs text-neutral-400">
+            When your delegate votes, the same vote is cast for you with your own voting power, on every open proposal
+            you have not voted on. Voting yourself afterwards replaces it.
+          </p>
+          <DelegateForm address={address} delegate={delegate} />
+          <Delegators delegators={delegators} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DelegateForm({ address, delegate }) {
+  const { ids, proposals } = useProposals()
+  const { delegate: delegateTo, undelegate } = useDelegationActions()
+  const [input, setInput] = useState('')
+  const [scope, setScope] = useState('all') // 'all' or a proposal id
+  const [status, setStatus] = useState('idle') // idle | pending | success | error
+  const [error, setError] = useState(null)
+
+  const proposalId = scope === 'all' ? undefined : Number(scope)
+  const onProposal = useProposalDelegate(proposalId, address)
+  const current = proposalId === undefined ? delegate : onProposal.perProposal ? onProposal.delegate : null
+  const openIds = ids.filter((id) => proposals[id]?.active)
+
+  const target = input.trim()
+  const problem = !target
+    ? null
+    : !isAddress(target, { strict: false })
+      ? 'Not a valid address.'
+      : isAddressEqual(target, address)
+        ? 'You cannot delegate to yourself.'
+        : null
+
+  const run = async (action) => {
+    setStatus('pending')
+    setError(null)
+    try {
+      await action()
+      setStatus('success')
+      setInput('')
+    } catch (err) {
+      setError(err.message)
+      setStatus('error')
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="label">Delegate</label>
+      <select className="input" value={scope} onChange={(e) => setScope(e.target.value)}>
+        <option value="all">All proposals</option>
+        {openIds.map((id) => <option key={id} value={id}>Only proposal #{id}</option>)}
+      </select>
+      <div className="flex items-center justify-between gap-2 text-sm">
+        {current ? (
+          <>
+            <span className="text-neutral-300">Delegating to <code title={current}>{shortAddress(current)}</code></span>
+            <button className="btn btn-outline px-3 py-1 text-xs" disabled={status === 'pending'} onClick={() => run(() => undelegate(proposalId))}>
+              Undelegate
+            </button>
+          </>
+        ) : (
+          <span className="text-neutral-400">
+            {proposalId !== undefined && delegate
+              ? `Your delegate for all proposals, ${shortAddress(delegate)}, votes for you here.`
+              : 'You vote yourself.'}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <input className="input font-mono text-xs" placeholder="Delegate address (0x…)" value={input} onChange={(e) => setInput(e.target.value)} />
+        <button
+          className="btn btn-primary"
+          disabled={!target || Boolean(problem) || status === 'pending'}
+          onClick={() => run(() => delegateTo(getAddress(target), proposalId))}
+        >
+          {status === 'pending' ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Delegate'}
+        </button>
+      </div>
+      {problem && <div className="text-xs text-red-400">{problem}</div>}
+      {status === 'error' && <div className="text-xs text-red-400">{error}</div>}
+    </div>
+  )
+}
+
+function Delegators({ delegators }) {
+  const { removeDelegators } = useDelegationActions()
+  const [removing, setRemoving] = useState(null) // address being removed
+  const [error, setError] = useState(null)
+
+  if (delegators.length === 0) {
+    return <p className="text-xs text-neutral-500">Nobody delegates to you.</p>
+  }
+
+  const remove = async (d) => {
+    setRemoving(d)
+    setError(null)
+    try {
+      await removeDelegators([d])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRemoving(null)
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="label">Delegating to you ({delegators.length})</div>
+      <div className="flex flex-wrap gap-1 max-h-24 overflow-auto">
+        {delegators.map((d) => (
+          <code key={d} className="badge gap-1" title={d}>
+            {shortAddress(d)}
+            <button
+              className="text-neutral-500 hover:text-red-300 disabled:opacity-50"
+              disabled={removing !== null}
+              onClick={() => remove(d)}
+              aria-label={`Remove ${d}`}
+              title="Remove and block this delegator"
+            >
+              {removing === d ? <Loader2 className="h-3 w-3 animate-spin" /> : <X className="h-3 w-3" />}
+            </button>
+          </code>
+        ))}
+      </div>
+      <p className="text-xs text-neutral-500">
+        Your votes are also cast for them unless they vote themselves. Removing an address also blocks it from delegating
+        to you again.
+      </p>
+      {error && <div className="text-xs text-red-400">{error}</div>}
+    </div>
+  )
+}
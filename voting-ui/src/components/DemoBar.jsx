@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import { FlaskConical, RotateCcw } from 'lucide-react'
+import { resetDemo, useDemoChain } from '../lib/demoChain'
+import { formatDeadline, useChainNow } from '../lib/chainClock'
+import { shortAddress } from '../lib/chain'
+
+const STEPS = [
+  { label: '+10m', seconds: 10 * 60 },
+  { label: '+1h', seconds: 60 * 60 },
+  { label: '+1d', seconds: 24 * 60 * 60 },
+]
+
+/** Demo mode controls: the acting test account and the simulated clock. */
+export function DemoBar() {
+  const { accounts, account, blockNumber, setAccount, advance } = useDemoChain()
+  const now = useChainNow()
+  const [busy, setBusy] = useState(false)
+
+  const jump = async (seconds) => {
+    setBusy(true)
+    try {
+      await advance(seconds)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="card p-4 border-base-500/40 space-y-3">
+      <div className="flex items-center gap-3 text-sm">
+        <FlaskConical className="h-5 w-5 text-base-100" />
+        <div>
+          <div className="font-medium">Offline demo</div>
+          <div className="text-neutral-400">
+            The contract runs in your browser against a simulated chain; nothing is sent to a network. Connect the demo
+            wallet, switch accounts to vote as someone else and move the clock to reach deadlines.
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-neutral-400">Acting as</span>
+          <select className="input w-auto py-1" value={account} onChange={(e) => setAccount(e.target.value)}>
+            {accounts.map((a) => (
+              <option key={a.address} value={a.address}>
+                {a.name} ({shortAddress(a.address)}, {a.tokens} DEMO)
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="text-neutral-400" title={formatDeadline(now)}>
+          Chain time <span className="text-neutral-200 tabular-nums">{new Date(now * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'medium' })}</span>
+          {blockNumber !== undefined && <> • block {String(blockNumber)}</>}
+        </span>
+        <div className="flex gap-2">
+          {STEPS.map((s) => (
+            <button key={s.label} className="btn btn-outline px-3 py-1 text-xs" disabled={busy} onClick={() => jump(s.seconds)}>
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <button
+          className="btn btn-outline px-3 py-1 text-xs ml-auto"
+          onClick={() => window.confirm('Start the demo over? Every proposal and vote made here is lost.') && resetDemo()}
+        >
+          <RotateCcw className="h-3 w-3" /> Reset demo
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,39 +1,147 @@
-import React, { useEffect, useState } from 'react'
-import { publicClient, contract } from '../lib/contract'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { isAddressEqual, zeroAddress } from 'viem'
+import { Loader2 } from 'lucide-react'
+import { useContractEvents, useProposals, EVENT_PAGE_SIZE } from '../lib/proposalStore'
+import { choiceLabel, closedText, isWeighted, WEIGHTING_NFT_HOLDER } from '../lib/outcome'
+import { useVoteFormat } from '../lib/votingPower'
+import { explorerTxUrl, shortAddress } from '../lib/chain'
+import { proposalPath } from '../lib/router'
+import { decodeProposalContent } from '../lib/proposalContent'
+import { Link } from './Link'
 
-const MAX_EVENTS = 50
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
 
-function formatEvent(log) {
+// "0xabc… delegated to 0xdef…", "… changed delegate from … to …" or "… stopped delegating to …"
+function delegationText({ delegator, fromDelegate, toDelegate }) {
+  if (toDelegate === zeroAddress) return `${shortAddress(delegator)} stopped delegating to ${shortAddress(fromDelegate)}`
+  if (fromDelegate === zeroAddress) return `${shortAddress(delegator)} delegated to ${shortAddress(toDelegate)}`
+  return `${shortAddress(delegator)} moved their delegation from ${shortAddress(fromDelegate)} to ${shortAddress(toDelegate)}`
+}
+
+// `proposal` is the store's copy of the proposal the event belongs to, used to name choices
+function formatEvent(log, proposal) {
   const { eventName, args, transactionHash, blockNumber } = log
   switch (eventName) {
     case 'ProposalCreated':
       return {
         title: `Proposal #${Number(args.proposalId)} created`,
-        body: args.description,
+        body: `${decodeProposalContent(args.description).title} — by ${shortAddress(args.proposer)}`,
         tag: 'created',
         tx: transactionHash,
         block: blockNumber,
       }
     case 'VoteCast':
       return {
-        title: `Vote on #${Number(args.proposalId)}`,
-        body: `Voter ${args.voter.slice(0, 6)}…${args.voter.slice(-4)}`,
+        title: `Voted ${choiceLabel(proposal, args.choice)} on #${Number(args.proposalId)}`,
+        body: `Voter ${shortAddress(args.voter)}`,
+        weight: isWeighted(proposal) ? args.weight : undefined,
+        tag: 'vote',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'DelegatedVoteCast':
+      return {
+        title: `Voted ${choiceLabel(proposal, args.choice)} on #${Number(args.proposalId)} by delegate`,
+        body: `${shortAddress(args.delegate)} for ${shortAddress(args.delegator)}`,
+        weight: isWeighted(proposal) ? args.weight : undefined,
+        tag: 'vote',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'DelegatedVoteOverridden':
+      return {
+        title: `Delegated vote replaced on #${Number(args.proposalId)}`,
+        body: `${shortAddress(args.delegator)} voted themselves instead of ${shortAddress(args.delegate)}'s ${choiceLabel(proposal, args.choice)}`,
+        tag: 'delegation',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'VoteChanged':
+      return {
+        title: `Vote changed on #${Number(args.proposalId)}`,
+        body: `${shortAddress(args.voter)} · ${choiceLabel(proposal, args.fromChoice)} → ${choiceLabel(proposal, args.toChoice)}`,
+        weight: isWeighted(proposal) ? args.weight : undefined,
         tag: 'vote',
         tx: transactionHash,
         block: blockNumber,
       }
+    case 'VoteRetracted':
+      return {
+        title: `Vote withdrawn on #${Number(args.proposalId)}`,
+        body: `${shortAddress(args.voter)} withdrew their ${choiceLabel(proposal, args.choice)} vote`,
+        weight: isWeighted(proposal) ? args.weight : undefined,
+        tag: 'vote',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'DelegateChanged':
+      return {
+        title: 'Delegation changed',
+        body: `${delegationText(args)} on all proposals`,
+        tag: 'delegation',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'ProposalDelegateChanged':
+      return {
+        title: `Delegation changed for #${Number(args.proposalId)}`,
+        body: delegationText(args),
+        tag: 'delegation',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'DelegatorBlocked':
+      return {
+        title: args.blocked ? 'Delegator removed' : 'Delegator unblocked',
+        body: `${shortAddress(args.delegate)} ${args.blocked ? 'no longer accepts' : 'accepts again'} delegation from ${shortAddress(args.delegator)}`,
+        tag: 'delegation',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'ProposalWeighted':
+      return {
+        title: `Proposal #${Number(args.proposalId)} is ${args.weighting === WEIGHTING_NFT_HOLDER ? 'NFT-gated' : 'token-weighted'}`,
+        body: `Token ${shortAddress(args.token)} · snapshot at block ${args.snapshotBlock}`,
+        tag: 'created',
+        tx: transactionHash,
+        block: blockNumber,
+      }
     case 'ProposalClosed':
       return {
         title: `Proposal #${Number(args.proposalId)} closed`,
-        body: args.approved ? 'Approved ✅' : 'Not approved ❌',
+        body: `${capitalize(closedText(proposal, args))} ${args.approved ? '✅' : '❌'}`,
         tag: args.approved ? 'approved' : 'closed',
         tx: transactionHash,
         block: blockNumber,
       }
+    case 'ProposalCancelled':
+      return {
+        title: `Proposal #${Number(args.proposalId)} cancelled`,
+        body: `By ${shortAddress(args.cancelledBy)}${proposal?.proposer && isAddressEqual(args.cancelledBy, proposal.proposer) ? ' (proposer)' : ' (owner)'}`,
+        tag: 'cancelled',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'Paused':
+      return {
+        title: 'Voting paused',
+        body: `Proposal creation and voting stopped by ${shortAddress(args.account)}`,
+        tag: 'paused',
+        tx: transactionHash,
+        block: blockNumber,
+      }
+    case 'Unpaused':
+      return {
+        title: 'Voting resumed',
+        body: `Pause lifted by ${shortAddress(args.account)}`,
+        tag: 'paused',
+        tx: transactionHash,
+        block: blockNumber,
+      }
     case 'ProposalApproved':
       return {
         title: 'Proposer approved',
-        body: `${args.proposer.slice(0, 6)}…${args.proposer.slice(-4)}`,
+        body: shortAddress(args.proposer),
         tag: 'allowlist',
         tx: transactionHash,
         block: blockNumber,
@@ -41,7 +149,7 @@ function formatEvent(log) {
     case 'ProposalRemoved':
       return {
         title: 'Proposer removed',
-        body: `${args.proposer.slice(0, 6)}…${args.proposer.slice(-4)}`,
+        body: shortAddress(args.proposer),
         tag: 'allowlist',
         tx: transactionHash,
         block: blockNumber,
@@ -51,6 +159,11 @@ function formatEvent(log) {
   }
 }
 
+function VoteWeight({ proposal, weight }) {
+  const format = useVoteFormat(proposal)
+  return <span className="text-neutral-400"> · {format(weight, { symbol: true })}</span>
+}
+
 function Tag({ tag }) {
   const map = {
     created: 'bg-blue-500/20 text-blue-300 border-blue-600',
@@ -58,80 +171,97 @@ function Tag({ tag }) {
     approved: 'bg-green-500/20 text-green-300 border-green-600',
     closed: 'bg-red-500/20 text-red-300 border-red-600',
     allowlist: 'bg-purple-500/20 text-purple-300 border-purple-600',
+    delegation: 'bg-cyan-500/20 text-cyan-300 border-cyan-600',
+    cancelled: 'bg-neutral-500/20 text-neutral-300 border-neutral-600',
+    paused: 'bg-orange-500/20 text-orange-300 border-orange-600',
   }
   return <span className={`badge ${map[tag] || ''}`}>{tag}</span>
 }
 
 export function EventFeed() {
-  const [events, setEvents] = useState([])
+  const state = useContractEvents()
+  const { proposals } = useProposals()
+  const [limit, setLimit] = useState(EVENT_PAGE_SIZE)
+  const sentinelRef = useRef(null)
+
+  const hasMore = state.events.length > limit || !state.complete
+
+  const loadMore = useCallback(() => {
+    if (state.loading) return
+    const next = limit + EVENT_PAGE_SIZE
+    setLimit(next)
+    if (state.events.length < next) state.loadOlder(next - state.events.length)
+  }, [limit, state.loading, state.events.length, state.loadOlder])
 
+  // Infinite scroll: load the next page once the sentinel at the bottom becomes visible
   useEffect(() => {
-    if (!contract.address) return
-    const unwatchCreated = publicClient.watchContractEvent({
-      address: contract.address,
-      abi: contract.abi,
-      eventName: 'ProposalCreated',
-      onLogs: (logs) => setEvents((prev) => [...logs.map(formatEvent), ...prev].slice(0, MAX_EVENTS)),
+    const el = sentinelRef.current
+    if (!el || !hasMore || !state.ready) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((e) => e.isIntersecting)) loadMore()
     })
-    const unwatchVote = publicClient.watchContractEvent({
-      address: contract.address,
-      abi: contract.abi,
-      eventName: 'VoteCast',
-      onLogs: (logs) => setEvents((prev) => [...logs.map(formatEvent), ...prev].slice(0, MAX_EVENTS)),
-    })
-    const unwatchClosed = publicClient.watchContractEvent({
-      address: contract.address,
-      abi: contract.abi,
-      eventName: 'ProposalClosed',
-      onLogs: (logs) => setEvents((prev) => [...logs.map(formatEvent), ...prev].slice(0, MAX_EVENTS)),
-    })
-    const unwatchApproved = publicClient.watchContractEvent({
-      address: contract.address,
-      abi: contract.abi,
-      eventName: 'ProposalApproved',
-      onLogs: (logs) => setEvents((prev) => [...logs.map(formatEvent), ...prev].slice(0, MAX_EVENTS)),
-    })
-    const unwatchRemoved = publicClient.watchContractEvent({
-      address: contract.address,
-      abi: contract.abi,
-      eventName: 'ProposalRemoved',
-      onLogs: (logs) => setEvents((prev) => [...logs.map(formatEvent), ...prev].slice(0, MAX_EVENTS)),
-    })
-    return () => {
-      unwatchCreated?.()
-      unwatchVote?.()
-      unwatchClosed?.()
-      unwatchApproved?.()
-      unwatchRemoved?.()
-    }
-  }, [contract.address])
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [hasMore, loadMore, state.ready])
+
+  const visible = state.events.slice(0, limit).map((log) => {
+    const proposalId = log.args.proposalId !== undefined ? Number(log.args.proposalId) : null
+    return { id: log.id, proposalId, ...formatEvent(log, proposals[proposalId]) }
+  })
 
   return (
     <aside className="card p-5">
       <div className="flex items-center justify-between mb-3">
         <h2 className="text-base font-medium">Live Events</h2>
-        <span className="text-xs text-neutral-500">Realtime</span>
+        <span className="text-xs text-neutral-500">
+          {state.loading ? 'Syncing history…' : 'Realtime'}
+        </span>
       </div>
       <div className="space-y-3 max-h-[70vh] overflow-auto pr-1">
-        {events.length === 0 ? (
-          <div className="text-sm text-neutral-400">No events yet. Interact with the contract to see activity.</div>
+        {visible.length === 0 ? (
+          <div className="text-sm text-neutral-400">
+            {state.ready && !state.loading ? 'No events yet. Interact with the contract to see activity.' : 'Loading event history…'}
+          </div>
         ) : (
-          events.map((e, i) => (
-            <div key={i} className="border border-neutral-800 rounded-lg p-3 bg-neutral-900/50">
+          visible.map((e) => (
+            <div key={e.id} className="border border-neutral-800 rounded-lg p-3 bg-neutral-900/50">
               <div className="flex items-center justify-between">
-                <div className="font-medium">{e.title}</div>
+                <div className="font-medium">
+                  {e.proposalId !== null ? <Link to={proposalPath(e.proposalId)} className="hover:underline underline-offset-4">{e.title}</Link> : e.title}
+                </div>
                 <Tag tag={e.tag} />
               </div>
-              {e.body && <div className="text-sm text-neutral-300 mt-1">{e.body}</div>}
+              {e.body && (
+                <div className="text-sm text-neutral-300 mt-1">
+                  {e.body}
+                  {e.weight !== undefined && <VoteWeight proposal={proposals[e.proposalId]} weight={e.weight} />}
+                </div>
+              )}
               <div className="text-[11px] mt-2 text-neutral-500 flex items-center gap-3">
-                {e.tx && (
-                  <a className="underline hover:text-neutral-300" href={`https://sepolia.basescan.org/tx/${e.tx}`} target="_blank" rel="noreferrer">View tx</a>
+                {explorerTxUrl(e.tx) && (
+                  <a className="underline hover:text-neutral-300" href={explorerTxUrl(e.tx)} target="_blank" rel="noreferrer">View tx</a>
                 )}
                 {e.block && <span>Block {Number(e.block)}</span>}
               </div>
             </div>
           ))
         )}
+        {hasMore && state.ready && (
+          <div ref={sentinelRef} className="pt-1 text-center">
+            <button className="btn btn-outline w-full" disabled={state.loading} onClick={loadMore}>
+              {state.loading ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" /> Scanning from block {String(state.cursor?.from ?? '')}…
+                </>
+              ) : (
+                'Load older'
+              )}
+            </button>
+          </div>
+        )}
+        {state.error && !state.loading && (
+          <div className="text-xs text-red-400">Could not load some events. Check that your RPC supports eth_getLogs.</div>
+        )}
       </div>
     </aside>
   )
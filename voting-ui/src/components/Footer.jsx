@@ -1,8 +1,10 @@
 import React from 'react'
+import { CHAIN, CONTRACT_ADDRESS, explorerAddressUrl, shortAddress } from '../lib/chain'
+import { ConnectionHealth } from './ConnectionHealth'
 
 export function Footer() {
-  const addr = import.meta.env.VITE_CONTRACT_ADDRESS || 'Not configured'
-  const shortAddr = addr && addr.length > 10 ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : addr
+  const addrUrl = explorerAddressUrl(CONTRACT_ADDRESS)
+  const shortAddr = CONTRACT_ADDRESS ? shortAddress(CONTRACT_ADDRESS) : 'Not configured'
 
   return (
     <footer className="mt-auto border-t border-neutral-800/80 bg-neutral-950/60 supports-[backdrop-filter]:bg-neutral-950/40 backdrop-blur">
@@ -43,9 +45,18 @@ export function Footer() {
           <div className="text-center md:text-right">
             <p className="text-xs text-neutral-400 mb-2">Status</p>
             <div className="inline-flex items-center gap-2 text-sm">
-              <span className="px-2 py-1 rounded-md bg-blue-500/10 text-blue-300 border border-blue-500/20">Base Sepolia</span>
+              <span className="px-2 py-1 rounded-md bg-blue-500/10 text-blue-300 border border-blue-500/20">{CHAIN.name}</span>
               <span className="text-neutral-400">Contract:</span>
-              <code className="text-neutral-200">{shortAddr}</code>
+              {addrUrl ? (
+                <a href={addrUrl} target="_blank" rel="noreferrer" className="hover:underline underline-offset-4">
+                  <code className="text-neutral-200">{shortAddr}</code>
+                </a>
+              ) : (
+                <code className="text-neutral-200">{shortAddr}</code>
+              )}
+            </div>
+            <div className="mt-2">
+              <ConnectionHealth />
             </div>
           </div>
         </div>
@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import { Bell, BellOff, BellRing, ChevronDown, X } from 'lucide-react'
+import {
+  LEAD_TIMES,
+  useFollow,
+  useFollowedIds,
+  useNotificationPermission,
+  useUnreadCount,
+  useWatchlist,
+  watchlistStore,
+} from '../lib/watchlist'
+import { proposalPath } from '../lib/router'
+import { Link } from './Link'
+
+const PERMISSION_TEXT = {
+  granted: 'On',
+  denied: 'Blocked in your browser settings',
+  unsupported: 'Not supported by this browser',
+}
+
+/**
+ * Header dropdown with updates on followed proposals (ending soon, ready to close, closed),
+ * the reminder lead time and browser notification permission.
+ */
+export function Inbox() {
+  const { account, watch } = useWatchlist()
+  const followed = useFollowedIds()
+  const [permission, requestPermission] = useNotificationPermission()
+  const [open, setOpen] = useState(false)
+
+  if (!watch) return null
+  const unread = watch.inbox.filter((e) => !e.read).length
+
+  return (
+    <div className="relative">
+      <button className="btn btn-outline" onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        {unread > 0 ? <BellRing className="h-4 w-4" /> : <Bell className="h-4 w-4" />}
+        Inbox
+        {unread > 0 && <span className="badge" title="Unread updates">{unread}</span>}
+        <ChevronDown className="h-4 w-4" />
+      </button>
+      {open && (
+        <div className="card absolute right-0 mt-2 w-96 p-4 space-y-4 z-30 bg-neutral-900">
+          <div className="flex items-center justify-between">
+            <h2 className="text-base font-medium">Followed proposals</h2>
+            <button className="text-neutral-500 hover:text-neutral-300" onClick={() => setOpen(false)} aria-label="Close">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <p className="text-xs text-neutral-400">
+            Following {followed.size} proposal{followed.size === 1 ? '' : 's'}. The ones you create or vote on are followed
+            automatically.
+          </p>
+          {watch.inbox.length === 0 ? (
+            <p className="text-sm text-neutral-500">No updates yet.</p>
+          ) : (
+            <ul className="space-y-2 max-h-80 overflow-auto">
+              {watch.inbox.map((entry) => (
+                <li key={entry.key} className="text-sm">
+                  <Link
+                    to={proposalPath(entry.proposalId)}
+                    onClick={() => setOpen(false)}
+                    className={`block rounded-lg px-2 py-1 hover:bg-neutral-800 ${entry.read ? 'text-neutral-400' : 'text-neutral-100'}`}
+                  >
+                    <div className="flex items-center gap-2">
+                      {!entry.read && <span className="h-2 w-2 rounded-full bg-base-500" />}
+                      <span className="font-medium truncate">{entry.title}</span>
+                    </div>
+                    <div className="text-xs">{entry.body}</div>
+                    <div className="text-xs text-neutral-500">{new Date(entry.at).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })}</div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+          {watch.inbox.length > 0 && (
+            <div className="flex gap-2">
+              <button className="btn btn-outline px-3 py-1 text-xs" disabled={unread === 0} onClick={() => watchlistStore.markRead(account)}>
+                Mark all read
+              </button>
+              <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => watchlistStore.clearInbox(account)}>
+                Clear
+              </button>
+            </div>
+          )}
+          <div className="space-y-2">
+            <label className="label">Remind me before voting ends</label>
+            <select className="input" value={watch.leadMinutes} onChange={(e) => watchlistStore.setLeadMinutes(account, Number(e.target.value))}>
+              {LEAD_TIMES.map((t) => <option key={t.minutes} value={t.minutes}>{t.label} before</option>)}
+            </select>
+          </div>
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-neutral-300">Browser notifications</span>
+            {permission === 'default' ? (
+              <button className="btn btn-outline px-3 py-1 text-xs" onClick={requestPermission}>Enable</button>
+            ) : (
+              <span className="text-xs text-neutral-400">{PERMISSION_TEXT[permission]}</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/** Follow / unfollow toggle for one proposal; needs a connected wallet. */
+export function FollowButton({ id }) {
+  const { watch } = useWatchlist()
+  const { following, toggle } = useFollow(id)
+  if (!watch) return null
+  return (
+    <button
+      className={`inline-flex items-center gap-1 text-xs ${following ? 'text-neutral-200' : 'text-neutral-500'} hover:text-neutral-100`}
+      onClick={toggle}
+      title={following ? 'Stop getting updates on this proposal' : 'Get updates when this proposal is ending, closable or closed'}
+    >
+      {following ? <Bell className="h-3 w-3" /> : <BellOff className="h-3 w-3" />}
+      {following ? 'Following' : 'Follow'}
+    </button>
+  )
+}
+
+/** Count of unread updates on a proposal; clicking it marks them read. */
+export function UnreadBadge({ id }) {
+  const { account } = useWatchlist()
+  const unread = useUnreadCount(id)
+  if (unread === 0) return null
+  return (
+    <button className="badge bg-base-500/20 text-base-100" title="Mark as read" onClick={() => watchlistStore.markRead(account, id)}>
+      {unread} new
+    </button>
+  )
+}
@@ -0,0 +1,17 @@
+import React from 'react'
+import { navigate } from '../lib/router'
+
+/** In-app link: plain clicks navigate client-side, modified clicks open a new tab as usual. */
+export function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to)
+  }
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
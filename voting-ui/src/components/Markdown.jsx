@@ -0,0 +1,24 @@
+import React, { useMemo } from 'react'
+import { Link2 } from 'lucide-react'
+import { renderMarkdown } from '../lib/markdown'
+
+/** Sanitized Markdown (see `lib/markdown.js` for what is allowed). */
+export function Markdown({ source, className = '' }) {
+  const html = useMemo(() => renderMarkdown(source), [source])
+  return <div className={`markdown ${className}`} dangerouslySetInnerHTML={{ __html: html }} />
+}
+
+export function ProposalLinks({ links }) {
+  if (!links?.length) return null
+  return (
+    <ul className="space-y-1 text-sm">
+      {links.map((l) => (
+        <li key={l.url}>
+          <a className="inline-flex items-center gap-1 text-blue-300 underline hover:text-blue-200" href={l.url} target="_blank" rel="noopener noreferrer nofollow">
+            <Link2 className="h-4 w-4" /> {l.label}
+          </a>
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,33 @@
+import React from 'react'
+import { useAccount, useSwitchChain } from 'wagmi'
+import { Globe } from 'lucide-react'
+import { CHAIN, SUPPORTED_CHAINS, setActiveChain } from '../lib/chain'
+
+export function NetworkSelector() {
+  const { isConnected } = useAccount()
+  const { switchChainAsync, isPending } = useSwitchChain()
+
+  if (SUPPORTED_CHAINS.length < 2) {
+    return <span className="badge text-blue-300 border-blue-500/20 bg-blue-500/10">{CHAIN.name}</span>
+  }
+
+  const onChange = async (e) => {
+    const chainId = Number(e.target.value)
+    if (isConnected) {
+      // Bring the wallet along; if the user rejects, the ChainGuard offers it again after reload
+      await switchChainAsync({ chainId }).catch(() => {})
+    }
+    setActiveChain(chainId)
+  }
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-neutral-300">
+      <Globe className="h-4 w-4 text-neutral-400" />
+      <select className="input py-1 w-auto" value={CHAIN.id} disabled={isPending} onChange={onChange} aria-label="Network">
+        {SUPPORTED_CHAINS.map(({ chain }) => (
+          <option key={chain.id} value={chain.id}>{chain.name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,72 @@
+import React from 'react'
+import { useAccount } from 'wagmi'
+import { Loader2, Trophy } from 'lucide-react'
+import { pendingChoice, useHasVoted, useProposal, useVoteReceipt } from '../lib/proposalStore'
+import { useProposalActions } from '../lib/proposalActions'
+import { proposalPhase, useChainNow } from '../lib/chainClock'
+import { leadingOption, totalVotes } from '../lib/outcome'
+import { useVoteFormat, useVotingPower } from '../lib/votingPower'
+import { usePaused } from '../lib/admin'
+import { useHasDelegators } from '../lib/delegation'
+
+/**
+ * One bar per option of a multiple-choice proposal, each with its own vote button while voting is open.
+ * After voting, the other options offer to switch the vote there.
+ */
+export function OptionTally({ id }) {
+  const { address, isConnected } = useAccount()
+  const proposal = useProposal(id)
+  const voted = useHasVoted(id, address)
+  const receipt = useVoteReceipt(id, address)
+  const { vote } = useProposalActions()
+  const now = useChainNow()
+  const power = useVotingPower(proposal, address)
+  const votesForOthers = useHasDelegators(id, address)
+  const format = useVoteFormat(proposal)
+  const { paused } = usePaused()
+
+  if (!proposal) return null
+
+  const { options, optionVotes, active, approved, winningOption } = proposal
+  const total = totalVotes(proposal)
+  const leader = active ? leadingOption(optionVotes) : approved ? Number(winningOption) : null
+  const myVote = pendingChoice(proposal, address)
+  const own = isConnected && receipt?.by === address.toLowerCase() ? receipt : undefined
+  const inFlight = isConnected && proposal.pending?.votes[address.toLowerCase()] !== undefined
+  const canVote = isConnected && proposalPhase(proposal, now) === 'voting' && !paused && (power !== 0n || votesForOthers) && (own ? !inFlight : !voted)
+
+  return (
+    <div className="space-y-2">
+      {options.map((label, i) => {
+        const votes = optionVotes[i]
+        const pct = total > 0n ? Number((votes * 100n) / total) : 0
+        const leading = leader === i
+        return (
+          <div key={i} className="flex items-center gap-3">
+            <div className="flex-1 min-w-0 space-y-1">
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className={`inline-flex items-center gap-1 truncate ${leading ? 'text-green-300' : 'text-neutral-200'}`}>
+                  {leading && <Trophy className="h-3.5 w-3.5 shrink-0" />}
+                  {label}
+                </span>
+                <span className={`text-xs tabular-nums text-neutral-400 ${myVote === i ? 'animate-pulse text-neutral-200' : ''}`}>
+                  {format(votes)} {total > 0n && `(${pct}%)`}
+                </span>
+              </div>
+              <div className="h-2 rounded-full bg-neutral-800 overflow-hidden">
+                <div className={`h-full ${leading ? 'bg-green-500/80' : 'bg-neutral-500'}`} style={{ width: `${pct}%` }} />
+              </div>
+            </div>
+            {own?.choice === i && !inFlight && <span className="badge text-xs">Your vote</span>}
+            {canVote && own?.choice !== i && (
+              <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => vote(id, i)}>
+                {own ? 'Switch' : 'Vote'}
+              </button>
+            )}
+            {myVote === i && <Loader2 className="h-4 w-4 animate-spin text-neutral-400" />}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
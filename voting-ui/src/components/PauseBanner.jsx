@@ -0,0 +1,23 @@
+import React from 'react'
+import { OctagonPause } from 'lucide-react'
+import { usePaused } from '../lib/admin'
+
+/** Shown to everyone while the owner has paused proposal creation and voting. */
+export function PauseBanner() {
+  const { paused } = usePaused()
+  if (!paused) return null
+  return (
+    <div className="card p-4 border-amber-700">
+      <div className="flex items-center gap-3 text-amber-300">
+        <OctagonPause className="h-5 w-5" />
+        <div>
+          <div className="font-medium">Voting is paused</div>
+          <div className="text-sm text-amber-200/90">
+            The contract owner has paused proposal creation and voting. Votes already cast are kept, and proposals can
+            still be closed once their deadline passes.
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
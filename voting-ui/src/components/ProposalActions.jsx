@@ -0,0 +1,207 @@
+import React, { useState } from 'react'
+import { useAccount } from 'wagmi'
+import { Ban, ThumbsUp, ThumbsDown, CheckCheck, XCircle, MinusCircle, Users, Loader2, Undo2, Pencil } from 'lucide-react'
+import { isAddressEqual } from 'viem'
+import { RELAYER_URL } from '../lib/relayer'
+import { pendingRetract, useHasVoted, useProposal, useVoteReceipt } from '../lib/proposalStore'
+import { useProposalActions } from '../lib/proposalActions'
+import { proposalPhase, useChainNow } from '../lib/chainClock'
+import { CHOICE_ABSTAIN, CHOICE_NO, CHOICE_YES, choiceLabel, isMultipleChoice } from '../lib/outcome'
+import { useHasDelegators, useProposalDelegate } from '../lib/delegation'
+import { useVotingPower } from '../lib/votingPower'
+import { useIsOwner, usePaused } from '../lib/admin'
+import { shortAddress } from '../lib/chain'
+
+/**
+ * Yes / No / Abstain / Close buttons, plus the gasless toggle when a relayer is configured.
+ * Multiple-choice proposals are voted on from their option bars, so only Close is shown.
+ * Once the account has voted, its choice is shown and "Change vote" re-enables the other buttons.
+ */
+export function ProposalActions({ id }) {
+  const { address, isConnected } = useAccount()
+  const proposal = useProposal(id)
+  const voted = useHasVoted(id, address)
+  const receipt = useVoteReceipt(id, address)
+  const { vote, close } = useProposalActions()
+  const now = useChainNow()
+  const power = useVotingPower(proposal, address)
+  const votesForOthers = useHasDelegators(id, address)
+  const { paused } = usePaused()
+  const [gasless, setGasless] = useState(false)
+  const [changing, setChanging] = useState(false)
+
+  if (!proposal) return null
+  if (!isConnected) return <span className="text-sm text-neutral-400">Connect a wallet to vote.</span>
+
+  const { approved, pending } = proposal
+  const phase = proposalPhase(proposal, now)
+  const binary = !isMultipleChoice(proposal)
+  const own = receipt?.by === address.toLowerCase() ? receipt : undefined
+  const inFlight = pending?.votes[address.toLowerCase()] !== undefined
+  // Weighted proposals reject voters who held nothing at the snapshot, unless they vote for delegators
+  const canVote = phase === 'voting' && !paused && (power !== 0n || votesForOthers) && (own ? changing && !inFlight : !voted)
+  const castVote = (choice, viaRelayer) => {
+    setChanging(false)
+    vote(id, choice, viaRelayer)
+  }
+  // Changing to the same choice is rejected onchain
+  const isCurrent = (choice) => own?.choice === choice
+
+  return (
+    <div className="flex flex-col items-end gap-2">
+      <div className="flex items-center gap-2">
+        {binary && (
+          <>
+            <button className="btn btn-outline" disabled={!canVote || isCurrent(CHOICE_YES)} onClick={() => castVote(CHOICE_YES, gasless)}>
+              <ThumbsUp className="h-4 w-4"/> Yes
+            </button>
+            <button className="btn btn-outline" disabled={!canVote || isCurrent(CHOICE_NO)} onClick={() => castVote(CHOICE_NO, gasless)}>
+              <ThumbsDown className="h-4 w-4"/> No
+            </button>
+            {/* Signed ballots only carry yes or no */}
+            <button
+              className="btn btn-outline"
+              disabled={!canVote || isCurrent(CHOICE_ABSTAIN) || (gasless && !own)}
+              title={gasless && !own ? 'Abstaining needs a regular transaction' : 'Counts toward quorum, not toward the yes share'}
+              onClick={() => castVote(CHOICE_ABSTAIN)}
+            >
+              <MinusCircle className="h-4 w-4"/> Abstain
+            </button>
+          </>
+        )}
+        <button className="btn btn-primary" disabled={phase !== 'ready-to-close' || Boolean(pending?.closing)} onClick={() => close(id)}>
+          {approved ? <CheckCheck className="h-4 w-4"/> : <XCircle className="h-4 w-4"/>}
+          Close
+        </button>
+      </div>
+      {paused && phase === 'voting' && <span className="text-xs text-amber-300">Voting is paused by the owner.</span>}
+      <YourVote id={id} changing={changing} onChange={binary ? setChanging : undefined} />
+      <DelegationNote id={id} />
+      <CancelProposal id={id} />
+      {/* Changes are regular transactions: a signed ballot can only be a first vote */}
+      {RELAYER_URL && canVote && binary && !own && (
+        <label className="inline-flex items-center gap-2 text-xs text-neutral-400 cursor-pointer">
+          <input type="checkbox" checked={gasless} onChange={(e) => setGasless(e.target.checked)} />
+          Vote without gas (sign a ballot, a relayer submits it)
+        </label>
+      )}
+    </div>
+  )
+}
+
+/**
+ * "Cancel proposal" with an inline confirmation, for the owner and the proposal's proposer until
+ * the deadline (as `cancelProposal` allows).
+ */
+function CancelProposal({ id }) {
+  const { address } = useAccount()
+  const proposal = useProposal(id)
+  const isOwner = useIsOwner(address)
+  const { cancel } = useProposalActions()
+  const now = useChainNow()
+  const [step, setStep] = useState('idle') // idle | confirm | pending
+  const [error, setError] = useState(null)
+
+  if (!proposal?.active || !address || proposal.pending?.closing) return null
+  const isProposer = proposal.proposer && isAddressEqual(proposal.proposer, address)
+  if (!(isOwner || isProposer) || proposalPhase(proposal, now) !== 'voting') return null
+
+  const run = async () => {
+    setStep('pending')
+    setError(null)
+    try {
+      await cancel(id)
+    } catch (err) {
+      setError(err.message)
+    }
+    setStep('idle')
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      {step === 'idle' && (
+        <button className="inline-flex items-center gap-1 text-neutral-400 underline hover:text-red-300" onClick={() => setStep('confirm')}>
+          <Ban className="h-3 w-3" /> Cancel proposal
+        </button>
+      )}
+      {step === 'confirm' && (
+        <>
+          <span className="text-neutral-300">Cancel it for everyone? Votes are discarded.</span>
+          <button className="text-red-300 underline hover:text-red-200" onClick={run}>Yes, cancel</button>
+          <button className="text-neutral-400 underline hover:text-neutral-200" onClick={() => setStep('idle')}>Keep</button>
+        </>
+      )}
+      {step === 'pending' && (
+        <span className="inline-flex items-center gap-1 text-neutral-300"><Loader2 className="h-3 w-3 animate-spin" /> Cancelling…</span>
+      )}
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  )
+}
+
+/**
+ * The connected account's own vote, with "Change vote" (when `onChange` is given) and "Retract"
+ * while voting is open.
+ */
+export function YourVote({ id, changing = false, onChange }) {
+  const { address } = useAccount()
+  const proposal = useProposal(id)
+  const receipt = useVoteReceipt(id, address)
+  const { retract } = useProposalActions()
+  const now = useChainNow()
+
+  if (!proposal || !address) return null
+  if (pendingRetract(proposal, address)) {
+    return (
+      <span className="inline-flex items-center gap-1 text-xs text-neutral-300">
+        <Loader2 className="h-3 w-3 animate-spin" /> Withdrawing your vote
+      </span>
+    )
+  }
+  if (receipt?.by !== address.toLowerCase()) return null
+
+  const inFlight = proposal.pending?.votes[address.toLowerCase()] !== undefined
+  const open = proposalPhase(proposal, now) === 'voting' && !inFlight
+  return (
+    <div className="flex items-center gap-2 text-xs text-neutral-300">
+      <span>You voted <span className="font-medium">{choiceLabel(proposal, receipt.choice)}</span></span>
+      {open && onChange && (
+        <button className="inline-flex items-center gap-1 text-neutral-400 underline hover:text-neutral-200" onClick={() => onChange(!changing)}>
+          <Pencil className="h-3 w-3" /> {changing ? 'Keep vote' : 'Change vote'}
+        </button>
+      )}
+      {open && (
+        <button className="inline-flex items-center gap-1 text-neutral-400 underline hover:text-neutral-200" onClick={() => retract(id)}>
+          <Undo2 className="h-3 w-3" /> Retract
+        </button>
+      )}
+    </div>
+  )
+}
+
+/** Whether a delegate voted, or will vote, for the connected account on this proposal. */
+export function DelegationNote({ id }) {
+  const { address } = useAccount()
+  const proposal = useProposal(id)
+  const receipt = useVoteReceipt(id, address)
+  const voted = useHasVoted(id, address)
+  const { delegate } = useProposalDelegate(id, address)
+
+  if (!proposal || !address || voted) return null
+  if (receipt) {
+    return (
+      <span className="inline-flex items-center gap-1 text-xs text-neutral-400">
+        <Users className="h-3.5 w-3.5" />
+        Your delegate <code title={receipt.by}>{shortAddress(receipt.by)}</code> voted {choiceLabel(proposal, receipt.choice)} for you
+        {proposal.active && '; voting yourself replaces it'}
+      </span>
+    )
+  }
+  if (!delegate || !proposal.active) return null
+  return (
+    <span className="inline-flex items-center gap-1 text-xs text-neutral-400">
+      <Users className="h-3.5 w-3.5" />
+      Delegated to <code title={delegate}>{shortAddress(delegate)}</code>, who votes for you unless you vote
+    </span>
+  )
+}
@@ -0,0 +1,251 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useAccount } from 'wagmi'
+import { zeroAddress } from 'viem'
+import { ArrowLeft, Ban, CheckCircle2, Coins, Link2, Loader2, Users, MinusCircle, Pencil, PlusCircle, ThumbsDown, ThumbsUp, Undo2, XCircle } from 'lucide-react'
+import { pendingChoice, useContractEvents, useProposal, useProposals } from '../lib/proposalStore'
+import { useBlockTimestamps } from '../lib/blockTimes'
+import { useDocumentTitle } from '../lib/meta'
+import { decodeProposalContent } from '../lib/proposalContent'
+import { navigateBack } from '../lib/router'
+import { explorerAddressUrl, explorerTxUrl, shortAddress } from '../lib/chain'
+import { ProposalActions } from './ProposalActions'
+import { OutcomeProgress, RollbackNote, StatusBadge } from './ProposalStatus'
+import { Markdown, ProposalLinks } from './Markdown'
+import { Countdown } from './Countdown'
+import { FollowButton } from './Inbox'
+import { proposalPhase, useChainNow } from '../lib/chainClock'
+import { CHOICE_NO, CHOICE_YES, choiceLabel, closedText, isMultipleChoice, isWeighted, winnerLabel, WEIGHTING_NFT_HOLDER } from '../lib/outcome'
+import { useVoteFormat } from '../lib/votingPower'
+import { useMarkRead } from '../lib/watchlist'
+import { OptionTally } from './OptionTally'
+import { VotingPower } from './VotingPower'
+
+// Yes vs no; abstentions are listed but, like in the contract, left out of the yes share
+function TallyBar({ proposal }) {
+  const { yesVotes, noVotes, abstainVotes, thresholdBps } = proposal
+  const format = useVoteFormat(proposal)
+  const total = yesVotes + noVotes
+  const yesPct = total > 0n ? Math.round(Number((yesVotes * 1000n) / total) / 10) : 0
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between text-sm">
+        <span className="inline-flex items-center gap-1 text-green-300"><ThumbsUp className="h-4 w-4"/> Yes {format(yesVotes)} {total > 0n && `(${yesPct}%)`}</span>
+        <span className="inline-flex items-center gap-1 text-red-300">No {format(noVotes)} {total > 0n && `(${100 - yesPct}%)`} <ThumbsDown className="h-4 w-4"/></span>
+      </div>
+      <div className="relative">
+        <div className="h-3 rounded-full bg-neutral-800 overflow-hidden flex">
+          {total > 0n && (
+            <>
+              <div className="bg-green-500/80" style={{ width: `${yesPct}%` }} />
+              <div className="bg-red-500/80" style={{ width: `${100 - yesPct}%` }} />
+            </>
+          )}
+        </div>
+        {/* Yes share needed to pass */}
+        <div className="absolute -top-1 -bottom-1 w-0.5 bg-neutral-200" style={{ left: `${Number(thresholdBps) / 100}%` }} title="Approval threshold" />
+      </div>
+      <div className="text-xs text-neutral-500">
+        {isWeighted(proposal) ? `${format(total, { symbol: true })} cast` : `${total} vote${total === 1n ? '' : 's'}`}
+        {abstainVotes > 0n && ` · ${format(abstainVotes)} abstain`}
+      </div>
+    </div>
+  )
+}
+
+function timelineEntry(e, proposal, format) {
+  switch (e.eventName) {
+    case 'ProposalCreated':
+      return { icon: <PlusCircle className="h-4 w-4 text-blue-300"/>, text: `Created by ${shortAddress(e.args.proposer)}` }
+    case 'VoteCast':
+      return {
+        icon: isMultipleChoice(proposal) ? <CheckCircle2 className="h-4 w-4 text-amber-300"/>
+          : e.args.choice === CHOICE_YES ? <ThumbsUp className="h-4 w-4 text-green-400"/>
+          : e.args.choice === CHOICE_NO ? <ThumbsDown className="h-4 w-4 text-red-400"/>
+          : <MinusCircle className="h-4 w-4 text-neutral-400"/>,
+        text: `${shortAddress(e.args.voter)} voted ${choiceLabel(proposal, e.args.choice)}${isWeighted(proposal) ? ` with ${format(e.args.weight, { symbol: true })}` : ''}`,
+      }
+    case 'DelegatedVoteCast':
+      return {
+        icon: <Users className="h-4 w-4 text-cyan-300"/>,
+        text: `${shortAddress(e.args.delegate)} voted ${choiceLabel(proposal, e.args.choice)} for ${shortAddress(e.args.delegator)}${isWeighted(proposal) ? ` with ${format(e.args.weight, { symbol: true })}` : ''}`,
+      }
+    case 'DelegatedVoteOverridden':
+      return {
+        icon: <Users className="h-4 w-4 text-neutral-400"/>,
+        text: `${shortAddress(e.args.delegator)} replaced the vote ${shortAddress(e.args.delegate)} cast for them`,
+      }
+    case 'VoteChanged':
+      return {
+        icon: <Pencil className="h-4 w-4 text-neutral-400"/>,
+        text: `${shortAddress(e.args.voter)} changed their vote from ${choiceLabel(proposal, e.args.fromChoice)} to ${choiceLabel(proposal, e.args.toChoice)}`,
+      }
+    case 'VoteRetracted':
+      return {
+        icon: <Undo2 className="h-4 w-4 text-neutral-400"/>,
+        text: `${shortAddress(e.args.voter)} withdrew their ${choiceLabel(proposal, e.args.choice)} vote`,
+      }
+    case 'ProposalDelegateChanged':
+      return {
+        icon: <Users className="h-4 w-4 text-neutral-400"/>,
+        text: e.args.toDelegate === zeroAddress
+          ? `${shortAddress(e.args.delegator)} took back their vote from ${shortAddress(e.args.fromDelegate)}`
+          : `${shortAddress(e.args.delegator)} delegated their vote to ${shortAddress(e.args.toDelegate)}`,
+      }
+    case 'ProposalWeighted':
+      return {
+        icon: <Coins className="h-4 w-4 text-amber-300"/>,
+        text: `${e.args.weighting === WEIGHTING_NFT_HOLDER ? 'Open to holders of' : 'Weighted by'} ${shortAddress(e.args.token)} as of block ${e.args.snapshotBlock}`,
+      }
+    case 'ProposalCancelled':
+      return {
+        icon: <Ban className="h-4 w-4 text-neutral-400"/>,
+        text: `Cancelled by ${shortAddress(e.args.cancelledBy)}`,
+      }
+    case 'ProposalClosed':
+      return {
+        icon: e.args.approved ? <CheckCircle2 className="h-4 w-4 text-green-400"/> : <XCircle className="h-4 w-4 text-red-400"/>,
+        text: `Closed — ${closedText(proposal, e.args)}`,
+      }
+    default:
+      return { icon: null, text: e.eventName }
+  }
+}
+
+/** The proposal's own history (created, every vote, closed), oldest first. */
+function Timeline({ id }) {
+  const { events, complete, loading, loadOlder } = useContractEvents()
+  const proposal = useProposal(id)
+  const format = useVoteFormat(proposal)
+  const requested = useRef(false)
+
+  const own = useMemo(
+    () => events.filter((e) => e.args.proposalId !== undefined && Number(e.args.proposalId) === id).reverse(),
+    [events, id]
+  )
+  const covered = complete || own.some((e) => e.eventName === 'ProposalCreated')
+  const times = useBlockTimestamps(own.map((e) => e.blockNumber))
+
+  // A detail page needs the whole story: backfill once until the creation event is in
+  useEffect(() => {
+    if (covered || loading || requested.current) return
+    requested.current = true
+    loadOlder(Infinity, (all) => all.some((e) => e.eventName === 'ProposalCreated' && Number(e.args.proposalId) === id))
+  }, [covered, loading, loadOlder, id])
+
+  return (
+    <section className="card p-6">
+      <h2 className="text-base font-medium mb-3">Timeline</h2>
+      {!covered && (
+        <div className="flex items-center gap-2 text-sm text-neutral-400 mb-3">
+          <Loader2 className="h-4 w-4 animate-spin"/> Loading earlier history…
+        </div>
+      )}
+      <ol className="space-y-3">
+        {own.map((e) => {
+          const { icon, text } = timelineEntry(e, proposal, format)
+          const at = times[Number(e.blockNumber)]
+          const url = explorerTxUrl(e.transactionHash)
+          return (
+            <li key={e.id} className="flex items-start gap-3 text-sm">
+              <span className="mt-0.5">{icon}</span>
+              <div className="flex-1">
+                <div>{text}</div>
+                <div className="text-[11px] text-neutral-500 flex items-center gap-3">
+                  <span>{at ? new Date(at * 1000).toLocaleString() : `Block ${Number(e.blockNumber)}`}</span>
+                  {url && <a className="underline hover:text-neutral-300" href={url} target="_blank" rel="noreferrer">View tx</a>}
+                </div>
+              </div>
+            </li>
+          )
+        })}
+        {own.length === 0 && covered && <li className="text-sm text-neutral-400">No activity yet.</li>}
+      </ol>
+    </section>
+  )
+}
+
+export function ProposalDetail({ id }) {
+  const { address } = useAccount()
+  const { ready } = useProposals()
+  const proposal = useProposal(id)
+  const now = useChainNow()
+  const content = proposal ? decodeProposalContent(proposal.description) : null
+  const [copied, setCopied] = useState(false)
+  useMarkRead(id)
+
+  useDocumentTitle(proposal ? `#${id} ${content.title}` : `Proposal #${id}`)
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  const back = (
+    <button className="inline-flex items-center gap-1 text-sm text-neutral-400 hover:text-neutral-200" onClick={navigateBack}>
+      <ArrowLeft className="h-4 w-4"/> All proposals
+    </button>
+  )
+
+  if (!proposal) {
+    return (
+      <div className="space-y-4">
+        {back}
+        <div className="card p-6 text-neutral-400">
+          {ready ? `Proposal #${id} does not exist.` : <span className="inline-flex items-center gap-2"><Loader2 className="h-4 w-4 animate-spin"/> Loading…</span>}
+        </div>
+      </div>
+    )
+  }
+
+  const { active, approved, proposer, pending } = proposal
+  const myVote = pendingChoice(proposal, address)
+  const proposerUrl = explorerAddressUrl(proposer)
+
+  return (
+    <div className="space-y-6">
+      {back}
+      <article className="card p-6 space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div className="space-y-2">
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-neutral-500">#{id}</span>
+              <StatusBadge active={active} approved={approved} cancelled={proposal.cancelled} closing={pending?.closing} phase={proposalPhase(proposal, now)} winner={winnerLabel(proposal)} />
+              <FollowButton id={id} />
+            </div>
+            <h2 className="text-xl font-semibold break-words">{content.title}</h2>
+            <div className="flex flex-wrap items-center gap-3 text-sm text-neutral-400">
+              {active && <Countdown proposal={proposal} />}
+              {proposer && (
+                <span>
+                  by {proposerUrl ? <a className="underline hover:text-neutral-200" href={proposerUrl} target="_blank" rel="noreferrer" title={proposer}>{shortAddress(proposer)}</a> : <span title={proposer}>{shortAddress(proposer)}</span>}
+                </span>
+              )}
+              <button className="inline-flex items-center gap-1 hover:text-neutral-200" onClick={copyLink}>
+                <Link2 className="h-4 w-4"/> {copied ? 'Copied' : 'Copy link'}
+              </button>
+            </div>
+          </div>
+          <ProposalActions id={id} />
+        </div>
+        {content.unsupported && (
+          <div className="text-xs text-amber-300">This proposal was written in a newer format; some of its content may not be shown.</div>
+        )}
+        {content.body && <Markdown source={content.body} />}
+        <ProposalLinks links={content.links} />
+        {myVote !== undefined && (
+          <div className="inline-flex items-center gap-1 text-xs text-neutral-300">
+            <Loader2 className="h-3 w-3 animate-spin"/> Your {choiceLabel(proposal, myVote)} vote is pending
+          </div>
+        )}
+        {isMultipleChoice(proposal)
+          ? <OptionTally id={id} />
+          : <TallyBar proposal={proposal} />}
+        <OutcomeProgress proposal={proposal} />
+        <VotingPower proposal={proposal} />
+        <RollbackNote id={id} />
+      </article>
+      <Timeline id={id} />
+    </div>
+  )
+}
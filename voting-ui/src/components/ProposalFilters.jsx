@@ -0,0 +1,60 @@
+import React from 'react'
+import { Search } from 'lucide-react'
+import { STATUS_FILTERS, SORT_OPTIONS } from '../lib/proposalFilters'
+
+export function ProposalFilters({ filters, onChange, counts }) {
+  return (
+    <div className="card p-4 space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="h-4 w-4 text-neutral-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            className="input pl-9"
+            placeholder="Search descriptions or #id"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+          />
+        </div>
+        <select
+          className="input sm:w-48"
+          value={filters.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          aria-label="Sort proposals"
+        >
+          {SORT_OPTIONS.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map((f) => (
+          <button
+            key={f.value}
+            className={`badge cursor-pointer ${filters.status === f.value ? 'text-white border-base-500 bg-base-500/20' : 'hover:border-neutral-500'}`}
+            onClick={() => onChange({ status: f.value })}
+          >
+            {f.label}
+            {counts?.[f.value] !== undefined && <span className="ml-1 text-neutral-400">{counts[f.value]}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export function Pagination({ page, pageCount, onChange }) {
+  if (pageCount <= 1) return null
+  return (
+    <div className="flex items-center justify-between text-sm text-neutral-400">
+      <button className="btn btn-outline" disabled={page <= 1} onClick={() => onChange(page - 1)}>
+        Previous
+      </button>
+      <span>
+        Page {page} of {pageCount}
+      </span>
+      <button className="btn btn-outline" disabled={page >= pageCount} onClick={() => onChange(page + 1)}>
+        Next
+      </button>
+    </div>
+  )
+}
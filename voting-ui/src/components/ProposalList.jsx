@@ -1,65 +1,56 @@
-import React, { useEffect, useMemo, useState } from 'react'
-import { useAccount, useReadContract, useWriteContract } from 'wagmi'
-import { contract, publicClient } from '../lib/contract'
-import { ThumbsUp, ThumbsDown, TimerReset, CheckCheck, XCircle, Loader2 } from 'lucide-react'
+import React, { useMemo } from 'react'
+import { useAccount } from 'wagmi'
+import { pendingChoice, useProposal, useProposals } from '../lib/proposalStore'
+import { applyFilters, matchesStatus, useProposalFilters, PAGE_SIZE, STATUS_FILTERS } from '../lib/proposalFilters'
+import { proposalPath } from '../lib/router'
+import { decodeProposalContent } from '../lib/proposalContent'
+import { proposalPhase, useChainNow } from '../lib/chainClock'
+import { shortAddress } from '../lib/chain'
+import { ProposalFilters, Pagination } from './ProposalFilters'
+import { ProposalActions } from './ProposalActions'
+import { OutcomeProgress, RollbackNote, StatusBadge } from './ProposalStatus'
+import { VoterBreakdown } from './VoterBreakdown'
+import { OptionTally } from './OptionTally'
+import { VotingPower } from './VotingPower'
+import { CHOICE_ABSTAIN, CHOICE_NO, CHOICE_YES, choiceLabel, isMultipleChoice, winnerLabel } from '../lib/outcome'
+import { useVoteFormat } from '../lib/votingPower'
+import { Link } from './Link'
+import { Countdown } from './Countdown'
+import { FollowButton, UnreadBadge } from './Inbox'
+import { Markdown, ProposalLinks } from './Markdown'
+import { useProposalActions } from '../lib/proposalActions'
+import { ThumbsUp, ThumbsDown, Loader2, MinusCircle, CheckCheck } from 'lucide-react'
 
-function useProposalCount() {
-  return useReadContract({ ...contract, functionName: 'getProposalCount' })
-}
-
-function useProposal(id) {
-  return useReadContract({ ...contract, functionName: 'getProposals', args: [BigInt(id)] })
-}
+export function ProposalList() {
+  const { ids, proposals, pending, ready } = useProposals()
+  const [filters, setFilters] = useProposalFilters()
+  // Chain time, coarse enough that the list is not re-filtered every second
+  const now = useChainNow(5)
+
+  const all = useMemo(() => ids.map((id) => proposals[id]).filter(Boolean), [ids, proposals])
+  const filtered = useMemo(() => applyFilters(all, filters, now), [all, filters, now])
+  const counts = useMemo(
+    () => Object.fromEntries(STATUS_FILTERS.map((f) => [f.value, all.filter((p) => matchesStatus(p, f.value, now)).length])),
+    [all, now]
+  )
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE))
+  const page = Math.min(filters.page, pageCount)
+  const pageItems = filtered.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE)
+  // Past their deadline on every page, not only this one, and not already being closed by us
+  const expired = useMemo(
+    () => all.filter((p) => proposalPhase(p, now) === 'ready-to-close' && !pending[p.id]?.closing).map((p) => p.id),
+    [all, now, pending]
+  )
 
-function StatusBadge({ active, approved }) {
-  if (!active) {
+  if (!ready) {
     return (
-      <span className={`badge ${approved ? 'text-green-300 border-green-700 bg-green-900/20' : ''}`}>
-        {approved ? 'Approved' : 'Closed'}
-      </span>
+      <section className="card p-6">
+        <div className="flex items-center gap-2 text-neutral-400"><Loader2 className="h-4 w-4 animate-spin"/> Loading proposals…</div>
+      </section>
     )
   }
-  return <span className="badge">Active</span>
-}
-
-export function ProposalList() {
-  const { address } = useAccount()
-  const { data: count, refetch } = useProposalCount()
-  const total = Number(count || 0n)
-  const [refreshTick, setRefreshTick] = useState(0)
-  const { writeContractAsync } = useWriteContract()
-
-  // Trigger refresh when a new block comes or periodically
-  useEffect(() => {
-    const id = setInterval(() => setRefreshTick((t) => t + 1), 8000)
-    return () => clearInterval(id)
-  }, [])
-
-  const ids = useMemo(() => Array.from({ length: total }, (_, i) => total - 1 - i), [total])
-
-  useEffect(() => { if (total > 0) refetch() }, [refreshTick])
-
-  const onVote = async (id, yes) => {
-    try {
-      const hash = await writeContractAsync({ ...contract, functionName: 'vote', args: [BigInt(id), yes] })
-      await publicClient.waitForTransactionReceipt({ hash })
-      refetch()
-    } catch (e) {
-      console.error(e)
-    }
-  }
-
-  const onClose = async (id) => {
-    try {
-      const hash = await writeContractAsync({ ...contract, functionName: 'closeProposal', args: [BigInt(id)] })
-      await publicClient.waitForTransactionReceipt({ hash })
-      refetch()
-    } catch (e) {
-      console.error(e)
-    }
-  }
 
-  if (total === 0) {
+  if (ids.length === 0) {
     return (
       <section className="card p-6">
         <h2 className="text-lg font-medium mb-2">Proposals</h2>
@@ -70,24 +61,47 @@ export function ProposalList() {
 
   return (
     <section className="space-y-4">
-      {ids.map((id) => (
-        <ProposalItem key={id} id={id} onVote={onVote} onClose={onClose} />
-      ))}
+      <ProposalFilters filters={filters} onChange={setFilters} counts={counts} />
+      <CloseExpired ids={expired} />
+      {pageItems.length === 0 ? (
+        <div className="card p-6 text-neutral-400">No proposals match these filters.</div>
+      ) : (
+        pageItems.map((p) => (
+          <ProposalItem key={p.id} id={p.id} />
+        ))
+      )}
+      <Pagination page={page} pageCount={pageCount} onChange={(next) => setFilters({ page: next })} />
     </section>
   )
 }
 
-function ProposalItem({ id, onVote, onClose }) {
-  const { address } = useAccount()
-  const { data, refetch, isLoading } = useReadContract({ ...contract, functionName: 'getProposals', args: [BigInt(id)] })
-  const { data: voted } = useReadContract({ ...contract, functionName: 'hasVoted', args: [BigInt(id), address ?? '0x0000000000000000000000000000000000000000'], query: { enabled: Boolean(address) } })
+/** Closes every proposal past its deadline in one transaction. */
+function CloseExpired({ ids }) {
+  const { isConnected } = useAccount()
+  const { closeMany } = useProposalActions()
+  if (!isConnected || ids.length === 0) return null
+  return (
+    <div className="card p-4 flex items-center justify-between gap-4">
+      <span className="text-sm text-neutral-300">
+        {ids.length === 1 ? 'One proposal has' : `${ids.length} proposals have`} ended and can be closed.
+      </span>
+      <button className="btn btn-primary" onClick={() => closeMany([...ids].sort((a, b) => a - b))}>
+        <CheckCheck className="h-4 w-4"/> Close all expired
+      </button>
+    </div>
+  )
+}
 
-  useEffect(() => {
-    const sub = setInterval(() => refetch(), 6000)
-    return () => clearInterval(sub)
-  }, [id])
+// Bodies longer than this are clipped in the card and continue on the detail page
+const BODY_PREVIEW_CHARS = 300
+
+function ProposalItem({ id }) {
+  const { address } = useAccount()
+  const proposal = useProposal(id)
+  const now = useChainNow()
+  const format = useVoteFormat(proposal)
 
-  if (isLoading || !data) {
+  if (!proposal) {
     return (
       <div className="card p-6">
         <div className="flex items-center gap-2 text-neutral-400"><Loader2 className="h-4 w-4 animate-spin"/> Loading…</div>
@@ -95,37 +109,59 @@ function ProposalItem({ id, onVote, onClose }) {
     )
   }
 
-  const [description, yesVotes, noVotes, active, endTime, approved] = data
-  const now = Math.floor(Date.now() / 1000)
-  const ended = Number(endTime) <= now
+  const { description, yesVotes, noVotes, abstainVotes, active, approved, proposer, pending } = proposal
+  const content = decodeProposalContent(description)
+  const multipleChoice = isMultipleChoice(proposal)
+  const myVote = pendingChoice(proposal, address)
+  const pendingTally = (choice) => (myVote === choice ? 'animate-pulse text-neutral-200' : '')
 
   return (
     <article className="card p-6">
       <div className="flex items-start justify-between gap-4">
         <div className="space-y-2">
           <div className="flex items-center gap-3">
-            <h3 className="text-base font-medium">#{id} • {description}</h3>
-            <StatusBadge active={active} approved={approved} />
+            <h3 className="text-base font-medium">
+              <Link to={proposalPath(id)} className="hover:underline underline-offset-4">#{id} • {content.title}</Link>
+            </h3>
+            <StatusBadge active={active} approved={approved} cancelled={proposal.cancelled} closing={pending?.closing} phase={proposalPhase(proposal, now)} winner={winnerLabel(proposal)} />
+            <UnreadBadge id={id} />
+            <FollowButton id={id} />
           </div>
           <div className="flex items-center gap-3 text-sm text-neutral-400">
-            <span className="inline-flex items-center gap-1"><ThumbsUp className="h-4 w-4 text-green-400"/> {String(yesVotes)}</span>
-            <span className="inline-flex items-center gap-1"><ThumbsDown className="h-4 w-4 text-red-400"/> {String(noVotes)}</span>
-            <span className="inline-flex items-center gap-1"><TimerReset className="h-4 w-4"/> {ended ? 'Ended' : `${Math.max(0, Math.floor((Number(endTime) - now) / 60))}m left`}</span>
+            {!multipleChoice && (
+              <>
+                <span className="inline-flex items-center gap-1"><ThumbsUp className="h-4 w-4 text-green-400"/> <span className={pendingTally(CHOICE_YES)}>{format(yesVotes)}</span></span>
+                <span className="inline-flex items-center gap-1"><ThumbsDown className="h-4 w-4 text-red-400"/> <span className={pendingTally(CHOICE_NO)}>{format(noVotes)}</span></span>
+                <span className="inline-flex items-center gap-1" title="Abstain"><MinusCircle className="h-4 w-4"/> <span className={pendingTally(CHOICE_ABSTAIN)}>{format(abstainVotes)}</span></span>
+              </>
+            )}
+            <Countdown proposal={proposal} />
+            {proposer && <span title={proposer}>by {shortAddress(proposer)}</span>}
+            {myVote !== undefined && (
+              <span className="inline-flex items-center gap-1 text-xs text-neutral-300">
+                <Loader2 className="h-3 w-3 animate-spin"/> Your {choiceLabel(proposal, myVote)} vote is pending
+              </span>
+            )}
           </div>
+          <OutcomeProgress proposal={proposal} />
+          <VotingPower proposal={proposal} />
         </div>
-        <div className="flex items-center gap-2">
-          <button className="btn btn-outline" disabled={!active || ended || voted} onClick={() => onVote(id, true)}>
-            <ThumbsUp className="h-4 w-4"/> Yes
-          </button>
-          <button className="btn btn-outline" disabled={!active || ended || voted} onClick={() => onVote(id, false)}>
-            <ThumbsDown className="h-4 w-4"/> No
-          </button>
-          <button className="btn btn-primary" disabled={!active || !ended} onClick={() => onClose(id)}>
-            {approved ? <CheckCheck className="h-4 w-4"/> : <XCircle className="h-4 w-4"/>}
-            Close
-          </button>
-        </div>
+        <ProposalActions id={id} />
       </div>
+      {multipleChoice && <div className="mt-4"><OptionTally id={id} /></div>}
+      {content.body && (
+        <div className="mt-3">
+          <div className="max-h-32 overflow-hidden">
+            <Markdown source={content.body} />
+          </div>
+          {content.body.length > BODY_PREVIEW_CHARS && (
+            <Link to={proposalPath(id)} className="text-xs text-neutral-400 underline hover:text-neutral-200">Read more</Link>
+          )}
+        </div>
+      )}
+      {content.links.length > 0 && <div className="mt-3"><ProposalLinks links={content.links} /></div>}
+      <RollbackNote id={id} />
+      <VoterBreakdown id={id} />
     </article>
   )
 }
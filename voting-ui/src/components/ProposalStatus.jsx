@@ -0,0 +1,89 @@
+import React from 'react'
+import { CheckCircle2, Circle, Loader2, Undo2, X } from 'lucide-react'
+import { proposalStore, useRollback } from '../lib/proposalStore'
+import { choiceLabel, formatThreshold, isMultipleChoice, NO_WINNER, outcomeOf } from '../lib/outcome'
+import { useVoteFormat } from '../lib/votingPower'
+
+/** `winner` is the winning option's label for multiple-choice proposals (null when none won). */
+export function StatusBadge({ active, approved, cancelled, closing, phase, winner }) {
+  const multipleChoice = winner !== undefined
+  if (cancelled) {
+    return <span className="badge text-neutral-400 line-through" title="Withdrawn by its proposer or the owner">Cancelled</span>
+  }
+  if (closing) {
+    const result = multipleChoice ? winner || 'no winner' : approved ? 'approved' : 'rejected'
+    return (
+      <span className="badge animate-pulse" title="Waiting for the close transaction to confirm">
+        <Loader2 className="h-3 w-3 animate-spin mr-1" /> Closing… ({result})
+      </span>
+    )
+  }
+  if (!active) {
+    const text = multipleChoice ? (winner ? `Winner: ${winner}` : 'No winner') : approved ? 'Approved' : 'Closed'
+    return (
+      <span className={`badge ${approved ? 'text-green-300 border-green-700 bg-green-900/20' : ''}`}>
+        {text}
+      </span>
+    )
+  }
+  if (phase === 'ready-to-close') {
+    return <span className="badge text-amber-300 border-amber-700 bg-amber-900/20">Ready to close</span>
+  }
+  if (phase === 'ending') return <span className="badge">Ending</span>
+  return <span className="badge">Active</span>
+}
+
+/** Why our last optimistic vote/close on this proposal was undone. */
+export function RollbackNote({ id }) {
+  const rollback = useRollback(id)
+  if (!rollback) return null
+  return (
+    <div className="mt-3 flex items-start gap-2 text-sm text-amber-300">
+      <Undo2 className="h-4 w-4 mt-0.5 shrink-0"/>
+      <span className="flex-1">{rollback}</span>
+      <button className="text-neutral-500 hover:text-neutral-300" onClick={() => proposalStore.dismissRollback(id)} aria-label="Dismiss">
+        <X className="h-4 w-4"/>
+      </button>
+    </div>
+  )
+}
+
+function Requirement({ met, children }) {
+  return (
+    <span className={`inline-flex items-center gap-1 ${met ? 'text-green-300' : 'text-neutral-400'}`}>
+      {met ? <CheckCircle2 className="h-3.5 w-3.5"/> : <Circle className="h-3.5 w-3.5"/>}
+      {children}
+    </span>
+  )
+}
+
+/** Progress toward the proposal's quorum and approval threshold. */
+export function OutcomeProgress({ proposal }) {
+  const { total, quorum, quorumMet, votesToQuorum, yesBps, thresholdMet, leader } = outcomeOf(proposal)
+  const format = useVoteFormat(proposal)
+  const quorumPct = quorum > 0n ? Math.min(100, Number((total * 100n) / quorum)) : 100
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs">
+      {quorum > 0n && (
+        <span className="inline-flex items-center gap-2">
+          <Requirement met={quorumMet}>
+            Quorum {format(total)}/{format(quorum, { symbol: true })}{!quorumMet && ` (${format(votesToQuorum)} more)`}
+          </Requirement>
+          <span className="h-1.5 w-20 rounded-full bg-neutral-800 overflow-hidden">
+            <span className={`block h-full ${quorumMet ? 'bg-green-500/80' : 'bg-neutral-500'}`} style={{ width: `${quorumPct}%` }} />
+          </span>
+        </span>
+      )}
+      {isMultipleChoice(proposal) ? (
+        <Requirement met={leader !== NO_WINNER}>
+          {total === 0n ? 'Most votes wins' : leader === NO_WINNER ? 'Tied for the lead' : `Leading: ${choiceLabel(proposal, leader)}`}
+        </Requirement>
+      ) : (
+        <Requirement met={thresholdMet}>
+          Needs {formatThreshold(proposal.thresholdBps)} yes{yesBps > 0 || proposal.noVotes > 0n ? ` · ${(yesBps / 100).toFixed(1)}% so far` : ''}
+          {proposal.abstainVotes > 0n && ` · ${format(proposal.abstainVotes)} abstain`}
+        </Requirement>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react'
+import { Download, FileSpreadsheet, Loader2, ShieldAlert, ShieldCheck } from 'lucide-react'
+import { buildReport, proposalsCsv, reportJson, votesCsv } from '../lib/audit'
+import { contract, publicClient } from '../lib/contract'
+import { CHAIN, DEPLOYMENT_BLOCK, LOG_CHUNK_SIZE } from '../lib/chain'
+import { proposalPath } from '../lib/router'
+import { Link } from './Link'
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Builds a report of every proposal and its vote history from the chain, checks each stored
+ * tally against the one rebuilt from events, and offers the result as CSV or JSON.
+ */
+export function ReportPanel() {
+  const [state, setState] = useState({ status: 'idle' }) // idle | loading | ready | error
+
+  const run = async () => {
+    setState({ status: 'loading' })
+    try {
+      const report = await buildReport({
+        publicClient,
+        contract,
+        fromBlock: DEPLOYMENT_BLOCK,
+        chunkSize: LOG_CHUNK_SIZE,
+        onProgress: (progress) => setState({ status: 'loading', progress }),
+      })
+      setState({ status: 'ready', report })
+    } catch (err) {
+      setState({ status: 'error', error: err?.shortMessage || err?.message })
+    }
+  }
+
+  const { report, progress } = state
+  const name = report && `${CHAIN.id}-${report.blockNumber}`
+
+  return (
+    <section className="card p-5 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-base font-medium">Results report</h2>
+        <button className="btn btn-outline px-3 py-1 text-xs" disabled={state.status === 'loading'} onClick={run}>
+          {state.status === 'loading' ? <Loader2 className="h-3 w-3 animate-spin" /> : <FileSpreadsheet className="h-3 w-3" />}
+          {report ? 'Rebuild' : 'Build & verify'}
+        </button>
+      </div>
+      {state.status === 'idle' && (
+        <p className="text-xs text-neutral-400">
+          Export every proposal with its full vote history, and rebuild each tally from the contract's events to check it
+          against the stored result.
+        </p>
+      )}
+      {state.status === 'loading' && (
+        <p className="text-xs text-neutral-400">
+          {progress ? `Scanning blocks… ${Math.floor((Number(progress.scanned) / Number(progress.total)) * 100)}%` : 'Reading proposals…'}
+        </p>
+      )}
+      {state.status === 'error' && <p className="text-xs text-red-400">Could not build the report: {state.error}</p>}
+      {report && (
+        <>
+          <p className="text-xs text-neutral-400">
+            {report.proposals.length} proposals and {report.votes.length} vote events as of block {String(report.blockNumber)}.
+          </p>
+          <Verification mismatches={report.mismatches} />
+          <div className="flex flex-wrap gap-2">
+            <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => download(`proposals-${name}.csv`, proposalsCsv(report), 'text/csv')}>
+              <Download className="h-3 w-3" /> Proposals CSV
+            </button>
+            <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => download(`votes-${name}.csv`, votesCsv(report), 'text/csv')}>
+              <Download className="h-3 w-3" /> Votes CSV
+            </button>
+            <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => download(`report-${name}.json`, reportJson(report), 'application/json')}>
+              <Download className="h-3 w-3" /> JSON
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+function Verification({ mismatches }) {
+  if (mismatches.length === 0) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-green-300">
+        <ShieldCheck className="h-4 w-4" /> Every tally and outcome matches its events.
+      </div>
+    )
+  }
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2 text-sm text-red-300">
+        <ShieldAlert className="h-4 w-4" /> {mismatches.length} mismatch{mismatches.length === 1 ? '' : 'es'} found
+      </div>
+      <ul className="text-xs text-neutral-300 space-y-1 max-h-40 overflow-auto">
+        {mismatches.map((m, i) => (
+          <li key={i}>
+            <Link to={proposalPath(m.proposalId)} className="underline underline-offset-2">#{m.proposalId}</Link> {m.field}: stored{' '}
+            <code>{String(m.onchain)}</code>, from events <code>{String(m.fromEvents)}</code>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react'
+import { Activity, CheckCircle2, Loader2, X, XCircle, AlertTriangle } from 'lucide-react'
+import { transactionStore, useTransactions, TOAST_MS } from '../lib/transactions'
+import { explorerTxUrl } from '../lib/chain'
+
+const STATUS_TEXT = {
+  simulating: 'Checking…',
+  signing: 'Confirm in your wallet',
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  dropped: 'Dropped',
+}
+
+const REPLACED_TEXT = {
+  repriced: 'Sped up in wallet',
+  replaced: 'Replaced in wallet',
+  cancelled: 'Cancelled in wallet',
+}
+
+const inFlight = (tx) => tx.status === 'simulating' || tx.status === 'signing' || tx.status === 'pending'
+
+function StatusIcon({ status }) {
+  if (status === 'confirmed') return <CheckCircle2 className="h-4 w-4 text-green-400 shrink-0" />
+  if (status === 'failed') return <XCircle className="h-4 w-4 text-red-400 shrink-0" />
+  if (status === 'dropped') return <AlertTriangle className="h-4 w-4 text-amber-400 shrink-0" />
+  return <Loader2 className="h-4 w-4 animate-spin text-neutral-400 shrink-0" />
+}
+
+function TxRow({ tx, onDismiss }) {
+  const url = explorerTxUrl(tx.hash)
+  return (
+    <div className="flex items-start gap-3">
+      <StatusIcon status={tx.status} />
+      <div className="min-w-0 flex-1 text-sm">
+        <div className="flex items-center justify-between gap-2">
+          <span className="font-medium truncate">{tx.label}</span>
+          <span className="text-xs text-neutral-500 shrink-0">{STATUS_TEXT[tx.status]}</span>
+        </div>
+        {tx.error && <div className="text-xs text-red-300 mt-0.5">{tx.error}</div>}
+        <div className="text-[11px] text-neutral-500 mt-0.5 flex items-center gap-3">
+          <span>{new Date(tx.createdAt).toLocaleTimeString()}</span>
+          {tx.replaced && <span className="text-amber-300">{REPLACED_TEXT[tx.replaced]}</span>}
+          {url && <a className="underline hover:text-neutral-300" href={url} target="_blank" rel="noreferrer">View tx</a>}
+        </div>
+      </div>
+      {onDismiss && (
+        <button className="text-neutral-500 hover:text-neutral-300" onClick={onDismiss} aria-label="Dismiss">
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  )
+}
+
+/** Toasts for in-flight and just-settled transactions, plus a persisted activity list. */
+export function TransactionTray() {
+  const txs = useTransactions()
+  const [open, setOpen] = useState(false)
+  const [now, setNow] = useState(Date.now())
+
+  const toasts = txs.filter((tx) => !tx.dismissed && (inFlight(tx) || now - tx.updatedAt < TOAST_MS))
+  const pendingCount = txs.filter(inFlight).length
+
+  // Re-render when the oldest settled toast is due to disappear
+  useEffect(() => {
+    const settled = toasts.filter((tx) => !inFlight(tx))
+    if (settled.length === 0) return
+    const due = Math.min(...settled.map((tx) => tx.updatedAt + TOAST_MS)) - Date.now()
+    const timer = setTimeout(() => setNow(Date.now()), Math.max(0, due) + 50)
+    return () => clearTimeout(timer)
+  }, [toasts])
+
+  useEffect(() => setNow(Date.now()), [txs])
+
+  if (txs.length === 0) return null
+
+  return (
+    <div className="fixed bottom-4 right-4 z-30 w-80 space-y-2">
+      {!open && toasts.map((tx) => (
+        <div key={tx.id} className="card p-3 shadow-lg">
+          <TxRow tx={tx} onDismiss={() => transactionStore.dismiss(tx.id)} />
+        </div>
+      ))}
+      {open && (
+        <div className="card p-3 shadow-lg space-y-3 max-h-96 overflow-y-auto">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium">Recent transactions</span>
+            <button className="text-xs text-neutral-400 underline hover:text-neutral-200" onClick={() => transactionStore.clear()}>
+              Clear
+            </button>
+          </div>
+          {txs.map((tx) => <TxRow key={tx.id} tx={tx} />)}
+        </div>
+      )}
+      <div className="flex justify-end">
+        <button className="btn btn-outline px-3 py-1 text-xs" onClick={() => setOpen((o) => !o)}>
+          <Activity className="h-4 w-4" />
+          Activity
+          {pendingCount > 0 && <span className="badge">{pendingCount}</span>}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,84 @@
+import React, { useMemo, useState } from 'react'
+import { ChevronDown, ChevronRight, Loader2 } from 'lucide-react'
+import { useContractEvents, useProposal } from '../lib/proposalStore'
+import { CHOICE_NO, CHOICE_YES, choiceLabel, isMultipleChoice } from '../lib/outcome'
+import { explorerTxUrl, shortAddress } from '../lib/chain'
+
+const isCreation = (id) => (e) => e.eventName === 'ProposalCreated' && Number(e.args.proposalId) === id
+
+const BALLOT_EVENTS = ['VoteCast', 'DelegatedVoteCast', 'VoteChanged', 'VoteRetracted']
+const voterOf = (e) => (e.eventName === 'DelegatedVoteCast' ? e.args.delegator : e.args.voter)
+const choiceOf = (e) => (e.eventName === 'VoteChanged' ? e.args.toChoice : e.args.choice)
+
+function choiceClass(proposal, choice) {
+  if (isMultipleChoice(proposal)) return ''
+  if (choice === CHOICE_YES) return 'text-green-300 border-green-700 bg-green-900/20'
+  if (choice === CHOICE_NO) return 'text-red-300 border-red-700 bg-red-900/20'
+  return ''
+}
+
+export function VoterBreakdown({ id }) {
+  const { events, complete, loading, loadOlder } = useContractEvents()
+  const proposal = useProposal(id)
+  const [open, setOpen] = useState(false)
+
+  // Newest ballot per voter: a delegator voting itself replaces the one its delegate cast, a change
+  // replaces the earlier choice and a retraction removes the voter
+  const votes = useMemo(() => {
+    const seen = new Set()
+    return events.filter((e) => {
+      if (!BALLOT_EVENTS.includes(e.eventName) || Number(e.args.proposalId) !== id) return false
+      const voter = voterOf(e).toLowerCase()
+      if (seen.has(voter)) return false
+      seen.add(voter)
+      return e.eventName !== 'VoteRetracted'
+    })
+  }, [events, id])
+  // Votes are only complete once history reaches back to the proposal's creation
+  const covered = complete || events.some(isCreation(id))
+
+  return (
+    <div className="mt-4 border-t border-neutral-800 pt-3">
+      <button className="inline-flex items-center gap-1 text-sm text-neutral-400 hover:text-neutral-200" onClick={() => setOpen((o) => !o)}>
+        {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        Voters ({votes.length}{covered ? '' : '+'})
+      </button>
+      {open && (
+        <div className="mt-2 space-y-1">
+          {votes.length === 0 && covered && <div className="text-xs text-neutral-500">No votes yet.</div>}
+          {votes.map((v) => (
+            <div key={v.id} className="flex items-center justify-between gap-3 text-xs">
+              <code className="text-neutral-300" title={voterOf(v)}>{shortAddress(voterOf(v))}</code>
+              {v.eventName === 'DelegatedVoteCast' && (
+                <span className="text-neutral-500" title={v.args.delegate}>via {shortAddress(v.args.delegate)}</span>
+              )}
+              {v.eventName === 'VoteChanged' && <span className="text-neutral-500">changed</span>}
+              <span className={`badge ${choiceClass(proposal, choiceOf(v))}`}>
+                {choiceLabel(proposal, choiceOf(v))}
+              </span>
+              {explorerTxUrl(v.transactionHash) && (
+                <a
+                  className="ml-auto text-neutral-500 underline hover:text-neutral-300"
+                  href={explorerTxUrl(v.transactionHash)}
+                  target="_blank" rel="noreferrer"
+                >
+                  View tx
+                </a>
+              )}
+            </div>
+          ))}
+          {!covered && (
+            <button
+              className="text-xs text-neutral-400 underline hover:text-neutral-200 inline-flex items-center gap-1"
+              disabled={loading}
+              onClick={() => loadOlder(Infinity, (all) => all.some(isCreation(id)))}
+            >
+              {loading && <Loader2 className="h-3 w-3 animate-spin" />}
+              Load earlier votes
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,41 @@
+import React from 'react'
+import { useAccount } from 'wagmi'
+import { Coins, Image } from 'lucide-react'
+import { isWeighted, WEIGHTING_NFT_HOLDER } from '../lib/outcome'
+import { useTokenInfo, useVoteFormat, useVotingPower } from '../lib/votingPower'
+import { useHasDelegators } from '../lib/delegation'
+import { shortAddress } from '../lib/chain'
+
+/** How votes are weighted on a token or NFT proposal, and what the connected wallet's vote is worth. */
+export function VotingPower({ proposal }) {
+  const { address } = useAccount()
+  const power = useVotingPower(proposal, address)
+  const info = useTokenInfo(isWeighted(proposal) ? proposal.token : null)
+  const format = useVoteFormat(proposal)
+  const votesForOthers = useHasDelegators(proposal.id, address)
+
+  if (!isWeighted(proposal)) return null
+
+  const nft = Number(proposal.weighting) === WEIGHTING_NFT_HOLDER
+  const token = info?.symbol || shortAddress(proposal.token)
+  const Icon = nft ? Image : Coins
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-neutral-400">
+      <span className="badge" title={`${proposal.token}\nHoldings counted at block ${String(proposal.snapshotBlock)}`}>
+        <Icon className="h-3 w-3 mr-1"/>
+        {nft ? `${token} holders, one vote each` : `Weighted by ${token}`}
+      </span>
+      {address && power !== undefined && (
+        power === 0n ? (
+          <span className="text-amber-300">
+            No voting power at snapshot block {String(proposal.snapshotBlock)}
+            {votesForOthers && '; your vote still counts for your delegators'}
+          </span>
+        ) : (
+          <span>Your voting power: <span className="text-neutral-200 tabular-nums">{nft ? '1 vote' : format(power, { symbol: true })}</span></span>
+        )
+      )}
+    </div>
+  )
+}
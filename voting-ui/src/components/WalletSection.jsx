@@ -1,6 +1,7 @@
 import React from 'react'
 import { useAccount, useConnect, useDisconnect } from 'wagmi'
 import { Wallet, LogOut } from 'lucide-react'
+import { shortAddress } from '../lib/chain'
 
 export function WalletSection() {
   const { address, isConnected } = useAccount()
@@ -10,7 +11,7 @@ export function WalletSection() {
   if (isConnected) {
     return (
       <div className="flex items-center gap-3">
-        <span className="badge">{address?.slice(0, 6)}…{address?.slice(-4)}</span>
+        <span className="badge">{address && shortAddress(address)}</span>
         <button className="btn btn-outline" onClick={() => disconnect()}> 
           <LogOut className="h-4 w-4" />
           Disconnect
@@ -0,0 +1,100 @@
+import { useEffect, useMemo } from 'react'
+import { useReadContract } from 'wagmi'
+import { isAddressEqual } from 'viem'
+import { contract } from './contract'
+import { useContractEvents, useProposals, useVotedOn } from './proposalStore'
+import { proposalPhase, useChainNow } from './chainClock'
+
+const ALLOWLIST_EVENTS = ['ProposalApproved', 'ProposalRemoved']
+
+/** Whether `e` is a ballot `account` cast: its own vote, change or retraction, or one cast as a delegate. */
+function isOwnBallot(e, account) {
+  switch (e.eventName) {
+    case 'VoteCast':
+    case 'VoteChanged':
+    case 'VoteRetracted':
+      return isAddressEqual(e.args.voter, account)
+    case 'DelegatedVoteCast':
+      return isAddressEqual(e.args.delegate, account)
+    default:
+      return false
+  }
+}
+
+/**
+ * `account`'s part of the event history (newest first, as kept by the event history): the
+ * proposals it created, every ballot it cast and the last allowlist change about it.
+ */
+export function accountActivity(events, account) {
+  const created = []
+  const votes = []
+  let allowlist = null
+  events.forEach((e) => {
+    if (e.eventName === 'ProposalCreated' && isAddressEqual(e.args.proposer, account)) created.push(e)
+    else if (isOwnBallot(e, account)) votes.push(e)
+    else if (!allowlist && ALLOWLIST_EVENTS.includes(e.eventName) && isAddressEqual(e.args.proposer, account)) allowlist = e
+  })
+  return { created, votes, allowlist }
+}
+
+/**
+ * Everything the "My activity" page shows for `account`. Created proposals, votes and the
+ * allowlist record come from the locally indexed event history, which is backfilled to the
+ * deployment block on first use and cached; open and closable proposals come from the
+ * proposal store.
+ */
+export function useAccountActivity(account) {
+  const history = useContractEvents()
+  const { ids, proposals, pending, ready } = useProposals()
+  const voted = useVotedOn(account)
+  const now = useChainNow(5)
+
+  const { ready: historyReady, complete, loading, error, loadOlder } = history
+  useEffect(() => {
+    if (historyReady && !complete && !loading && !error) loadOlder(Infinity)
+  }, [historyReady, complete, loading, error, loadOlder])
+
+  const activity = useMemo(
+    () => (account ? accountActivity(history.events, account) : { created: [], votes: [], allowlist: null }),
+    [history.events, account]
+  )
+
+  const key = account?.toLowerCase()
+  const awaitingVote = useMemo(
+    () =>
+      ids.filter((id) => {
+        const p = proposals[id]
+        return p && proposalPhase(p, now) === 'voting' && voted?.[id] === undefined && !pending[id]?.votes[key]
+      }),
+    [ids, proposals, pending, voted, key, now]
+  )
+  const closable = useMemo(
+    () => ids.filter((id) => proposals[id] && proposalPhase(proposals[id], now) === 'ready-to-close' && !pending[id]?.closing),
+    [ids, proposals, pending, now]
+  )
+
+  const { data: isApproved, refetch } = useReadContract({
+    ...contract,
+    functionName: 'isApprovedProposer',
+    args: account ? [account] : undefined,
+    query: { enabled: Boolean(account) },
+  })
+  // Added to or removed from the allowlist: re-read
+  const allowlistChange = activity.allowlist?.id
+  useEffect(() => {
+    if (allowlistChange) refetch()
+  }, [allowlistChange, refetch])
+
+  return {
+    ...activity,
+    awaitingVote,
+    closable,
+    isApproved,
+    ready: ready && voted !== undefined,
+    historyComplete: complete,
+    historyLoading: loading,
+    historyError: error,
+    scannedFrom: history.cursor?.from,
+    loadFullHistory: () => loadOlder(Infinity),
+  }
+}
@@ -0,0 +1,34 @@
+import { useEffect, useMemo } from 'react'
+import { useReadContract } from 'wagmi'
+import { isAddressEqual } from 'viem'
+import { contract } from './contract'
+import { useContractEvents } from './proposalStore'
+import { useTransact } from './transactions'
+
+export const PAUSE_EVENTS = ['Paused', 'Unpaused']
+
+/** Whether `account` is the contract owner. */
+export function useIsOwner(account) {
+  const { data: owner } = useReadContract({ ...contract, functionName: 'owner', query: { enabled: Boolean(contract.address) } })
+  return Boolean(account && owner && isAddressEqual(account, owner))
+}
+
+/** Whether the owner has paused proposal creation and voting; re-read when a pause event arrives. */
+export function usePaused() {
+  const { events } = useContractEvents()
+  const { data, isLoading, refetch } = useReadContract({ ...contract, functionName: 'paused', query: { enabled: Boolean(contract.address) } })
+  const version = useMemo(() => events.find((e) => PAUSE_EVENTS.includes(e.eventName))?.id, [events])
+  useEffect(() => {
+    if (version) refetch()
+  }, [version, refetch])
+  return { paused: Boolean(data), isLoading }
+}
+
+/** Owner-only pause and unpause. */
+export function usePauseActions() {
+  const { send } = useTransact()
+  return {
+    pause: () => send({ label: 'Pause voting', functionName: 'pause', args: [] }),
+    unpause: () => send({ label: 'Resume voting', functionName: 'unpause', args: [] }),
+  }
+}
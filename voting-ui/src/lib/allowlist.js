@@ -0,0 +1,114 @@
+import { useEffect, useMemo } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useReadContract } from 'wagmi'
+import { getAddress, isAddress } from 'viem'
+import { contract, publicClient } from './contract'
+import { useContractEvents } from './proposalStore'
+
+const ALLOWLIST_EVENTS = ['ProposalApproved', 'ProposalRemoved']
+
+/**
+ * Replay allowlist events (newest-first, as kept by the event history) into the
+ * current allowlist, remembering the transaction that last added each address.
+ */
+export function rebuildAllowlist(events) {
+  const entries = new Map()
+  for (let i = events.length - 1; i >= 0; i--) {
+    const e = events[i]
+    if (!ALLOWLIST_EVENTS.includes(e.eventName)) continue
+    const address = getAddress(e.args.proposer)
+    const prev = entries.get(address)
+    if (e.eventName === 'ProposalApproved') {
+      // Re-approving an address that is already listed keeps the original "added" record
+      if (!prev?.approved) {
+        entries.set(address, { address, approved: true, addedTx: e.transactionHash, addedBlock: e.blockNumber })
+      }
+    } else {
+      entries.set(address, { ...prev, address, approved: false, removedTx: e.transactionHash })
+    }
+  }
+  return entries
+}
+
+/**
+ * Split pasted text into addresses and validate each one.
+ * Mixed-case input must carry a valid EIP-55 checksum; all-lowercase input is accepted.
+ */
+export function parseAddressList(text) {
+  const valid = []
+  const invalid = []
+  const seen = new Set()
+  text
+    .split(/[\s,;]+/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .forEach((token) => {
+      if (!isAddress(token, { strict: true })) {
+        invalid.push(token)
+        return
+      }
+      const address = getAddress(token)
+      if (seen.has(address)) return
+      seen.add(address)
+      valid.push(address)
+    })
+  return { valid, invalid }
+}
+
+async function fetchAddedMeta(txHashes) {
+  const blocks = new Map()
+  const rows = await Promise.all(
+    txHashes.map(async (hash) => {
+      const tx = await publicClient.getTransaction({ hash })
+      if (!blocks.has(tx.blockNumber)) blocks.set(tx.blockNumber, publicClient.getBlock({ blockNumber: tx.blockNumber }))
+      const block = await blocks.get(tx.blockNumber)
+      return [hash, { addedBy: tx.from, addedAt: Number(block.timestamp) }]
+    })
+  )
+  return Object.fromEntries(rows)
+}
+
+/**
+ * Current proposer allowlist. Membership comes from `getApprovedProposers()`; who added
+ * each address and when is reconstructed from `ProposalApproved` history, which may be
+ * missing for old entries until the event history is fully backfilled.
+ */
+export function useAllowlist() {
+  const events = useContractEvents()
+  const { data: onchain, refetch, isLoading } = useReadContract({ ...contract, functionName: 'getApprovedProposers' })
+
+  const allowlistEvents = useMemo(() => events.events.filter((e) => ALLOWLIST_EVENTS.includes(e.eventName)), [events.events])
+  const history = useMemo(() => rebuildAllowlist(allowlistEvents), [allowlistEvents])
+
+  // Membership changed onchain: re-read the list
+  const latest = allowlistEvents[0]?.id
+  useEffect(() => {
+    if (latest) refetch()
+  }, [latest, refetch])
+
+  const txHashes = useMemo(
+    () => [...history.values()].filter((e) => e.approved && e.addedTx).map((e) => e.addedTx).sort(),
+    [history]
+  )
+  const { data: meta } = useQuery({
+    queryKey: ['allowlist-meta', contract.address, txHashes],
+    queryFn: () => fetchAddedMeta(txHashes),
+    enabled: txHashes.length > 0,
+    staleTime: Infinity,
+  })
+
+  const entries = (onchain || []).map((address) => {
+    const record = history.get(getAddress(address))
+    const added = record?.addedTx ? meta?.[record.addedTx] : undefined
+    return { address: getAddress(address), addedTx: record?.addedTx, ...added }
+  })
+
+  return {
+    entries,
+    isLoading,
+    historyComplete: events.complete,
+    historyLoading: events.loading,
+    loadFullHistory: () => events.loadOlder(Infinity),
+    refetch,
+  }
+}
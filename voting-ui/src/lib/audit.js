@@ -0,0 +1,257 @@
+// Results export and tally verification. Everything is read straight from the chain (not the
+// app's store), so the same report can be produced in the browser and from Node (`npm run cli -- verify`).
+import { isRangeError } from './eventHistory.js'
+import { decodeProposalContent } from './proposalContent.js'
+import { choiceLabel, countVote, formatThreshold, isMultipleChoice, outcomeOf, winnerLabel } from './outcome.js'
+
+const PAGE_SIZE = 100n
+
+// Blocks whose timestamps are fetched at once
+const BLOCK_BATCH = 20
+
+/** Events that add a ballot to a tally, move it or take it out. */
+export const VOTE_EVENTS = ['VoteCast', 'DelegatedVoteCast', 'DelegatedVoteOverridden', 'VoteChanged', 'VoteRetracted']
+
+const WEIGHTING_NAMES = ['one per address', 'token balance', 'NFT holders']
+
+async function readProposals({ publicClient, contract, blockNumber }) {
+  const count = await publicClient.readContract({ ...contract, functionName: 'getProposalCount', blockNumber })
+  const pages = []
+  for (let start = 0n; start < count; start += PAGE_SIZE) {
+    pages.push(publicClient.readContract({ ...contract, functionName: 'getProposalsRange', args: [start, start + PAGE_SIZE], blockNumber }))
+  }
+  return (await Promise.all(pages)).flat().map((p, i) => ({ ...p, id: i }))
+}
+
+// Oldest first, in chunks that shrink when the provider caps the range
+async function readLogs({ publicClient, contract, fromBlock, toBlock, chunkSize, onProgress }) {
+  const logs = []
+  let size = chunkSize
+  for (let from = fromBlock; from <= toBlock; ) {
+    const to = from + size - 1n < toBlock ? from + size - 1n : toBlock
+    try {
+      logs.push(...(await publicClient.getContractEvents({ address: contract.address, abi: contract.abi, fromBlock: from, toBlock: to })))
+      onProgress?.({ scanned: to - fromBlock + 1n, total: toBlock - fromBlock + 1n })
+      from = to + 1n
+    } catch (err) {
+      if (to > from && isRangeError(err)) size = size > 1n ? size / 2n : 1n
+      else throw err
+    }
+  }
+  return logs.sort((a, b) => (a.blockNumber !== b.blockNumber ? (a.blockNumber < b.blockNumber ? -1 : 1) : a.logIndex - b.logIndex))
+}
+
+async function readTimestamps(publicClient, blockNumbers) {
+  const blocks = [...new Set(blockNumbers)]
+  const times = {}
+  for (let i = 0; i < blocks.length; i += BLOCK_BATCH) {
+    await Promise.all(
+      blocks.slice(i, i + BLOCK_BATCH).map(async (blockNumber) => {
+        times[blockNumber] = (await publicClient.getBlock({ blockNumber })).timestamp
+      })
+    )
+  }
+  return times
+}
+
+/**
+ * Replays the event log into per-proposal tallies, without reading any contract state besides
+ * each proposal's kind. Also records the `ProposalClosed` / `ProposalCancelled` event of each.
+ */
+export function replayTallies(proposals, logs) {
+  const replayed = {}
+  proposals.forEach((p) => {
+    replayed[p.id] = { kind: p.kind, yesVotes: 0n, noVotes: 0n, abstainVotes: 0n, optionVotes: p.optionVotes.map(() => 0n) }
+  })
+  logs.forEach((log) => {
+    const { eventName, args } = log
+    const tally = replayed[Number(args.proposalId)]
+    if (!tally) return
+    const add = (choice, weight) => Object.assign(tally, countVote(tally, choice, weight))
+    switch (eventName) {
+      case 'ProposalCreated':
+        tally.created = log
+        break
+      case 'VoteCast':
+      case 'DelegatedVoteCast':
+        add(args.choice, args.weight)
+        break
+      // The delegated ballot leaves the tally; the delegator's own VoteCast follows
+      case 'DelegatedVoteOverridden':
+      case 'VoteRetracted':
+        add(args.choice, -args.weight)
+        break
+      case 'VoteChanged':
+        add(args.fromChoice, -args.weight)
+        add(args.toChoice, args.weight)
+        break
+      case 'ProposalClosed':
+        tally.closed = log
+        break
+      case 'ProposalCancelled':
+        tally.cancelled = log
+        break
+      default:
+        break
+    }
+  })
+  return replayed
+}
+
+/** Every way the stored proposal disagrees with its replayed events, as `{ proposalId, field, onchain, fromEvents }`. */
+export function verifyProposal(proposal, replayed) {
+  const mismatches = []
+  const check = (field, onchain, fromEvents) => {
+    if (onchain !== fromEvents) mismatches.push({ proposalId: proposal.id, field, onchain, fromEvents })
+  }
+  if (!replayed.created) {
+    // Without the creation event the scan started too late; the tallies below would be partial
+    check('ProposalCreated event', 'exists', 'not found')
+    return mismatches
+  }
+  if (isMultipleChoice(proposal)) {
+    proposal.optionVotes.forEach((votes, i) => check(`votes for "${choiceLabel(proposal, i)}"`, votes, replayed.optionVotes[i]))
+  } else {
+    check('yesVotes', proposal.yesVotes, replayed.yesVotes)
+    check('noVotes', proposal.noVotes, replayed.noVotes)
+    check('abstainVotes', proposal.abstainVotes, replayed.abstainVotes)
+  }
+
+  const closed = replayed.closed?.args
+  check('ProposalCancelled event', proposal.cancelled, Boolean(replayed.cancelled))
+  check('ProposalClosed event', !proposal.active && !proposal.cancelled, Boolean(closed))
+  if (closed) {
+    check('approved', proposal.approved, closed.approved)
+    check('winningOption', proposal.winningOption, closed.winningOption)
+    // The stored outcome must also follow from the replayed votes under the proposal's own rules
+    const expected = outcomeOf({ ...proposal, ...replayed })
+    check('approved (recomputed from votes)', proposal.approved, expected.approved)
+    check('winningOption (recomputed from votes)', proposal.winningOption, expected.winningOption)
+  }
+  return mismatches
+}
+
+function statusOf(proposal) {
+  if (proposal.cancelled) return 'cancelled'
+  if (proposal.active) return 'open'
+  return proposal.approved ? 'approved' : 'rejected'
+}
+
+function proposalRecord(proposal, replayed, times, mismatches) {
+  const closedBy = replayed.closed ?? replayed.cancelled
+  return {
+    id: proposal.id,
+    title: decodeProposalContent(proposal.description).title,
+    description: proposal.description,
+    proposer: proposal.proposer,
+    kind: isMultipleChoice(proposal) ? 'multiple choice' : 'yes/no',
+    status: statusOf(proposal),
+    endTime: proposal.endTime,
+    quorum: proposal.quorum,
+    threshold: isMultipleChoice(proposal) ? '' : formatThreshold(proposal.thresholdBps),
+    thresholdBps: proposal.thresholdBps,
+    weighting: WEIGHTING_NAMES[Number(proposal.weighting)],
+    token: proposal.token,
+    snapshotBlock: proposal.snapshotBlock,
+    yesVotes: proposal.yesVotes,
+    noVotes: proposal.noVotes,
+    abstainVotes: proposal.abstainVotes,
+    options: proposal.options,
+    optionVotes: proposal.optionVotes,
+    approved: proposal.approved,
+    winner: winnerLabel(proposal) ?? '',
+    createdTx: replayed.created?.transactionHash ?? '',
+    closedAt: closedBy ? times[closedBy.blockNumber] : '',
+    closedTx: closedBy?.transactionHash ?? '',
+    verified: mismatches.length === 0,
+  }
+}
+
+// `voter` is whose ballot it is; `castBy` differs when a delegate cast it. `castBy` maps each
+// ballot to who cast it, since changes and retractions do not say
+function voteRecord(log, proposal, times, castBy) {
+  const { eventName, args } = log
+  const voter = args.voter ?? args.delegator
+  const ballot = `${args.proposalId}:${voter}`
+  if (args.delegate) castBy.set(ballot, args.delegate)
+  else if (eventName === 'VoteCast') castBy.set(ballot, voter)
+  const choice = args.toChoice ?? args.choice
+  return {
+    proposalId: Number(args.proposalId),
+    blockNumber: log.blockNumber,
+    timestamp: times[log.blockNumber],
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    event: eventName,
+    voter,
+    castBy: castBy.get(ballot) ?? voter,
+    choice,
+    choiceLabel: choiceLabel(proposal, choice),
+    previousChoice: args.fromChoice !== undefined ? choiceLabel(proposal, args.fromChoice) : '',
+    weight: args.weight,
+    // What the ballot did to the tally
+    effect: { DelegatedVoteOverridden: 'removed', VoteRetracted: 'removed', VoteChanged: 'moved' }[eventName] ?? 'added',
+  }
+}
+
+/**
+ * Every proposal at one pinned block with its vote history from `fromBlock` on, and the
+ * mismatches between each stored tally and the one rebuilt from events. `onProgress` is
+ * called after each scanned chunk of blocks.
+ */
+export async function buildReport({ publicClient, contract, fromBlock = 0n, chunkSize = 2000n, onProgress }) {
+  const blockNumber = await publicClient.getBlockNumber({ cacheTime: 0 })
+  const [chainId, proposals, logs] = await Promise.all([
+    publicClient.getChainId(),
+    readProposals({ publicClient, contract, blockNumber }),
+    readLogs({ publicClient, contract, fromBlock, toBlock: blockNumber, chunkSize, onProgress }),
+  ])
+  const relevant = logs.filter((l) => VOTE_EVENTS.includes(l.eventName) || l.eventName === 'ProposalClosed' || l.eventName === 'ProposalCancelled')
+  const times = await readTimestamps(publicClient, relevant.map((l) => l.blockNumber))
+  const replayed = replayTallies(proposals, logs)
+  const mismatches = proposals.map((p) => verifyProposal(p, replayed[p.id]))
+  const castBy = new Map()
+
+  return {
+    chainId,
+    contract: contract.address,
+    blockNumber,
+    fromBlock,
+    generatedAt: new Date().toISOString(),
+    proposals: proposals.map((p, i) => proposalRecord(p, replayed[p.id], times, mismatches[i])),
+    votes: logs
+      .filter((l) => VOTE_EVENTS.includes(l.eventName) && proposals[Number(l.args.proposalId)])
+      .map((l) => voteRecord(l, proposals[Number(l.args.proposalId)], times, castBy)),
+    mismatches: mismatches.flat(),
+  }
+}
+
+// --- Formats ---
+
+export const PROPOSAL_COLUMNS = [
+  'id', 'title', 'proposer', 'kind', 'status', 'endTime', 'quorum', 'threshold', 'weighting', 'token', 'snapshotBlock',
+  'yesVotes', 'noVotes', 'abstainVotes', 'options', 'optionVotes', 'approved', 'winner', 'createdTx', 'closedAt', 'closedTx', 'verified',
+]
+
+export const VOTE_COLUMNS = [
+  'proposalId', 'blockNumber', 'timestamp', 'transactionHash', 'logIndex', 'event', 'voter', 'castBy', 'choice', 'choiceLabel',
+  'previousChoice', 'weight', 'effect',
+]
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join('; ') : value === undefined || value === null ? '' : String(value)
+  // Titles and labels are user-supplied; keep spreadsheets from evaluating them as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))].map((cells) => cells.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+export const proposalsCsv = (report) => toCsv(report.proposals, PROPOSAL_COLUMNS)
+
+export const votesCsv = (report) => toCsv(report.votes, VOTE_COLUMNS)
+
+/** The whole report as JSON; integers are written as decimal strings. */
+export const reportJson = (report) => JSON.stringify(report, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2)
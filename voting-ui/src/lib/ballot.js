@@ -0,0 +1,31 @@
+// EIP-712 definitions for signed ballots accepted by `VotingContract.voteBySig`.
+// Shared by the browser (signing) and scripts/relayer.js (verification), so it must not
+// depend on Vite-only globals.
+
+export const BALLOT_TYPES = {
+  Ballot: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'support', type: 'bool' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+// How long a signed ballot stays valid for the relayer to submit it
+export const BALLOT_TTL_SECONDS = 60 * 60
+
+export function ballotDomain(chainId, verifyingContract) {
+  return { name: 'VotingContract', version: '1', chainId, verifyingContract }
+}
+
+/** JSON body for the relayer's POST /ballots (uint256 values as decimal strings). */
+export function serializeBallot({ proposalId, support, voter, deadline, signature }) {
+  return JSON.stringify({
+    proposalId: String(proposalId),
+    support: Boolean(support),
+    voter,
+    deadline: String(deadline),
+    signature,
+  })
+}
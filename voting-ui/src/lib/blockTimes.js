@@ -0,0 +1,20 @@
+import { useQuery } from '@tanstack/react-query'
+import { publicClient } from './contract'
+import { CHAIN } from './chain'
+
+/** Timestamps (seconds) for a set of block numbers, as `{ [blockNumber]: timestamp }`. */
+export function useBlockTimestamps(blockNumbers) {
+  const blocks = [...new Set(blockNumbers.map(Number))].sort((a, b) => a - b)
+  const { data } = useQuery({
+    queryKey: ['block-times', CHAIN.id, blocks],
+    queryFn: async () => {
+      const rows = await Promise.all(
+        blocks.map(async (n) => [n, Number((await publicClient.getBlock({ blockNumber: BigInt(n) })).timestamp)])
+      )
+      return Object.fromEntries(rows)
+    },
+    enabled: blocks.length > 0,
+    staleTime: Infinity,
+  })
+  return data || {}
+}
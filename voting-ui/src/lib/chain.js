@@ -1,5 +1,139 @@
-import { baseSepolia } from 'viem/chains'
+import { defineChain } from 'viem'
+import { base, baseSepolia, foundry } from 'viem/chains'
 
-export const CHAIN = baseSepolia
+// Vite inlines `import.meta.env`; under plain Node (the CLI and scripts) the same variables come from the process
+const env = import.meta.env ?? globalThis.process?.env ?? {}
 
-export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS
+const STORAGE_KEY = 'voting:chainId'
+
+const toBlock = (value) => BigInt(value || 0)
+
+/**
+ * A deployment's endpoints. The RPC variable may list several URLs, comma-separated, in the
+ * order they should be tried; `defaultUrl` is always kept as the last resort. The optional
+ * WebSocket URL is tried first and carries block and event subscriptions (see rpc.js).
+ */
+function endpoints(rpcVar, wsVar, defaultUrl) {
+  const listed = (rpcVar || '').split(',').map((url) => url.trim()).filter(Boolean)
+  const rpcUrls = [...new Set([...listed, defaultUrl])]
+  return { rpcUrl: rpcUrls[0], rpcUrls, wsUrl: wsVar || null }
+}
+
+/**
+ * Offline demo mode (`npm run demo`, or `VITE_DEMO_MODE=true`): the app runs against a
+ * simulated chain in the browser (see demoChain.js) instead of any network.
+ */
+export const DEMO_MODE = env.VITE_DEMO_MODE === 'true' || env.MODE === 'demo'
+
+export const DEMO_CHAIN = defineChain({
+  id: 1337,
+  name: 'Demo (offline)',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: { default: { http: [] } },
+  blockTime: 1_000, // nothing goes over the network, so clients can poll it often
+  testnet: true,
+})
+
+export const DEMO_CONTRACT_ADDRESS = '0x000000000000000000000000000000000000de30'
+
+/**
+ * Every network the app knows about, keyed by chain id. A network is only offered in the
+ * UI when a contract address is configured for it. Base Sepolia keeps the original
+ * `VITE_CONTRACT_ADDRESS` / `VITE_DEPLOYMENT_BLOCK` variable names.
+ */
+export const CHAIN_REGISTRY = {
+  [base.id]: {
+    chain: base,
+    contractAddress: env.VITE_BASE_CONTRACT_ADDRESS,
+    ...endpoints(env.VITE_BASE_RPC, env.VITE_BASE_WS, 'https://mainnet.base.org'),
+    explorerUrl: 'https://basescan.org',
+    deploymentBlock: toBlock(env.VITE_BASE_DEPLOYMENT_BLOCK),
+  },
+  [baseSepolia.id]: {
+    chain: baseSepolia,
+    contractAddress: env.VITE_CONTRACT_ADDRESS,
+    ...endpoints(env.VITE_BASE_SEPOLIA_RPC, env.VITE_BASE_SEPOLIA_WS, 'https://sepolia.base.org'),
+    explorerUrl: 'https://sepolia.basescan.org',
+    deploymentBlock: toBlock(env.VITE_DEPLOYMENT_BLOCK),
+  },
+  [foundry.id]: {
+    chain: foundry,
+    contractAddress: env.VITE_LOCAL_CONTRACT_ADDRESS,
+    ...endpoints(env.VITE_LOCAL_RPC, env.VITE_LOCAL_WS, 'http://127.0.0.1:8545'),
+    explorerUrl: null, // anvil has no block explorer
+    deploymentBlock: toBlock(env.VITE_LOCAL_DEPLOYMENT_BLOCK),
+  },
+  [DEMO_CHAIN.id]: {
+    chain: DEMO_CHAIN,
+    contractAddress: DEMO_MODE ? DEMO_CONTRACT_ADDRESS : undefined,
+    rpcUrl: null, // served in the page by demoChain.js
+    explorerUrl: null,
+    deploymentBlock: 0n,
+    demo: true,
+  },
+}
+
+const configured = Object.values(CHAIN_REGISTRY).filter((c) => c.contractAddress)
+
+// With nothing configured, still run against Base Sepolia so the UI can explain what is missing.
+// Demo mode never touches a network, so it offers nothing else.
+export const SUPPORTED_CHAINS = DEMO_MODE
+  ? [CHAIN_REGISTRY[DEMO_CHAIN.id]]
+  : configured.length > 0 ? configured : [CHAIN_REGISTRY[baseSepolia.id]]
+
+export function isSupportedChain(chainId) {
+  return SUPPORTED_CHAINS.some((c) => c.chain.id === chainId)
+}
+
+function readStoredChainId() {
+  try {
+    return Number(localStorage.getItem(STORAGE_KEY))
+  } catch {
+    return NaN
+  }
+}
+
+function resolveActiveChain() {
+  const candidates = [readStoredChainId(), Number(env.VITE_DEFAULT_CHAIN_ID)]
+  const id = candidates.find((c) => isSupportedChain(c))
+  return id ? CHAIN_REGISTRY[id] : SUPPORTED_CHAINS[0]
+}
+
+/**
+ * The deployment the app talks to. It is fixed for the lifetime of the page because the
+ * clients, event cache and proposal store are built for one contract; switching networks
+ * persists the choice and reloads.
+ */
+export const ACTIVE_CHAIN = resolveActiveChain()
+
+export const CHAIN = ACTIVE_CHAIN.chain
+
+export const CONTRACT_ADDRESS = ACTIVE_CHAIN.contractAddress
+
+// Block the contract was deployed at; event history is never scanned below it
+export const DEPLOYMENT_BLOCK = ACTIVE_CHAIN.deploymentBlock
+
+// Max block range per eth_getLogs request (halved automatically if the RPC rejects it)
+export const LOG_CHUNK_SIZE = BigInt(env.VITE_LOG_CHUNK_SIZE || 2000)
+
+export function setActiveChain(chainId) {
+  if (!isSupportedChain(chainId) || chainId === CHAIN.id) return
+  try {
+    localStorage.setItem(STORAGE_KEY, String(chainId))
+  } catch {}
+  window.location.reload()
+}
+
+/** Explorer link for a transaction on the active chain, or null when it has no explorer. */
+export function explorerTxUrl(hash) {
+  return ACTIVE_CHAIN.explorerUrl && hash ? `${ACTIVE_CHAIN.explorerUrl}/tx/${hash}` : null
+}
+
+export function explorerAddressUrl(address) {
+  return ACTIVE_CHAIN.explorerUrl && address ? `${ACTIVE_CHAIN.explorerUrl}/address/${address}` : null
+}
+
+/** `0x1234…abcd`, for showing an address in little space. */
+export function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`
+}
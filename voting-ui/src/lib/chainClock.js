@@ -0,0 +1,123 @@
+import { useSyncExternalStore } from 'react'
+import { publicClient } from './contract'
+import { isSubscribed } from './rpc'
+
+/**
+ * Chain time instead of the browser clock. Follows the latest block's timestamp and
+ * extrapolates between blocks with the local clock, ticking once per second while anything
+ * is subscribed.
+ */
+function createChainClock() {
+  let latest = null // { number, timestamp (s), seenAt (ms) }
+  let current = Math.floor(Date.now() / 1000) // `now()` as of the last tick, so snapshots are stable
+  let unwatch = null
+  let timer = null
+  const listeners = new Set()
+
+  const notify = () => {
+    current = now()
+    listeners.forEach((l) => l())
+  }
+
+  const onBlock = (block) => {
+    const timestamp = Number(block.timestamp)
+    if (latest && timestamp <= latest.timestamp) return
+    latest = { number: block.number, timestamp, seenAt: Date.now() }
+    notify()
+  }
+
+  // New blocks come by subscription over a WebSocket; if that fails, poll over HTTP instead
+  function watch(poll) {
+    const stop = publicClient.watchBlocks({
+      onBlock,
+      poll,
+      onError: (err) => {
+        if (unwatch !== stop) return // already replaced or stopped
+        console.error(err)
+        if (poll) return
+        stop()
+        watch(true)
+      },
+    })
+    unwatch = stop
+  }
+
+  function start() {
+    publicClient.getBlock().then(onBlock).catch((err) => console.error(err))
+    watch(!isSubscribed(publicClient))
+    timer = setInterval(notify, 1000)
+  }
+
+  function stop() {
+    unwatch?.()
+    clearInterval(timer)
+    unwatch = null
+    timer = null
+  }
+
+  /**
+   * Best estimate of the `block.timestamp` a transaction sent now would see: the latest
+   * block's timestamp plus the time since it arrived, and always later than that block.
+   * Falls back to the browser clock until the first block is known.
+   */
+  function now() {
+    if (!latest) return Math.floor(Date.now() / 1000)
+    const elapsed = Math.floor((Date.now() - latest.seenAt) / 1000)
+    return latest.timestamp + Math.max(1, elapsed)
+  }
+
+  return {
+    now,
+    current: () => current,
+    latest: () => latest,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      if (listeners.size === 1) start()
+      return () => {
+        listeners.delete(listener)
+        if (listeners.size === 0) stop()
+      }
+    },
+  }
+}
+
+export const chainClock = createChainClock()
+
+/**
+ * Current chain time in seconds. `every` coarsens the value (e.g. 10 for list filters) so
+ * a component only re-renders when it changes.
+ */
+export function useChainNow(every = 1) {
+  return useSyncExternalStore(chainClock.subscribe, () => Math.floor(chainClock.current() / every) * every)
+}
+
+/**
+ * Where a proposal stands, using the contract's exact comparisons: `vote` needs
+ * `block.timestamp < endTime` and `closeProposal` needs `block.timestamp > endTime`, so at
+ * exactly `endTime` neither is possible.
+ */
+export function proposalPhase(proposal, now) {
+  const endTime = Number(proposal.endTime)
+  if (proposal.cancelled) return 'cancelled'
+  if (!proposal.active) return 'closed'
+  if (now < endTime) return 'voting'
+  if (now > endTime) return 'ready-to-close'
+  return 'ending'
+}
+
+export function formatRemaining(seconds) {
+  const d = Math.floor(seconds / 86400)
+  const h = Math.floor((seconds % 86400) / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = seconds % 60
+  const pad = (n) => String(n).padStart(2, '0')
+  if (d > 0) return `${d}d ${pad(h)}h ${pad(m)}m`
+  if (h > 0) return `${h}h ${pad(m)}m ${pad(s)}s`
+  return `${m}m ${pad(s)}s`
+}
+
+/** Precise deadline for tooltips: local time, UTC and the raw timestamp. */
+export function formatDeadline(endTime) {
+  const date = new Date(Number(endTime) * 1000)
+  return `${date.toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'long' })}\n${date.toUTCString()}\nUnix ${Number(endTime)}`
+}
@@ -1,19 +1,26 @@
-import { votingAbi } from '../abi/votingAbi'
-import { CHAIN, CONTRACT_ADDRESS } from './chain'
+import { votingAbi } from '../abi/votingAbi.js'
+import { ACTIVE_CHAIN, CHAIN, CONTRACT_ADDRESS } from './chain.js'
+import { transportFor } from './rpc.js'
 import { createPublicClient, createWalletClient, http } from 'viem'
 
-export const contract = {
-  address: CONTRACT_ADDRESS,
-  abi: votingAbi,
-  chain: CHAIN,
+/**
+ * Contract descriptor and public client for one deployment; the app uses the active chain's
+ * below. `transport` defaults to plain HTTP to `rpcUrl` (as the CLI uses it).
+ */
+export function connectContract({ chain, address, rpcUrl, transport = http(rpcUrl) }) {
+  return {
+    contract: { address, abi: votingAbi, chain, chainId: chain.id },
+    publicClient: createPublicClient({ chain, transport }),
+  }
 }
 
-export const publicClient = createPublicClient({
-  chain: CHAIN,
-  transport: http(import.meta.env.VITE_BASE_SEPOLIA_RPC || 'https://sepolia.base.org'),
-})
+const active = connectContract({ chain: CHAIN, address: CONTRACT_ADDRESS, transport: transportFor(ACTIVE_CHAIN) })
+
+export const contract = active.contract
+
+export const publicClient = active.publicClient
 
 export const walletClient = typeof window !== 'undefined' ? createWalletClient({
   chain: CHAIN,
-  transport: http(import.meta.env.VITE_BASE_SEPOLIA_RPC || 'https://sepolia.base.org'),
+  transport: transportFor(ACTIVE_CHAIN),
 }) : null
@@ -0,0 +1,109 @@
+import { useEffect, useMemo } from 'react'
+import { useReadContract } from 'wagmi'
+import { isAddressEqual, zeroAddress } from 'viem'
+import { shortAddress } from './chain'
+import { contract } from './contract'
+import { useContractEvents } from './proposalStore'
+import { useTransact } from './transactions'
+
+export const DELEGATION_EVENTS = ['DelegateChanged', 'ProposalDelegateChanged']
+
+const orNull = (address) => (address && address !== zeroAddress ? address : null)
+
+// Id of the newest delegation event `account` takes part in, as delegator or delegate
+function useDelegationVersion(account) {
+  const { events } = useContractEvents()
+  return useMemo(() => {
+    if (!account) return undefined
+    const involved = (a) => a !== zeroAddress && isAddressEqual(a, account)
+    return events.find(
+      (e) => DELEGATION_EVENTS.includes(e.eventName) && [e.args.delegator, e.args.fromDelegate, e.args.toDelegate].some(involved)
+    )?.id
+  }, [events, account])
+}
+
+// Re-run both reads whenever a delegation event involving `account` arrives
+function useRefetchOnDelegation(account, refetchA, refetchB) {
+  const version = useDelegationVersion(account)
+  useEffect(() => {
+    if (!version) return
+    refetchA()
+    refetchB()
+  }, [version, refetchA, refetchB])
+}
+
+/** `account`'s global delegate (null if it votes itself) and the addresses that delegate globally to it. */
+export function useDelegation(account) {
+  const query = { enabled: Boolean(account && contract.address) }
+  const delegate = useReadContract({ ...contract, functionName: 'delegates', args: account ? [account] : undefined, query })
+  const delegators = useReadContract({ ...contract, functionName: 'getDelegators', args: account ? [account] : undefined, query })
+  useRefetchOnDelegation(account, delegate.refetch, delegators.refetch)
+  return {
+    delegate: orNull(delegate.data),
+    delegators: delegators.data ?? [],
+    isLoading: delegate.isLoading || delegators.isLoading,
+  }
+}
+
+/**
+ * Who votes for `account` on proposal `id`: its per-proposal delegate if it set one
+ * (`perProposal`), otherwise its global delegate; null when nobody does.
+ */
+export function useProposalDelegate(id, account) {
+  const query = { enabled: Boolean(account && contract.address && id !== undefined) }
+  const args = account && id !== undefined ? [BigInt(id), account] : undefined
+  const perProposal = useReadContract({ ...contract, functionName: 'proposalDelegates', args, query })
+  const global = useReadContract({ ...contract, functionName: 'delegates', args: account ? [account] : undefined, query })
+  useRefetchOnDelegation(account, perProposal.refetch, global.refetch)
+  const own = orNull(perProposal.data)
+  return { delegate: own ?? orNull(global.data), perProposal: Boolean(own) }
+}
+
+/**
+ * Whether anyone delegates its vote on proposal `id` to `account`, globally or on that proposal.
+ * Such an account can vote on a weighted proposal even without power of its own, for its delegators.
+ */
+export function useHasDelegators(id, account) {
+  const query = { enabled: Boolean(account && contract.address && id !== undefined) }
+  const global = useReadContract({ ...contract, functionName: 'getDelegators', args: account ? [account] : undefined, query })
+  const local = useReadContract({
+    ...contract,
+    functionName: 'getProposalDelegators',
+    args: account && id !== undefined ? [BigInt(id), account] : undefined,
+    query,
+  })
+  useRefetchOnDelegation(account, global.refetch, local.refetch)
+  return (global.data?.length ?? 0) > 0 || (local.data?.length ?? 0) > 0
+}
+
+/**
+ * Delegate or undelegate the connected account, globally or (with `proposalId`) on one proposal,
+ * and remove addresses that delegate to it.
+ */
+export function useDelegationActions() {
+  const { send } = useTransact()
+
+  const delegate = (to, proposalId) =>
+    send(
+      proposalId === undefined
+        ? { label: `Delegate to ${shortAddress(to)}`, functionName: 'delegate', args: [to] }
+        : { label: `Delegate #${proposalId} to ${shortAddress(to)}`, functionName: 'delegate', args: [BigInt(proposalId), to] }
+    )
+
+  const undelegate = (proposalId) =>
+    send(
+      proposalId === undefined
+        ? { label: 'Stop delegating', functionName: 'undelegate', args: [] }
+        : { label: `Stop delegating #${proposalId}`, functionName: 'undelegate', args: [BigInt(proposalId)] }
+    )
+
+  // Frees the delegate's slots and stops these addresses from delegating to it again
+  const removeDelegators = (addresses) =>
+    send({
+      label: addresses.length === 1 ? `Remove delegator ${shortAddress(addresses[0])}` : `Remove ${addresses.length} delegators`,
+      functionName: 'removeDelegators',
+      args: [addresses],
+    })
+
+  return { delegate, undelegate, removeDelegators }
+}
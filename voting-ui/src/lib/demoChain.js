@@ -0,0 +1,530 @@
+// The chain behind demo mode: a tiny JSON-RPC node living in the page. Contract calls run
+// through mockVoting.js; blocks are mined only when a transaction lands or the clock is moved
+// forward. The transactions are persisted and replayed on load, so the demo survives a reload.
+import { useSyncExternalStore } from 'react'
+import {
+  RpcRequestError,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeEventTopics,
+  encodeFunctionData,
+  encodeFunctionResult,
+  getAddress,
+  hexToBigInt,
+  isAddressEqual,
+  keccak256,
+  parseEther,
+  parseUnits,
+  toFunctionSelector,
+  toHex,
+  zeroHash,
+} from 'viem'
+import { votingAbi } from '../abi/votingAbi.js'
+import { tokenAbi } from '../abi/tokenAbi.js'
+import { DEMO_CHAIN, DEMO_CONTRACT_ADDRESS } from './chain.js'
+import { Revert, createVotingState, executeVoting } from './mockVoting.js'
+import { encodeProposalContent } from './proposalContent.js'
+import { CHOICE_ABSTAIN, WEIGHTING_TOKEN_BALANCE } from './outcome.js'
+
+const STORAGE_KEY = 'voting:demo'
+// Bump when the seed or the stored format changes; older demos are started over
+const VERSION = 1
+
+// Blocks whose contract state is kept for historical reads; older ones are replayed on demand
+const MAX_SNAPSHOTS = 256
+
+export const DEMO_TOKEN_ADDRESS = getAddress('0x000000000000000000000000000000000000de70')
+
+const TOKEN = { symbol: 'DEMO', decimals: 18 }
+
+/** The accounts the demo wallet can switch between (anvil's well-known test accounts). */
+export const DEMO_ACCOUNTS = [
+  { name: 'Owner', address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', tokens: '1000' },
+  { name: 'Alice', address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', tokens: '500' },
+  { name: 'Bob', address: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC', tokens: '250' },
+  { name: 'Carol', address: '0x90F79bf6EB2c4f870365E785982E1f101E93b906', tokens: '0' },
+  { name: 'Dave', address: '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65', tokens: '100' },
+]
+
+const [OWNER, ALICE, BOB, CAROL, DAVE] = DEMO_ACCOUNTS.map((a) => a.address)
+
+const MINUTE = 60
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Fixed holdings, so the token's "past votes" are the same at every block
+function tokenBalance(account) {
+  const holder = DEMO_ACCOUNTS.find((a) => isAddressEqual(a.address, account))
+  return holder ? parseUnits(holder.tokens, TOKEN.decimals) : 0n
+}
+
+const GAS = 300_000n
+const hasCode = (address) => isAddressEqual(address, DEMO_CONTRACT_ADDRESS) || isAddressEqual(address, DEMO_TOKEN_ADDRESS)
+
+function rpcError(code, message, data) {
+  return new RpcRequestError({ url: 'demo', body: {}, error: { code, message, data } })
+}
+
+// What a node returns for a failed `require`: code 3 with the ABI-encoded `Error(string)`
+function revertError(reason) {
+  const data = '0x08c379a0' + encodeAbiParameters([{ type: 'string' }], [reason]).slice(2)
+  return rpcError(3, `execution reverted: ${reason}`, data)
+}
+
+const selectorOf = Object.fromEntries(
+  votingAbi.filter((item) => item.type === 'function').map((item) => [toFunctionSelector(item), item])
+)
+
+function toLog(event) {
+  const item = votingAbi.find((i) => i.type === 'event' && i.name === event.eventName)
+  const data = item.inputs.filter((i) => !i.indexed)
+  return {
+    address: DEMO_CONTRACT_ADDRESS,
+    topics: encodeEventTopics({ abi: [item], eventName: item.name, args: event.args }),
+    data: encodeAbiParameters(data, data.map((i) => event.args[i.name])),
+  }
+}
+
+function matchesTopics(log, topics = []) {
+  return topics.every((want, i) => {
+    if (want === null || want === undefined) return true
+    return (Array.isArray(want) ? want : [want]).some((t) => t.toLowerCase() === log.topics[i]?.toLowerCase())
+  })
+}
+
+function load() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return saved?.version === VERSION ? saved : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * A fresh demo: the contract deployed three days ago by the owner, and a few proposals in
+ * every state (closed, open, ended but not closed, token-weighted, ending soon).
+ */
+function seedBlocks(start) {
+  const tx = (from, functionName, args) => ({ from, to: DEMO_CONTRACT_ADDRESS, data: encodeFunctionData({ abi: votingAbi, functionName, args }) })
+  const content = (title, body) => encodeProposalContent({ title, body })
+  const at = (ago, ...txs) => ({ timestamp: start - ago, txs })
+  return [
+    at(3 * DAY),
+    at(3 * DAY - 1 * MINUTE, tx(OWNER, 'approveProposals', [[ALICE, BOB]])),
+    at(3 * DAY - 10 * MINUTE, tx(ALICE, 'createProposal', [
+      content('Fund the community garden', 'Spend part of the budget on raised beds, tools and a water tank for the garden behind the library.'),
+      BigInt(DAY), 3n, 5000n,
+    ])),
+    at(3 * DAY - 1 * HOUR, tx(OWNER, 'vote', [0n, true]), tx(BOB, 'vote', [0n, true]), tx(DAVE, 'vote', [0n, false])),
+    at(2 * DAY - 2 * HOUR, tx(BOB, 'closeProposal', [0n])),
+    at(2 * DAY - 3 * HOUR, tx(CAROL, 'delegate', [ALICE])),
+    at(2 * DAY - 4 * HOUR, tx(BOB, 'createMultipleChoiceProposal', [
+      content('Where should the next meetup be?', 'Pick the city for the spring meetup. The option with the most votes wins.'),
+      BigInt(3 * DAY), ['Lisbon', 'Berlin', 'Nairobi'], 2n,
+    ])),
+    at(2 * DAY - 5 * HOUR, tx(ALICE, 'vote', [1n, 0]), tx(OWNER, 'vote', [1n, 2])),
+    at(26 * HOUR, tx(ALICE, 'createProposal', [
+      content('Extend library opening hours', 'Keep the reading room open until 22:00 on weekdays.'),
+      BigInt(DAY),
+    ])),
+    at(25 * HOUR, tx(BOB, 'vote', [2n, true]), tx(DAVE, 'vote', [2n, true]), tx(OWNER, 'vote', [2n, false])),
+    at(20 * HOUR, tx(OWNER, 'createProposal', [
+      content('Allocate treasury to grants', 'Move 20% of the treasury into a grants pool. Votes are weighted by DEMO token holdings.'),
+      BigInt(2 * DAY), parseUnits('300', TOKEN.decimals), 6000n, WEIGHTING_TOKEN_BALANCE, DEMO_TOKEN_ADDRESS,
+    ])),
+    at(19 * HOUR, tx(ALICE, 'vote', [3n, true]), tx(BOB, 'vote', [3n, false]), tx(DAVE, 'vote', [3n, CHOICE_ABSTAIN])),
+    at(2 * HOUR, tx(BOB, 'createProposal', [
+      content('Rename the project channel', 'Rename #general to #community so newcomers find it.'),
+      BigInt(3 * HOUR + 30 * MINUTE),
+    ])),
+    at(2 * HOUR - 5 * MINUTE, tx(ALICE, 'vote', [4n, true])),
+  ]
+}
+
+/**
+ * The demo node: chain state, the simulated clock (`offset` seconds ahead of the browser
+ * clock) and the selected test account, with an EIP-1193 `request` for both the public
+ * client and the demo wallet.
+ */
+export function createDemoChain() {
+  let offset = 0
+  let account = OWNER
+  const blocks = [] // { number, hash, parentHash, timestamp, transactions: [{ hash, from, to, data, logs }] }
+  const snapshots = new Map() // block number -> contract state after it
+  let state = null // contract state at the head
+  const transactions = new Map() // hash -> { block, index }
+  let queue = Promise.resolve()
+  const listeners = new Set()
+
+  const now = () => Math.floor(Date.now() / 1000) + offset
+  const head = () => blocks[blocks.length - 1]
+
+  const notify = () => listeners.forEach((l) => l())
+
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: VERSION,
+        offset,
+        account,
+        blocks: blocks.map((b) => ({ timestamp: Number(b.timestamp), txs: b.transactions.map(({ from, to, data }) => ({ from, to, data })) })),
+      }))
+    } catch {}
+  }
+
+  // Environment of a call or transaction in block `number`
+  const envOf = (number, timestamp) => ({
+    number,
+    timestamp,
+    chainId: DEMO_CHAIN.id,
+    address: DEMO_CONTRACT_ADDRESS,
+    hasCode,
+    pastVotes: (token, holder) => (isAddressEqual(token, DEMO_TOKEN_ADDRESS) ? tokenBalance(holder) : 0n),
+  })
+
+  const pendingEnv = () => {
+    const timestamp = BigInt(now())
+    return envOf(head().number + 1n, timestamp > head().timestamp ? timestamp : head().timestamp + 1n)
+  }
+
+  // Runs a call against `base` without touching it. Resolves with the return data and, for
+  // the voting contract, the new state and its events.
+  async function execute(base, { from, to, data }, env) {
+    if (to && isAddressEqual(to, DEMO_TOKEN_ADDRESS)) {
+      const { functionName } = decodeFunctionData({ abi: tokenAbi, data })
+      return { result: encodeFunctionResult({ abi: tokenAbi, functionName, result: TOKEN[functionName] }), state: base, events: [] }
+    }
+    if (!to || !isAddressEqual(to, DEMO_CONTRACT_ADDRESS)) return { result: '0x', state: base, events: [] }
+    const item = selectorOf[data?.slice(0, 10)]
+    if (!item) throw revertError('')
+    const { args = [] } = decodeFunctionData({ abi: [item], data })
+    const next = structuredClone(base)
+    try {
+      const { result, events } = await executeVoting(next, { functionName: item.name, args, sender: getAddress(from ?? OWNER) }, env)
+      const encoded = item.outputs.length === 0 ? '0x' : encodeFunctionResult({ abi: [item], functionName: item.name, result })
+      return { result: encoded, state: next, events }
+    } catch (err) {
+      if (err instanceof Revert) throw revertError(err.reason)
+      throw err
+    }
+  }
+
+  function mine(timestamp, transactions_) {
+    const number = blocks.length === 0 ? 0n : head().number + 1n
+    const hash = keccak256(toHex(`demo-block:${number}:${timestamp}`))
+    const block = { number, hash, parentHash: blocks.length === 0 ? zeroHash : head().hash, timestamp: BigInt(timestamp), transactions: [] }
+    transactions_.forEach((tx, index) => {
+      const txHash = keccak256(toHex(`demo-tx:${number}:${index}:${tx.from.toLowerCase()}:${tx.data}`))
+      block.transactions.push({ ...tx, hash: txHash })
+      transactions.set(txHash, { block, index })
+    })
+    blocks.push(block)
+    snapshots.set(number, state)
+    snapshots.delete(number - BigInt(MAX_SNAPSHOTS))
+    return block
+  }
+
+  // Applies `txs` in a new block at `timestamp`; a transaction that reverts is left out
+  async function applyBlock(timestamp, txs) {
+    const env = envOf(blocks.length === 0 ? 0n : head().number + 1n, BigInt(timestamp))
+    const included = []
+    for (const tx of txs) {
+      try {
+        const { state: next, events } = await execute(state, tx, env)
+        state = next
+        included.push({ ...tx, logs: events.map(toLog) })
+      } catch (err) {
+        console.warn('Demo: skipped a stored transaction that no longer applies', err)
+      }
+    }
+    return mine(timestamp, included)
+  }
+
+  async function restore(saved) {
+    offset = saved.offset
+    account = saved.account
+    for (const block of saved.blocks) await applyBlock(block.timestamp, block.txs)
+  }
+
+  async function init() {
+    state = createVotingState(OWNER)
+    const saved = load()
+    if (saved) await restore(saved)
+    else for (const block of seedBlocks(now())) await applyBlock(block.timestamp, block.txs)
+    // The app tells the time from the latest block, so start from a block mined now
+    if (head().timestamp < BigInt(now())) mine(now(), [])
+    save()
+  }
+  const ready = init().then(notify)
+
+  // Contract state after block `number`, replaying from the last snapshot before it if needed
+  async function stateAt(number) {
+    if (number === head().number) return state
+    if (snapshots.has(number)) return snapshots.get(number)
+    let replayed = createVotingState(OWNER)
+    for (const block of blocks.slice(0, Number(number) + 1)) {
+      const env = envOf(block.number, block.timestamp)
+      for (const tx of block.transactions) replayed = (await execute(replayed, tx, env)).state
+    }
+    return replayed
+  }
+
+  function blockNumberOf(tag = 'latest') {
+    if (tag === 'earliest') return 0n
+    if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return head().number
+    return hexToBigInt(tag)
+  }
+
+  async function call(tx, tag) {
+    const number = blockNumberOf(tag)
+    if (number > head().number) throw rpcError(-32000, 'header not found')
+    // Calls at the head see the block a transaction sent now would land in
+    const env = number === head().number ? pendingEnv() : envOf(number, blocks[Number(number)].timestamp)
+    return execute(await stateAt(number), tx, env)
+  }
+
+  function send({ from, to, data, input }) {
+    const tx = { from: getAddress(from), to: to && getAddress(to), data: data ?? input ?? '0x' }
+    const run = async () => {
+      const env = pendingEnv()
+      const { state: next, events } = await execute(state, tx, env)
+      state = next
+      const block = mine(env.timestamp, [{ ...tx, logs: events.map(toLog) }])
+      save()
+      notify()
+      return block.transactions[0].hash
+    }
+    const result = queue.then(run)
+    queue = result.catch(() => {})
+    return result
+  }
+
+  const formatTransaction = (block, index) => {
+    const tx = block.transactions[index]
+    return {
+      hash: tx.hash,
+      blockHash: block.hash,
+      blockNumber: toHex(block.number),
+      transactionIndex: toHex(index),
+      from: tx.from,
+      to: tx.to,
+      input: tx.data,
+      value: '0x0',
+      nonce: toHex(nonceOf(tx.from, block.number, index)),
+      gas: toHex(GAS),
+      gasPrice: '0x0',
+      maxFeePerGas: '0x0',
+      maxPriorityFeePerGas: '0x0',
+      type: '0x2',
+      chainId: toHex(DEMO_CHAIN.id),
+      accessList: [],
+      v: '0x0',
+      r: zeroHash,
+      s: zeroHash,
+      yParity: '0x0',
+    }
+  }
+
+  function formatReceipt(block, index) {
+    const tx = block.transactions[index]
+    const before = block.transactions.slice(0, index).reduce((n, t) => n + t.logs.length, 0)
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: toHex(index),
+      blockHash: block.hash,
+      blockNumber: toHex(block.number),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: toHex(GAS * BigInt(index + 1)),
+      gasUsed: toHex(GAS),
+      effectiveGasPrice: '0x0',
+      status: '0x1',
+      type: '0x2',
+      logsBloom: `0x${'0'.repeat(512)}`,
+      logs: tx.logs.map((log, i) => formatLog(block, index, log, before + i)),
+    }
+  }
+
+  const formatLog = (block, index, log, logIndex) => ({
+    ...log,
+    blockHash: block.hash,
+    blockNumber: toHex(block.number),
+    transactionHash: block.transactions[index].hash,
+    transactionIndex: toHex(index),
+    logIndex: toHex(logIndex),
+    removed: false,
+  })
+
+  function formatBlock(block, full) {
+    if (!block) return null
+    return {
+      number: toHex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toHex(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      totalDifficulty: '0x0',
+      gasLimit: toHex(30_000_000n),
+      gasUsed: toHex(GAS * BigInt(block.transactions.length)),
+      baseFeePerGas: '0x0',
+      miner: DEMO_CONTRACT_ADDRESS,
+      extraData: '0x',
+      logsBloom: `0x${'0'.repeat(512)}`,
+      sha3Uncles: zeroHash,
+      stateRoot: zeroHash,
+      receiptsRoot: zeroHash,
+      transactionsRoot: zeroHash,
+      mixHash: zeroHash,
+      size: '0x0',
+      uncles: [],
+      transactions: block.transactions.map((tx, i) => (full ? formatTransaction(block, i) : tx.hash)),
+    }
+  }
+
+  function nonceOf(address, beforeBlock = head().number + 1n, beforeIndex = 0) {
+    let nonce = 0
+    for (const block of blocks) {
+      if (block.number > beforeBlock) break
+      block.transactions.forEach((tx, i) => {
+        if ((block.number < beforeBlock || i < beforeIndex) && isAddressEqual(tx.from, address)) nonce++
+      })
+    }
+    return nonce
+  }
+
+  function getLogs({ address, fromBlock, toBlock, blockHash, topics }) {
+    const addresses = address ? [address].flat() : null
+    const range = blockHash
+      ? blocks.filter((b) => b.hash === blockHash)
+      : blocks.slice(Number(blockNumberOf(fromBlock ?? 'latest')), Number(blockNumberOf(toBlock ?? 'latest')) + 1)
+    return range.flatMap((block) => {
+      let logIndex = 0
+      return block.transactions.flatMap((tx, index) =>
+        tx.logs
+          .map((log) => formatLog(block, index, log, logIndex++))
+          .filter((log) => (!addresses || addresses.some((a) => isAddressEqual(a, log.address))) && matchesTopics(log, topics))
+      )
+    })
+  }
+
+  async function request({ method, params = [] }) {
+    await ready
+    switch (method) {
+      case 'eth_chainId':
+        return toHex(DEMO_CHAIN.id)
+      case 'net_version':
+        return String(DEMO_CHAIN.id)
+      case 'eth_blockNumber':
+        return toHex(head().number)
+      case 'eth_getBlockByNumber':
+        return formatBlock(blocks[Number(blockNumberOf(params[0]))], params[1])
+      case 'eth_getBlockByHash':
+        return formatBlock(blocks.find((b) => b.hash === params[0]), params[1])
+      case 'eth_call':
+        return (await call(params[0], params[1])).result
+      case 'eth_estimateGas':
+        await call(params[0], 'latest')
+        return toHex(GAS)
+      case 'eth_sendTransaction':
+        return send(params[0])
+      case 'eth_getTransactionByHash': {
+        const found = transactions.get(params[0])
+        return found ? formatTransaction(found.block, found.index) : null
+      }
+      case 'eth_getTransactionReceipt': {
+        const found = transactions.get(params[0])
+        return found ? formatReceipt(found.block, found.index) : null
+      }
+      case 'eth_getLogs':
+        return getLogs(params[0])
+      case 'eth_getCode':
+        return hasCode(params[0]) ? '0x00' : '0x'
+      case 'eth_getBalance':
+        return toHex(DEMO_ACCOUNTS.some((a) => isAddressEqual(a.address, params[0])) ? parseEther('10000') : 0n)
+      case 'eth_getTransactionCount':
+        return toHex(nonceOf(params[0]))
+      case 'eth_gasPrice':
+      case 'eth_maxPriorityFeePerGas':
+        return '0x0'
+      case 'eth_feeHistory':
+        return { oldestBlock: toHex(head().number), baseFeePerGas: ['0x0', '0x0'], gasUsedRatio: [0], reward: [['0x0']] }
+      // Wallet methods, used by the demo wallet connector
+      case 'eth_accounts':
+      case 'eth_requestAccounts':
+        return [account]
+      case 'wallet_switchEthereumChain':
+        if (Number(params[0]?.chainId) === DEMO_CHAIN.id) return null
+        throw rpcError(4902, 'Demo mode only has the demo chain')
+      default:
+        throw rpcError(-32601, `${method} is not available in demo mode`)
+    }
+  }
+
+  return {
+    ready,
+    request,
+    now,
+    account: () => account,
+    setAccount(address) {
+      account = getAddress(address)
+      save()
+      notify()
+    },
+    /** Moves the clock forward and mines an empty block at the new time. */
+    async advance(seconds) {
+      await ready
+      offset += seconds
+      mine(pendingEnv().timestamp, [])
+      save()
+      notify()
+    },
+    head: () => head(),
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+let instance = null
+
+/** The page's demo node, created on first use. */
+export function demoChain() {
+  instance ??= createDemoChain()
+  return instance
+}
+
+function snapshot() {
+  const chain = demoChain()
+  return `${chain.account()}:${chain.head()?.number}`
+}
+
+/** The demo bar's view of the demo chain: the test accounts, the selected one and the latest block number. */
+export function useDemoChain() {
+  useSyncExternalStore(demoChain().subscribe, snapshot)
+  const chain = demoChain()
+  return {
+    accounts: DEMO_ACCOUNTS,
+    account: chain.account(),
+    blockNumber: chain.head()?.number,
+    setAccount: chain.setAccount,
+    advance: chain.advance,
+  }
+}
+
+/** Forgets the demo chain and everything the app cached about it, then reloads the page. */
+export async function resetDemo() {
+  try {
+    Object.keys(localStorage)
+      .filter((k) => k === STORAGE_KEY || (k.startsWith('voting:') && k.includes(`:${DEMO_CHAIN.id}:`)))
+      .forEach((k) => localStorage.removeItem(k))
+  } catch {}
+  await new Promise((resolve) => {
+    const deleting = indexedDB.deleteDatabase(`voting-events-${DEMO_CHAIN.id}-${DEMO_CONTRACT_ADDRESS.toLowerCase()}`)
+    deleting.onsuccess = deleting.onerror = deleting.onblocked = resolve
+  })
+  window.location.reload()
+}
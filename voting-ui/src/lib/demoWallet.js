@@ -0,0 +1,64 @@
+import { createConnector } from 'wagmi'
+import { getAddress } from 'viem'
+import { DEMO_CHAIN } from './chain'
+import { loadDemoChain } from './rpc'
+
+// Remembered by wagmi's storage so a reload reconnects, as a real wallet would
+const CONNECTED_KEY = 'demo.connected'
+
+/**
+ * Wagmi connector for demo mode: a wallet holding the demo accounts that signs by sending
+ * straight to the in-page chain. The account it exposes is the one picked in the demo bar.
+ */
+export function demoWallet() {
+  return createConnector((config) => ({
+    id: 'demo',
+    name: 'Demo wallet',
+    type: 'demo',
+    async setup() {
+      const chain = await loadDemoChain()
+      let current = chain.account()
+      chain.subscribe(() => {
+        if (chain.account() === current) return
+        current = chain.account()
+        this.onAccountsChanged([current])
+      })
+    },
+    async connect() {
+      const chain = await loadDemoChain()
+      await chain.ready
+      await config.storage?.setItem(CONNECTED_KEY, true)
+      return { accounts: [chain.account()], chainId: DEMO_CHAIN.id }
+    },
+    async disconnect() {
+      await config.storage?.removeItem(CONNECTED_KEY)
+    },
+    async getAccounts() {
+      const chain = await loadDemoChain()
+      await chain.ready
+      return [chain.account()]
+    },
+    async getChainId() {
+      return DEMO_CHAIN.id
+    },
+    async getProvider() {
+      return loadDemoChain()
+    },
+    async isAuthorized() {
+      return Boolean(await config.storage?.getItem(CONNECTED_KEY))
+    },
+    async switchChain({ chainId }) {
+      const chain = await loadDemoChain()
+      await chain.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: `0x${chainId.toString(16)}` }] })
+      return DEMO_CHAIN
+    },
+    onAccountsChanged(accounts) {
+      if (accounts.length === 0) this.onDisconnect()
+      else config.emitter.emit('change', { accounts: accounts.map((a) => getAddress(a)) })
+    },
+    onChainChanged() {},
+    onDisconnect() {
+      config.emitter.emit('disconnect')
+    },
+  }))
+}
@@ -0,0 +1,270 @@
+import { publicClient, contract } from './contract.js'
+import { CHAIN, DEPLOYMENT_BLOCK, LOG_CHUNK_SIZE } from './chain.js'
+import { isSubscribed } from './rpc.js'
+
+const DB_VERSION = 1
+const EVENTS_STORE = 'events'
+const META_STORE = 'meta'
+
+const eventAbi = contract.abi.filter((item) => item.type === 'event')
+
+// --- IndexedDB helpers (fall back to memory-only when IndexedDB is unavailable) ---
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function openDb(name) {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  const req = indexedDB.open(name, DB_VERSION)
+  req.onupgradeneeded = () => {
+    const db = req.result
+    if (!db.objectStoreNames.contains(EVENTS_STORE)) db.createObjectStore(EVENTS_STORE, { keyPath: 'id' })
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' })
+  }
+  return request(req).catch((err) => {
+    console.warn('Event cache unavailable', err)
+    return null
+  })
+}
+
+async function readAll(db, storeName) {
+  if (!db) return []
+  return request(db.transaction(storeName).objectStore(storeName).getAll())
+}
+
+async function writeAll(db, storeName, records) {
+  if (!db || records.length === 0) return
+  const tx = db.transaction(storeName, 'readwrite')
+  const store = tx.objectStore(storeName)
+  records.forEach((r) => store.put(r))
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// --- Log normalization ---
+
+function toRecord(log) {
+  return {
+    id: `${log.transactionHash}:${log.logIndex}`,
+    eventName: log.eventName,
+    args: log.args,
+    transactionHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+  }
+}
+
+// Newest first
+function compareEvents(a, b) {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber > b.blockNumber ? -1 : 1
+  return b.logIndex - a.logIndex
+}
+
+/** Whether a failed `eth_getLogs` looks like the provider's block range or result cap, worth retrying smaller. */
+export function isRangeError(err) {
+  const msg = `${err?.details || ''} ${err?.shortMessage || ''} ${err?.message || ''}`.toLowerCase()
+  return /range|limit|too many|exceed|10000|timeout/.test(msg)
+}
+
+/**
+ * Keeps a local, persistent copy of every contract event.
+ *
+ * History is backfilled newest-to-oldest in chunks of `LOG_CHUNK_SIZE` blocks down to
+ * `DEPLOYMENT_BLOCK`. The scanned window (`cursor.from`..`cursor.to`) is persisted after
+ * every chunk, so an interrupted backfill resumes where it stopped on the next load.
+ */
+export function createEventHistory(address = contract.address) {
+  let db = null
+  let chunkSize = LOG_CHUNK_SIZE
+  let state = {
+    events: [],
+    cursor: null, // { from, to } inclusive block range already scanned
+    loading: false,
+    ready: false,
+    error: null,
+  }
+  const seen = new Set()
+  const listeners = new Set()
+  const eventListeners = new Set()
+
+  const setState = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach((l) => l())
+  }
+
+  const complete = () => Boolean(state.cursor) && state.cursor.from <= DEPLOYMENT_BLOCK
+
+  async function saveCursor(cursor) {
+    await writeAll(db, META_STORE, [{ key: 'cursor', from: cursor.from, to: cursor.to }])
+  }
+
+  async function addRecords(records) {
+    const fresh = records.filter((r) => !seen.has(r.id))
+    fresh.forEach((r) => seen.add(r.id))
+    if (fresh.length === 0) return 0
+    await writeAll(db, EVENTS_STORE, fresh)
+    setState({ events: [...state.events, ...fresh].sort(compareEvents) })
+    eventListeners.forEach((l) => l(fresh))
+    return fresh.length
+  }
+
+  async function fetchRange(fromBlock, toBlock) {
+    try {
+      const logs = await publicClient.getLogs({ address, events: eventAbi, fromBlock, toBlock })
+      return logs.map(toRecord)
+    } catch (err) {
+      // Providers cap the block range or result size; retry with smaller windows
+      if (toBlock > fromBlock && isRangeError(err)) {
+        chunkSize = chunkSize > 1n ? chunkSize / 2n : 1n
+        const mid = fromBlock + (toBlock - fromBlock) / 2n
+        const older = await fetchRange(fromBlock, mid)
+        const newer = await fetchRange(mid + 1n, toBlock)
+        return [...older, ...newer]
+      }
+      throw err
+    }
+  }
+
+  async function init() {
+    db = await openDb(`voting-events-${CHAIN.id}-${String(address).toLowerCase()}`)
+    const [records, meta] = await Promise.all([readAll(db, EVENTS_STORE), readAll(db, META_STORE)])
+    records.forEach((r) => seen.add(r.id))
+    const saved = meta.find((m) => m.key === 'cursor')
+    setState({
+      events: records.sort(compareEvents),
+      cursor: saved ? { from: saved.from, to: saved.to } : null,
+      ready: true,
+    })
+  }
+
+  // Scan blocks after `cursor.to` up to the current head
+  async function syncNewer() {
+    const head = await publicClient.getBlockNumber()
+    if (!state.cursor) {
+      const cursor = { from: head + 1n, to: head }
+      setState({ cursor })
+      await saveCursor(cursor)
+      return
+    }
+    let from = state.cursor.to + 1n
+    while (from <= head) {
+      const to = from + chunkSize - 1n < head ? from + chunkSize - 1n : head
+      await addRecords(await fetchRange(from, to))
+      const cursor = { ...state.cursor, to }
+      setState({ cursor })
+      await saveCursor(cursor)
+      from = to + 1n
+    }
+  }
+
+  /**
+   * Scan blocks before `cursor.from` until at least `minCount` new events were found,
+   * `stopWhen(events)` returns true, or the deployment block is reached.
+   */
+  async function loadOlder(minCount, stopWhen) {
+    if (state.loading || !state.cursor || complete()) return
+    setState({ loading: true, error: null })
+    try {
+      let found = 0
+      while (found < minCount && !complete() && !stopWhen?.(state.events)) {
+        const to = state.cursor.from - 1n
+        const from = to - chunkSize + 1n > DEPLOYMENT_BLOCK ? to - chunkSize + 1n : DEPLOYMENT_BLOCK
+        found += await addRecords(await fetchRange(from, to))
+        const cursor = { ...state.cursor, from }
+        setState({ cursor })
+        await saveCursor(cursor)
+      }
+    } catch (err) {
+      console.error(err)
+      setState({ error: err })
+    } finally {
+      setState({ loading: false })
+    }
+  }
+
+  /**
+   * Follow new events from the end of the scanned window. Over a WebSocket the logs are
+   * pushed by a subscription, which cannot start from a past block, so the blocks mined
+   * before it was set up are scanned once it is; events found twice are deduplicated. If the
+   * subscription fails, the window is caught up the same way and new events are polled for.
+   */
+  function watch() {
+    let stopped = false
+    let unwatch = follow(!isSubscribed(publicClient))
+
+    function catchUp() {
+      return syncNewer().catch((err) => setState({ error: err }))
+    }
+
+    function follow(poll) {
+      let gapScanned = poll
+      let fellBack = false
+      const stop = publicClient.watchContractEvent({
+        address,
+        abi: contract.abi,
+        poll,
+        fromBlock: poll && state.cursor ? state.cursor.to + 1n : undefined,
+        onLogs: async (logs) => {
+          await addRecords(logs.map(toRecord))
+          const last = logs.reduce((max, l) => (l.blockNumber > max ? l.blockNumber : max), state.cursor?.to ?? 0n)
+          if (gapScanned && state.cursor && last > state.cursor.to) {
+            const cursor = { ...state.cursor, to: last }
+            setState({ cursor })
+            await saveCursor(cursor)
+          }
+        },
+        onError: async (err) => {
+          if (poll) return setState({ error: err })
+          console.error(err)
+          if (fellBack) return
+          fellBack = true
+          stop()
+          await catchUp()
+          if (!stopped) unwatch = follow(true)
+        },
+      })
+      if (!poll) catchUp().then(() => (gapScanned = true))
+      return stop
+    }
+
+    return () => {
+      stopped = true
+      unwatch()
+    }
+  }
+
+  /** Load the cache, catch up to the chain head, backfill one page and start watching. */
+  async function start(pageSize) {
+    await init()
+    try {
+      await syncNewer()
+    } catch (err) {
+      console.error(err)
+      setState({ error: err })
+    }
+    if (state.events.length < pageSize) await loadOlder(pageSize - state.events.length)
+    return watch()
+  }
+
+  return {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    // Called with every batch of events not seen before (backfilled or live)
+    onEvents: (listener) => {
+      eventListeners.add(listener)
+      return () => eventListeners.delete(listener)
+    },
+    isComplete: complete,
+    start,
+    loadOlder,
+  }
+}
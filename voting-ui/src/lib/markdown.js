@@ -0,0 +1,27 @@
+import { marked } from 'marked'
+import DOMPurify from 'dompurify'
+
+// Markdown that proposals may use; anything else (raw HTML, images, iframes, forms…) is dropped
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em', 'del', 'code', 'pre',
+  'blockquote', 'ul', 'ol', 'li', 'a', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]
+const ALLOWED_ATTR = ['href', 'title']
+
+// External links open in a new tab without handing over `window.opener`
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank')
+    node.setAttribute('rel', 'noopener noreferrer nofollow')
+  }
+})
+
+/** Proposal Markdown to sanitized HTML. Only http(s) and mailto links survive. */
+export function renderMarkdown(source) {
+  const html = marked.parse(source || '', { gfm: true, breaks: true, async: false })
+  return DOMPurify.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR: [...ALLOWED_ATTR, 'target', 'rel'],
+    ALLOWED_URI_REGEXP: /^(?:https?:|mailto:)/i,
+  })
+}
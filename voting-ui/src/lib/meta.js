@@ -0,0 +1,14 @@
+import { useEffect } from 'react'
+
+const APP_NAME = import.meta.env.VITE_APP_NAME || 'Base Voting dApp'
+
+/**
+ * Page title while the component is mounted, for tabs, history and bookmarks. It is set in the
+ * browser, so link previews (which do not run the app) always show the site-wide tags in index.html.
+ */
+export function useDocumentTitle(title) {
+  useEffect(() => {
+    document.title = title ? `${title} · ${APP_NAME}` : APP_NAME
+    return () => { document.title = APP_NAME }
+  }, [title])
+}
@@ -0,0 +1,516 @@
+// JavaScript port of `VotingContract.sol` for demo mode (see demoChain.js). Every function makes the
+// same checks in the same order, with the same revert strings and events, so the UI cannot tell it
+// apart from the deployed contract. Keep it in step with the Solidity source.
+import { getAddress, isAddressEqual, recoverTypedDataAddress, zeroAddress } from 'viem'
+import { BALLOT_TYPES, ballotDomain } from './ballot.js'
+import {
+  BPS,
+  CHOICE_ABSTAIN,
+  CHOICE_NO,
+  CHOICE_YES,
+  KIND_BINARY,
+  KIND_MULTIPLE_CHOICE,
+  MAX_OPTIONS,
+  NO_WINNER,
+  SIMPLE_MAJORITY_BPS,
+  WEIGHTING_NFT_HOLDER,
+  WEIGHTING_ONE_PER_ADDRESS,
+} from './outcome.js'
+
+export const MAX_DELEGATORS = 100
+
+// secp256k1n / 2: signatures with a larger `s` are malleable
+const MAX_S = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0n
+
+/** A failed `require`; `reason` is the contract's revert string. */
+export class Revert extends Error {
+  constructor(reason) {
+    super(reason)
+    this.reason = reason
+  }
+}
+
+function check(condition, reason) {
+  if (!condition) throw new Revert(reason)
+}
+
+// Mappings are keyed by lowercased address
+const key = (address) => address.toLowerCase()
+
+/** Storage right after the constructor ran with `owner` as `msg.sender`. */
+export function createVotingState(owner) {
+  const state = {
+    owner: getAddress(owner),
+    paused: false,
+    proposals: [],
+    receipts: {}, // proposalId -> voter -> { choice, weight, castBy }; a receipt is the `hasVoted` flag
+    delegates: {},
+    proposalDelegates: {}, // proposalId -> delegator -> delegate
+    delegators: {}, // delegate -> [delegator]
+    proposalDelegators: {}, // proposalId -> delegate -> [delegator]
+    blockedDelegators: {}, // delegate -> delegator -> true
+    approvedProposers: [],
+    nonces: {},
+  }
+  addProposer(state, state.owner)
+  return state
+}
+
+function addProposer(state, proposer) {
+  if (state.approvedProposers.some((a) => isAddressEqual(a, proposer))) return
+  state.approvedProposers.push(getAddress(proposer))
+}
+
+// Swap-and-pop, so the order matches the contract's `getApprovedProposers()`
+function removeFromList(list, address) {
+  const index = list.findIndex((a) => isAddressEqual(a, address))
+  if (index === -1) return
+  list[index] = list[list.length - 1]
+  list.pop()
+}
+
+const receiptOf = (state, id, voter) => state.receipts[id]?.[key(voter)]
+
+function proposalAt(state, id) {
+  check(id < BigInt(state.proposals.length), 'Proposal does not exist')
+  return state.proposals[Number(id)]
+}
+
+/**
+ * Runs one contract function as `sender` in the block described by `env`
+ * (`{ number, timestamp, chainId, address, hasCode(address), pastVotes(token, account, block) }`),
+ * mutating `state`. Resolves with `{ result, events }`, or rejects with a `Revert`; callers run it
+ * on a copy and keep the copy only when it succeeds.
+ */
+export async function executeVoting(state, { functionName, args, sender }, env) {
+  const events = []
+  const emit = (eventName, eventArgs) => events.push({ eventName, args: eventArgs })
+  const proposals = state.proposals
+
+  const onlyOwner = () => check(isAddressEqual(sender, state.owner), 'Not authorized')
+  const whenNotPaused = () => check(!state.paused, 'Paused')
+  const onlyApprovedProposer = () => check(state.approvedProposers.some((a) => isAddressEqual(a, sender)), 'Not an approved proposer')
+
+  function addDelegator(lists, delegate, delegator) {
+    const list = (lists[key(delegate)] ??= [])
+    check(list.length < MAX_DELEGATORS, 'Too many delegators')
+    list.push(getAddress(delegator))
+  }
+
+  function hasDelegators(id, delegate) {
+    return (state.delegators[key(delegate)]?.length ?? 0) > 0 || (state.proposalDelegators[id]?.[key(delegate)]?.length ?? 0) > 0
+  }
+
+  const isBlocked = (delegate, delegator) => Boolean(state.blockedDelegators[key(delegate)]?.[key(delegator)])
+
+  function blockDelegator(delegator, blocked) {
+    if (isBlocked(sender, delegator) === blocked) return
+    const list = (state.blockedDelegators[key(sender)] ??= {})
+    if (blocked) list[key(delegator)] = true
+    else delete list[key(delegator)]
+    emit('DelegatorBlocked', { delegate: sender, delegator, blocked })
+  }
+
+  function votingPower(proposal, account) {
+    if (proposal.weighting === WEIGHTING_ONE_PER_ADDRESS) return 1n
+    const units = env.pastVotes(proposal.token, account, proposal.snapshotBlock)
+    if (proposal.weighting === WEIGHTING_NFT_HOLDER) return units > 0n ? 1n : 0n
+    return units
+  }
+
+  function count(proposal, choice, weight) {
+    if (proposal.kind === KIND_MULTIPLE_CHOICE) proposal.optionVotes[choice] += weight
+    else if (choice === CHOICE_YES) proposal.yesVotes += weight
+    else if (choice === CHOICE_NO) proposal.noVotes += weight
+    else proposal.abstainVotes += weight
+  }
+
+  function recordBallot(id, proposal, voter, choice, weight, castBy) {
+    count(proposal, choice, weight)
+    ;(state.receipts[id] ??= {})[key(voter)] = { choice, weight, castBy: getAddress(castBy) }
+  }
+
+  function changeBallot(id, proposal, voter, choice) {
+    const receipt = receiptOf(state, id, voter)
+    count(proposal, receipt.choice, -receipt.weight)
+    recordBallot(id, proposal, voter, choice, receipt.weight, receipt.castBy)
+    emit('VoteChanged', { proposalId: id, voter, fromChoice: receipt.choice, toChoice: choice, weight: receipt.weight })
+  }
+
+  function retractBallot(id, proposal, voter) {
+    const receipt = receiptOf(state, id, voter)
+    count(proposal, receipt.choice, -receipt.weight)
+    delete state.receipts[id][key(voter)]
+    emit('VoteRetracted', { proposalId: id, voter, choice: receipt.choice, weight: receipt.weight })
+  }
+
+  function updateDelegatedVote(id, proposal, delegate, delegator, choice, retract) {
+    const receipt = receiptOf(state, id, delegator)
+    if (receipt) {
+      if (!isAddressEqual(receipt.castBy, delegate)) return
+      if (retract) retractBallot(id, proposal, delegator)
+      else if (receipt.choice !== choice) changeBallot(id, proposal, delegator, choice)
+      return
+    }
+    if (retract) return
+    const weight = votingPower(proposal, delegator)
+    if (weight === 0n) return
+    recordBallot(id, proposal, delegator, choice, weight, delegate)
+    emit('DelegatedVoteCast', { proposalId: id, delegate, delegator, choice, weight })
+  }
+
+  function updateDelegatedVotes(id, proposal, delegate, choice, retract) {
+    ;[...(state.delegators[key(delegate)] ?? [])].forEach((delegator) => {
+      if (!state.proposalDelegates[id]?.[key(delegator)]) updateDelegatedVote(id, proposal, delegate, delegator, choice, retract)
+    })
+    ;[...(state.proposalDelegators[id]?.[key(delegate)] ?? [])].forEach((delegator) => {
+      updateDelegatedVote(id, proposal, delegate, delegator, choice, retract)
+    })
+  }
+
+  function validateChoice(proposal, choice) {
+    if (proposal.kind === KIND_MULTIPLE_CHOICE) check(choice < proposal.options.length, 'Invalid choice')
+    else check(choice <= CHOICE_ABSTAIN, 'Invalid choice')
+  }
+
+  function castVote(id, voter, choice) {
+    const proposal = proposalAt(state, id)
+    check(proposal.active, 'Proposal is not active')
+    const receipt = receiptOf(state, id, voter)
+    check(!receipt || !isAddressEqual(receipt.castBy, voter), 'Already voted')
+    check(env.timestamp < proposal.endTime, 'Proposal has ended')
+    validateChoice(proposal, choice)
+
+    let weight
+    if (receipt) {
+      weight = receipt.weight
+      count(proposal, receipt.choice, -weight)
+      emit('DelegatedVoteOverridden', { proposalId: id, delegate: receipt.castBy, delegator: voter, choice: receipt.choice, weight })
+    } else {
+      weight = votingPower(proposal, voter)
+      // A delegate without power still votes for its delegators, with a zero-weight ballot
+      check(weight > 0n || hasDelegators(id, voter), 'No voting power')
+    }
+    recordBallot(id, proposal, voter, choice, weight, voter)
+    emit('VoteCast', { proposalId: id, voter, choice, weight })
+    updateDelegatedVotes(id, proposal, voter, choice, false)
+  }
+
+  function castYesNo(id, voter, support) {
+    check(id < BigInt(proposals.length), 'Proposal does not exist')
+    check(proposals[Number(id)].kind === KIND_BINARY, 'Not a yes/no proposal')
+    castVote(id, voter, support ? CHOICE_YES : CHOICE_NO)
+  }
+
+  function ownBallot(id, voter) {
+    const proposal = proposalAt(state, id)
+    check(proposal.active, 'Proposal is not active')
+    const receipt = receiptOf(state, id, voter)
+    check(receipt && isAddressEqual(receipt.castBy, voter), 'Not voted')
+    check(env.timestamp < proposal.endTime, 'Proposal has ended')
+    return proposal
+  }
+
+  function validateOptions(options) {
+    check(options.length >= 2 && options.length <= MAX_OPTIONS, 'Invalid options')
+    options.forEach((o) => check(o.length > 0, 'Invalid options'))
+  }
+
+  function createProposal(description, duration, quorum, thresholdBps, options) {
+    check(duration > 0n, 'Duration must be > 0')
+    if (options.length === 0) check(thresholdBps >= BigInt(SIMPLE_MAJORITY_BPS) && thresholdBps < BigInt(BPS), 'Invalid threshold')
+    const proposal = {
+      description,
+      yesVotes: 0n,
+      noVotes: 0n,
+      active: true,
+      endTime: env.timestamp + duration,
+      approved: false,
+      proposer: getAddress(sender),
+      quorum,
+      thresholdBps,
+      kind: options.length > 0 ? KIND_MULTIPLE_CHOICE : KIND_BINARY,
+      abstainVotes: 0n,
+      options: [...options],
+      optionVotes: options.map(() => 0n),
+      winningOption: NO_WINNER,
+      weighting: WEIGHTING_ONE_PER_ADDRESS,
+      token: zeroAddress,
+      snapshotBlock: 0n,
+      cancelled: false,
+    }
+    proposals.push(proposal)
+    const proposalId = BigInt(proposals.length - 1)
+    emit('ProposalCreated', { proposalId, proposer: sender, description, endTime: proposal.endTime, quorum, thresholdBps, options })
+    return proposalId
+  }
+
+  function setWeighting(id, weighting, token) {
+    if (weighting === WEIGHTING_ONE_PER_ADDRESS) return
+    check(env.hasCode(token), 'Invalid token')
+    const proposal = proposals[Number(id)]
+    proposal.weighting = weighting
+    proposal.token = getAddress(token)
+    proposal.snapshotBlock = env.number - 1n
+    emit('ProposalWeighted', { proposalId: id, weighting, token, snapshotBlock: proposal.snapshotBlock })
+  }
+
+  function close(id, proposal) {
+    proposal.active = false
+    if (proposal.kind === KIND_MULTIPLE_CHOICE) {
+      let leader = NO_WINNER
+      let most = 0n
+      let total = 0n
+      proposal.optionVotes.forEach((votes, i) => {
+        total += votes
+        if (votes > most) {
+          most = votes
+          leader = i
+        } else if (votes === most) {
+          leader = NO_WINNER
+        }
+      })
+      if (leader !== NO_WINNER && total >= proposal.quorum) {
+        proposal.approved = true
+        proposal.winningOption = leader
+      }
+    } else {
+      // Strict comparison: with 5000 bps a tie is not approved
+      const decisive = proposal.yesVotes + proposal.noVotes
+      if (decisive + proposal.abstainVotes >= proposal.quorum && proposal.yesVotes * BigInt(BPS) > proposal.thresholdBps * decisive) {
+        proposal.approved = true
+      }
+    }
+    emit('ProposalClosed', { proposalId: id, approved: proposal.approved, winningOption: proposal.winningOption })
+  }
+
+  const functions = {
+    // --- Views ---
+    getProposalCount: () => BigInt(proposals.length),
+    getProposals: ([id]) => {
+      const p = proposalAt(state, id)
+      return [p.description, p.yesVotes, p.noVotes, p.active, p.endTime, p.approved, p.proposer, p.quorum, p.thresholdBps]
+    },
+    getProposalsRange: ([start, end]) => {
+      check(start <= end, 'Invalid range')
+      return proposals.slice(Number(start), Number(end < BigInt(proposals.length) ? end : BigInt(proposals.length)))
+    },
+    getOptions: ([id]) => {
+      const p = proposalAt(state, id)
+      return [p.options, p.optionVotes]
+    },
+    getVotingPower: ([id, account]) => votingPower(proposalAt(state, id), account),
+    hasVoted: ([id, voter]) => Boolean(receiptOf(state, id, voter)),
+    receipts: ([id, voter]) => {
+      const r = receiptOf(state, id, voter)
+      return r ? [r.choice, r.weight, r.castBy] : [0, 0n, zeroAddress]
+    },
+    delegates: ([account]) => state.delegates[key(account)] ?? zeroAddress,
+    proposalDelegates: ([id, account]) => state.proposalDelegates[id]?.[key(account)] ?? zeroAddress,
+    delegateOf: ([id, account]) => state.proposalDelegates[id]?.[key(account)] ?? state.delegates[key(account)] ?? zeroAddress,
+    getDelegators: ([delegate]) => state.delegators[key(delegate)] ?? [],
+    getProposalDelegators: ([id, delegate]) => state.proposalDelegators[id]?.[key(delegate)] ?? [],
+    blockedDelegators: ([delegate, delegator]) => isBlocked(delegate, delegator),
+    isApprovedProposer: ([account]) => state.approvedProposers.some((a) => isAddressEqual(a, account)),
+    getApprovedProposers: () => state.approvedProposers,
+    nonces: ([account]) => state.nonces[key(account)] ?? 0n,
+    owner: () => state.owner,
+    paused: () => state.paused,
+
+    // --- Allowlist ---
+    approveProposal: ([proposer]) => {
+      onlyOwner()
+      addProposer(state, proposer)
+      emit('ProposalApproved', { proposer })
+    },
+    removeProposal: ([proposer]) => {
+      onlyOwner()
+      removeFromList(state.approvedProposers, proposer)
+      emit('ProposalRemoved', { proposer })
+    },
+    approveProposals: ([proposers]) => {
+      onlyOwner()
+      proposers.forEach((proposer) => {
+        addProposer(state, proposer)
+        emit('ProposalApproved', { proposer })
+      })
+    },
+    removeProposals: ([proposers]) => {
+      onlyOwner()
+      proposers.forEach((proposer) => {
+        removeFromList(state.approvedProposers, proposer)
+        emit('ProposalRemoved', { proposer })
+      })
+    },
+
+    // --- Delegation ---
+    delegate: (a) => {
+      if (a.length === 1) {
+        const [to] = a
+        check(!isAddressEqual(to, zeroAddress) && !isAddressEqual(to, sender), 'Invalid delegate')
+        check(!isBlocked(to, sender), 'Delegator blocked')
+        const previous = state.delegates[key(sender)] ?? zeroAddress
+        if (previous !== zeroAddress) removeFromList(state.delegators[key(previous)], sender)
+        addDelegator(state.delegators, to, sender)
+        state.delegates[key(sender)] = getAddress(to)
+        emit('DelegateChanged', { delegator: sender, fromDelegate: previous, toDelegate: to })
+        return
+      }
+      const [id, to] = a
+      check(id < BigInt(proposals.length), 'Proposal does not exist')
+      check(proposals[Number(id)].active, 'Proposal is not active')
+      check(env.timestamp < proposals[Number(id)].endTime, 'Proposal has ended')
+      check(!isAddressEqual(to, zeroAddress) && !isAddressEqual(to, sender), 'Invalid delegate')
+      check(!isBlocked(to, sender), 'Delegator blocked')
+      const lists = (state.proposalDelegators[id] ??= {})
+      const previous = state.proposalDelegates[id]?.[key(sender)] ?? zeroAddress
+      if (previous !== zeroAddress) removeFromList(lists[key(previous)], sender)
+      addDelegator(lists, to, sender)
+      ;(state.proposalDelegates[id] ??= {})[key(sender)] = getAddress(to)
+      emit('ProposalDelegateChanged', { proposalId: id, delegator: sender, fromDelegate: previous, toDelegate: to })
+    },
+    undelegate: (a) => {
+      if (a.length === 0) {
+        const previous = state.delegates[key(sender)]
+        check(previous, 'Not delegated')
+        removeFromList(state.delegators[key(previous)], sender)
+        delete state.delegates[key(sender)]
+        emit('DelegateChanged', { delegator: sender, fromDelegate: previous, toDelegate: zeroAddress })
+        return
+      }
+      const [id] = a
+      const previous = state.proposalDelegates[id]?.[key(sender)]
+      check(previous, 'Not delegated')
+      removeFromList(state.proposalDelegators[id][key(previous)], sender)
+      delete state.proposalDelegates[id][key(sender)]
+      emit('ProposalDelegateChanged', { proposalId: id, delegator: sender, fromDelegate: previous, toDelegate: zeroAddress })
+    },
+    removeDelegators: (a) => {
+      if (a.length === 1) {
+        a[0].forEach((delegator) => {
+          if (isAddressEqual(state.delegates[key(delegator)] ?? zeroAddress, sender)) {
+            removeFromList(state.delegators[key(sender)], delegator)
+            delete state.delegates[key(delegator)]
+            emit('DelegateChanged', { delegator, fromDelegate: sender, toDelegate: zeroAddress })
+          }
+          blockDelegator(delegator, true)
+        })
+        return
+      }
+      const [id, delegators] = a
+      delegators.forEach((delegator) => {
+        if (isAddressEqual(state.proposalDelegates[id]?.[key(delegator)] ?? zeroAddress, sender)) {
+          removeFromList(state.proposalDelegators[id][key(sender)], delegator)
+          delete state.proposalDelegates[id][key(delegator)]
+          emit('ProposalDelegateChanged', { proposalId: id, delegator, fromDelegate: sender, toDelegate: zeroAddress })
+        }
+        blockDelegator(delegator, true)
+      })
+    },
+    unblockDelegator: ([delegator]) => {
+      check(isBlocked(sender, delegator), 'Not blocked')
+      blockDelegator(delegator, false)
+    },
+
+    // --- Proposals ---
+    createProposal: (a) => {
+      whenNotPaused()
+      onlyApprovedProposer()
+      const [description, duration, quorum = 0n, thresholdBps = BigInt(SIMPLE_MAJORITY_BPS), weighting, token] = a
+      const id = createProposal(description, duration, quorum, thresholdBps, [])
+      if (a.length === 6) setWeighting(id, weighting, token)
+      return id
+    },
+    createMultipleChoiceProposal: (a) => {
+      whenNotPaused()
+      onlyApprovedProposer()
+      const [description, duration, options, quorum, weighting, token] = a
+      validateOptions(options)
+      const id = createProposal(description, duration, quorum, 0n, options)
+      if (a.length === 6) setWeighting(id, weighting, token)
+      return id
+    },
+    cancelProposal: ([id]) => {
+      const proposal = proposalAt(state, id)
+      check(proposal.active, 'Proposal is not active')
+      check(isAddressEqual(sender, state.owner) || isAddressEqual(sender, proposal.proposer), 'Not proposer or owner')
+      check(env.timestamp < proposal.endTime, 'Proposal has ended')
+      proposal.active = false
+      proposal.cancelled = true
+      emit('ProposalCancelled', { proposalId: id, cancelledBy: sender })
+    },
+    closeProposal: ([id]) => {
+      const proposal = proposalAt(state, id)
+      check(proposal.active, 'Proposal is not active')
+      check(env.timestamp > proposal.endTime, 'Proposal has not ended')
+      close(id, proposal)
+    },
+    closeProposals: ([ids]) => {
+      let closed = 0n
+      ids.forEach((id) => {
+        const proposal = proposals[Number(id)]
+        if (id >= BigInt(proposals.length) || !proposal.active || env.timestamp <= proposal.endTime) return
+        close(id, proposal)
+        closed++
+      })
+      return closed
+    },
+
+    // --- Voting ---
+    vote: ([id, choice]) => {
+      whenNotPaused()
+      // `vote(uint256,bool)` and `vote(uint256,uint8)` share a name; the argument type tells them apart
+      if (typeof choice === 'boolean') castYesNo(id, sender, choice)
+      else castVote(id, sender, choice)
+    },
+    changeVote: ([id, choice]) => {
+      whenNotPaused()
+      const proposal = ownBallot(id, sender)
+      validateChoice(proposal, choice)
+      check(choice !== receiptOf(state, id, sender).choice, 'Same choice')
+      changeBallot(id, proposal, sender, choice)
+      updateDelegatedVotes(id, proposal, sender, choice, false)
+    },
+    retractVote: ([id]) => {
+      whenNotPaused()
+      const proposal = ownBallot(id, sender)
+      retractBallot(id, proposal, sender)
+      updateDelegatedVotes(id, proposal, sender, 0, true)
+    },
+    voteBySig: async ([id, support, voter, deadline, v, r, s]) => {
+      whenNotPaused()
+      check(env.timestamp <= deadline, 'Signature expired')
+      check(BigInt(s) <= MAX_S, 'Invalid signature')
+      const nonce = state.nonces[key(voter)] ?? 0n
+      const signer = await recoverTypedDataAddress({
+        domain: ballotDomain(env.chainId, env.address),
+        types: BALLOT_TYPES,
+        primaryType: 'Ballot',
+        message: { proposalId: id, support, voter, nonce, deadline },
+        signature: { r, s, v: BigInt(v) },
+      }).catch(() => zeroAddress)
+      check(signer !== zeroAddress && isAddressEqual(signer, voter), 'Invalid signature')
+      state.nonces[key(voter)] = nonce + 1n
+      castYesNo(id, voter, support)
+    },
+
+    // --- Emergency pause ---
+    pause: () => {
+      onlyOwner()
+      check(!state.paused, 'Paused')
+      state.paused = true
+      emit('Paused', { account: sender })
+    },
+    unpause: () => {
+      onlyOwner()
+      check(state.paused, 'Not paused')
+      state.paused = false
+      emit('Unpaused', { account: sender })
+    },
+  }
+
+  const fn = functions[functionName]
+  if (!fn) throw new Revert(`${functionName} is not available in demo mode`)
+  const result = await fn(args)
+  return { result, events }
+}
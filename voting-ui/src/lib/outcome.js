@@ -0,0 +1,132 @@
+// Mirrors the voting and approval rules in `VotingContract`
+
+export const BPS = 10000
+
+export const SIMPLE_MAJORITY_BPS = 5000
+
+export const THRESHOLD_PRESETS = [
+  { value: 5000, label: 'Simple majority (more than 50%)' },
+  { value: 6000, label: 'Supermajority (more than 60%)' },
+  { value: 6666, label: 'Two-thirds (at least 66.66%)' },
+]
+
+// `ProposalKind` in the contract
+export const KIND_BINARY = 0
+export const KIND_MULTIPLE_CHOICE = 1
+
+// Choices on a yes/no proposal; on a multiple-choice proposal the choice is the option index
+export const CHOICE_NO = 0
+export const CHOICE_YES = 1
+export const CHOICE_ABSTAIN = 2
+
+export const MIN_OPTIONS = 2
+export const MAX_OPTIONS = 10
+
+export const NO_WINNER = 255
+
+// `Weighting` in the contract
+export const WEIGHTING_ONE_PER_ADDRESS = 0
+export const WEIGHTING_TOKEN_BALANCE = 1
+export const WEIGHTING_NFT_HOLDER = 2
+
+export const isWeighted = (proposal) => Number(proposal?.weighting ?? WEIGHTING_ONE_PER_ADDRESS) !== WEIGHTING_ONE_PER_ADDRESS
+
+const BINARY_LABELS = { [CHOICE_NO]: 'No', [CHOICE_YES]: 'Yes', [CHOICE_ABSTAIN]: 'Abstain' }
+
+export const isMultipleChoice = (proposal) => Number(proposal?.kind) === KIND_MULTIPLE_CHOICE
+
+/** What a choice means on this proposal: "Yes", "Abstain", or the option's label. */
+export function choiceLabel(proposal, choice) {
+  const c = Number(choice)
+  if (isMultipleChoice(proposal)) return proposal.options[c] ?? `Option ${c + 1}`
+  return BINARY_LABELS[c] ?? `Choice ${c}`
+}
+
+/** The tally fields of `proposal` after one more vote for `choice`, counting `weight` units (negative to take one back out). */
+export function countVote(proposal, choice, weight = 1n) {
+  const c = Number(choice)
+  if (isMultipleChoice(proposal)) {
+    return { optionVotes: proposal.optionVotes.map((v, i) => (i === c ? v + weight : v)) }
+  }
+  if (c === CHOICE_YES) return { yesVotes: proposal.yesVotes + weight }
+  if (c === CHOICE_NO) return { noVotes: proposal.noVotes + weight }
+  return { abstainVotes: proposal.abstainVotes + weight }
+}
+
+export function totalVotes(proposal) {
+  if (isMultipleChoice(proposal)) return proposal.optionVotes.reduce((sum, v) => sum + v, 0n)
+  return proposal.yesVotes + proposal.noVotes + proposal.abstainVotes
+}
+
+/** Index of the option with the most votes, or `NO_WINNER` on a tie for first or with no votes. */
+export function leadingOption(optionVotes) {
+  let leader = NO_WINNER
+  let most = 0n
+  optionVotes.forEach((votes, i) => {
+    if (votes > most) {
+      most = votes
+      leader = i
+    } else if (votes === most) {
+      leader = NO_WINNER
+    }
+  })
+  return leader
+}
+
+/** Short human form of a threshold, e.g. "more than 50%". */
+export function formatThreshold(thresholdBps) {
+  const bps = Number(thresholdBps)
+  const pct = `${(bps / 100).toFixed(bps % 100 === 0 ? 0 : 2)}%`
+  return bps === 6666 ? 'two-thirds' : `more than ${pct}`
+}
+
+/**
+ * Where a tally stands against the proposal's rules; `approved` and `winningOption` are what
+ * `closeProposal` would decide with these votes. Every vote, abstentions included, counts
+ * toward the quorum. A yes/no proposal also needs a yes share of yes + no votes strictly
+ * above `thresholdBps`; a multiple-choice proposal needs a single option in the lead.
+ */
+export function outcomeOf(proposal) {
+  const { quorum = 0n } = proposal
+  const total = totalVotes(proposal)
+  const quorumMet = total >= quorum
+  const base = { total, quorum, quorumMet, votesToQuorum: quorumMet ? 0n : quorum - total }
+
+  if (isMultipleChoice(proposal)) {
+    const leader = leadingOption(proposal.optionVotes)
+    const approved = quorumMet && leader !== NO_WINNER
+    return { ...base, leader, approved, winningOption: approved ? leader : NO_WINNER }
+  }
+
+  const decisive = proposal.yesVotes + proposal.noVotes
+  const thresholdMet = proposal.yesVotes * BigInt(BPS) > proposal.thresholdBps * decisive
+  return {
+    ...base,
+    yesBps: decisive > 0n ? Number((proposal.yesVotes * BigInt(BPS)) / decisive) : 0,
+    thresholdMet,
+    approved: quorumMet && thresholdMet,
+    winningOption: NO_WINNER,
+  }
+}
+
+/** Label of the winning option of a closed multiple-choice proposal; null without a winner, undefined for yes/no. */
+export function winnerLabel(proposal) {
+  if (!isMultipleChoice(proposal)) return undefined
+  return Number(proposal.winningOption) === NO_WINNER ? null : choiceLabel(proposal, proposal.winningOption)
+}
+
+/** One-line tally, e.g. "3 yes · 1 no · 2 abstain" or "Red 3 · Blue 1". */
+export function tallySummary(proposal) {
+  if (isMultipleChoice(proposal)) {
+    return proposal.options.map((label, i) => `${label} ${String(proposal.optionVotes[i])}`).join(' · ')
+  }
+  const parts = [`${String(proposal.yesVotes)} yes`, `${String(proposal.noVotes)} no`]
+  if (proposal.abstainVotes > 0n) parts.push(`${String(proposal.abstainVotes)} abstain`)
+  return parts.join(' · ')
+}
+
+/** How a close ended, from `ProposalClosed` args or a closed proposal: "approved", "Red won", "no winner"… */
+export function closedText(proposal, { approved, winningOption }) {
+  if (isMultipleChoice(proposal)) return approved ? `${choiceLabel(proposal, winningOption)} won` : 'no winner'
+  return approved ? 'approved' : 'not approved'
+}
@@ -0,0 +1,98 @@
+import { useAccount, useSignTypedData } from 'wagmi'
+import { contract, publicClient } from './contract'
+import { CHAIN } from './chain'
+import { chainClock } from './chainClock'
+import { BALLOT_TTL_SECONDS, BALLOT_TYPES, ballotDomain } from './ballot'
+import { submitBallot } from './relayer'
+import { useTransact } from './transactions'
+import { proposalStore } from './proposalStore'
+import { CHOICE_YES, choiceLabel } from './outcome'
+import { votingPowerOf } from './votingPower'
+
+/**
+ * Vote, change or retract a vote, and close for the connected account. These apply optimistically; failures roll back,
+ * are explained on the proposal and in the transaction tray, so they are swallowed here.
+ */
+export function useProposalActions() {
+  const { address } = useAccount()
+  const { send, relay } = useTransact()
+  const { signTypedDataAsync } = useSignTypedData()
+
+  // Sign an EIP-712 ballot and let the relayer submit it, so the voter pays no gas (yes/no only)
+  const signAndRelay = async (id, yes) => {
+    const nonce = await publicClient.readContract({ ...contract, functionName: 'nonces', args: [address] })
+    const ballot = {
+      proposalId: BigInt(id),
+      support: yes,
+      voter: address,
+      // Checked against block.timestamp, so counted from the chain's clock rather than the browser's
+      deadline: BigInt(chainClock.now() + BALLOT_TTL_SECONDS),
+    }
+    const signature = await signTypedDataAsync({
+      domain: ballotDomain(CHAIN.id, contract.address),
+      types: BALLOT_TYPES,
+      primaryType: 'Ballot',
+      message: { ...ballot, nonce },
+    })
+    return submitBallot({ ...ballot, signature })
+  }
+
+  // `choice` is yes/no/abstain or an option index; `gasless` is only offered for yes and no.
+  // Once we have voted ourselves this changes the vote, which needs a regular transaction.
+  const vote = async (id, choice, gasless = false) => {
+    const { proposals, voted } = proposalStore.getState()
+    const proposal = proposals[id]
+    const choiceText = choiceLabel(proposal, choice)
+    // Our own ballot is changed; one our delegate cast for us is replaced by our vote. Either keeps its weight
+    const replaces = voted[address.toLowerCase()]?.[id]
+    const change = replaces?.by === address.toLowerCase()
+    const label = change ? `Change vote to ${choiceText} on #${id}` : `Vote ${choiceText} on #${id}`
+    try {
+      // Weighted proposals show the real weight straight away; if it can't be read, the VoteCast event fills it in
+      const weight = replaces ? replaces.weight : await votingPowerOf(proposal, address).catch(() => 0n)
+      await proposalStore.optimistic(id, { type: 'vote', account: address, choice, weight, replaces, label: choiceText }, () =>
+        change
+          ? send({ label, functionName: 'changeVote', args: [BigInt(id), choice] })
+          : gasless
+            ? relay({ label: `${label} (gasless)`, submit: () => signAndRelay(id, choice === CHOICE_YES) })
+            : send({ label, functionName: 'vote', args: [BigInt(id), choice] })
+      )
+    } catch {}
+  }
+
+  // Withdraw our own vote; we can vote again afterwards
+  const retract = async (id) => {
+    const replaces = proposalStore.getState().voted[address.toLowerCase()]?.[id]
+    try {
+      await proposalStore.optimistic(id, { type: 'vote', account: address, retract: true, replaces }, () =>
+        send({ label: `Withdraw vote on #${id}`, functionName: 'retractVote', args: [BigInt(id)] })
+      )
+    } catch {}
+  }
+
+  const close = async (id) => {
+    try {
+      await proposalStore.optimistic(id, { type: 'close' }, () =>
+        send({ label: `Close #${id}`, functionName: 'closeProposal', args: [BigInt(id)] })
+      )
+    } catch {}
+  }
+
+  // Every id is closed in one transaction; ones that cannot be closed (anymore) are skipped by the contract
+  const closeMany = async (ids) => {
+    const label = ids.length === 1 ? `Close #${ids[0]}` : `Close ${ids.length} expired proposals`
+    try {
+      await proposalStore.optimisticClose(ids, () =>
+        send({ label, functionName: 'closeProposals', args: [ids.map(BigInt)] })
+      )
+    } catch {}
+  }
+
+  // Not optimistic: the store marks the proposal cancelled once the transaction confirms
+  const cancel = async (id) => {
+    await send({ label: `Cancel #${id}`, functionName: 'cancelProposal', args: [BigInt(id)] })
+    await proposalStore.refresh([id])
+  }
+
+  return { vote, retract, close, closeMany, cancel }
+}
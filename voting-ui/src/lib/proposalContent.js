@@ -0,0 +1,83 @@
+// Proposal content is stored onchain in the `description` string. Structured proposals are
+// encoded as `CONTENT_PREFIX` + JSON with a version field; anything else is a legacy
+// plain-text proposal whose whole description is the title.
+export const CONTENT_PREFIX = 'proposal+json:'
+export const CONTENT_VERSION = 1
+
+export const MAX_TITLE_LENGTH = 120
+
+// Soft limit: the description is stored in contract storage, so every byte costs gas
+export const MAX_CONTENT_BYTES = 8 * 1024
+
+const cache = new Map()
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+function normalizeLinks(links) {
+  if (!Array.isArray(links)) return []
+  return links
+    .filter((l) => l && typeof l.url === 'string' && isHttpUrl(l.url.trim()))
+    .map((l) => ({ url: l.url.trim(), label: typeof l.label === 'string' && l.label.trim() ? l.label.trim() : l.url.trim() }))
+}
+
+function parse(description) {
+  if (!description.startsWith(CONTENT_PREFIX)) {
+    return { version: 0, title: description, body: '', links: [] }
+  }
+  try {
+    const data = JSON.parse(description.slice(CONTENT_PREFIX.length))
+    if (typeof data !== 'object' || data === null || typeof data.title !== 'string') throw new Error('Malformed content')
+    return {
+      version: Number(data.v) || CONTENT_VERSION,
+      title: data.title,
+      body: typeof data.body === 'string' ? data.body : '',
+      links: normalizeLinks(data.links),
+      // A newer client wrote this; render the fields we know and say so
+      unsupported: Number(data.v) > CONTENT_VERSION,
+    }
+  } catch {
+    return { version: 0, title: description, body: '', links: [] }
+  }
+}
+
+/** `{ version, title, body, links }` for any onchain description, structured or plain text. */
+export function decodeProposalContent(description = '') {
+  if (!cache.has(description)) cache.set(description, parse(description))
+  return cache.get(description)
+}
+
+/** Encode title, Markdown body and links into the string passed to `createProposal`. */
+export function encodeProposalContent({ title, body = '', links = [] }) {
+  const content = { v: CONTENT_VERSION, title: title.trim(), body: body.trim(), links: normalizeLinks(links) }
+  if (!content.body && content.links.length === 0) {
+    // Nothing beyond a title: keep it readable by older clients as plain text
+    if (!content.title.startsWith(CONTENT_PREFIX)) return content.title
+  }
+  return `${CONTENT_PREFIX}${JSON.stringify(content)}`
+}
+
+/** Problems that should block submitting; an empty list means the content is valid. */
+export function validateProposalContent({ title, links = [] }, encoded) {
+  const errors = []
+  if (!title.trim()) errors.push('A title is required.')
+  if (title.trim().length > MAX_TITLE_LENGTH) errors.push(`Keep the title under ${MAX_TITLE_LENGTH} characters.`)
+  links.forEach((l, i) => {
+    if (l.url.trim() && !isHttpUrl(l.url.trim())) errors.push(`Link ${i + 1} must be an http(s) URL.`)
+  })
+  if (encoded && new TextEncoder().encode(encoded).length > MAX_CONTENT_BYTES) {
+    errors.push(`Content is larger than ${MAX_CONTENT_BYTES / 1024} KB; shorten the body or link to a document.`)
+  }
+  return errors
+}
+
+/** Plain-text search haystack for a proposal's content. */
+export function contentSearchText(description) {
+  const { title, body } = decodeProposalContent(description)
+  return `${title}\n${body}`.toLowerCase()
+}
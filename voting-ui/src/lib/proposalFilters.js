@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useState } from 'react'
+import { contentSearchText } from './proposalContent.js'
+import { totalVotes } from './outcome.js'
+
+// Open proposals ending within this window count as "ending soon"
+export const ENDING_SOON_SECONDS = 24 * 60 * 60
+
+export const PAGE_SIZE = 10
+
+export const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'ending-soon', label: 'Ending soon' },
+  { value: 'awaiting-close', label: 'Awaiting close' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'cancelled', label: 'Cancelled' },
+]
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'ending', label: 'Ending soonest' },
+  { value: 'votes', label: 'Most votes' },
+]
+
+const DEFAULTS = { status: 'all', q: '', sort: 'newest', page: 1 }
+
+function isOpen(p, now) {
+  return p.active && Number(p.endTime) > now
+}
+
+export function matchesStatus(p, status, now) {
+  switch (status) {
+    case 'active':
+      return isOpen(p, now)
+    case 'ending-soon':
+      return isOpen(p, now) && Number(p.endTime) - now <= ENDING_SOON_SECONDS
+    case 'awaiting-close':
+      return p.active && !isOpen(p, now)
+    case 'approved':
+      return !p.active && p.approved
+    case 'rejected':
+      return !p.active && !p.approved && !p.cancelled
+    case 'cancelled':
+      return Boolean(p.cancelled)
+    default:
+      return true
+  }
+}
+
+function matchesQuery(p, q) {
+  if (!q) return true
+  const needle = q.trim().toLowerCase()
+  return contentSearchText(p.description).includes(needle) || `#${p.id}` === needle || String(p.id) === needle
+}
+
+
+const comparators = {
+  newest: (a, b) => b.id - a.id,
+  // Open proposals first by deadline, then everything that already ended, newest first
+  ending: (now) => (a, b) => {
+    const aOpen = isOpen(a, now)
+    const bOpen = isOpen(b, now)
+    if (aOpen !== bOpen) return aOpen ? -1 : 1
+    if (aOpen) return Number(a.endTime - b.endTime)
+    return b.id - a.id
+  },
+  votes: (a, b) => (totalVotes(a) === totalVotes(b) ? b.id - a.id : totalVotes(b) > totalVotes(a) ? 1 : -1),
+}
+
+/** Filter, search and sort a list of proposals; `now` is a UNIX timestamp in seconds. */
+export function applyFilters(list, { status, q, sort }, now) {
+  const compare = sort === 'ending' ? comparators.ending(now) : comparators[sort] || comparators.newest
+  return list.filter((p) => matchesStatus(p, status, now) && matchesQuery(p, q)).sort(compare)
+}
+
+function readParams() {
+  const params = new URLSearchParams(window.location.search)
+  const status = params.get('status')
+  const sort = params.get('sort')
+  const page = Number(params.get('page'))
+  return {
+    status: STATUS_FILTERS.some((f) => f.value === status) ? status : DEFAULTS.status,
+    q: params.get('q') || DEFAULTS.q,
+    sort: SORT_OPTIONS.some((o) => o.value === sort) ? sort : DEFAULTS.sort,
+    page: Number.isInteger(page) && page > 0 ? page : DEFAULTS.page,
+  }
+}
+
+function writeParams(filters) {
+  const params = new URLSearchParams(window.location.search)
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === DEFAULTS[key] || value === '') params.delete(key)
+    else params.set(key, String(value))
+  })
+  const search = params.toString()
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`)
+}
+
+/**
+ * Filter state mirrored into the query string (`?status=&q=&sort=&page=`) so a filtered
+ * view can be bookmarked or shared. Changing any filter other than `page` resets to page 1.
+ */
+export function useProposalFilters() {
+  const [filters, setFilters] = useState(readParams)
+
+  useEffect(() => {
+    const onPop = () => setFilters(readParams())
+    window.addEventListener('popstate', onPop)
+    return () => window.removeEventListener('popstate', onPop)
+  }, [])
+
+  const update = useCallback((patch) => {
+    setFilters((prev) => {
+      const next = { ...prev, ...patch, page: 'page' in patch ? patch.page : 1 }
+      writeParams(next)
+      return next
+    })
+  }, [])
+
+  return [filters, update]
+}
@@ -0,0 +1,475 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react'
+import { publicClient, contract } from './contract'
+import { CHAIN } from './chain'
+import { createEventHistory } from './eventHistory'
+import { zeroAddress } from 'viem'
+import { KIND_BINARY, KIND_MULTIPLE_CHOICE, NO_WINNER, WEIGHTING_ONE_PER_ADDRESS, countVote, outcomeOf } from './outcome'
+
+// Events kept in the feed on first load; older pages are fetched on demand
+export const EVENT_PAGE_SIZE = 50
+
+// Proposals per `getProposalsRange` call while hydrating
+const HYDRATE_PAGE_SIZE = 100
+
+/**
+ * Overlay our own unconfirmed votes and close on top of the onchain proposal. The close
+ * outcome mirrors `closeProposal` (see `outcomeOf`).
+ */
+export function applyPending(proposal, pending) {
+  if (!proposal || !pending) return proposal
+  let next = { ...proposal, pending }
+  Object.values(pending.votes).forEach(({ choice, weight, replaces, retract }) => {
+    // Changing or retracting our vote, or voting over a ballot a delegate cast for us, takes that ballot back out
+    if (replaces) next = { ...next, ...countVote(next, replaces.choice, -replaces.weight) }
+    if (!retract) next = { ...next, ...countVote(next, choice, weight) }
+  })
+  if (pending.closing && next.active) {
+    const { approved, winningOption } = outcomeOf(next)
+    next = { ...next, active: false, approved, winningOption }
+  }
+  return next
+}
+
+// One multicall when the chain has Multicall3, otherwise parallel single reads
+async function readMany(calls, blockNumber) {
+  if (calls.length === 0) return []
+  if (CHAIN.contracts?.multicall3) {
+    return publicClient.multicall({ contracts: calls, allowFailure: false, blockNumber })
+  }
+  return Promise.all(calls.map((c) => publicClient.readContract({ ...c, blockNumber })))
+}
+
+/**
+ * Client-side mirror of the contract state.
+ *
+ * Proposals are hydrated in a single batch of `getProposalsRange` pages at a pinned block,
+ * then kept current by applying contract events from the shared event history, so
+ * components never poll.
+ */
+function createProposalStore() {
+  const history = createEventHistory(contract.address)
+  let state = {
+    proposals: {}, // id -> proposal
+    count: 0,
+    ready: false,
+    error: null,
+    voted: {}, // lowercased address -> { [id]: { choice, weight, by } }, `by` being the voter or its delegate (lowercased)
+    pending: {}, // id -> { votes: { [lowercased address]: { choice, weight, replaces } }, closing } awaiting a receipt
+    rollbacks: {}, // id -> why an optimistic change was undone
+  }
+  let syncedBlock = null // block the hydrated snapshot was read at
+  const readAt = {} // id -> block a later `refresh` re-read that proposal at
+  let pending = [] // events received before hydration finished
+  let started = false
+  const listeners = new Set()
+  const trackedAccounts = new Set()
+
+  const setState = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach((l) => l())
+  }
+
+  const patchProposal = (id, patch) => {
+    const current = state.proposals[id]
+    if (!current) return
+    setState({ proposals: { ...state.proposals, [id]: { ...current, ...patch } } })
+  }
+
+  const markVoted = (account, id, { choice, weight, by }) => {
+    const key = account.toLowerCase()
+    if (!trackedAccounts.has(key)) return
+    const receipt = { choice: Number(choice), weight, by: by.toLowerCase() }
+    setState({ voted: { ...state.voted, [key]: { ...state.voted[key], [id]: receipt } } })
+  }
+
+  const unmarkVoted = (account, id) => {
+    const key = account.toLowerCase()
+    if (state.voted[key]?.[id] === undefined) return
+    const { [id]: _, ...rest } = state.voted[key]
+    setState({ voted: { ...state.voted, [key]: rest } })
+  }
+
+  const setPending = (id, update) => {
+    const current = state.pending[id] || { votes: {}, closing: false }
+    const next = update(current)
+    const pending = { ...state.pending }
+    if (Object.keys(next.votes).length === 0 && !next.closing) delete pending[id]
+    else pending[id] = next
+    setState({ pending })
+  }
+
+  const dropPendingVote = (id, account) => {
+    const key = account.toLowerCase()
+    if (state.pending[id]?.votes[key] === undefined) return
+    setPending(id, (p) => {
+      const { [key]: _, ...votes } = p.votes
+      return { ...p, votes }
+    })
+  }
+
+  const dropPendingClose = (id) => {
+    if (state.pending[id]?.closing) setPending(id, (p) => ({ ...p, closing: false }))
+  }
+
+  async function refreshProposals(ids) {
+    // Uncached, so a re-read right after our own receipt includes that block
+    const blockNumber = await publicClient.getBlockNumber({ cacheTime: 0 })
+    // A one-proposal range returns the whole struct, options included
+    // Ballots of tracked accounts too: events up to this block are skipped for these proposals,
+    // including votes a delegate cast for them
+    const accounts = [...trackedAccounts]
+    const results = await readMany(
+      [
+        ...ids.map((id) => ({ ...contract, functionName: 'getProposalsRange', args: [BigInt(id), BigInt(id + 1)] })),
+        ...accounts.flatMap((account) => ids.map((id) => ({ ...contract, functionName: 'receipts', args: [BigInt(id), account] }))),
+      ],
+      blockNumber
+    )
+    const proposals = { ...state.proposals }
+    ids.forEach((id, i) => {
+      proposals[id] = { id, ...results[i][0] }
+      readAt[id] = blockNumber
+    })
+    const voted = { ...state.voted }
+    accounts.forEach((account, a) => {
+      ids.forEach((id, i) => {
+        const [choice, weight, castBy] = results[ids.length * (a + 1) + i]
+        const { [id]: _, ...rest } = voted[account] ?? {}
+        voted[account] = castBy === zeroAddress ? rest : { ...rest, [id]: { choice, weight, by: castBy.toLowerCase() } }
+      })
+    })
+    const count = Math.max(state.count, ...ids.map((id) => id + 1))
+    setState({ proposals, voted, count })
+  }
+
+  function applyEvent(event) {
+    const { eventName, args } = event
+    const id = args.proposalId !== undefined ? Number(args.proposalId) : null
+    switch (eventName) {
+      case 'ProposalCreated':
+        if (!state.proposals[id]) {
+          setState({
+            proposals: {
+              ...state.proposals,
+              [id]: {
+                id,
+                description: args.description,
+                yesVotes: 0n,
+                noVotes: 0n,
+                active: true,
+                endTime: args.endTime,
+                approved: false,
+                proposer: args.proposer,
+                quorum: args.quorum,
+                thresholdBps: args.thresholdBps,
+                kind: args.options.length > 0 ? KIND_MULTIPLE_CHOICE : KIND_BINARY,
+                abstainVotes: 0n,
+                options: args.options,
+                optionVotes: args.options.map(() => 0n),
+                winningOption: NO_WINNER,
+                // Weighted proposals are followed by a `ProposalWeighted` event in the same transaction
+                weighting: WEIGHTING_ONE_PER_ADDRESS,
+                token: zeroAddress,
+                snapshotBlock: 0n,
+                cancelled: false,
+              },
+            },
+            count: Math.max(state.count, id + 1),
+          })
+        }
+        break
+      case 'VoteCast': {
+        // The onchain tally now includes this vote; stop overlaying it
+        dropPendingVote(id, args.voter)
+        markVoted(args.voter, id, { choice: args.choice, weight: args.weight, by: args.voter })
+        const current = state.proposals[id]
+        if (current) {
+          patchProposal(id, countVote(current, args.choice, args.weight))
+        }
+        break
+      }
+      case 'DelegatedVoteCast': {
+        markVoted(args.delegator, id, { choice: args.choice, weight: args.weight, by: args.delegate })
+        const current = state.proposals[id]
+        if (current) {
+          patchProposal(id, countVote(current, args.choice, args.weight))
+        }
+        break
+      }
+      case 'DelegatedVoteOverridden': {
+        // The delegator's own VoteCast follows in the same transaction
+        const current = state.proposals[id]
+        if (current) {
+          patchProposal(id, countVote(current, args.choice, -args.weight))
+        }
+        break
+      }
+      case 'VoteChanged': {
+        dropPendingVote(id, args.voter)
+        // Delegated ballots follow their delegate's change and stay cast by it
+        const by = state.voted[args.voter.toLowerCase()]?.[id]?.by ?? args.voter
+        markVoted(args.voter, id, { choice: args.toChoice, weight: args.weight, by })
+        const current = state.proposals[id]
+        if (current) {
+          const moved = { ...current, ...countVote(current, args.fromChoice, -args.weight) }
+          patchProposal(id, { ...countVote(current, args.fromChoice, -args.weight), ...countVote(moved, args.toChoice, args.weight) })
+        }
+        break
+      }
+      case 'VoteRetracted': {
+        dropPendingVote(id, args.voter)
+        unmarkVoted(args.voter, id)
+        const current = state.proposals[id]
+        if (current) {
+          patchProposal(id, countVote(current, args.choice, -args.weight))
+        }
+        break
+      }
+      case 'ProposalWeighted':
+        patchProposal(id, { weighting: args.weighting, token: args.token, snapshotBlock: args.snapshotBlock })
+        break
+      case 'ProposalCancelled':
+        patchProposal(id, { active: false, cancelled: true })
+        break
+      case 'ProposalClosed':
+        dropPendingClose(id)
+        patchProposal(id, { active: false, approved: args.approved, winningOption: args.winningOption })
+        break
+      default:
+        break
+    }
+  }
+
+  function onEvents(events) {
+    if (syncedBlock === null) {
+      pending.push(...events)
+      return
+    }
+    // History delivers newest-first; apply oldest-first and skip what a snapshot or re-read already covers
+    const readBlock = (e) => {
+      const id = e.args.proposalId !== undefined ? Number(e.args.proposalId) : null
+      return id !== null && readAt[id] > syncedBlock ? readAt[id] : syncedBlock
+    }
+    events
+      .filter((e) => e.blockNumber > readBlock(e))
+      .sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber < b.blockNumber ? -1 : 1))
+      .forEach(applyEvent)
+  }
+
+  async function hydrate() {
+    const blockNumber = await publicClient.getBlockNumber()
+    const count = Number(await publicClient.readContract({ ...contract, functionName: 'getProposalCount', blockNumber }))
+    const starts = Array.from({ length: Math.ceil(count / HYDRATE_PAGE_SIZE) }, (_, i) => i * HYDRATE_PAGE_SIZE)
+    const pages = await readMany(
+      starts.map((start) => ({
+        ...contract,
+        functionName: 'getProposalsRange',
+        args: [BigInt(start), BigInt(start + HYDRATE_PAGE_SIZE)],
+      })),
+      blockNumber
+    )
+    const proposals = {}
+    pages.forEach((page, p) => {
+      page.forEach((item, i) => {
+        const id = starts[p] + i
+        proposals[id] = { id, ...item }
+      })
+    })
+    syncedBlock = blockNumber
+    setState({ proposals, count, ready: true, error: null })
+    const buffered = pending
+    pending = []
+    onEvents(buffered)
+  }
+
+  function start() {
+    if (started) return
+    started = true
+    if (!contract.address) {
+      setState({ ready: true })
+      return
+    }
+    history.onEvents(onEvents)
+    history.start(EVENT_PAGE_SIZE).catch((err) => console.error(err))
+    hydrate().catch((err) => {
+      console.error(err)
+      setState({ error: err, ready: true })
+    })
+  }
+
+  /**
+   * Load the account's ballot on every proposal once; vote events keep it current. A failed read
+   * forgets the account again, so the next call retries it.
+   */
+  async function trackAccount(account) {
+    const key = account.toLowerCase()
+    if (trackedAccounts.has(key)) return
+    trackedAccounts.add(key)
+    const ids = Object.keys(state.proposals).map(Number)
+    let results
+    try {
+      const blockNumber = await publicClient.getBlockNumber()
+      results = await readMany(ids.map((id) => ({ ...contract, functionName: 'receipts', args: [BigInt(id), account] })), blockNumber)
+    } catch (err) {
+      trackedAccounts.delete(key)
+      throw err
+    }
+    const voted = { ...state.voted[key] }
+    ids.forEach((id, i) => {
+      const [choice, weight, castBy] = results[i]
+      if (castBy !== zeroAddress) voted[id] = { choice, weight, by: castBy.toLowerCase() }
+    })
+    setState({ voted: { ...state.voted, [key]: voted } })
+  }
+
+  /**
+   * Show a vote or close immediately while its transaction is in flight. `run` resolves once
+   * the transaction is confirmed (then the proposal is re-read) or throws, which undoes the
+   * change and records the reason for the UI. A vote that changes or retracts (`retract`) an
+   * earlier ballot passes that ballot as `replaces`.
+   */
+  async function optimistic(id, change, run) {
+    const { [id]: _, ...rollbacks } = state.rollbacks
+    setState({ rollbacks })
+    if (change.type === 'vote') {
+      const vote = { choice: change.choice, weight: change.weight ?? 1n, replaces: change.replaces, retract: change.retract }
+      setPending(id, (p) => ({ ...p, votes: { ...p.votes, [change.account.toLowerCase()]: vote } }))
+    } else {
+      setPending(id, (p) => ({ ...p, closing: true }))
+    }
+    try {
+      const result = await run()
+      if (change.type === 'vote' && change.retract) unmarkVoted(change.account, id)
+      else if (change.type === 'vote') markVoted(change.account, id, { choice: change.choice, weight: change.weight ?? 1n, by: change.account })
+      await refreshProposals([id])
+      return result
+    } catch (err) {
+      const what = change.type !== 'vote' ? 'Closing this proposal' : change.retract ? 'Withdrawing your vote' : `Your "${change.label}" vote`
+      setState({ rollbacks: { ...state.rollbacks, [id]: `${what} did not go through: ${err.message}` } })
+      throw err
+    } finally {
+      if (change.type === 'vote') dropPendingVote(id, change.account)
+      else dropPendingClose(id)
+    }
+  }
+
+  /** Like a close through `optimistic`, for several proposals closed by one transaction (`closeProposals`). */
+  async function optimisticClose(ids, run) {
+    const rollbacks = { ...state.rollbacks }
+    ids.forEach((id) => delete rollbacks[id])
+    setState({ rollbacks })
+    ids.forEach((id) => setPending(id, (p) => ({ ...p, closing: true })))
+    try {
+      const result = await run()
+      await refreshProposals(ids)
+      return result
+    } catch (err) {
+      const failed = Object.fromEntries(ids.map((id) => [id, `Closing this proposal did not go through: ${err.message}`]))
+      setState({ rollbacks: { ...state.rollbacks, ...failed } })
+      throw err
+    } finally {
+      ids.forEach(dropPendingClose)
+    }
+  }
+
+  return {
+    history,
+    start,
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    trackAccount,
+    /** Re-read proposals right away, e.g. after our own transaction was mined. */
+    refresh: (ids) => refreshProposals(ids),
+    optimistic,
+    optimisticClose,
+    dismissRollback: (id) => {
+      const { [id]: _, ...rollbacks } = state.rollbacks
+      setState({ rollbacks })
+    },
+  }
+}
+
+export const proposalStore = createProposalStore()
+
+function useStoreState() {
+  useEffect(() => proposalStore.start(), [])
+  return useSyncExternalStore(proposalStore.subscribe, proposalStore.getState)
+}
+
+/** All proposals, newest first, with our unconfirmed votes/closes kept apart in `pending`. */
+export function useProposals() {
+  const state = useStoreState()
+  const ids = Array.from({ length: state.count }, (_, i) => state.count - 1 - i)
+  return { ids, proposals: state.proposals, pending: state.pending, ready: state.ready, error: state.error }
+}
+
+/** One proposal, including our own unconfirmed votes/close (flagged by `pending`). */
+export function useProposal(id) {
+  const state = useStoreState()
+  const proposal = state.proposals[id]
+  const pending = state.pending[id]
+  return useMemo(() => applyPending(proposal, pending), [proposal, pending])
+}
+
+/** The choice `account` has a vote pending for on this (merged) proposal, or undefined. */
+export function pendingChoice(proposal, account) {
+  return account ? proposal?.pending?.votes[account.toLowerCase()]?.choice : undefined
+}
+
+/** Whether `account` is withdrawing its vote on this (merged) proposal. */
+export function pendingRetract(proposal, account) {
+  return account ? Boolean(proposal?.pending?.votes[account.toLowerCase()]?.retract) : false
+}
+
+/** Why our last optimistic change to this proposal was rolled back, if it was. */
+export function useRollback(id) {
+  return useStoreState().rollbacks[id]
+}
+
+function useReceipts(account) {
+  const state = useStoreState()
+  const ready = state.ready
+  // Runs on every store update, so a failed load is retried; once loaded it returns straight away
+  useEffect(() => {
+    if (account && ready) proposalStore.trackAccount(account).catch((err) => console.error(err))
+  }, [account, ready, state])
+  return { state, key: account?.toLowerCase() }
+}
+
+/**
+ * Whether `account` voted on the proposal itself (or has a vote, change or retraction pending).
+ * A ballot its delegate cast for it does not count: the account can still vote over it.
+ */
+export function useHasVoted(id, account) {
+  const { state, key } = useReceipts(account)
+  if (!key) return false
+  const receipt = state.voted[key]?.[id]
+  return receipt?.by === key || state.pending[id]?.votes[key] !== undefined
+}
+
+/** `account`'s recorded ballot on the proposal, `{ choice, weight, by }`, or undefined. */
+export function useVoteReceipt(id, account) {
+  const { state, key } = useReceipts(account)
+  return key ? state.voted[key]?.[id] : undefined
+}
+
+/** `account`'s recorded ballots by proposal id, including ones its delegate cast for it. */
+export function useVotedOn(account) {
+  const { state, key } = useReceipts(account)
+  return key ? state.voted[key] : undefined
+}
+
+/** Decoded contract events (newest first) plus paging controls for older history. */
+export function useContractEvents() {
+  useEffect(() => proposalStore.start(), [])
+  const { history } = proposalStore
+  const state = useSyncExternalStore(history.subscribe, history.getState)
+  return {
+    ...state,
+    complete: history.isComplete(),
+    loadOlder: history.loadOlder,
+  }
+}
@@ -0,0 +1,18 @@
+import { serializeBallot } from './ballot'
+import { DEMO_MODE } from './chain'
+
+// Base URL of scripts/relayer.js; gasless voting is hidden when unset, and in demo mode,
+// where there is no network for a relayer to broadcast to
+export const RELAYER_URL = DEMO_MODE ? undefined : import.meta.env.VITE_RELAYER_URL
+
+/** Send a signed ballot to the relayer; resolves with the transaction hash it broadcast. */
+export async function submitBallot(ballot) {
+  const res = await fetch(`${RELAYER_URL.replace(/\/$/, '')}/ballots`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: serializeBallot(ballot),
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Relayer responded with ${res.status}`)
+  return body.hash
+}
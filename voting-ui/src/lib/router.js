@@ -0,0 +1,43 @@
+import { useSyncExternalStore } from 'react'
+
+// Minimal History API router: `/` is the proposal list, `/proposal/:id` a single proposal,
+// `/activity` the connected account's dashboard
+const listeners = new Set()
+
+const notify = () => listeners.forEach((l) => l())
+
+if (typeof window !== 'undefined') window.addEventListener('popstate', notify)
+
+function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function proposalPath(id) {
+  return `/proposal/${id}`
+}
+
+export function matchRoute(pathname) {
+  const match = /^\/proposal\/(\d+)\/?$/.exec(pathname)
+  if (match) return { name: 'proposal', id: Number(match[1]) }
+  if (/^\/activity\/?$/.test(pathname)) return { name: 'activity' }
+  return { name: 'home' }
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (replace) window.history.replaceState(window.history.state, '', to)
+  else window.history.pushState({ fromApp: true }, '', to)
+  window.scrollTo(0, 0)
+  notify()
+}
+
+/** Go back to the previous page if it was ours (keeps list filters), otherwise to the list. */
+export function navigateBack() {
+  if (window.history.state?.fromApp) window.history.back()
+  else navigate('/')
+}
+
+export function useRoute() {
+  const pathname = useSyncExternalStore(subscribe, () => window.location.pathname)
+  return matchRoute(pathname)
+}
@@ -0,0 +1,131 @@
+import { useSyncExternalStore } from 'react'
+import { custom, fallback, http, shouldThrow, webSocket } from 'viem'
+
+// Retries go round the whole endpoint list, waiting 500 ms, 1 s, 2 s between rounds; a
+// failing or rate-limited endpoint is skipped for the next one straight away
+const RETRY_COUNT = 3
+const RETRY_DELAY = 500
+
+// Weight of the newest sample in the moving average latency
+const LATENCY_SMOOTHING = 0.3
+
+// Slow by design and not a sign of a slow endpoint
+const UNTIMED_METHODS = ['eth_getLogs']
+
+export const DEMO_ENDPOINT = 'in-page demo chain'
+
+/**
+ * The demo mode node (see demoChain.js), loaded on first use so that it and the contract port
+ * behind it stay out of regular builds and the Node scripts.
+ */
+export function loadDemoChain() {
+  return import('./demoChain.js').then((m) => m.demoChain())
+}
+
+// Whether the endpoint failed, as opposed to answering with an error that is the same
+// everywhere (a revert, a rejected signature); the same test `fallback` uses to move on
+const isEndpointFailure = (err) => !shouldThrow(err)
+
+/**
+ * How each RPC endpoint is doing, from the requests the app makes anyway (no extra probes):
+ * per endpoint whether its last request got through, its average latency and last error,
+ * plus `active`, the endpoint that answered last.
+ */
+function createRpcHealth() {
+  let state = { active: null, endpoints: {} } // url -> { ok, latency, error, at }
+  const listeners = new Set()
+
+  const update = (url, patch) => {
+    const previous = state.endpoints[url] ?? { latency: null }
+    state = { ...state, endpoints: { ...state.endpoints, [url]: { ...previous, ...patch, at: Date.now() } } }
+    listeners.forEach((l) => l())
+  }
+
+  return {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    success(url, method, ms) {
+      let latency = state.endpoints[url]?.latency ?? null
+      if (!UNTIMED_METHODS.includes(method)) latency = latency === null ? ms : latency + (ms - latency) * LATENCY_SMOOTHING
+      state = { ...state, active: url }
+      update(url, { ok: true, error: null, latency })
+    },
+    failure(url, err) {
+      update(url, { ok: false, error: err.shortMessage || err.message })
+    },
+  }
+}
+
+export const rpcHealth = createRpcHealth()
+
+// Reports every request through `transport` to `rpcHealth` under `url`
+function tracked(transport, url) {
+  return (options) => {
+    const instance = transport(options)
+    return {
+      ...instance,
+      async request(args, requestOptions) {
+        const started = performance.now()
+        try {
+          const result = await instance.request(args, requestOptions)
+          rpcHealth.success(url, args.method, performance.now() - started)
+          return result
+        } catch (err) {
+          if (isEndpointFailure(err)) rpcHealth.failure(url, err)
+          else rpcHealth.success(url, args.method, performance.now() - started)
+          throw err
+        }
+      },
+    }
+  }
+}
+
+/** Endpoints of a deployment in the order they are tried: the WebSocket, if any, then the HTTP list. */
+export function endpointsOf({ rpcUrls = [], wsUrl, demo }) {
+  if (demo) return [DEMO_ENDPOINT]
+  return wsUrl ? [wsUrl, ...rpcUrls] : rpcUrls
+}
+
+function build(entry) {
+  if (entry.demo) return tracked(custom({ request: async (args) => (await loadDemoChain()).request(args) }), DEMO_ENDPOINT)
+  return fallback(
+    endpointsOf(entry).map((url) => tracked(url.startsWith('ws') ? webSocket(url) : http(url), url)),
+    { retryCount: RETRY_COUNT, retryDelay: RETRY_DELAY }
+  )
+}
+
+const transports = new Map() // chain id -> transport
+
+/**
+ * The one transport for a deployment (see chain.js), shared by Wagmi and the app's public
+ * client: a WebSocket first when configured, so blocks and events arrive by subscription,
+ * then the HTTP endpoints in order. A request that cannot reach one endpoint moves on to
+ * the next; when all fail it is retried with backoff.
+ */
+export function transportFor(entry) {
+  if (!transports.has(entry.chain.id)) transports.set(entry.chain.id, build(entry))
+  return transports.get(entry.chain.id)
+}
+
+/** Whether `client` gets new blocks and logs pushed over a subscription rather than polling for them. */
+export function isSubscribed(client) {
+  const { transport } = client
+  if (transport.type === 'fallback') return transport.transports[0]?.config.type === 'webSocket'
+  return transport.type === 'webSocket'
+}
+
+/** Host of an endpoint, for display; paths and query strings often carry API keys. */
+export function endpointLabel(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return url
+  }
+}
+
+export function useRpcHealth() {
+  return useSyncExternalStore(rpcHealth.subscribe, rpcHealth.getState)
+}
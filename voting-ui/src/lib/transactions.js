@@ -0,0 +1,235 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react'
+import { useAccount, useWriteContract } from 'wagmi'
+import { BaseError, ContractFunctionRevertedError } from 'viem'
+import { contract, publicClient } from './contract'
+import { CHAIN } from './chain'
+
+const STORAGE_KEY = `voting:txs:${CHAIN.id}:${contract.address}`
+
+// Entries kept in the activity tray (and localStorage)
+const MAX_ENTRIES = 25
+
+// How long a settled transaction stays up as a toast
+export const TOAST_MS = 6000
+
+// Contract `require` messages, worded for people
+export const REVERT_MESSAGES = {
+  'Not authorized': 'Only the contract owner can do this.',
+  'Not an approved proposer': 'Your address is not on the proposer allowlist.',
+  'Duration must be > 0': 'The voting duration must be longer than zero.',
+  'Invalid threshold': 'The approval threshold must be at least 50% and below 100%.',
+  'Invalid options': 'A multiple-choice proposal needs between 2 and 10 options, each with a label.',
+  'Invalid choice': 'That is not one of this proposal\'s choices.',
+  'Not a yes/no proposal': 'This proposal has options; pick one of them instead of yes or no.',
+  'Invalid token': 'The voting token must be a deployed contract.',
+  'No voting power': 'Your address held none of this proposal\'s voting token at its snapshot block.',
+  'Proposal does not exist': 'This proposal does not exist.',
+  'Proposal is not active': 'This proposal has already been closed or cancelled.',
+  'Already voted': 'You have already voted on this proposal.',
+  'Proposal has ended': 'Voting on this proposal has ended.',
+  'Proposal has not ended': 'Voting is still open; the proposal can be closed once its deadline has passed.',
+  'Not voted': 'You have not voted on this proposal yourself, so there is no vote to change or withdraw.',
+  'Same choice': 'That is already your vote.',
+  'Paused': 'Proposal creation and voting are paused by the contract owner.',
+  'Not paused': 'The contract is not paused.',
+  'Not proposer or owner': 'Only the proposal\'s proposer or the contract owner can cancel it.',
+  'Invalid delegate': 'Pick an address other than your own to delegate to.',
+  'Not delegated': 'You are not delegating your vote there.',
+  'Too many delegators': 'That delegate already carries the maximum number of delegators.',
+  'Delegator blocked': 'That delegate has removed you from its delegators and does not accept your delegation.',
+  'Not blocked': 'That address is not blocked from delegating to you.',
+  'Signature expired': 'The signed ballot expired before it was submitted. Please sign again.',
+  'Invalid signature': 'The ballot signature does not match the voter.',
+}
+
+export class TransactionError extends Error {}
+
+/** Turn a wallet, RPC, relayer or revert error into a sentence for the UI. */
+export function describeError(err) {
+  if (err instanceof TransactionError) return err.message
+  if (err instanceof BaseError) {
+    const rejected = err.walk((e) => e?.code === 4001 || e?.name === 'UserRejectedRequestError')
+    if (rejected) return 'You rejected the request in your wallet.'
+    const mismatch = err.walk((e) => e?.name === 'ConnectorChainMismatchError' || e?.name === 'ChainMismatchError')
+    if (mismatch) return `Switch your wallet to ${CHAIN.name} and try again.`
+    const revert = err.walk((e) => e instanceof ContractFunctionRevertedError)
+    if (revert?.reason) return REVERT_MESSAGES[revert.reason] || revert.reason
+    return err.shortMessage
+  }
+  // The relayer passes the contract's revert string through as-is
+  return REVERT_MESSAGES[err?.message] || err?.message || 'Something went wrong.'
+}
+
+// Replay a mined-but-reverted transaction to recover its revert string
+async function revertReasonOf(receipt) {
+  try {
+    const tx = await publicClient.getTransaction({ hash: receipt.transactionHash })
+    await publicClient.call({ account: tx.from, to: tx.to, data: tx.input, value: tx.value, blockNumber: receipt.blockNumber })
+  } catch (err) {
+    return describeError(err)
+  }
+  return 'The transaction reverted onchain.'
+}
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Every write the app sends, newest first: label, status
+ * (simulating → signing → pending → confirmed | failed | dropped), hash and a readable error.
+ * Persisted to localStorage so pending transactions are picked up again after a reload.
+ */
+function createTransactionStore() {
+  let state = { txs: [] }
+  let started = false
+  let nextId = Date.now()
+  const listeners = new Set()
+  const tracked = new Set()
+
+  const setState = (patch) => {
+    state = { ...state, ...patch }
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state.txs))
+    } catch {}
+    listeners.forEach((l) => l())
+  }
+
+  const update = (id, patch) => {
+    setState({ txs: state.txs.map((tx) => (tx.id === id ? { ...tx, ...patch, updatedAt: Date.now() } : tx)) })
+  }
+
+  const add = (entry) => {
+    const now = Date.now()
+    const tx = { id: String(nextId++), createdAt: now, updatedAt: now, ...entry }
+    setState({ txs: [tx, ...state.txs].slice(0, MAX_ENTRIES) })
+    return tx.id
+  }
+
+  const get = (id) => state.txs.find((tx) => tx.id === id)
+
+  /** Wait for a broadcast transaction, following speed-ups and replacements made in the wallet. */
+  async function track(id) {
+    if (tracked.has(id)) return
+    tracked.add(id)
+    try {
+      const receipt = await publicClient.waitForTransactionReceipt({
+        hash: get(id).hash,
+        onReplaced: ({ reason, transaction }) => {
+          update(id, { hash: transaction.hash, replacedHash: get(id).hash, replaced: reason })
+        },
+      })
+      if (get(id)?.replaced === 'cancelled') {
+        update(id, { status: 'failed', error: 'The transaction was cancelled from your wallet.' })
+        throw new TransactionError(get(id).error)
+      }
+      if (receipt.status === 'success') {
+        update(id, { status: 'confirmed', blockNumber: Number(receipt.blockNumber) })
+        return receipt
+      }
+      update(id, { status: 'failed', error: await revertReasonOf(receipt), blockNumber: Number(receipt.blockNumber) })
+      throw new TransactionError(get(id).error)
+    } catch (err) {
+      if (err instanceof TransactionError) throw err
+      update(id, { status: 'dropped', error: 'No receipt yet; the transaction may have been dropped by the network.' })
+      throw new TransactionError(get(id).error)
+    } finally {
+      tracked.delete(id)
+    }
+  }
+
+  const fail = (id, err) => {
+    const error = describeError(err)
+    update(id, { status: 'failed', error })
+    return new TransactionError(error)
+  }
+
+  /**
+   * Simulate a contract write, then ask the wallet to sign it and follow it to a receipt.
+   * A call that would revert fails here with the decoded reason, before the wallet prompt.
+   */
+  async function send({ label, account, functionName, args, write }) {
+    const id = add({ label, account, status: 'simulating' })
+    let request
+    try {
+      ;({ request } = await publicClient.simulateContract({ ...contract, account, functionName, args }))
+      update(id, { status: 'signing' })
+      update(id, { status: 'pending', hash: await write(request) })
+    } catch (err) {
+      throw fail(id, err)
+    }
+    return track(id)
+  }
+
+  /** Follow a transaction someone else broadcasts for us, e.g. a relayed gasless vote. */
+  async function relay({ label, account, submit }) {
+    const id = add({ label, account, status: 'signing' })
+    try {
+      update(id, { status: 'pending', hash: await submit() })
+    } catch (err) {
+      throw fail(id, err)
+    }
+    return track(id)
+  }
+
+  function start() {
+    if (started) return
+    started = true
+    state = { txs: load() }
+    state.txs.forEach((tx) => {
+      if (tx.status === 'pending' && tx.hash) {
+        track(tx.id).catch(() => {})
+      } else if (tx.status === 'simulating' || tx.status === 'signing') {
+        // The page went away before the wallet handed back a hash; we cannot follow it
+        update(tx.id, { status: 'dropped', error: 'The page was reloaded before the wallet returned a transaction.' })
+      }
+    })
+    listeners.forEach((l) => l())
+  }
+
+  return {
+    start,
+    send,
+    relay,
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    dismiss: (id) => update(id, { dismissed: true }),
+    clear: () => setState({ txs: state.txs.filter((tx) => tx.status === 'pending' || tx.status === 'signing' || tx.status === 'simulating') }),
+  }
+}
+
+export const transactionStore = createTransactionStore()
+
+export function useTransactions() {
+  useEffect(() => transactionStore.start(), [])
+  return useSyncExternalStore(transactionStore.subscribe, transactionStore.getState).txs
+}
+
+/**
+ * `send` simulates and writes through the connected wallet; `relay` follows a hash returned
+ * by a relayer. Both resolve with the receipt or throw a `TransactionError` with readable text.
+ */
+export function useTransact() {
+  const { address } = useAccount()
+  const { writeContractAsync } = useWriteContract()
+
+  useEffect(() => transactionStore.start(), [])
+
+  const send = useCallback(
+    ({ label, functionName, args }) =>
+      transactionStore.send({ label, account: address, functionName, args, write: (request) => writeContractAsync(request) }),
+    [address, writeContractAsync]
+  )
+  const relay = useCallback(
+    ({ label, submit }) => transactionStore.relay({ label, account: address, submit }),
+    [address]
+  )
+  return { send, relay }
+}
@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useState } from 'react'
+import { BaseError, ContractFunctionRevertedError, ContractFunctionZeroDataError, formatUnits } from 'viem'
+import { contract, publicClient } from './contract'
+import { tokenAbi } from '../abi/tokenAbi'
+import { WEIGHTING_TOKEN_BALANCE, isWeighted } from './outcome'
+
+// Holdings are read at each proposal's snapshot block and never change, so reads are kept for the page's lifetime
+const powers = new Map() // `${id}:${account}` -> Promise<bigint>
+const tokens = new Map() // token address -> Promise<{ symbol, decimals }>
+
+function cached(map, key, load) {
+  if (!map.has(key)) {
+    map.set(key, load().catch((err) => {
+      map.delete(key)
+      throw err
+    }))
+  }
+  return map.get(key)
+}
+
+/** How much `account`'s vote counts on `proposal`: 1 unless the proposal is weighted. */
+export function votingPowerOf(proposal, account) {
+  if (!isWeighted(proposal)) return Promise.resolve(1n)
+  return cached(powers, `${proposal.id}:${account.toLowerCase()}`, () =>
+    publicClient.readContract({ ...contract, functionName: 'getVotingPower', args: [BigInt(proposal.id), account] })
+  )
+}
+
+// The call reverted or returned nothing: the contract lacks the function. Anything else (a timeout,
+// a rate limit) is thrown, so the cache entry is dropped and the next read tries again
+const lacksFunction = (err) =>
+  err instanceof BaseError && Boolean(err.walk((e) => e instanceof ContractFunctionRevertedError || e instanceof ContractFunctionZeroDataError))
+
+function readOptional(read, missing) {
+  return read.catch((err) => {
+    if (lacksFunction(err)) return missing
+    throw err
+  })
+}
+
+/**
+ * Symbol and decimals of a voting token. `decimals` is null when the token does not answer it,
+ * as with ERC-721 tokens or an address that is not a token at all.
+ */
+export function tokenInfoOf(address) {
+  return cached(tokens, address.toLowerCase(), async () => {
+    const read = (functionName) => publicClient.readContract({ address, abi: tokenAbi, functionName })
+    const [symbol, decimals] = await Promise.all([readOptional(read('symbol'), ''), readOptional(read('decimals'), null)])
+    return { symbol, decimals: decimals === null ? null : Number(decimals) }
+  })
+}
+
+// Runs `load` again whenever its identity changes, so callers memoize it on what it reads; `retry`
+// runs it once more after an error
+function useAsync(load) {
+  const [result, setResult] = useState({ value: undefined, error: null })
+  const [attempt, setAttempt] = useState(0)
+  const retry = useCallback(() => setAttempt((n) => n + 1), [])
+  useEffect(() => {
+    let cancelled = false
+    setResult({ value: undefined, error: null })
+    const promise = load()
+    if (!promise) return
+    promise
+      .then((value) => !cancelled && setResult({ value, error: null }))
+      .catch((error) => !cancelled && setResult({ value: undefined, error }))
+    return () => { cancelled = true }
+  }, [load, attempt])
+  return { ...result, retry }
+}
+
+/** `account`'s voting power on `proposal` (undefined while loading or without an account). */
+export function useVotingPower(proposal, account) {
+  // Only these fields matter; the proposal object itself changes with every tally update
+  const id = proposal?.id
+  const weighting = proposal?.weighting
+  const load = useCallback(
+    () => (id !== undefined && account ? votingPowerOf({ id, weighting }, account) : null),
+    [id, weighting, account]
+  )
+  return useAsync(load).value
+}
+
+/** `{ value, error, retry }` for the token's info; `value` is undefined while loading or after an error. */
+export function useTokenInfoResult(address) {
+  const load = useCallback(() => (address ? tokenInfoOf(address) : null), [address])
+  return useAsync(load)
+}
+
+export function useTokenInfo(address) {
+  return useTokenInfoResult(address).value
+}
+
+/**
+ * Formatter for a proposal's vote amounts (tallies, quorum, voting power). Token-weighted
+ * proposals count in token base units, shown with the token's decimals and, with
+ * `{ symbol: true }`, its symbol; everything else is a plain count.
+ */
+export function useVoteFormat(proposal) {
+  const byBalance = Number(proposal?.weighting) === WEIGHTING_TOKEN_BALANCE
+  const info = useTokenInfo(byBalance ? proposal.token : null)
+  return (value, { symbol = false } = {}) => {
+    if (!byBalance) return String(value)
+    const amount = formatUnits(value, info?.decimals ?? 0)
+    return symbol && info?.symbol ? `${amount} ${info.symbol}` : amount
+  }
+}
@@ -0,0 +1,259 @@
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from 'react'
+import { useAccount } from 'wagmi'
+import { isAddressEqual } from 'viem'
+import { contract } from './contract'
+import { CHAIN } from './chain'
+import { proposalStore, useProposals, useVotedOn } from './proposalStore'
+import { chainClock, formatRemaining, useChainNow } from './chainClock'
+import { decodeProposalContent } from './proposalContent'
+import { closedText } from './outcome'
+import { navigate, proposalPath } from './router'
+
+const STORAGE_PREFIX = `voting:watch:${CHAIN.id}:${contract.address}:`
+
+// Inbox entries kept per account
+const MAX_INBOX = 50
+
+/** How long before a followed proposal's deadline the "ending soon" reminder fires. */
+export const LEAD_TIMES = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 360, label: '6 hours' },
+  { minutes: 1440, label: '1 day' },
+]
+
+// The lifecycle updates a follower gets, in the order they happen
+const STAGES = ['ending', 'closeable', 'closed']
+
+const emptyWatch = () => ({ follows: {}, delivered: {}, inbox: [], leadMinutes: 60 })
+
+function load(key) {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + key))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Per-address watchlist, persisted to localStorage: explicit follows and unfollows (`follows`,
+ * id -> boolean, overriding the automatic ones), which updates were already delivered, the
+ * inbox and the reminder lead time.
+ */
+function createWatchlistStore() {
+  let state = {} // lowercased address -> watch
+  const listeners = new Set()
+  const emit = () => listeners.forEach((l) => l())
+
+  // Another tab changed a watchlist; pick it up on next read
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+      if (!e.key?.startsWith(STORAGE_PREFIX)) return
+      const { [e.key.slice(STORAGE_PREFIX.length)]: _, ...rest } = state
+      state = rest
+      emit()
+    })
+  }
+
+  // `fresh` marks an address this browser has no watchlist for yet
+  function get(account) {
+    const key = account.toLowerCase()
+    if (!state[key]) {
+      const stored = load(key)
+      state = { ...state, [key]: stored ? { ...emptyWatch(), ...stored } : { ...emptyWatch(), fresh: true } }
+    }
+    return state[key]
+  }
+
+  function update(account, change) {
+    const key = account.toLowerCase()
+    const { fresh: _, ...next } = change(get(account))
+    state = { ...state, [key]: next }
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(next))
+    } catch {}
+    emit()
+  }
+
+  const withDelivered = (watch, keys) => ({ ...watch.delivered, ...Object.fromEntries(keys.map((k) => [k, true])) })
+
+  return {
+    get,
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    /** Follow or unfollow; `seen` are updates that already happened and should not be announced. */
+    follow: (account, id, following, seen = []) =>
+      update(account, (w) => ({ ...w, follows: { ...w.follows, [id]: following }, delivered: withDelivered(w, seen) })),
+    /** Add `entries` to the inbox and mark them, plus `seen`, as delivered. */
+    record: (account, entries, seen = []) =>
+      update(account, (w) => ({
+        ...w,
+        delivered: withDelivered(w, [...seen, ...entries.map((e) => e.key)]),
+        inbox: [...entries, ...w.inbox].slice(0, MAX_INBOX),
+      })),
+    /** Mark one proposal's updates as read, or every update without `proposalId`. */
+    markRead: (account, proposalId) => {
+      const matches = (e) => !e.read && (proposalId === undefined || e.proposalId === proposalId)
+      if (!get(account).inbox.some(matches)) return
+      update(account, (w) => ({ ...w, inbox: w.inbox.map((e) => (matches(e) ? { ...e, read: true } : e)) }))
+    },
+    clearInbox: (account) => update(account, (w) => ({ ...w, inbox: [] })),
+    setLeadMinutes: (account, leadMinutes) => update(account, (w) => ({ ...w, leadMinutes })),
+  }
+}
+
+export const watchlistStore = createWatchlistStore()
+
+/** The latest update a proposal has reached, or null while its deadline is further than `lead` seconds away. */
+export function stageOf(proposal, now, lead) {
+  if (!proposal.active) return 'closed'
+  const endTime = Number(proposal.endTime)
+  if (now > endTime) return 'closeable'
+  return endTime - now <= lead ? 'ending' : null
+}
+
+// Delivery keys of `stage` and every stage before it
+const stageKeys = (id, stage) => STAGES.slice(0, STAGES.indexOf(stage) + 1).map((s) => `${id}:${s}`)
+
+function isFollowed(watch, id, proposal, account, voted) {
+  const explicit = watch.follows[id]
+  if (explicit !== undefined) return explicit
+  return (proposal.proposer && isAddressEqual(proposal.proposer, account)) || voted?.[id] !== undefined
+}
+
+function notice(id, proposal, stage, now) {
+  const endTime = Number(proposal.endTime)
+  const body = {
+    ending: `Voting ends in ${formatRemaining(Math.max(0, endTime - now))}.`,
+    closeable: 'Voting has ended; the proposal can now be closed.',
+    closed: proposal.cancelled ? 'The proposal was cancelled.' : `Closed: ${closedText(proposal, proposal)}.`,
+  }[stage]
+  return {
+    key: `${id}:${stage}`,
+    proposalId: id,
+    stage,
+    title: `#${id} ${decodeProposalContent(proposal.description).title}`,
+    body,
+    at: Date.now(),
+    read: false,
+  }
+}
+
+export function notificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+function showNotification(entry) {
+  if (notificationPermission() !== 'granted') return
+  // The tag keeps two open tabs from showing the same update twice
+  const notification = new Notification(entry.title, { body: entry.body, tag: entry.key })
+  notification.onclick = () => {
+    window.focus()
+    navigate(proposalPath(entry.proposalId))
+    notification.close()
+  }
+}
+
+/** Browser notification permission and a function asking for it. */
+export function useNotificationPermission() {
+  const [permission, setPermission] = useState(notificationPermission)
+  const request = useCallback(async () => {
+    if (typeof Notification === 'undefined') return
+    setPermission(await Notification.requestPermission())
+  }, [])
+  return [permission, request]
+}
+
+/** The connected account's watchlist, or null without a wallet. */
+export function useWatchlist() {
+  const { address } = useAccount()
+  const watch = useSyncExternalStore(watchlistStore.subscribe, () => (address ? watchlistStore.get(address) : null))
+  return { account: address, watch }
+}
+
+/**
+ * Ids of every proposal the connected account follows: the ones it created or voted on
+ * (including through its delegate), plus explicit follows, minus explicit unfollows.
+ */
+export function useFollowedIds() {
+  const { account, watch } = useWatchlist()
+  const { proposals } = useProposals()
+  const voted = useVotedOn(account)
+  return useMemo(() => {
+    if (!watch) return new Set()
+    return new Set(
+      Object.keys(proposals)
+        .map(Number)
+        .filter((id) => isFollowed(watch, id, proposals[id], account, voted))
+    )
+  }, [account, watch, proposals, voted])
+}
+
+/** Whether the connected account follows proposal `id`, and a toggle. */
+export function useFollow(id) {
+  const { account } = useWatchlist()
+  const following = useFollowedIds().has(id)
+  const toggle = useCallback(() => {
+    if (following) return watchlistStore.follow(account, id, false)
+    // Following a proposal that has already ended should not announce it straight away
+    const proposal = proposalStore.getState().proposals[id]
+    const stage = proposal && stageOf(proposal, chainClock.now(), watchlistStore.get(account).leadMinutes * 60)
+    watchlistStore.follow(account, id, true, stage ? stageKeys(id, stage) : [])
+  }, [account, id, following])
+  return { following, toggle }
+}
+
+/** Unread inbox entries about proposal `id`. */
+export function useUnreadCount(id) {
+  const { watch } = useWatchlist()
+  return watch ? watch.inbox.filter((e) => !e.read && e.proposalId === id).length : 0
+}
+
+/** Marks a proposal's updates read while it is on screen. */
+export function useMarkRead(id) {
+  const { account } = useWatchlist()
+  const unread = useUnreadCount(id)
+  useEffect(() => {
+    if (account && unread > 0) watchlistStore.markRead(account, id)
+  }, [account, id, unread])
+}
+
+/**
+ * Turns chain time and proposal state into inbox entries (and browser notifications) for
+ * followed proposals: ending within the lead time, ready to close, and closed or cancelled.
+ * Each fires once per proposal; a later stage reached while the app was closed supersedes
+ * the earlier ones. Mounted once, in the app shell.
+ */
+export function useWatchlistNotifier() {
+  const { account, watch } = useWatchlist()
+  const { proposals, ready } = useProposals()
+  const voted = useVotedOn(account)
+  const followed = useFollowedIds()
+  const now = useChainNow(15)
+
+  useEffect(() => {
+    // Wait for the account's ballots and a real block time, or the first pass would misjudge
+    // what is followed and what has already happened
+    if (!watch || !ready || !voted || !chainClock.latest()) return
+    const due = []
+    const seen = []
+    followed.forEach((id) => {
+      const proposal = proposals[id]
+      const stage = stageOf(proposal, now, watch.leadMinutes * 60)
+      if (!stage) return
+      const keys = stageKeys(id, stage)
+      const latest = keys.pop()
+      if (watch.delivered[latest]) return
+      seen.push(...keys)
+      // On an address's first visit, what already happened is history, not news
+      if (watch.fresh) seen.push(latest)
+      else due.push(notice(id, proposal, stage, now))
+    })
+    if (watch.fresh || due.length > 0) {
+      watchlistStore.record(account, due, seen)
+      due.forEach(showNotification)
+    }
+  }, [account, watch, ready, voted, proposals, followed, now])
+}
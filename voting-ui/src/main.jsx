@@ -1,29 +1,34 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
-import { WagmiProvider, http, createConfig } from 'wagmi'
-import { baseSepolia } from 'viem/chains'
+import { WagmiProvider, createConfig } from 'wagmi'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { OnchainKitProvider } from '@coinbase/onchainkit'
 import { coinbaseWallet, injected, walletConnect } from '@wagmi/connectors'
 import App from './App.jsx'
+import { CHAIN, DEMO_MODE, SUPPORTED_CHAINS } from './lib/chain'
+import { transportFor } from './lib/rpc'
+import { demoWallet } from './lib/demoWallet'
 import './index.css'
 
 const queryClient = new QueryClient()
 
-// Wagmi config: Base Sepolia + MetaMask (injected) + Coinbase Wallet + WalletConnect (optional)
-const connectors = [
-  injected({ shimDisconnect: true }),
-  coinbaseWallet({ appName: import.meta.env.VITE_APP_NAME || 'Base Voting dApp' }),
-]
+// Wagmi config: every supported chain + MetaMask (injected) + Coinbase Wallet + WalletConnect (optional).
+// Demo mode only has the demo wallet, which holds the simulated chain's test accounts.
+const connectors = DEMO_MODE
+  ? [demoWallet()]
+  : [
+      injected({ shimDisconnect: true }),
+      coinbaseWallet({ appName: import.meta.env.VITE_APP_NAME || 'Base Voting dApp' }),
+    ]
 const wcProjectId = import.meta.env.VITE_WALLETCONNECT_PROJECT_ID
-if (wcProjectId) {
+if (wcProjectId && !DEMO_MODE) {
   connectors.push(
     walletConnect({
       projectId: wcProjectId,
       showQrModal: true,
       metadata: {
         name: import.meta.env.VITE_APP_NAME || 'Base Voting dApp',
-        description: 'Voting on Base Sepolia',
+        description: `Voting on ${CHAIN.name}`,
         url: typeof window !== 'undefined' ? window.location.origin : 'http://localhost',
         icons: ['https://avatars.githubusercontent.com/u/108554348?s=200&v=4'],
       },
@@ -32,10 +37,10 @@ if (wcProjectId) {
 }
 
 const wagmiConfig = createConfig({
-  chains: [baseSepolia],
-  transports: {
-    [baseSepolia.id]: http(import.meta.env.VITE_BASE_SEPOLIA_RPC || 'https://sepolia.base.org'),
-  },
+  // The active deployment's chain goes first so wallets connect to it by default
+  chains: [CHAIN, ...SUPPORTED_CHAINS.map((c) => c.chain).filter((c) => c.id !== CHAIN.id)],
+  // The same transports the app's own public client uses (see lib/rpc.js)
+  transports: Object.fromEntries(SUPPORTED_CHAINS.map((c) => [c.chain.id, transportFor(c)])),
   connectors,
   autoConnect: true,
 })
@@ -46,7 +51,7 @@ createRoot(document.getElementById('root')).render(
       <QueryClientProvider client={queryClient}>
         <OnchainKitProvider
           apiKey={import.meta.env.VITE_ONCHAINKIT_API_KEY}
-          chain={baseSepolia}
+          chain={CHAIN}
           appName={import.meta.env.VITE_APP_NAME || 'Base Voting dApp'}
         >
           <App />